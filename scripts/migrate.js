@@ -0,0 +1,68 @@
+/*
+ * Apply database migrations (src/migrations) outside the server.
+ *
+ * Usage:
+ *   npm run migrate                     # apply pending migrations
+ *   npm run migrate -- --dry-run        # report what pending migrations would change
+ *   npm run migrate -- status           # list applied and pending migrations
+ */
+require('dotenv').config();
+const { connectDB, closeDB } = require('../src/config/database');
+const { getMigrationStatus, runMigrations } = require('../src/migrations');
+
+const COMMANDS = ['up', 'status'];
+
+const parseArgs = (argv) => {
+    const args = { command: 'up', dryRun: false };
+
+    for (const arg of argv) {
+        if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (COMMANDS.includes(arg)) {
+            args.command = arg;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return args;
+};
+
+const printStatus = async () => {
+    const migrations = await getMigrationStatus();
+
+    migrations.forEach((migration) => {
+        const state = migration.applied_at ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+        console.log(`  ${migration.name.padEnd(32)} ${state.padEnd(32)} ${migration.description}`);
+    });
+
+    const pending = migrations.filter((migration) => !migration.applied_at).length;
+    console.log(`${migrations.length} migration(s), ${pending} pending`);
+};
+
+const run = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    await connectDB();
+
+    if (args.command === 'status') {
+        await printStatus();
+        return;
+    }
+
+    const ran = await runMigrations({ dryRun: args.dryRun });
+
+    ran.forEach((migration) => console.log(`  ${migration.name}: ${JSON.stringify(migration.result)}`));
+    if (args.dryRun) {
+        console.log(`Dry run - ${ran.length} pending migration(s), nothing written`);
+    } else {
+        console.log(`Applied ${ran.length} migration(s)`);
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error('Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(closeDB);
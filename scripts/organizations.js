@@ -0,0 +1,59 @@
+/*
+ * Manage organizations (tenants).
+ *
+ * Usage:
+ *   npm run orgs                           # list organizations
+ *   npm run orgs -- create acme "Acme Inc" # create one (id: lowercase letters, digits, dashes)
+ *   npm run orgs -- disable acme           # every request for it gets 404
+ *   npm run orgs -- enable acme
+ *
+ * Settings (upload limits, allowed categories) are changed by the
+ * organization's admins: PUT /api/v3/app/organization/settings.
+ */
+require('dotenv').config();
+const { connectDB, closeDB } = require('../src/config/database');
+const {
+    listOrganizations,
+    createOrganization,
+    setOrganizationActive
+} = require('../src/tenancy');
+
+const printOrganization = (tenant) => {
+    const state = tenant.active ? 'active' : 'disabled';
+    console.log(`  ${tenant.id.padEnd(24)} ${state.padEnd(10)} ${tenant.name}`);
+};
+
+const run = async () => {
+    const [command = 'list', id, name] = process.argv.slice(2);
+
+    if (command !== 'list' && !id) {
+        throw new Error(`Usage: ${command} <organization id>`);
+    }
+
+    await connectDB();
+
+    if (command === 'list') {
+        const organizations = await listOrganizations();
+        organizations.forEach(printOrganization);
+        console.log(`${organizations.length} organization(s)`);
+    } else if (command === 'create') {
+        printOrganization(await createOrganization({ id, name }));
+        console.log('Created');
+    } else if (command === 'enable' || command === 'disable') {
+        const tenant = await setOrganizationActive(id, command === 'enable');
+        if (!tenant) {
+            throw new Error(`Organization not found: ${id}`);
+        }
+        printOrganization(tenant);
+        console.log('Other instances pick the change up within 30 seconds');
+    } else {
+        throw new Error(`Unknown command: ${command}`);
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error('Failed:', error.code === 11000 ? 'An organization with that id already exists' : error.message);
+        process.exitCode = 1;
+    })
+    .finally(closeDB);
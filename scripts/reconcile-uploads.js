@@ -0,0 +1,60 @@
+/*
+ * Find (and optionally delete) uploaded files that no document references.
+ *
+ * Usage:
+ *   npm run uploads:reconcile                  # report only
+ *   npm run uploads:reconcile -- --delete      # delete orphans
+ *   npm run uploads:reconcile -- --min-age=24  # only files older than 24h (default 1h)
+ */
+require('dotenv').config();
+const { connectDB, closeDB } = require('../src/config/database');
+const { getStorage } = require('../src/storage');
+const { findOrphanedFiles } = require('../src/storage/reconcile');
+
+const parseArgs = (argv) => {
+    const args = { delete: false, minAgeHours: 1 };
+
+    for (const arg of argv) {
+        if (arg === '--delete') {
+            args.delete = true;
+        } else if (arg.startsWith('--min-age=')) {
+            args.minAgeHours = parseFloat(arg.split('=')[1]);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (isNaN(args.minAgeHours) || args.minAgeHours < 0) {
+        throw new Error('--min-age must be a non-negative number of hours');
+    }
+
+    return args;
+};
+
+const run = async () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    await connectDB();
+
+    const storage = getStorage();
+    const orphans = await findOrphanedFiles({ minAgeMs: args.minAgeHours * 60 * 60 * 1000 });
+
+    console.log(`Storage: ${storage.name}. Orphaned files: ${orphans.length}`);
+    orphans.forEach((file) => console.log(`  ${file.path}  (${file.modifiedAt.toISOString()})`));
+
+    if (args.delete) {
+        for (const file of orphans) {
+            await storage.remove(file.path);
+        }
+        console.log(`Deleted ${orphans.length} file(s)`);
+    } else if (orphans.length > 0) {
+        console.log('Dry run - re-run with --delete to remove them');
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error('Reconciliation failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(closeDB);
@@ -0,0 +1,95 @@
+/*
+ * Local webhook receiver for development - prints each delivery and
+ * checks its signature.
+ *
+ * Usage:
+ *   npm run webhooks:receiver -- --secret=whsec_...            # listen on 4000
+ *   npm run webhooks:receiver -- --secret=whsec_... --port=4100
+ *   npm run webhooks:receiver -- --secret=whsec_... --fail     # answer 500, to watch retries
+ *
+ * Then create a webhook with url http://localhost:4000/ and POST /webhooks/:id/ping.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('../src/utils/webhooks');
+
+// Deliveries older than this are rejected as possible replays
+const MAX_AGE_SECONDS = 5 * 60;
+
+const parseArgs = (argv) => {
+    const args = { port: 4000, secret: null, fail: false };
+
+    for (const arg of argv) {
+        if (arg === '--fail') {
+            args.fail = true;
+        } else if (arg.startsWith('--port=')) {
+            args.port = parseInt(arg.split('=')[1]);
+        } else if (arg.startsWith('--secret=')) {
+            args.secret = arg.slice('--secret='.length);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    if (!args.secret) {
+        throw new Error('--secret is required (returned when the webhook is created)');
+    }
+    if (isNaN(args.port)) {
+        throw new Error('--port must be a number');
+    }
+
+    return args;
+};
+
+/*
+ * What a real receiver should do: recompute the signature over the raw
+ * body, compare in constant time, and reject stale timestamps.
+ */
+const verify = (secret, headers, body) => {
+    const timestamp = parseInt(headers['x-webhook-timestamp']);
+    const signature = headers['x-webhook-signature'] || '';
+
+    if (isNaN(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_AGE_SECONDS) {
+        return 'stale or missing timestamp';
+    }
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return 'signature mismatch';
+    }
+    return null;
+};
+
+const run = () => {
+    const args = parseArgs(process.argv.slice(2));
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const problem = verify(args.secret, req.headers, body);
+
+            console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']}: ${problem || 'signature ok'}`);
+            console.log(body);
+
+            if (problem) {
+                res.writeHead(401).end();
+            } else {
+                res.writeHead(args.fail ? 500 : 204).end();
+            }
+        });
+    });
+
+    server.listen(args.port, () => {
+        console.log(`Webhook receiver listening on http://localhost:${args.port}/${args.fail ? ' (answering 500)' : ''}`);
+    });
+};
+
+try {
+    run();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
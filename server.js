@@ -1,54 +1,76 @@
 require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const { connectDB } = require('./src/config/database');
-const eventRoutes = require('./src/routes/eventRoutes');
-const { errorHandler, notFound } = require('./src/middleware/errorHandler');
+const { connectDB, closeDB } = require('./src/config/database');
+const app = require('./src/app');
+const { closeEventStreams } = require('./src/controllers/streamController');
+const { logger } = require('./src/utils/logger');
+const { registerShutdown } = require('./src/utils/shutdown');
+const { runMigrations } = require('./src/migrations');
+const { checkRateLimitConfig } = require('./src/middleware/rateLimit');
+const { startNudgeWorker, stopNudgeWorker } = require('./src/jobs/nudgeDeliveryWorker');
+const { startEventPurgeJob, stopEventPurgeJob } = require('./src/jobs/eventPurgeJob');
+const { startWebhookWorker, stopWebhookWorker } = require('./src/jobs/webhookDeliveryWorker');
 
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Serve uploaded files statically
-app.use('/uploads', express.static('uploads'));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: 'Server is running',
-        timestamp: new Date().toISOString()
-    });
-});
-
-// API Routes
-app.use('/api/v3/app', eventRoutes);
-
-// Handle 404 - Route not found
-app.use(notFound);
-
-// Global error handler
-app.use(errorHandler);
-
 // Start server
 const startServer = async () => {
     try {
+        // Configuration errors stop the start, not the first request
+        checkRateLimitConfig();
+
         // Connect to MongoDB
         await connectDB();
 
+        /*
+         * Indexes and backfills before serving. Instances starting together
+         * take turns (lock in _migrations). Set MIGRATE_ON_STARTUP=false to
+         * run them from the deploy pipeline instead (npm run migrate).
+         */
+        if (process.env.MIGRATE_ON_STARTUP !== 'false') {
+            await runMigrations();
+        }
+
+        // Background delivery of pending nudges - disable on instances that shouldn't send
+        if (process.env.NUDGE_WORKER_ENABLED !== 'false') {
+            startNudgeWorker();
+        }
+
+        // Outgoing webhook deliveries and retries
+        if (process.env.WEBHOOK_WORKER_ENABLED !== 'false') {
+            startWebhookWorker();
+        }
+
+        // Hard-delete events whose trash retention has expired
+        if (process.env.EVENT_PURGE_ENABLED !== 'false') {
+            startEventPurgeJob();
+        }
+
         // Start listening
-        app.listen(PORT, () => {
-            console.log(`Server running on port ${PORT}`);
-            console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-            console.log(`Health check: http://localhost:${PORT}/health`);
-            console.log(`API Base URL: http://localhost:${PORT}/api/v3/app`);
+        const server = app.listen(PORT, () => {
+            logger.info('Server running', {
+                port: Number(PORT),
+                environment: process.env.NODE_ENV || 'development',
+                health_check: `http://localhost:${PORT}/health`,
+                api_base_url: `http://localhost:${PORT}/api/v3/app`
+            });
+        });
+
+        /*
+         * SIGTERM/SIGINT: readiness turns 503 and, after SHUTDOWN_DELAY_MS
+         * for the load balancer to notice, the listener closes and
+         * in-flight requests drain while change streams are ended and the
+         * background jobs finish their current tick. MongoDB closes last,
+         * once nothing can use it any more.
+         */
+        const delayMs = parseInt(process.env.SHUTDOWN_DELAY_MS);
+        registerShutdown(server, {
+            steps: [closeEventStreams, stopNudgeWorker, stopWebhookWorker, stopEventPurgeJob],
+            finalSteps: [closeDB],
+            delayMs: delayMs >= 0 ? delayMs : 5000,
+            timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000
         });
     } catch (error) {
-        console.error('Failed to start server:', error.message);
+        logger.error('Failed to start server', { err: error });
         process.exit(1);
     }
 };
@@ -0,0 +1,91 @@
+const express = require('express');
+const cors = require('cors');
+const { getCorsOptions } = require('./config/cors');
+const eventRoutes = require('./routes/eventRoutes');
+const nudgeRoutes = require('./routes/nudgeRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/requestLogger');
+const { getMetrics } = require('./controllers/metricsController');
+const { getLiveness, getReadiness } = require('./controllers/healthController');
+const { getOpenApiDocument, getApiDocs } = require('./controllers/docsController');
+const { apiRateLimit } = require('./middleware/rateLimit');
+const { resolveTenant } = require('./middleware/tenant');
+
+/*
+ * The Express app: middleware, routes and error handling. server.js
+ * connects MongoDB, starts the background jobs and listens; tests mount
+ * this on their own port with an in-memory database.
+ */
+
+const app = express();
+
+/*
+ * Behind a load balancer or reverse proxy, req.ip (per-IP rate limits) must
+ * come from X-Forwarded-For. TRUST_PROXY takes Express's "trust proxy"
+ * values: true, a hop count, or addresses/subnets ("loopback, 10.0.0.0/8").
+ */
+const parseTrustProxy = (value) => {
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^\d+$/.test(value)) return parseInt(value);
+    return value;
+};
+
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
+// Middleware
+app.use(requestId);
+app.use(requestLogger);
+app.use(cors(getCorsOptions()));
+// Throttle before parsing bodies - a flood shouldn't cost more than the rejection
+app.use('/api/v3/app', apiRateLimit);
+/*
+ * Every API request runs as one organization (X-Org-Id, subdomain or token
+ * claim) - queries on organization data are scoped to it from here on.
+ */
+app.use('/api/v3/app', resolveTenant);
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+/*
+ * Serve uploaded files statically when stored on local disk.
+ * With object storage, documents hold public object URLs instead.
+ */
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+    app.use('/uploads', express.static(process.env.UPLOAD_DIR || 'uploads'));
+}
+
+/*
+ * Health probes: liveness only says the process is up, readiness checks
+ * MongoDB and upload storage. /health is kept as an alias of readiness.
+ */
+app.get('/health', getReadiness);
+app.get('/health/live', getLiveness);
+app.get('/health/ready', getReadiness);
+
+// Prometheus metrics (latency, errors, Mongo pool, upload sizes)
+app.get('/metrics', getMetrics);
+
+// OpenAPI 3 document of the event routes, and Swagger UI on top of it
+app.get('/openapi.json', getOpenApiDocument);
+app.get('/docs', getApiDocs);
+
+// API Routes
+app.use('/api/v3/app', eventRoutes);
+app.use('/api/v3/app', nudgeRoutes);
+app.use('/api/v3/app', webhookRoutes);
+app.use('/api/v3/app', organizationRoutes);
+app.use('/api/v3/app', categoryRoutes);
+
+// Handle 404 - Route not found
+app.use(notFound);
+
+// Global error handler
+app.use(errorHandler);
+
+module.exports = app;
@@ -0,0 +1,36 @@
+/*
+ * Response headers browser clients may read: the event ETag, the request
+ * id and the rate limit state.
+ */
+const EXPOSED_HEADERS = [
+    'ETag',
+    'X-Request-Id',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After'
+];
+
+/**
+ * CORS options from CORS_ORIGINS.
+ * A comma-separated list of origins ("https://app.example.com,http://localhost:3000")
+ * allows only those; unset or "*" allows any origin. Requests from other
+ * origins still reach the API - browsers just won't let the page read the response.
+ * @returns {Object} Options for the cors middleware
+ */
+const getCorsOptions = () => {
+    const origins = (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map((origin) => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+
+    return {
+        origin: origins.length === 0 || origins.includes('*') ? '*' : origins,
+        exposedHeaders: EXPOSED_HEADERS
+    };
+};
+
+module.exports = {
+    getCorsOptions
+};
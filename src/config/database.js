@@ -1,47 +1,87 @@
 const { MongoClient, ObjectId } = require('mongodb');
+const { logger } = require('../utils/logger');
+const { observeMongoPool } = require('../utils/metrics');
+const { scopeCollection } = require('../tenancy/scopedCollection');
+
+const log = logger.child({ component: 'database' });
 
 // MongoDB connection state
 let db = null;
 let client = null;
 
-/**
- * Initialize MongoDB connection with pooling.
- * Connection pool reduces overhead of creating new connections per request.
- * Pool size configured based on expected concurrency - adjust for production load.
- */
-const connectDB = async () => {
-  try {
-    if (db) {
-      console.log('Already connected to MongoDB');
-      return db;
-    }
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-    const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017';
-    const dbName = process.env.DB_NAME || 'events_db';
+// One connection attempt
+const openConnection = async () => {
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+  const dbName = process.env.DB_NAME || 'events_db';
 
-    console.log('Connecting to MongoDB...');
+  log.info('Connecting to MongoDB...');
 
+  try {
     /*
      * Connection pool configuration:
      * maxPoolSize: Maximum concurrent connections (prevents overwhelming DB)
      * minPoolSize: Keeps connections warm (reduces latency for burst traffic)
      * serverSelectionTimeoutMS: Fail fast if DB unreachable (better than hanging requests)
      */
+    const maxPoolSize = 10;
     client = new MongoClient(uri, {
-      maxPoolSize: 10,
+      maxPoolSize,
       minPoolSize: 5,
       serverSelectionTimeoutMS: 5000,
     });
 
+    // Pool gauges for /metrics - subscribe before connect() opens the first connections
+    observeMongoPool(client, maxPoolSize);
+
     await client.connect();
     db = client.db(dbName);
 
-    console.log(`Connected to MongoDB: ${dbName}`);
+    log.info('Connected to MongoDB', { db: dbName });
 
     return db;
   } catch (error) {
-    console.error('MongoDB connection error:', error.message);
-    process.exit(1); // Exit immediately - no point running without database
+    // Release the failed client's pool and monitors before the next attempt
+    if (client) {
+      await client.close().catch(() => {});
+      client = null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Initialize MongoDB connection with pooling.
+ * Connection pool reduces overhead of creating new connections per request.
+ * Pool size configured based on expected concurrency - adjust for production load.
+ *
+ * Retries with exponential backoff (1s, 2s, 4s... capped at 30s), so an API
+ * started alongside its database doesn't crash-loop while Mongo comes up.
+ * Throws once MONGODB_CONNECT_RETRIES attempts have failed - the caller
+ * decides whether that ends the process.
+ */
+const connectDB = async () => {
+  if (db) {
+    log.debug('Already connected to MongoDB');
+    return db;
+  }
+
+  const attempts = parseInt(process.env.MONGODB_CONNECT_RETRIES) || 5;
+  const baseDelayMs = parseInt(process.env.MONGODB_CONNECT_RETRY_MS) || 1000;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await openConnection();
+    } catch (error) {
+      if (attempt >= attempts) {
+        throw error;
+      }
+
+      const delayMs = Math.min(baseDelayMs * Math.pow(2, attempt - 1), 30000);
+      log.warn('MongoDB connection failed, retrying', { attempt, retry_in_ms: delayMs, error: error.message });
+      await sleep(delayMs);
+    }
   }
 };
 
@@ -59,10 +99,22 @@ const getDB = () => {
 /**
  * Get collection by name.
  * Using native driver means no predefined schemas - flexibility vs type safety trade-off.
+ *
+ * Organization data (events, nudges, webhooks...) comes back scoped to the
+ * current request's organization: every filter gets its org_id, every
+ * inserted document is tagged with it (see tenancy/scopedCollection.js).
  */
 const getCollection = (collectionName) => {
   const database = getDB();
-  return database.collection(collectionName);
+  return scopeCollection(collectionName, database.collection(collectionName));
+};
+
+/**
+ * Round-trip to the server (readiness probe).
+ * Rejects when not connected or the server is unreachable.
+ */
+const pingDB = async () => {
+  await getDB().command({ ping: 1 });
 };
 
 /**
@@ -73,7 +125,7 @@ const closeDB = async () => {
     await client.close();
     db = null;
     client = null;
-    console.log('MongoDB connection closed');
+    log.info('MongoDB connection closed');
   }
 };
 
@@ -96,17 +148,12 @@ const toObjectId = (id) => {
   }
 };
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  await closeDB();
-  process.exit(0);
-});
-
 module.exports = {
   connectDB,
   getDB,
   getCollection,
   closeDB,
+  pingDB,
   toObjectId,
   ObjectId
 };
@@ -0,0 +1,289 @@
+const { getCollection, toObjectId } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { hasRole } = require('../middleware/auth');
+const { validatePagination } = require('../utils/validator');
+const { NOT_DELETED } = require('../utils/trash');
+
+const COLLECTION_NAME = 'events';
+
+/*
+ * Attendee lists are mutated only through $addToSet/$pull/$pop with
+ * conditions in the filter, never by rewriting the array. Two concurrent
+ * RSVPs therefore can't overwrite each other, and capacity is enforced by
+ * the same atomic operation that adds the attendee.
+ * Each of them also bumps the event's version, which its ETag is built from (utils/etag.js).
+ */
+
+/*
+ * Matches events that still have a free seat.
+ * No capacity (missing/null) means unlimited.
+ */
+const hasFreeSeat = {
+    $or: [
+        { capacity: null },
+        { $expr: { $lt: [{ $size: { $ifNull: ['$attendees', []] } }, '$capacity'] } }
+    ]
+};
+
+/*
+ * Load the event fields needed for attendee operations.
+ * Throws 400/404 so handlers can rely on a valid event.
+ */
+const findEvent = async (id) => {
+    const objectId = toObjectId(id);
+    if (!objectId) {
+        throw new APIError('Invalid event ID format', 400);
+    }
+
+    const eventsCollection = getCollection(COLLECTION_NAME);
+    const event = await eventsCollection.findOne(
+        { _id: objectId, ...NOT_DELETED },
+        { projection: { uid: 1, capacity: 1, attendees: 1, waitlist: 1 } }
+    );
+
+    if (!event) {
+        throw new APIError('Event not found', 404);
+    }
+
+    return event;
+};
+
+/*
+ * Resolve which user an attendee operation targets.
+ * Users act on themselves by default; the event owner or an admin may
+ * pass user_id to add/remove someone else.
+ * Attendees are stored as strings, matching the existing attendees array.
+ */
+const resolveTargetUser = (req, event, requestedUserId) => {
+    const self = String(req.user.uid);
+
+    if (requestedUserId === undefined || String(requestedUserId) === self) {
+        return self;
+    }
+
+    if (event.uid !== req.user.uid && !hasRole(req.user, 'admin')) {
+        throw new APIError('Only the event owner or an admin can manage other attendees', 403);
+    }
+
+    const target = String(requestedUserId).trim();
+    if (target === '') {
+        throw new APIError('user_id must not be empty', 400);
+    }
+    return target;
+};
+
+/**
+ * Move people from the head of the waitlist into free seats.
+ * Each promotion is conditional on the waitlist head still being the same
+ * person and a seat still being free, so concurrent cancellations can't
+ * promote the same person twice or overfill the event.
+ * @param {ObjectId} eventObjectId - Event to promote on
+ * @returns {Promise<Array<string>>} Promoted user IDs
+ */
+const promoteFromWaitlist = async (eventObjectId) => {
+    const eventsCollection = getCollection(COLLECTION_NAME);
+    const promoted = [];
+
+    for (;;) {
+        const event = await eventsCollection.findOne(
+            { _id: eventObjectId, 'waitlist.0': { $exists: true }, ...hasFreeSeat },
+            { projection: { waitlist: { $slice: 1 } } }
+        );
+
+        if (!event) {
+            return promoted;
+        }
+
+        const next = event.waitlist[0];
+        const result = await eventsCollection.updateOne(
+            { _id: eventObjectId, 'waitlist.0': next, ...hasFreeSeat },
+            {
+                $pop: { waitlist: -1 },
+                $addToSet: { attendees: next },
+                $set: { updated_at: new Date() },
+                $inc: { version: 1 }
+            }
+        );
+
+        // Lost a race with another promotion/RSVP - re-read and try again
+        if (result.modifiedCount === 1) {
+            promoted.push(next);
+        }
+    }
+};
+
+/*
+ * GET /api/v3/app/events/:id/attendees?limit=10&page=1&list=waitlist
+ * Paginated attendee (or waitlist) IDs for an event.
+ */
+const getAttendees = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { limit, page, list = 'attendees' } = req.query;
+
+        if (!['attendees', 'waitlist'].includes(list)) {
+            throw new APIError('list must be attendees or waitlist', 400);
+        }
+
+        const objectId = toObjectId(id);
+        if (!objectId) {
+            throw new APIError('Invalid event ID format', 400);
+        }
+
+        const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+
+        /*
+         * Slice in the database so large attendee arrays aren't shipped
+         * to the API just to return one page.
+         */
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const [result] = await eventsCollection.aggregate([
+            { $match: { _id: objectId, ...NOT_DELETED } },
+            {
+                $project: {
+                    capacity: 1,
+                    attendeeCount: { $size: { $ifNull: ['$attendees', []] } },
+                    waitlistCount: { $size: { $ifNull: ['$waitlist', []] } },
+                    page: { $slice: [{ $ifNull: [`$${list}`, []] }, skip, validatedLimit] }
+                }
+            }
+        ]).toArray();
+
+        if (!result) {
+            throw new APIError('Event not found', 404);
+        }
+
+        const total = list === 'waitlist' ? result.waitlistCount : result.attendeeCount;
+        const totalPages = Math.ceil(total / validatedLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result.page,
+            capacity: result.capacity === undefined ? null : result.capacity,
+            attendeeCount: result.attendeeCount,
+            waitlistCount: result.waitlistCount,
+            pagination: {
+                currentPage: validatedPage,
+                totalPages: totalPages,
+                totalAttendees: total,
+                attendeesPerPage: validatedLimit,
+                hasNextPage: validatedPage < totalPages,
+                hasPrevPage: validatedPage > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * POST /api/v3/app/events/:id/attendees
+ * RSVP. Adds the user to attendees if a seat is free, otherwise to the waitlist.
+ * Idempotent - repeating an RSVP returns the current status with 200.
+ */
+const addAttendee = async (req, res, next) => {
+    try {
+        const event = await findEvent(req.params.id);
+        const userId = resolveTargetUser(req, event, req.body.user_id);
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const notListed = { attendees: { $ne: userId }, waitlist: { $ne: userId } };
+
+        // Seat available - take it
+        const seated = await eventsCollection.updateOne(
+            { _id: event._id, ...NOT_DELETED, ...notListed, ...hasFreeSeat },
+            { $addToSet: { attendees: userId }, $set: { updated_at: new Date() }, $inc: { version: 1 } }
+        );
+
+        let status = null;
+        let created = false;
+
+        if (seated.modifiedCount === 1) {
+            status = 'attending';
+            created = true;
+        } else {
+            // Full (or already listed) - join the waitlist unless already on a list
+            const waitlisted = await eventsCollection.updateOne(
+                { _id: event._id, ...NOT_DELETED, ...notListed },
+                { $push: { waitlist: userId }, $set: { updated_at: new Date() }, $inc: { version: 1 } }
+            );
+
+            if (waitlisted.modifiedCount === 1) {
+                status = 'waitlisted';
+                created = true;
+            }
+        }
+
+        if (!created) {
+            const current = await eventsCollection.findOne(
+                { _id: event._id },
+                { projection: { attendees: { $elemMatch: { $eq: userId } } } }
+            );
+            if (!current) {
+                throw new APIError('Event not found', 404);
+            }
+            status = current.attendees ? 'attending' : 'waitlisted';
+        }
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: status === 'attending' ? 'RSVP confirmed' : 'Event is full. Added to waitlist',
+            data: {
+                eventId: event._id,
+                userId: userId,
+                status: status
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * DELETE /api/v3/app/events/:id/attendees?user_id=...
+ * Cancel an RSVP or leave the waitlist.
+ * Freeing a seat promotes the next person on the waitlist.
+ */
+const removeAttendee = async (req, res, next) => {
+    try {
+        const event = await findEvent(req.params.id);
+        const userId = resolveTargetUser(req, event, req.query.user_id);
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const before = await eventsCollection.findOneAndUpdate(
+            { _id: event._id, $or: [{ attendees: userId }, { waitlist: userId }] },
+            {
+                $pull: { attendees: userId, waitlist: userId },
+                $set: { updated_at: new Date() },
+                $inc: { version: 1 }
+            },
+            { returnDocument: 'before', projection: { attendees: { $elemMatch: { $eq: userId } } } }
+        );
+
+        if (!before) {
+            throw new APIError('User is not registered for this event', 404);
+        }
+
+        const wasAttending = Boolean(before.attendees);
+        const promoted = wasAttending ? await promoteFromWaitlist(event._id) : [];
+
+        res.status(200).json({
+            success: true,
+            message: wasAttending ? 'RSVP cancelled' : 'Removed from waitlist',
+            data: {
+                eventId: event._id,
+                userId: userId,
+                promoted: promoted
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getAttendees,
+    addAttendee,
+    removeAttendee,
+    promoteFromWaitlist
+};
@@ -0,0 +1,383 @@
+const { getCollection, toObjectId } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { hasRole } = require('../middleware/auth');
+const { validateCategoryData } = require('../utils/validator');
+const { NOT_DELETED } = require('../utils/trash');
+const {
+    COLLECTION_NAME,
+    nameMatcher,
+    loadTaxonomy,
+    eventsFilter,
+    rewriteEvents
+} = require('../utils/categories');
+
+const EVENTS_COLLECTION_NAME = 'events';
+
+const DUPLICATE_KEY = 11000;
+
+// Reading the taxonomy is public; changing it is for the organization's admins
+const requireAdmin = (user) => {
+    if (!hasRole(user, 'admin')) {
+        throw new APIError('Only organization admins can manage categories', 403);
+    }
+};
+
+const findCategory = async (id, field = 'category') => {
+    const objectId = toObjectId(id);
+    if (!objectId) {
+        throw new APIError(`Invalid ${field} ID format`, 400);
+    }
+
+    const category = await getCollection(COLLECTION_NAME).findOne({ _id: objectId });
+    if (!category) {
+        throw new APIError(field === 'category' ? 'Category not found' : `${field} category not found`, 404);
+    }
+    return category;
+};
+
+const findChildren = (category) => getCollection(COLLECTION_NAME)
+    .find({ parent_id: category._id })
+    .sort({ order: 1, name: 1 })
+    .toArray();
+
+/*
+ * Siblings can't share a slug, or a name in any case - otherwise an event
+ * value could match either. The unique index (migration 005) covers slugs
+ * against concurrent requests; names are only checked here.
+ */
+const checkSiblings = async (parentId, { name, slug }, excludeId = null) => {
+    const conditions = [];
+    if (name !== undefined) conditions.push({ name: nameMatcher(name) });
+    if (slug !== undefined) conditions.push({ slug });
+    if (conditions.length === 0) {
+        return;
+    }
+
+    const clash = await getCollection(COLLECTION_NAME).findOne({
+        parent_id: parentId,
+        $or: conditions,
+        ...(excludeId && { _id: { $ne: excludeId } })
+    });
+
+    if (clash) {
+        throw new APIError(`A ${parentId ? 'sub-category' : 'category'} named "${clash.name}" (slug ${clash.slug}) already exists`, 409);
+    }
+};
+
+// A sibling created between checkSiblings and the write hits the unique index
+const writeCategory = async (write) => {
+    try {
+        return await write();
+    } catch (error) {
+        if (error.code === DUPLICATE_KEY) {
+            throw new APIError('A category with this slug already exists at this level', 409);
+        }
+        throw error;
+    }
+};
+
+/*
+ * GET /api/v3/app/categories
+ * The organization's taxonomy: categories in display order, each with its
+ * sub-categories. Empty until admins define one - events aren't checked
+ * against it until then.
+ */
+const getCategories = async (req, res, next) => {
+    try {
+        const { roots } = await loadTaxonomy();
+
+        res.status(200).json({
+            success: true,
+            data: roots
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/categories/counts
+ * The taxonomy with the number of (non-trashed) events under each node.
+ * A category's count includes events whose sub_category matches none of
+ * its sub-categories. Values that match no node at all - from before the
+ * taxonomy existed - are listed in `unmatched`, to be renamed or merged.
+ */
+const getCategoryCounts = async (req, res, next) => {
+    try {
+        const taxonomy = await loadTaxonomy();
+
+        const groups = await getCollection(EVENTS_COLLECTION_NAME).aggregate([
+            { $match: NOT_DELETED },
+            { $group: { _id: { category: '$category', sub_category: '$sub_category' }, count: { $sum: 1 } } }
+        ]).toArray();
+
+        const counts = new Map();
+        const add = (node, count) => counts.set(String(node._id), (counts.get(String(node._id)) || 0) + count);
+        const unmatched = [];
+
+        for (const { _id: { category, sub_category: subCategory }, count } of groups) {
+            const root = taxonomy.findRoot(category);
+            const child = root && taxonomy.findChild(root, subCategory);
+
+            if (root) add(root, count);
+            if (child) add(child, count);
+
+            if (!root || (!child && root.children.length > 0)) {
+                unmatched.push({ category, sub_category: subCategory, count });
+            }
+        }
+
+        const withCount = (node) => ({ ...node, count: counts.get(String(node._id)) || 0 });
+
+        res.status(200).json({
+            success: true,
+            data: taxonomy.roots.map((root) => ({ ...withCount(root), children: root.children.map(withCount) })),
+            unmatched: unmatched.sort((a, b) => b.count - a.count)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/categories/:id
+ * One node; a top-level category comes with its sub-categories.
+ */
+const getCategoryById = async (req, res, next) => {
+    try {
+        const category = await findCategory(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: category.parent_id ? category : { ...category, children: await findChildren(category) }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * POST /api/v3/app/categories  { name, slug?, parent_id?, order? }
+ * Without parent_id it's a category, with one a sub-category of it.
+ * Two levels only, matching the event's category/sub_category.
+ */
+const createCategory = async (req, res, next) => {
+    try {
+        requireAdmin(req.user);
+
+        const categoryData = validateCategoryData(req.body);
+
+        if (categoryData.parent_id) {
+            const parent = await findCategory(categoryData.parent_id, 'parent');
+            if (parent.parent_id) {
+                throw new APIError('parent_id must be a top-level category - sub-categories can\'t have their own', 400);
+            }
+        }
+
+        await checkSiblings(categoryData.parent_id, categoryData);
+
+        categoryData.created_at = new Date();
+        categoryData.updated_at = new Date();
+
+        const result = await writeCategory(() => getCollection(COLLECTION_NAME).insertOne(categoryData));
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            data: {
+                id: result.insertedId,
+                ...categoryData
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * PUT /api/v3/app/categories/:id  { name?, slug?, order? }
+ * A new name or slug is first written to every event holding the node
+ * under any spelling - so PUT with the current name also tidies up
+ * "tech" vs "Tech". Each rewritten event gets a revision and an
+ * event.updated webhook.
+ * Not transactional: if it fails part way, send the same request again.
+ */
+const updateCategory = async (req, res, next) => {
+    try {
+        requireAdmin(req.user);
+
+        const updateData = validateCategoryData(req.body, true);
+        const category = await findCategory(req.params.id);
+
+        await checkSiblings(category.parent_id, updateData, category._id);
+
+        let eventsUpdated = 0;
+        if (updateData.name !== undefined || updateData.slug !== undefined) {
+            const parent = category.parent_id
+                ? await getCollection(COLLECTION_NAME).findOne({ _id: category.parent_id })
+                : null;
+            const renamed = { name: updateData.name || category.name, slug: updateData.slug || category.slug };
+
+            eventsUpdated = await rewriteEvents({
+                match: await eventsFilter(category, parent, [renamed]),
+                set: { [parent ? 'sub_category' : 'category']: renamed.name },
+                user: req.user,
+                requestId: req.id,
+                extra: { category_id: category._id }
+            });
+        }
+
+        updateData.updated_at = new Date();
+
+        const updated = await writeCategory(() => getCollection(COLLECTION_NAME).findOneAndUpdate(
+            { _id: category._id },
+            { $set: updateData },
+            { returnDocument: 'after' }
+        ));
+
+        if (!updated) {
+            throw new APIError('Category not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Category updated successfully',
+            data: updated,
+            eventsUpdated: eventsUpdated
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * DELETE /api/v3/app/categories/:id
+ * Only an unused node can go - one with sub-categories or events
+ * (trashed ones included) is refused with 409. Merge it instead.
+ */
+const deleteCategory = async (req, res, next) => {
+    try {
+        requireAdmin(req.user);
+
+        const category = await findCategory(req.params.id);
+        const categoriesCollection = getCollection(COLLECTION_NAME);
+
+        if (await categoriesCollection.countDocuments({ parent_id: category._id }, { limit: 1 })) {
+            throw new APIError('Category has sub-categories. Delete or merge them first', 409);
+        }
+
+        const parent = category.parent_id ? await categoriesCollection.findOne({ _id: category.parent_id }) : null;
+        const events = await getCollection(EVENTS_COLLECTION_NAME).countDocuments(await eventsFilter(category, parent));
+        if (events > 0) {
+            throw new APIError(`${events} events use this category. Merge it into another one instead`, 409);
+        }
+
+        await categoriesCollection.deleteOne({ _id: category._id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Category deleted successfully',
+            data: {
+                deletedId: category._id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * POST /api/v3/app/categories/:id/merge  { into: "<category id>" }
+ * Move everything in :id into `into`, then delete :id. Both must be at
+ * the same level: two categories, or two sub-categories (of any category).
+ *
+ * Merging categories moves the source's sub-categories over - one with
+ * the same slug or name as a target sub-category is merged into it.
+ * Events are rewritten like a rename (revisions, webhooks) and, again,
+ * a failed merge can simply be repeated.
+ */
+const mergeCategory = async (req, res, next) => {
+    try {
+        requireAdmin(req.user);
+
+        const source = await findCategory(req.params.id);
+        if (req.body.into === undefined || req.body.into === null || req.body.into === '') {
+            throw new APIError('into is required', 400);
+        }
+        const target = await findCategory(String(req.body.into), 'into');
+
+        if (source._id.equals(target._id)) {
+            throw new APIError('A category can\'t be merged into itself', 400);
+        }
+        if (Boolean(source.parent_id) !== Boolean(target.parent_id)) {
+            throw new APIError('Categories can only be merged into a category, sub-categories into a sub-category', 400);
+        }
+
+        const categoriesCollection = getCollection(COLLECTION_NAME);
+        const rewrite = (match, set) => rewriteEvents({
+            match,
+            set,
+            user: req.user,
+            requestId: req.id,
+            extra: { category_id: source._id, merged_into: target._id }
+        });
+        let eventsUpdated = 0;
+
+        if (source.parent_id) {
+            const [sourceParent, targetParent] = await Promise.all([
+                categoriesCollection.findOne({ _id: source.parent_id }),
+                categoriesCollection.findOne({ _id: target.parent_id })
+            ]);
+
+            eventsUpdated += await rewrite(
+                await eventsFilter(source, sourceParent),
+                { category: targetParent.name, sub_category: target.name }
+            );
+        } else {
+            const [sourceChildren, targetChildren] = await Promise.all([findChildren(source), findChildren(target)]);
+
+            for (const child of sourceChildren) {
+                const twin = targetChildren.find((candidate) => candidate.slug === child.slug ||
+                    candidate.name.toLowerCase() === child.name.toLowerCase());
+
+                eventsUpdated += await rewrite(
+                    await eventsFilter(child, source),
+                    { category: target.name, sub_category: (twin || child).name }
+                );
+
+                if (twin) {
+                    await categoriesCollection.deleteOne({ _id: child._id });
+                } else {
+                    await writeCategory(() => categoriesCollection.updateOne(
+                        { _id: child._id },
+                        { $set: { parent_id: target._id, updated_at: new Date() } }
+                    ));
+                }
+            }
+
+            // Events whose sub_category matched none of the source's
+            eventsUpdated += await rewrite(await eventsFilter(source), { category: target.name });
+        }
+
+        await categoriesCollection.deleteOne({ _id: source._id });
+
+        res.status(200).json({
+            success: true,
+            message: `Category "${source.name}" merged into "${target.name}"`,
+            data: target.parent_id ? target : { ...target, children: await findChildren(target) },
+            eventsUpdated: eventsUpdated
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getCategories,
+    getCategoryCounts,
+    getCategoryById,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    mergeCategory
+};
@@ -0,0 +1,56 @@
+const eventRoutes = require('../routes/eventRoutes');
+const { buildDocument } = require('../openapi');
+
+const API_BASE_PATH = '/api/v3/app';
+
+// Swagger UI from a CDN, pinned - nothing to install or serve ourselves
+const SWAGGER_UI_URL = 'https://unpkg.com/swagger-ui-dist@5.17.14';
+
+/*
+ * Routes don't change while the process runs - built once, when the app
+ * loads. A route without an operation() throws here, so the server (and
+ * npm test) fails to start instead of serving an incomplete document.
+ */
+const document = buildDocument({ basePath: API_BASE_PATH, routers: [eventRoutes] });
+
+/*
+ * GET /openapi.json
+ * OpenAPI 3 document of the event routes, generated from the routers
+ * (src/openapi). Feed it to SDK generators. Public, like the event reads.
+ */
+const getOpenApiDocument = (req, res, next) => {
+    try {
+        res.status(200).json(document);
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /docs
+ * Interactive documentation (Swagger UI) for /openapi.json.
+ * "Try it out" sends real requests - with a bearer token under Authorize.
+ */
+const getApiDocs = (req, res) => {
+    res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>Events API</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js" crossorigin></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>
+`);
+};
+
+module.exports = {
+    getOpenApiDocument,
+    getApiDocs
+};
@@ -1,12 +1,157 @@
 const { getCollection, toObjectId } = require('../config/database');
 const { APIError } = require('../middleware/errorHandler');
-const { validateEventData, validatePagination } = require('../utils/validator');
+const { hasRole, ownershipFilter } = require('../middleware/auth');
+const {
+    validateEventData,
+    validateOccurrenceData,
+    validatePagination,
+    validateSearchParams,
+    validateDateWindow,
+    validateWhen
+} = require('../utils/validator');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { promoteFromWaitlist } = require('./attendeeController');
+const { removeFiles } = require('../storage');
+const { getVariantPaths } = require('../utils/imageProcessor');
+const { isOccurrence, expandOccurrences, getOccurrence } = require('../utils/recurrence');
+const { buildCalendar } = require('../utils/ical');
+const { NOT_DELETED, getPurgeDate } = require('../utils/trash');
+const { diffEvents, recordRevision } = require('../utils/revisions');
+const { toETag, parseIfMatch, versionFilter, matchesIfNoneMatch } = require('../utils/etag');
+const { publishEventChange } = require('../utils/eventBus');
+const { getUpdateType, queueWebhookDeliveries } = require('../utils/webhooks');
+const { cancelEventNudges, restoreEventNudges } = require('../utils/nudges');
+const { normalizeEventCategories } = require('../utils/categories');
+const {
+    getEventTimeZone,
+    resolveEventTiming,
+    buildWhenFilter,
+    matchesWhen,
+    withLocalTimes
+} = require('../utils/eventTime');
+const { parseDateTime } = require('../utils/timezone');
 
 const COLLECTION_NAME = 'events';
 
+/*
+ * Calendar feed bounds. Clients re-poll feeds every few hours, so the feed
+ * skips long-past events and is capped rather than paginated (feeds can't page).
+ */
+const FEED_PAST_DAYS = 30;
+const FEED_MAX_EVENTS = 500;
+
+// Pending/finished createIndex call for the search text index
+let textIndexReady = null;
+
+/*
+ * $text queries fail outright without a text index, so create it on first search.
+ * createIndex is idempotent - concurrent instances calling it is harmless.
+ * Reset on failure so the next search retries instead of caching the rejection.
+ */
+const ensureTextIndex = () => {
+    if (!textIndexReady) {
+        textIndexReady = getCollection(COLLECTION_NAME)
+            .createIndex(
+                { name: 'text', tagline: 'text', description: 'text' },
+                { name: 'events_text_search', weights: { name: 10, tagline: 5, description: 1 } }
+            )
+            .catch((error) => {
+                textIndexReady = null;
+                throw error;
+            });
+    }
+    return textIndexReady;
+};
+
+/*
+ * Translate parsed search filters into a MongoDB query.
+ * Every filter is optional and they combine with AND semantics.
+ */
+const buildSearchFilter = (filters) => {
+    const query = { ...NOT_DELETED };
+
+    if (filters.q) {
+        query.$text = { $search: filters.q };
+    }
+    if (filters.category) {
+        query.category = { $in: filters.category };
+    }
+    if (filters.sub_category) {
+        query.sub_category = { $in: filters.sub_category };
+    }
+    if (filters.moderator) {
+        query.moderator = filters.moderator;
+    }
+    if (filters.rigor_min !== undefined || filters.rigor_max !== undefined) {
+        query.rigor_rank = {};
+        if (filters.rigor_min !== undefined) query.rigor_rank.$gte = filters.rigor_min;
+        if (filters.rigor_max !== undefined) query.rigor_rank.$lte = filters.rigor_max;
+    }
+    if (filters.from || filters.to) {
+        query.schedule = {};
+        if (filters.from) query.schedule.$gte = filters.from;
+        if (filters.to) query.schedule.$lte = filters.to;
+    }
+    if (filters.when) {
+        // In $and so it combines with from/to and callers' own $or
+        query.$and = [buildWhenFilter(filters.when)];
+    }
+
+    return query;
+};
+
+/*
+ * A mutation that matched nothing is a missing event (404), someone else's
+ * event (403) or a failed If-Match precondition (412). One extra lookup on
+ * the failure path tells them apart. Events in the trash count as missing.
+ */
+const throwMutationError = async (objectId, user) => {
+    const eventsCollection = getCollection(COLLECTION_NAME);
+    const event = await eventsCollection.findOne({ _id: objectId, ...NOT_DELETED }, { projection: { uid: 1 } });
+
+    if (!event) {
+        throw new APIError('Event not found', 404);
+    }
+    if (!hasRole(user, 'admin') && event.uid !== user.uid) {
+        throw new APIError('You do not have permission to modify this event', 403);
+    }
+    throw new APIError('Event has been modified since it was read (If-Match failed)', 412);
+};
+
+// Every stored file belonging to an event: legacy image path + resized variants
+const getEventFilePaths = (event) => [event.image, ...getVariantPaths(event.images)];
+
+const toFacetCounts = (buckets) => buckets.map((bucket) => ({ value: bucket._id, count: bucket.count }));
+
+/*
+ * Complete validated input (from validateEventData) into a new event document.
+ * Shared by createEvent and bulk import so both store identical documents.
+ * After creation, attendees/waitlist change only through /events/:id/attendees.
+ */
+const prepareNewEvent = (eventData, user) => {
+    if (eventData.capacity !== null && eventData.attendees.length > eventData.capacity) {
+        throw new APIError('attendees exceed event capacity', 400);
+    }
+
+    // Local date/times to instants, end/duration, recurrence_end, ends_at
+    resolveEventTiming(eventData);
+
+    eventData.waitlist = [];
+    eventData.occurrence_overrides = [];
+    eventData.type = 'event';
+    eventData.uid = user.uid;  // Owner comes from the token, never the body
+    eventData.revision = 1;  // Incremented with every audited change (utils/revisions.js)
+    eventData.version = 1;  // Incremented with every write, RSVPs included (utils/etag.js)
+    eventData.created_at = new Date();
+    eventData.updated_at = new Date();
+
+    return eventData;
+};
+
 /*
  * GET /api/v3/app/events?id=:event_id
  * Retrieve single event by MongoDB ObjectId.
+ * Sends an ETag; a matching If-None-Match gets 304 with no body.
  */
 const getEventById = async (req, res, next) => {
     try {
@@ -26,24 +171,238 @@ const getEventById = async (req, res, next) => {
         }
 
         const eventsCollection = getCollection(COLLECTION_NAME);
-        const event = await eventsCollection.findOne({ _id: objectId });
+        const event = await eventsCollection.findOne({ _id: objectId, ...NOT_DELETED });
 
         if (!event) {
             throw new APIError('Event not found', 404);
         }
 
+        const etag = toETag(event);
+        res.set('ETag', etag);
+
+        if (matchesIfNoneMatch(req.headers['if-none-match'], etag)) {
+            return res.status(304).end();
+        }
+
         res.status(200).json({
             success: true,
-            data: event
+            data: withLocalTimes(event)
         });
     } catch (error) {
         next(error);
     }
 };
 
+/*
+ * GET /api/v3/app/events/:id.ics
+ * Single event as an iCalendar file ("add to calendar").
+ * Recurring events include their RRULE, cancellations and edited occurrences.
+ */
+const getEventIcs = async (req, res, next) => {
+    try {
+        const objectId = toObjectId(req.params.id);
+        if (!objectId) {
+            throw new APIError('Invalid event ID format', 400);
+        }
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const event = await eventsCollection.findOne({ _id: objectId, ...NOT_DELETED });
+
+        if (!event) {
+            throw new APIError('Event not found', 404);
+        }
+
+        res.status(200)
+            .type('text/calendar; charset=utf-8')
+            .attachment(`event-${event._id}.ics`)
+            .send(buildCalendar([event]));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/events/feed.ics?category=...&sub_category=...&moderator=...
+ * Subscribable calendar feed. Filters work like type=search (comma-separated
+ * category lists), minus keywords and dates - the feed window is fixed:
+ * events from FEED_PAST_DAYS ago onwards, earliest first.
+ */
+const getEventFeed = async (req, res, next) => {
+    try {
+        const { category, sub_category, moderator } = req.query;
+        const filters = validateSearchParams({ category, sub_category, moderator });
+
+        const since = new Date(Date.now() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000);
+
+        // Series are included while they still have occurrences after `since`
+        const query = {
+            ...buildSearchFilter(filters),
+            $or: [
+                { rrule: null, schedule: { $gte: since } },
+                { rrule: { $type: 'string' }, recurrence_end: null },
+                { rrule: { $type: 'string' }, recurrence_end: { $gte: since } }
+            ]
+        };
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const events = await eventsCollection
+            .find(query)
+            .sort({ schedule: 1, _id: 1 })
+            .limit(FEED_MAX_EVENTS)
+            .toArray();
+
+        const name = filters.category ? `Events: ${filters.category.join(', ')}` : 'Events';
+
+        res.status(200)
+            .type('text/calendar; charset=utf-8')
+            .send(buildCalendar(events, { name }));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/events?type=latest&limit=5&cursor=<token>
+ * Keyset pagination on (schedule, _id) - opt-in alternative to page numbers.
+ *
+ * skip() has to walk every skipped document and shifts when events are
+ * inserted between loads. Seeking from the last seen (schedule, _id) pair
+ * uses the sort index directly and is stable under inserts. _id breaks ties
+ * between events sharing a schedule so nothing is skipped or repeated.
+ *
+ * An empty cursor (?cursor=) requests the first page.
+ * No total count - that's the countDocuments() this mode exists to avoid.
+ */
+const getLatestEventsByCursor = async (req, res) => {
+    const { limit, cursor } = req.query;
+
+    const { limit: validatedLimit } = validatePagination(limit, 1);
+    const when = validateWhen(req.query.when);
+    const position = cursor ? decodeCursor(cursor) : null;
+    const isPrev = position !== null && position.direction === 'prev';
+
+    const query = { schedule: { $type: 'date' }, ...NOT_DELETED };
+    if (when) {
+        query.$and = [buildWhenFilter(when)];
+    }
+
+    if (position) {
+        /*
+         * Listing is schedule desc, _id desc.
+         * "next" seeks strictly below the boundary, "prev" strictly above it
+         * (read in ascending order, then reversed back).
+         */
+        const op = isPrev ? '$gt' : '$lt';
+        query.$or = [
+            { schedule: { [op]: position.schedule } },
+            { schedule: position.schedule, _id: { [op]: position.id } }
+        ];
+    }
+
+    const direction = isPrev ? 1 : -1;
+
+    // Fetch one extra document to learn whether another page exists
+    const eventsCollection = getCollection(COLLECTION_NAME);
+    const events = await eventsCollection
+        .find(query)
+        .sort({ schedule: direction, _id: direction })
+        .limit(validatedLimit + 1)
+        .toArray();
+
+    const hasMore = events.length > validatedLimit;
+    if (hasMore) {
+        events.pop();
+    }
+    if (isPrev) {
+        events.reverse();
+    }
+
+    const hasNextPage = isPrev ? true : hasMore;
+    const hasPrevPage = isPrev ? hasMore : position !== null;
+
+    res.status(200).json({
+        success: true,
+        data: events.map(withLocalTimes),
+        pagination: {
+            eventsPerPage: validatedLimit,
+            hasNextPage: hasNextPage && events.length > 0,
+            hasPrevPage: hasPrevPage && events.length > 0,
+            nextCursor: hasNextPage && events.length > 0
+                ? encodeCursor(events[events.length - 1], 'next')
+                : null,
+            prevCursor: hasPrevPage && events.length > 0
+                ? encodeCursor(events[0], 'prev')
+                : null
+        }
+    });
+};
+
+/*
+ * GET /api/v3/app/events?type=latest&from=...&to=...&limit=5&page=1
+ * Events happening inside a date window, with recurring series expanded
+ * into their individual occurrences.
+ *
+ * Occurrences aren't documents, so paging happens in memory after merging
+ * single events and expanded series. validateDateWindow caps the window
+ * (and recurrence.js caps occurrences per series) to keep that bounded.
+ */
+const getLatestEventsInWindow = async (req, res) => {
+    const { limit, page, from, to } = req.query;
+
+    const window = validateDateWindow(from, to);
+    const when = validateWhen(req.query.when);
+    const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+    const now = new Date();
+
+    const eventsCollection = getCollection(COLLECTION_NAME);
+
+    const singleEvents = await eventsCollection
+        .find({ rrule: null, schedule: { $gte: window.from, $lte: window.to }, ...NOT_DELETED })
+        .toArray();
+
+    // Series that started before the window ends and haven't finished before it starts
+    const series = await eventsCollection
+        .find({
+            rrule: { $type: 'string' },
+            schedule: { $lte: window.to },
+            ...NOT_DELETED,
+            $or: [{ recurrence_end: null }, { recurrence_end: { $gte: window.from } }]
+        })
+        .toArray();
+
+    const occurrences = series.reduce(
+        (all, event) => all.concat(expandOccurrences(event, window.from, window.to)),
+        []
+    );
+
+    const events = singleEvents
+        .concat(occurrences)
+        .filter((event) => matchesWhen(event, when, now))
+        .sort((a, b) => b.schedule - a.schedule);  // Latest first, as in page mode
+
+    const totalEvents = events.length;
+    const totalPages = Math.ceil(totalEvents / validatedLimit);
+
+    res.status(200).json({
+        success: true,
+        data: events.slice(skip, skip + validatedLimit).map(withLocalTimes),
+        pagination: {
+            currentPage: validatedPage,
+            totalPages: totalPages,
+            totalEvents: totalEvents,
+            eventsPerPage: validatedLimit,
+            hasNextPage: validatedPage < totalPages,
+            hasPrevPage: validatedPage > 1
+        }
+    });
+};
+
 /*
  * GET /api/v3/app/events?type=latest&limit=5&page=1
  * Paginated list of events sorted by schedule date.
+ * Passing ?cursor= switches to keyset pagination (getLatestEventsByCursor),
+ * ?from=&to= to a date window with recurring events expanded (getLatestEventsInWindow).
+ * All three take ?when=upcoming|ongoing|past (see utils/eventTime.js).
  */
 const getLatestEvents = async (req, res, next) => {
     try {
@@ -53,7 +412,28 @@ const getLatestEvents = async (req, res, next) => {
             throw new APIError('Invalid type parameter. Use type=latest', 400);
         }
 
+        if (req.query.from !== undefined || req.query.to !== undefined) {
+            if (req.query.cursor !== undefined) {
+                throw new APIError('Use either a from/to window or cursor, not both', 400);
+            }
+            return await getLatestEventsInWindow(req, res);
+        }
+
+        if (req.query.cursor !== undefined) {
+            if (page !== undefined) {
+                throw new APIError('Use either page or cursor, not both', 400);
+            }
+            return await getLatestEventsByCursor(req, res);
+        }
+
         const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+        const when = validateWhen(req.query.when);
+
+        // Same set as cursor mode: events without a date schedule can't be placed in the listing
+        const query = { schedule: { $type: 'date' }, ...NOT_DELETED };
+        if (when) {
+            query.$and = [buildWhenFilter(when)];
+        }
 
         const eventsCollection = getCollection(COLLECTION_NAME);
 
@@ -65,10 +445,10 @@ const getLatestEvents = async (req, res, next) => {
          * Trade-off: Two DB queries vs accurate pagination metadata.
          * Could cache count, but becomes stale when events added/deleted.
          */
-        const totalEvents = await eventsCollection.countDocuments({});
+        const totalEvents = await eventsCollection.countDocuments(query);
 
         const events = await eventsCollection
-            .find({})
+            .find(query)
             .sort({ schedule: -1 })  // Latest events first
             .skip(skip)
             .limit(validatedLimit)
@@ -78,7 +458,90 @@ const getLatestEvents = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
-            data: events,
+            data: events.map(withLocalTimes),
+            pagination: {
+                currentPage: validatedPage,
+                totalPages: totalPages,
+                totalEvents: totalEvents,
+                eventsPerPage: validatedLimit,
+                hasNextPage: validatedPage < totalPages,
+                hasPrevPage: validatedPage > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/events?type=search&q=...&category=...&limit=10&page=1
+ * Keyword search with combinable filters and facet counts.
+ *
+ * Filters: q (text search on name/tagline/description), category, sub_category
+ * (comma-separated lists), moderator, rigor_min/rigor_max, from/to (schedule range),
+ * when (upcoming, ongoing, past).
+ */
+const searchEvents = async (req, res, next) => {
+    try {
+        const { limit, page } = req.query;
+
+        const filters = validateSearchParams(req.query);
+        const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+
+        if (filters.q) {
+            await ensureTextIndex();
+        }
+
+        /*
+         * Single aggregation instead of count + find + two distinct queries.
+         * $facet runs the page, the total and both facet groupings over the
+         * same matched set. $text must be in the first $match stage, so the
+         * relevance score is attached before $facet.
+         *
+         * Facet counts reflect all active filters (including category itself).
+         */
+        const pipeline = [{ $match: buildSearchFilter(filters) }];
+
+        const sort = filters.q
+            ? { score: -1, schedule: -1, _id: -1 }
+            : { schedule: -1, _id: -1 };
+
+        if (filters.q) {
+            pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+        }
+
+        pipeline.push({
+            $facet: {
+                data: [
+                    { $sort: sort },
+                    { $skip: skip },
+                    { $limit: validatedLimit }
+                ],
+                total: [{ $count: 'count' }],
+                category: [
+                    { $group: { _id: '$category', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } }
+                ],
+                sub_category: [
+                    { $group: { _id: '$sub_category', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } }
+                ]
+            }
+        });
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const [result] = await eventsCollection.aggregate(pipeline).toArray();
+
+        const totalEvents = result.total.length > 0 ? result.total[0].count : 0;
+        const totalPages = Math.ceil(totalEvents / validatedLimit);
+
+        res.status(200).json({
+            success: true,
+            data: result.data.map(withLocalTimes),
+            facets: {
+                category: toFacetCounts(result.category),
+                sub_category: toFacetCounts(result.sub_category)
+            },
             pagination: {
                 currentPage: validatedPage,
                 totalPages: totalPages,
@@ -97,80 +560,68 @@ const getLatestEvents = async (req, res, next) => {
  * POST /api/v3/app/events
  * Create new event with file upload.
  * 
- * 1. Type conversion (strings -> proper types)
+ * 1. Validation + type conversion (schema-driven)
  * 2. File handling
- * 3. Validation (expects proper types)
- * 4. Database insertion
+ * 3. Database insertion
  * 
- * Why? Multer sends form-data as strings. Validator expects typed values.
- * Without ORM auto-casting, we handle conversion manually.
+ * Why? Multer sends form-data as strings. The event schema
+ * (src/schemas/eventSchema.js) casts them, whitelists fields and reports
+ * every invalid field in one response.
  */
 const createEvent = async (req, res, next) => {
     try {
-        const eventData = { ...req.body };
-
         /*
-         * STEP 1: Type conversion
+         * STEP 1: Validation + type conversion
          * 
          * Problem: Multipart/form-data sends everything as strings.
-         * Solution: Manually parse JSON and convert types.
+         * Solution: The schema coerces types and drops nothing silently -
+         * unknown or server-managed fields (_id, type, created_at) are errors.
          * 
          * With Mongoose, this would be automatic via schema casting.
-         * Trade-off of native driver: manual work but full control.
+         * Trade-off of native driver: a small schema layer of our own.
          */
-        if (eventData.attendees && typeof eventData.attendees === 'string') {
-            try {
-                eventData.attendees = JSON.parse(eventData.attendees);
-            } catch (e) {
-                throw new APIError('Invalid attendees format. Must be a JSON array', 400);
-            }
-        } else if (!eventData.attendees) {
-            eventData.attendees = [];
-        }
+        const missingImage = req.file ? [] : [{ field: 'image', message: 'Event image is required' }];
+        const eventData = validateEventData(req.body, false, missingImage);
 
-        // Convert string numbers to actual numbers
-        if (eventData.uid) eventData.uid = parseInt(eventData.uid);
-        if (eventData.rigor_rank) eventData.rigor_rank = parseInt(eventData.rigor_rank);
-        if (eventData.schedule) eventData.schedule = new Date(eventData.schedule);
+        // Taxonomy check - also canonicalizes the spelling ("tech" -> "Tech")
+        await normalizeEventCategories(eventData);
 
         /*
          * STEP 2: File handling
-         * Multer middleware already saved file and populated req.file.
-         * We just store the file path in the event document.
-         */
-
-        if (req.file) {
-            eventData.image = req.file.path;
-        } else {
-            throw new APIError('Event image is required', 400);
-        }
-
-        /*
-         * STEP 3: Validation
-         * Now that types are correct (numbers are Numbers, attendees is Array),
-         * validation will pass. Order matters - can't validate before conversion.
+         * Upload middleware already verified, stripped and resized the image.
+         * image keeps the full-size JPEG path for existing clients;
+         * images holds every variant (thumbnail/card/full x webp/jpeg).
          */
-        validateEventData(eventData, false);
+        eventData.image = req.file.path;
+        eventData.images = req.file.images;
 
-        /*
-         * STEP 4: Set defaults and save
-         * Add metadata fields that aren't in user input.
-         */
-        eventData.type = 'event';
-        eventData.uid = eventData.uid || 18;
-        eventData.created_at = new Date();
-        eventData.updated_at = new Date();
+        // STEP 3: Set server-managed fields and save
+        prepareNewEvent(eventData, req.user);
 
         const eventsCollection = getCollection(COLLECTION_NAME);
         const result = await eventsCollection.insertOne(eventData);
+        // The event references the upload now - the error handler must keep it
+        req.filesCommitted = true;
 
-        res.status(201).json({
+        await recordRevision({
+            eventId: result.insertedId,
+            revision: eventData.revision,
+            action: 'create',
+            user: req.user,
+            requestId: req.id,
+            changes: diffEvents(null, eventData)
+        });
+
+        publishEventChange('created', { _id: result.insertedId, ...eventData });
+        await queueWebhookDeliveries('event.created', { _id: result.insertedId, ...eventData });
+
+        res.status(201).set('ETag', toETag(eventData)).json({
             success: true,
             message: 'Event created successfully',
-            data: {
+            data: withLocalTimes({
                 id: result.insertedId,
                 ...eventData
-            }
+            })
         });
     } catch (error) {
         next(error);
@@ -180,71 +631,309 @@ const createEvent = async (req, res, next) => {
 /*
  * PUT /api/v3/app/events/:id
  * Update existing event with partial data.
- * Follows same type conversion pattern as createEvent.
+ * Validated against the same schema as createEvent.
+ * Only the owner (uid) or an admin may update.
+ * With If-Match, the update only applies to that version of the event (412 otherwise),
+ * so two organizers editing the same event can't silently overwrite each other.
  */
 const updateEvent = async (req, res, next) => {
     try {
         const { id } = req.params;
-        const updateData = { ...req.body };
 
         const objectId = toObjectId(id);
         if (!objectId) {
             throw new APIError('Invalid event ID format', 400);
         }
 
+        /*
+         * Same schema as createEvent in partial mode: only provided fields are
+         * checked, attendees is rejected (the subresource uses atomic
+         * $addToSet/$pull), and uid is ignored - ownership can't be transferred.
+         */
+        const updateData = validateEventData(req.body, true);
+        const versions = parseIfMatch(req.headers['if-match']);
+
+        if (req.file) {
+            updateData.image = req.file.path;
+            updateData.images = req.file.images;
+        }
+
         /*
          * Prevent empty updates - must provide either fields or file.
          * Without this check, update would succeed but change nothing.
          */
-        if (Object.keys(updateData).length === 0 && !req.file) {
+        if (Object.keys(updateData).length === 0) {
             throw new APIError('No update data provided', 400);
         }
 
+        const eventsCollection = getCollection(COLLECTION_NAME);
+
+        /*
+         * Some fields depend on stored ones: a sub_category is checked
+         * against the category it's under, local date/times are read in the
+         * event's zone, and end, recurrence_end and ends_at are derived from
+         * schedule, duration and rrule together. One read covers both.
+         */
+        const needsCurrent = ['category', 'sub_category', 'schedule', 'timezone', 'duration', 'end', 'rrule', 'exdates']
+            .some((field) => updateData[field] !== undefined);
+
+        if (needsCurrent) {
+            const current = await eventsCollection.findOne(
+                { _id: objectId, ...NOT_DELETED },
+                {
+                    projection: {
+                        category: 1, sub_category: 1,
+                        schedule: 1, timezone: 1, duration: 1, rrule: 1, recurrence_end: 1
+                    }
+                }
+            );
+            await normalizeEventCategories(updateData, { current });
+            resolveEventTiming(updateData, current || {});
+        }
+
+        // Always update timestamp on modification
+        updateData.updated_at = new Date();
+
+        /*
+         * returnDocument:'before' gives us the old image path to clean up
+         * and the "from" side of the revision diff. $set only touches
+         * top-level fields, so the updated document is exactly the old one
+         * merged with updateData.
+         */
+        const previous = await eventsCollection.findOneAndUpdate(
+            { _id: objectId, ...NOT_DELETED, ...ownershipFilter(req.user), ...versionFilter(versions) },
+            { $set: updateData, $inc: { revision: 1, version: 1 } },
+            { returnDocument: 'before' }
+        );
+
+        if (!previous) {
+            await throwMutationError(objectId, req.user);
+        }
+        req.filesCommitted = true;
+
+        let updated = {
+            ...previous,
+            ...updateData,
+            revision: (previous.revision || 0) + 1,
+            version: (previous.version || 0) + 1
+        };
+
+        const changes = diffEvents(previous, updated);
+
+        await recordRevision({
+            eventId: objectId,
+            revision: updated.revision,
+            action: 'update',
+            user: req.user,
+            requestId: req.id,
+            changes: changes
+        });
+
+        // Replaced image and its variants are no longer referenced
         if (req.file) {
-            updateData.image = req.file.path;
+            await removeFiles(getEventFilePaths(previous));
         }
 
-        // Type conversion same as createEvent, but only for provided fields
-        if (updateData.attendees && typeof updateData.attendees === 'string') {
-            try {
-                updateData.attendees = JSON.parse(updateData.attendees);
-            } catch (e) {
-                throw new APIError('Invalid attendees format. Must be a JSON array', 400);
+        /*
+         * Raising (or removing) capacity frees seats for waitlisted users.
+         * Lowering it never evicts anyone - new RSVPs just go to the waitlist.
+         */
+        if (updateData.capacity !== undefined) {
+            const promoted = await promoteFromWaitlist(objectId);
+            if (promoted.length > 0) {
+                updated = await eventsCollection.findOne({ _id: objectId });
             }
         }
 
-        if (updateData.rigor_rank) {
-            updateData.rigor_rank = parseInt(updateData.rigor_rank);
+        publishEventChange('updated', updated);
+        await queueWebhookDeliveries(getUpdateType(changes), updated, {
+            changed_fields: changes.map(({ field }) => field)
+        });
+
+        res.status(200).set('ETag', toETag(updated)).json({
+            success: true,
+            message: 'Event updated successfully',
+            data: withLocalTimes(updated)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * Load a recurring series for an occurrence operation and check that
+ * :occurrence (the original start instant) really belongs to it.
+ * Without an offset, :occurrence is local time in the event's zone.
+ * With If-Match, the series must still be at that version (412 otherwise);
+ * the versions are returned for the write's own filter.
+ */
+const findSeriesOccurrence = async (req) => {
+    const objectId = toObjectId(req.params.id);
+    if (!objectId) {
+        throw new APIError('Invalid event ID format', 400);
+    }
+
+    const parsed = parseDateTime(req.params.occurrence);
+    if (!parsed) {
+        throw new APIError('Invalid occurrence. Use the original start time (ISO 8601)', 400);
+    }
+
+    const versions = parseIfMatch(req.headers['if-match']);
+    const eventsCollection = getCollection(COLLECTION_NAME);
+    const event = await eventsCollection.findOne({
+        _id: objectId,
+        ...NOT_DELETED,
+        ...ownershipFilter(req.user),
+        ...versionFilter(versions)
+    });
+
+    if (!event) {
+        await throwMutationError(objectId, req.user);
+    }
+    if (!event.rrule) {
+        throw new APIError('Event is not recurring', 400);
+    }
+
+    const occurrence = parsed instanceof Date ? parsed : parsed.toInstant(getEventTimeZone(event));
+    if (!isOccurrence(event, occurrence)) {
+        throw new APIError('Occurrence not found', 404);
+    }
+
+    return { event, occurrence, versions };
+};
+
+/*
+ * PUT /api/v3/app/events/:id/occurrences/:occurrence
+ * Edit one occurrence of a recurring event (name, tagline, description,
+ * moderator, schedule) without touching the rest of the series.
+ * Repeated edits to the same occurrence are merged.
+ * If-Match is honoured as in updateEvent - the version is the series'.
+ */
+const updateOccurrence = async (req, res, next) => {
+    try {
+        const overrideData = validateOccurrenceData(req.body);
+        const { event, occurrence, versions } = await findSeriesOccurrence(req);
+
+        // A moved session's local time is in the series' zone
+        if (overrideData.schedule && !(overrideData.schedule instanceof Date)) {
+            overrideData.schedule = overrideData.schedule.toInstant(getEventTimeZone(event));
         }
-        if (updateData.schedule) {
-            updateData.schedule = new Date(updateData.schedule);
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+
+        // Existing override for this occurrence - update its fields in place
+        const setFields = { updated_at: new Date() };
+        Object.keys(overrideData).forEach((field) => {
+            setFields[`occurrence_overrides.$.${field}`] = overrideData[field];
+        });
+
+        let previous = await eventsCollection.findOneAndUpdate(
+            { _id: event._id, ...versionFilter(versions), 'occurrence_overrides.occurrence': occurrence },
+            { $set: setFields, $inc: { revision: 1, version: 1 } },
+            { returnDocument: 'before' }
+        );
+
+        // First edit of this occurrence - add the override ($ne guards a concurrent insert)
+        if (!previous) {
+            previous = await eventsCollection.findOneAndUpdate(
+                { _id: event._id, ...versionFilter(versions), 'occurrence_overrides.occurrence': { $ne: occurrence } },
+                {
+                    $push: { occurrence_overrides: { occurrence, ...overrideData } },
+                    $set: { updated_at: new Date() },
+                    $inc: { revision: 1, version: 1 }
+                },
+                { returnDocument: 'before' }
+            );
         }
-        if (updateData.uid) {
-            updateData.uid = parseInt(updateData.uid);
+
+        // Written by someone else since findSeriesOccurrence read it
+        if (!previous && versions) {
+            await throwMutationError(event._id, req.user);
         }
 
-        // Always update timestamp on modification
-        updateData.updated_at = new Date();
+        const series = await eventsCollection.findOne({ _id: event._id });
 
-        const eventsCollection = getCollection(COLLECTION_NAME);
+        if (previous) {
+            const changes = diffEvents(previous, series);
+            await recordRevision({
+                eventId: event._id,
+                revision: (previous.revision || 0) + 1,
+                action: 'occurrence_update',
+                user: req.user,
+                requestId: req.id,
+                changes: changes,
+                extra: { occurrence }
+            });
+            publishEventChange('updated', series);
+            // Moving one session reschedules it, even though only occurrence_overrides changed
+            await queueWebhookDeliveries(
+                overrideData.schedule !== undefined ? 'event.rescheduled' : 'event.updated',
+                series,
+                { changed_fields: changes.map(({ field }) => field), occurrence }
+            );
+        }
 
-        /*
-         * findOneAndUpdate with returnDocument:'after' returns updated document.
-         */
-        const result = await eventsCollection.findOneAndUpdate(
-            { _id: objectId },
-            { $set: updateData },
-            { returnDocument: 'after' }
+        res.status(200).set('ETag', toETag(series)).json({
+            success: true,
+            message: 'Occurrence updated successfully',
+            data: withLocalTimes(getOccurrence(series, occurrence))
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * DELETE /api/v3/app/events/:id/occurrences/:occurrence
+ * Cancel one occurrence - recorded as an EXDATE, the series keeps going.
+ * If-Match is honoured as in updateOccurrence.
+ */
+const cancelOccurrence = async (req, res, next) => {
+    try {
+        const { event, occurrence, versions } = await findSeriesOccurrence(req);
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const previous = await eventsCollection.findOneAndUpdate(
+            { _id: event._id, ...versionFilter(versions) },
+            {
+                $addToSet: { exdates: occurrence },
+                $pull: { occurrence_overrides: { occurrence } },
+                $set: { updated_at: new Date() },
+                $inc: { revision: 1, version: 1 }
+            },
+            { returnDocument: 'before' }
         );
 
-        if (!result) {
-            throw new APIError('Event not found', 404);
+        if (!previous && versions) {
+            await throwMutationError(event._id, req.user);
+        }
+
+        if (previous) {
+            const current = await eventsCollection.findOne({ _id: event._id });
+            const changes = diffEvents(previous, current);
+            await recordRevision({
+                eventId: event._id,
+                revision: (previous.revision || 0) + 1,
+                action: 'occurrence_cancel',
+                user: req.user,
+                requestId: req.id,
+                changes: changes,
+                extra: { occurrence }
+            });
+            publishEventChange('updated', current);
+            await queueWebhookDeliveries(getUpdateType(changes), current, {
+                changed_fields: changes.map(({ field }) => field),
+                occurrence
+            });
         }
 
         res.status(200).json({
             success: true,
-            message: 'Event updated successfully',
-            data: result
+            message: 'Occurrence cancelled successfully',
+            data: {
+                seriesId: event._id,
+                occurrence: occurrence
+            }
         });
     } catch (error) {
         next(error);
@@ -253,9 +942,10 @@ const updateEvent = async (req, res, next) => {
 
 /*
  * DELETE /api/v3/app/events/:id
- * Delete event from database.
- * 
- * Note: Does NOT delete associated image file from uploads/ directory.
+ * Move event to the trash: sets the deleted_at tombstone.
+ * The document and its image files stay until the purge job removes them
+ * after the retention period, so a mistaken delete can be restored.
+ * Only the owner (uid) or an admin may delete. If-Match is honoured as in updateEvent.
  */
 const deleteEvent = async (req, res, next) => {
     try {
@@ -266,18 +956,84 @@ const deleteEvent = async (req, res, next) => {
             throw new APIError('Invalid event ID format', 400);
         }
 
+        const versions = parseIfMatch(req.headers['if-match']);
+        const deletedAt = new Date();
+
         const eventsCollection = getCollection(COLLECTION_NAME);
-        const result = await eventsCollection.deleteOne({ _id: objectId });
+        const deleted = await eventsCollection.findOneAndUpdate(
+            { _id: objectId, ...NOT_DELETED, ...ownershipFilter(req.user), ...versionFilter(versions) },
+            {
+                $set: { deleted_at: deletedAt, deleted_by: req.user.uid, updated_at: deletedAt },
+                $inc: { revision: 1, version: 1 }
+            },
+            { returnDocument: 'after', projection: { revision: 1, version: 1, category: 1, sub_category: 1 } }
+        );
 
-        if (result.deletedCount === 0) {
-            throw new APIError('Event not found', 404);
+        if (!deleted) {
+            await throwMutationError(objectId, req.user);
         }
 
+        await recordRevision({
+            eventId: objectId,
+            revision: deleted.revision,
+            action: 'delete',
+            user: req.user,
+            requestId: req.id
+        });
+
+        // Nobody should be reminded of a deleted event; restoring re-queues them
+        await cancelEventNudges(objectId);
+
+        publishEventChange('deleted', deleted);
+        await queueWebhookDeliveries('event.deleted', { _id: objectId, deleted_at: deletedAt });
+
         res.status(200).json({
             success: true,
-            message: 'Event deleted successfully',
+            message: 'Event moved to trash',
             data: {
-                deletedId: id
+                deletedId: id,
+                purgeAt: getPurgeDate(deletedAt)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/events?type=trash&limit=5&page=1
+ * Deleted events that can still be restored, most recently deleted first.
+ * Users see their own; admins see everyone's.
+ */
+const getTrash = async (req, res, next) => {
+    try {
+        const { limit, page } = req.query;
+        const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+
+        const query = { deleted_at: { $ne: null }, ...ownershipFilter(req.user) };
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const totalEvents = await eventsCollection.countDocuments(query);
+
+        const events = await eventsCollection
+            .find(query)
+            .sort({ deleted_at: -1, _id: -1 })
+            .skip(skip)
+            .limit(validatedLimit)
+            .toArray();
+
+        const totalPages = Math.ceil(totalEvents / validatedLimit);
+
+        res.status(200).json({
+            success: true,
+            data: events.map((event) => ({ ...withLocalTimes(event), purge_at: getPurgeDate(event.deleted_at) })),
+            pagination: {
+                currentPage: validatedPage,
+                totalPages: totalPages,
+                totalEvents: totalEvents,
+                eventsPerPage: validatedLimit,
+                hasNextPage: validatedPage < totalPages,
+                hasPrevPage: validatedPage > 1
             }
         });
     } catch (error) {
@@ -285,10 +1041,79 @@ const deleteEvent = async (req, res, next) => {
     }
 };
 
+/*
+ * POST /api/v3/app/events/:id/restore
+ * Take an event out of the trash. Same ownership rules as delete.
+ */
+const restoreEvent = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const objectId = toObjectId(id);
+        if (!objectId) {
+            throw new APIError('Invalid event ID format', 400);
+        }
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const restored = await eventsCollection.findOneAndUpdate(
+            { _id: objectId, deleted_at: { $ne: null }, ...ownershipFilter(req.user) },
+            {
+                $unset: { deleted_at: '', deleted_by: '' },
+                $set: { updated_at: new Date() },
+                $inc: { revision: 1, version: 1 }
+            },
+            { returnDocument: 'after' }
+        );
+
+        if (!restored) {
+            const event = await eventsCollection.findOne({ _id: objectId }, { projection: { deleted_at: 1 } });
+            if (!event) {
+                throw new APIError('Event not found', 404);
+            }
+            if (!event.deleted_at) {
+                throw new APIError('Event is not in the trash', 409);
+            }
+            throw new APIError('You do not have permission to modify this event', 403);
+        }
+
+        await recordRevision({
+            eventId: objectId,
+            revision: restored.revision,
+            action: 'restore',
+            user: req.user,
+            requestId: req.id
+        });
+
+        await restoreEventNudges(objectId);
+
+        publishEventChange('restored', restored);
+        await queueWebhookDeliveries('event.restored', restored);
+
+        res.status(200).set('ETag', toETag(restored)).json({
+            success: true,
+            message: 'Event restored successfully',
+            data: withLocalTimes(restored)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 module.exports = {
     getEventById,
+    getEventIcs,
+    getEventFeed,
     getLatestEvents,
+    searchEvents,
     createEvent,
     updateEvent,
-    deleteEvent
+    updateOccurrence,
+    cancelOccurrence,
+    deleteEvent,
+    getTrash,
+    restoreEvent,
+    // Shared with importExportController
+    prepareNewEvent,
+    buildSearchFilter,
+    ensureTextIndex
 };
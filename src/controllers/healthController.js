@@ -0,0 +1,74 @@
+const { pingDB } = require('../config/database');
+const { getStorage } = require('../storage');
+const { isShuttingDown } = require('../utils/shutdown');
+
+// Each dependency check must answer within this, so a hung check can't hang the probe
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+const withTimeout = (promise, name) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} check timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runCheck = async (name, check) => {
+    const startedAt = Date.now();
+    try {
+        await withTimeout(Promise.resolve().then(check), name);
+        return { status: 'ok', latency_ms: Date.now() - startedAt };
+    } catch (error) {
+        return { status: 'fail', latency_ms: Date.now() - startedAt, error: error.message };
+    }
+};
+
+/*
+ * GET /health/live
+ * Liveness: the process is up and its event loop answers. No dependency
+ * checks - a database outage shouldn't get every instance restarted.
+ */
+const getLiveness = (req, res) => {
+    res.status(200).json({
+        success: true,
+        message: 'Server is running',
+        timestamp: new Date().toISOString()
+    });
+};
+
+/*
+ * GET /health/ready (and GET /health)
+ * Readiness: the instance can serve traffic - MongoDB answers a ping and
+ * uploads can be stored. 503 while a dependency fails, and from the start
+ * of a shutdown: the server keeps serving for SHUTDOWN_DELAY_MS after that,
+ * so load balancers see it and stop routing here before the listener closes.
+ */
+const getReadiness = async (req, res, next) => {
+    try {
+        const storage = getStorage();
+
+        // Run in parallel - the probe takes as long as the slowest check, not the sum
+        const [database, uploads] = await Promise.all([
+            runCheck('database', pingDB),
+            storage.check ? runCheck('uploads', () => storage.check()) : null
+        ]);
+        const checks = { database, ...(uploads && { uploads }) };
+
+        const shuttingDown = isShuttingDown();
+        const ready = !shuttingDown && Object.values(checks).every((check) => check.status === 'ok');
+
+        res.status(ready ? 200 : 503).json({
+            success: ready,
+            message: ready ? 'Ready' : (shuttingDown ? 'Shutting down' : 'Not ready'),
+            timestamp: new Date().toISOString(),
+            checks
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getLiveness,
+    getReadiness
+};
@@ -0,0 +1,397 @@
+const { once } = require('events');
+const { getCollection, ObjectId } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { validateEventData, validateSearchParams } = require('../utils/validator');
+const { createCsvParser, formatCsvRow } = require('../utils/csv');
+const { diffEvents, recordRevisions } = require('../utils/revisions');
+const { publishEventChange } = require('../utils/eventBus');
+const { queueBulkWebhookDeliveries } = require('../utils/webhooks');
+const { recordUpload } = require('../utils/metrics');
+const { loadTaxonomy, normalizeEventCategories } = require('../utils/categories');
+const { prepareNewEvent, buildSearchFilter, ensureTextIndex } = require('./eventController');
+
+const COLLECTION_NAME = 'events';
+
+// Rows per bulkWrite - bounds memory per request regardless of file size
+const IMPORT_BATCH_SIZE = 500;
+
+// Export columns, in order. Import reads the same layout.
+const EXPORT_FIELDS = [
+    '_id',
+    'uid',
+    'name',
+    'tagline',
+    'schedule',
+    'timezone',
+    'duration',
+    'description',
+    'moderator',
+    'category',
+    'sub_category',
+    'rigor_rank',
+    'capacity',
+    'rrule',
+    'exdates',
+    'attendees',
+    'image',
+    'created_at',
+    'updated_at'
+];
+
+/*
+ * Export columns the server sets itself. Import skips them (instead of
+ * rejecting them as unknown fields) so an export can be imported as-is.
+ */
+const SERVER_MANAGED_FIELDS = ['_id', 'uid', 'image', 'created_at', 'updated_at'];
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', mimeTypes: ['text/csv'] },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', mimeTypes: ['application/x-ndjson', 'application/ndjson', 'application/jsonl'] }
+};
+
+/*
+ * Import format from ?format=, else from Content-Type.
+ * application/json is refused: express.json() has already consumed
+ * (or rejected) the body by the time we'd read it.
+ */
+const resolveImportFormat = (req) => {
+    if (req.is('application/json')) {
+        throw new APIError('Send CSV as text/csv or NDJSON as application/x-ndjson', 415);
+    }
+
+    if (req.query.format !== undefined) {
+        if (!FORMATS[req.query.format]) {
+            throw new APIError('format must be one of: csv, ndjson', 400);
+        }
+        return req.query.format;
+    }
+
+    const format = Object.keys(FORMATS).find((name) => req.is(FORMATS[name].mimeTypes));
+    if (!format) {
+        throw new APIError('Send CSV as text/csv or NDJSON as application/x-ndjson', 415);
+    }
+    return format;
+};
+
+/*
+ * Stream the request body as { row, data } or { row, error } entries.
+ * row is the 1-based data row (CSV header and blank lines not counted).
+ */
+async function* readRows(req, format) {
+    const maxBytes = req.tenant.settings.max_import_bytes;
+    const csvParser = format === 'csv' ? createCsvParser() : null;
+    let header = null;
+    let pending = '';   // NDJSON: incomplete last line of the previous chunk
+    let row = 0;
+    let bytes = 0;
+
+    const fromCsvRecord = (record) => {
+        if (!header) {
+            // Excel prefixes UTF-8 CSVs with a byte order mark
+            header = record.map((name, i) => (i === 0 ? name.replace(/^\uFEFF/, '') : name).trim());
+            if (new Set(header).size !== header.length) {
+                throw new APIError('CSV header contains duplicate columns', 400);
+            }
+            return null;
+        }
+
+        row++;
+        if (record.length !== header.length) {
+            return { row, error: `Expected ${header.length} columns, got ${record.length}` };
+        }
+        const data = {};
+        header.forEach((name, i) => {
+            data[name] = record[i];
+        });
+        return { row, data };
+    };
+
+    const fromNdjsonLine = (line) => {
+        if (line.trim() === '') {
+            return null;
+        }
+
+        row++;
+        let data;
+        try {
+            data = JSON.parse(line);
+        } catch (error) {
+            return { row, error: 'Invalid JSON' };
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { row, error: 'Row must be a JSON object' };
+        }
+        return { row, data };
+    };
+
+    req.setEncoding('utf8');
+
+    for await (const chunk of req) {
+        bytes += Buffer.byteLength(chunk);
+        if (bytes > maxBytes) {
+            throw new APIError(`Import must not exceed ${maxBytes} bytes`, 413);
+        }
+
+        if (csvParser) {
+            for (const record of csvParser.push(chunk)) {
+                const entry = fromCsvRecord(record);
+                if (entry) yield entry;
+            }
+        } else {
+            const lines = (pending + chunk).split('\n');
+            pending = lines.pop();
+            for (const line of lines) {
+                const entry = fromNdjsonLine(line);
+                if (entry) yield entry;
+            }
+        }
+    }
+
+    recordUpload('import', bytes);
+
+    if (csvParser) {
+        let records;
+        try {
+            records = csvParser.end();
+        } catch (error) {
+            throw new APIError(`Invalid CSV: ${error.message}`, 400);
+        }
+        for (const record of records) {
+            const entry = fromCsvRecord(record);
+            if (entry) yield entry;
+        }
+        if (!header) {
+            throw new APIError('CSV must start with a header row', 400);
+        }
+    } else {
+        const entry = fromNdjsonLine(pending);
+        if (entry) yield entry;
+    }
+}
+
+/*
+ * Insert one batch. ordered: false keeps going past failed rows
+ * (e.g. a unique index violation) and reports each failure by index.
+ * Inserted events get their create revision, change notification and webhooks like POST /events.
+ */
+const insertBatch = async (eventsCollection, batch, results, req) => {
+    const failed = new Map();
+
+    try {
+        await eventsCollection.bulkWrite(
+            batch.map(({ event }) => ({ insertOne: { document: event } })),
+            { ordered: false }
+        );
+    } catch (error) {
+        if (!error.writeErrors) {
+            throw error;
+        }
+        [].concat(error.writeErrors).forEach((writeError) => {
+            failed.set(writeError.index, writeError.errmsg);
+        });
+    }
+
+    batch.forEach(({ row, event }, index) => {
+        results.push(failed.has(index)
+            ? { row, status: 'error', errors: [{ message: failed.get(index) }] }
+            : { row, status: 'created', id: event._id });
+    });
+
+    const inserted = batch.filter((entry, index) => !failed.has(index)).map(({ event }) => event);
+
+    await recordRevisions(inserted.map((event) => ({
+        eventId: event._id,
+        revision: event.revision,
+        action: 'create',
+        user: req.user,
+        requestId: req.id,
+        changes: diffEvents(null, event),
+        extra: { source: 'import' }
+    })));
+
+    inserted.forEach((event) => publishEventChange('created', event));
+    await queueBulkWebhookDeliveries('event.created', inserted);
+};
+
+/*
+ * POST /api/v3/app/events/import?format=csv|ndjson&dry_run=true
+ * Bulk-create events from a streamed CSV or NDJSON body.
+ *
+ * Every row goes through the same schema as createEvent (CSV cells are
+ * cast exactly like multipart fields) and becomes an event owned by the
+ * caller. Valid rows are inserted in batches; invalid rows are reported
+ * and skipped, so one bad row doesn't sink a migration of thousands.
+ * dry_run=true validates and reports without writing anything.
+ *
+ * Not transactional: batches written before a fatal error (e.g. size
+ * limit) stay written. Run a dry run first.
+ */
+const importEvents = async (req, res, next) => {
+    try {
+        const format = resolveImportFormat(req);
+        const dryRun = req.query.dry_run === 'true';
+
+        // The organization's limit (settings.max_import_bytes)
+        const maxBytes = req.tenant.settings.max_import_bytes;
+        const contentLength = parseInt(req.headers['content-length']);
+        if (contentLength > maxBytes) {
+            throw new APIError(`Import must not exceed ${maxBytes} bytes`, 413);
+        }
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        // Loaded once - categories don't change meaning halfway through a file
+        const taxonomy = await loadTaxonomy();
+        const results = [];
+        let batch = [];
+
+        for await (const { row, data, error } of readRows(req, format)) {
+            if (error) {
+                results.push({ row, status: 'error', errors: [{ message: error }] });
+                continue;
+            }
+
+            SERVER_MANAGED_FIELDS.forEach((field) => delete data[field]);
+
+            let event;
+            try {
+                event = validateEventData(data);
+                await normalizeEventCategories(event, { taxonomy });
+                // Images can't be imported - add them afterwards with PUT /events/:id
+                event.image = null;
+                event.images = null;
+                prepareNewEvent(event, req.user);
+            } catch (validationError) {
+                if (!(validationError instanceof APIError)) {
+                    throw validationError;
+                }
+                results.push({
+                    row,
+                    status: 'error',
+                    errors: validationError.errors || [{ message: validationError.message }]
+                });
+                continue;
+            }
+
+            if (dryRun) {
+                results.push({ row, status: 'valid' });
+                continue;
+            }
+
+            event._id = new ObjectId();
+            batch.push({ row, event });
+
+            if (batch.length >= IMPORT_BATCH_SIZE) {
+                await insertBatch(eventsCollection, batch, results, req);
+                batch = [];
+            }
+        }
+
+        if (batch.length > 0) {
+            await insertBatch(eventsCollection, batch, results, req);
+        }
+
+        results.sort((a, b) => a.row - b.row);
+
+        const failed = results.filter((result) => result.status === 'error').length;
+        const succeeded = results.length - failed;
+
+        res.status(200).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${succeeded} valid, ${failed} invalid`
+                : `Imported ${succeeded} events, ${failed} rows failed`,
+            data: {
+                dryRun: dryRun,
+                total: results.length,
+                [dryRun ? 'valid' : 'created']: succeeded,
+                failed: failed,
+                rows: results
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+const toCsvCell = (value) => {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return JSON.stringify(value);
+    }
+    return value;
+};
+
+// Wait for the socket to drain - or close, if the client went away
+const write = async (res, chunk) => {
+    if (!res.write(chunk)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+};
+
+/*
+ * GET /api/v3/app/events/export?format=csv|ndjson&category=...
+ * Stream every event matching the type=search filters (q, category,
+ * sub_category, moderator, rigor_min/max, from/to), latest first.
+ * Rows are written as the cursor yields them, so memory stays flat
+ * however many events match. The output can be fed back to /events/import.
+ */
+const exportEvents = async (req, res, next) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!FORMATS[format]) {
+            throw new APIError('format must be one of: csv, ndjson', 400);
+        }
+
+        const filters = validateSearchParams(req.query);
+        if (filters.q) {
+            await ensureTextIndex();
+        }
+
+        const projection = Object.fromEntries(EXPORT_FIELDS.map((field) => [field, 1]));
+        const cursor = getCollection(COLLECTION_NAME)
+            .find(buildSearchFilter(filters), { projection })
+            .sort({ schedule: -1, _id: -1 });
+
+        res.status(200)
+            .type(FORMATS[format].contentType)
+            .attachment(`events.${format}`);
+
+        if (format === 'csv') {
+            await write(res, formatCsvRow(EXPORT_FIELDS));
+        }
+
+        for await (const event of cursor) {
+            if (res.destroyed) {
+                break;
+            }
+
+            if (format === 'csv') {
+                await write(res, formatCsvRow(EXPORT_FIELDS.map((field) => toCsvCell(event[field]))));
+            } else {
+                // Fixed key order, matching the CSV columns
+                const row = {};
+                EXPORT_FIELDS.forEach((field) => {
+                    row[field] = event[field] === undefined ? null : event[field];
+                });
+                await write(res, JSON.stringify(row) + '\n');
+            }
+        }
+
+        res.end();
+    } catch (error) {
+        // Once streaming has started the status is sent - all we can do is cut the response
+        if (res.headersSent) {
+            req.log.error('Event export failed', { err: error });
+            res.destroy(error);
+            return;
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    importEvents,
+    exportEvents
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { APIError } = require('../middleware/errorHandler');
+const { renderMetrics } = require('../utils/metrics');
+
+const tokenMatches = (expected, received) => {
+    const a = crypto.createHash('sha256').update(expected).digest();
+    const b = crypto.createHash('sha256').update(received).digest();
+    return crypto.timingSafeEqual(a, b);
+};
+
+/*
+ * GET /metrics - Prometheus scrape endpoint.
+ *
+ * Open when METRICS_TOKEN is unset (scraped over a private network);
+ * otherwise the scraper must send "Authorization: Bearer <METRICS_TOKEN>".
+ * Not under /api/v3/app, so scrapes aren't rate limited.
+ */
+const getMetrics = (req, res, next) => {
+    try {
+        const token = process.env.METRICS_TOKEN;
+
+        if (token) {
+            const [scheme, received] = (req.headers.authorization || '').split(' ');
+            if (scheme !== 'Bearer' || !received || !tokenMatches(token, received)) {
+                throw new APIError('Invalid or missing metrics token', 401);
+            }
+        }
+
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.status(200).send(renderMetrics());
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getMetrics
+};
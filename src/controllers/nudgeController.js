@@ -0,0 +1,335 @@
+const { getCollection, toObjectId } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { hasRole, ownershipFilter } = require('../middleware/auth');
+const { validateNudgeData, validatePagination } = require('../utils/validator');
+const { removeFiles } = require('../storage');
+const { NOT_DELETED } = require('../utils/trash');
+
+const COLLECTION_NAME = 'nudges';
+const EVENTS_COLLECTION_NAME = 'events';
+
+/*
+ * Nudges reference an event by ObjectId.
+ * Checking existence costs one extra query but prevents orphaned nudges.
+ * Events in the trash count as missing.
+ */
+const ensureEventExists = async (eventObjectId) => {
+    const eventsCollection = getCollection(EVENTS_COLLECTION_NAME);
+    const event = await eventsCollection.findOne(
+        { _id: eventObjectId, ...NOT_DELETED },
+        { projection: { _id: 1 } }
+    );
+
+    if (!event) {
+        throw new APIError('Referenced event not found', 404);
+    }
+};
+
+/*
+ * A mutation that matched nothing is a missing nudge (404) or someone
+ * else's nudge (403) - one extra lookup on the failure path tells them apart.
+ */
+const throwMutationError = async (objectId, user) => {
+    const nudge = await getCollection(COLLECTION_NAME).findOne({ _id: objectId }, { projection: { uid: 1 } });
+
+    if (nudge && !hasRole(user, 'admin') && nudge.uid !== user.uid) {
+        throw new APIError('You do not have permission to modify this nudge', 403);
+    }
+    throw new APIError('Nudge not found', 404);
+};
+
+/*
+ * Multer's upload.fields() populates req.files as { fieldName: [file] }.
+ * Returns the stored path for a field, or undefined if it wasn't uploaded.
+ */
+const getUploadedPath = (files, fieldName) => {
+    if (files && files[fieldName] && files[fieldName][0]) {
+        return files[fieldName][0].path;
+    }
+    return undefined;
+};
+
+/*
+ * GET /api/v3/app/nudges?id=:nudge_id
+ * Retrieve single nudge by MongoDB ObjectId.
+ */
+const getNudgeById = async (req, res, next) => {
+    try {
+        const { id } = req.query;
+
+        if (!id) {
+            throw new APIError('Nudge ID is required', 400);
+        }
+
+        const objectId = toObjectId(id);
+        if (!objectId) {
+            throw new APIError('Invalid nudge ID format', 400);
+        }
+
+        const nudgesCollection = getCollection(COLLECTION_NAME);
+        const nudge = await nudgesCollection.findOne({ _id: objectId });
+
+        if (!nudge) {
+            throw new APIError('Nudge not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: nudge
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/nudges?type=latest&limit=5&page=1
+ * Paginated list of nudges, newest first.
+ */
+const getLatestNudges = async (req, res, next) => {
+    try {
+        const { type, limit, page } = req.query;
+
+        if (type !== 'latest') {
+            throw new APIError('Invalid type parameter. Use type=latest', 400);
+        }
+
+        const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+
+        const nudgesCollection = getCollection(COLLECTION_NAME);
+
+        // Same count + page query pair as getLatestEvents
+        const totalNudges = await nudgesCollection.countDocuments({});
+
+        const nudges = await nudgesCollection
+            .find({})
+            .sort({ created_at: -1 })
+            .skip(skip)
+            .limit(validatedLimit)
+            .toArray();
+
+        const totalPages = Math.ceil(totalNudges / validatedLimit);
+
+        res.status(200).json({
+            success: true,
+            data: nudges,
+            pagination: {
+                currentPage: validatedPage,
+                totalPages: totalPages,
+                totalNudges: totalNudges,
+                nudgesPerPage: validatedLimit,
+                hasNextPage: validatedPage < totalPages,
+                hasPrevPage: validatedPage > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/nudges?event_id=:event_id
+ * All nudges created for a given event.
+ */
+const getNudgesByEventId = async (req, res, next) => {
+    try {
+        const { event_id } = req.query;
+
+        const eventObjectId = toObjectId(event_id);
+        if (!eventObjectId) {
+            throw new APIError('Invalid event_id format', 400);
+        }
+
+        await ensureEventExists(eventObjectId);
+
+        const nudgesCollection = getCollection(COLLECTION_NAME);
+        const nudges = await nudgesCollection
+            .find({ event_id: eventObjectId })
+            .sort({ scheduled_date: 1 })
+            .toArray();
+
+        res.status(200).json({
+            success: true,
+            data: nudges,
+            count: nudges.length
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * POST /api/v3/app/nudges
+ * Create new nudge with image + icon upload.
+ * Same validate -> insert flow as createEvent: the nudge schema
+ * (src/schemas/nudgeSchema.js) casts form-data strings and rejects
+ * server-managed fields, so nothing else reaches the document.
+ */
+const createNudge = async (req, res, next) => {
+    try {
+        const image = getUploadedPath(req.files, 'image');
+        const icon = getUploadedPath(req.files, 'icon');
+
+        // Both files are required - reported together with the body's errors
+        const missingFiles = [['image', image], ['icon', icon]]
+            .filter(([, path]) => !path)
+            .map(([field]) => ({ field, message: `${field} is required` }));
+
+        const nudgeData = validateNudgeData(req.body, false, { extraErrors: missingFiles });
+
+        await ensureEventExists(nudgeData.event_id);
+
+        nudgeData.image = image;
+        nudgeData.icon = icon;
+
+        // The creator is the authenticated user, never a body field
+        nudgeData.uid = req.user.uid;
+
+        // Status is lifecycle-managed - new nudges always start as pending
+        nudgeData.type = 'nudge';
+        nudgeData.status = 'pending';
+        nudgeData.created_at = new Date();
+        nudgeData.updated_at = new Date();
+
+        const nudgesCollection = getCollection(COLLECTION_NAME);
+        const result = await nudgesCollection.insertOne(nudgeData);
+        // The nudge references the uploads now - the error handler must keep them
+        req.filesCommitted = true;
+
+        res.status(201).json({
+            success: true,
+            message: 'Nudge created successfully',
+            data: {
+                id: result.insertedId,
+                ...nudgeData
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * PUT /api/v3/app/nudges/:id
+ * Update existing nudge with partial data. Only the creator (uid) or an admin may update.
+ *
+ * timing_from/timing_to ordering is checked against the stored document,
+ * so updating only one side of the window can't invert it.
+ */
+const updateNudge = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const objectId = toObjectId(id);
+        if (!objectId) {
+            throw new APIError('Invalid nudge ID format', 400);
+        }
+
+        const image = getUploadedPath(req.files, 'image');
+        const icon = getUploadedPath(req.files, 'icon');
+
+        if (Object.keys(req.body).length === 0 && !image && !icon) {
+            throw new APIError('No update data provided', 400);
+        }
+
+        const nudgesCollection = getCollection(COLLECTION_NAME);
+        const existing = await nudgesCollection.findOne({ _id: objectId, ...ownershipFilter(req.user) });
+
+        if (!existing) {
+            await throwMutationError(objectId, req.user);
+        }
+
+        // Same schema as createNudge in partial mode - only whitelisted fields reach $set
+        const updateData = validateNudgeData(req.body, true, { current: existing });
+
+        if (updateData.event_id !== undefined) {
+            await ensureEventExists(updateData.event_id);
+        }
+
+        if (image) updateData.image = image;
+        if (icon) updateData.icon = icon;
+
+        /*
+         * Moving a nudge back to pending (e.g. re-queueing a failed one)
+         * gives the delivery worker a fresh set of attempts.
+         */
+        if (updateData.status === 'pending') {
+            updateData.attempts = 0;
+            updateData.next_attempt_at = null;
+            updateData.last_error = null;
+        }
+
+        updateData.updated_at = new Date();
+
+        // 'before' tells us which replaced files to clean up (see updateEvent)
+        const previous = await nudgesCollection.findOneAndUpdate(
+            { _id: objectId, ...ownershipFilter(req.user) },
+            { $set: updateData },
+            { returnDocument: 'before' }
+        );
+
+        if (!previous) {
+            await throwMutationError(objectId, req.user);
+        }
+        req.filesCommitted = true;
+
+        await removeFiles([
+            image && previous.image !== image ? previous.image : null,
+            icon && previous.icon !== icon ? previous.icon : null
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Nudge updated successfully',
+            data: { ...previous, ...updateData }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * DELETE /api/v3/app/nudges/:id
+ * Delete nudge from database together with its image/icon files.
+ * Only the creator (uid) or an admin may delete.
+ *
+ * Note: Does NOT delete the referenced event.
+ */
+const deleteNudge = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const objectId = toObjectId(id);
+        if (!objectId) {
+            throw new APIError('Invalid nudge ID format', 400);
+        }
+
+        const nudgesCollection = getCollection(COLLECTION_NAME);
+        const deleted = await nudgesCollection.findOneAndDelete({ _id: objectId, ...ownershipFilter(req.user) });
+
+        if (!deleted) {
+            await throwMutationError(objectId, req.user);
+        }
+
+        await removeFiles([deleted.image, deleted.icon]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Nudge deleted successfully',
+            data: {
+                deletedId: id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getNudgeById,
+    getLatestNudges,
+    getNudgesByEventId,
+    createNudge,
+    updateNudge,
+    deleteNudge
+};
@@ -0,0 +1,53 @@
+const { APIError } = require('../middleware/errorHandler');
+const { hasRole } = require('../middleware/auth');
+const { validateOrganizationSettings } = require('../utils/validator');
+const { updateOrganizationSettings } = require('../tenancy/organizations');
+
+/*
+ * GET /api/v3/app/organization
+ * The organization the request resolved to, with its effective settings
+ * (upload limits, allowed categories). Public - clients use it to build
+ * forms that match what the API will accept.
+ */
+const getOrganization = (req, res) => {
+    const { id, name, settings } = req.tenant;
+
+    res.status(200).json({
+        success: true,
+        data: { id, name, settings }
+    });
+};
+
+/*
+ * PUT /api/v3/app/organization/settings
+ * { max_file_size?, max_import_bytes?, allowed_categories? }
+ * Admins of the organization only. null resets a setting to the instance
+ * value. Existing events keep their category when the list changes.
+ */
+const updateSettings = async (req, res, next) => {
+    try {
+        if (!hasRole(req.user, 'admin')) {
+            throw new APIError('Only organization admins can change settings', 403);
+        }
+
+        const settings = validateOrganizationSettings(req.body);
+        const tenant = await updateOrganizationSettings(req.tenant.id, settings);
+
+        if (!tenant) {
+            throw new APIError('Organization not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Organization settings updated successfully',
+            data: { id: tenant.id, name: tenant.name, settings: tenant.settings }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getOrganization,
+    updateSettings
+};
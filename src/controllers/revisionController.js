@@ -0,0 +1,205 @@
+const { getCollection, toObjectId } = require('../config/database');
+const { APIError, ValidationError } = require('../middleware/errorHandler');
+const { hasRole } = require('../middleware/auth');
+const { validatePagination } = require('../utils/validator');
+const { NOT_DELETED } = require('../utils/trash');
+const {
+    COLLECTION_NAME: REVISIONS_COLLECTION_NAME,
+    diffEvents,
+    recordRevision,
+    getValuesAtRevision
+} = require('../utils/revisions');
+const { toETag } = require('../utils/etag');
+const { publishEventChange } = require('../utils/eventBus');
+const { getUpdateType, queueWebhookDeliveries } = require('../utils/webhooks');
+const { promoteFromWaitlist } = require('./attendeeController');
+const { normalizeEventCategories } = require('../utils/categories');
+const { getEnd, getEndsAt, withLocalTimes } = require('../utils/eventTime');
+
+const COLLECTION_NAME = 'events';
+
+const canModify = (user, event) => hasRole(user, 'admin') || event.uid === user.uid;
+
+/*
+ * GET /api/v3/app/events/:id/history?limit=10&page=1
+ * Revision history of an event, newest first.
+ * Owner or admin only - revisions record who did what. Trashed events keep
+ * their history visible; purged events only to admins (no owner left to check).
+ */
+const getEventHistory = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { limit, page } = req.query;
+
+        const objectId = toObjectId(id);
+        if (!objectId) {
+            throw new APIError('Invalid event ID format', 400);
+        }
+
+        const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+
+        const event = await getCollection(COLLECTION_NAME).findOne(
+            { _id: objectId },
+            { projection: { uid: 1 } }
+        );
+
+        if (!event && !hasRole(req.user, 'admin')) {
+            throw new APIError('Event not found', 404);
+        }
+        if (event && !canModify(req.user, event)) {
+            throw new APIError('You do not have permission to view this event\'s history', 403);
+        }
+
+        const revisionsCollection = getCollection(REVISIONS_COLLECTION_NAME);
+        const totalRevisions = await revisionsCollection.countDocuments({ event_id: objectId });
+
+        if (!event && totalRevisions === 0) {
+            throw new APIError('Event not found', 404);
+        }
+
+        const revisions = await revisionsCollection
+            .find({ event_id: objectId })
+            .sort({ revision: -1 })
+            .skip(skip)
+            .limit(validatedLimit)
+            .toArray();
+
+        const totalPages = Math.ceil(totalRevisions / validatedLimit);
+
+        res.status(200).json({
+            success: true,
+            data: revisions,
+            pagination: {
+                currentPage: validatedPage,
+                totalPages: totalPages,
+                totalRevisions: totalRevisions,
+                revisionsPerPage: validatedLimit,
+                hasNextPage: validatedPage < totalPages,
+                hasPrevPage: validatedPage > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * POST /api/v3/app/events/:id/revert  { "revision": 3 }
+ * Put the event's fields back to how they were right after a revision.
+ *
+ * The revert is itself a new revision, so it can be reverted too.
+ * Images and RSVPs are not reverted (see utils/revisions.js).
+ * Conditional on the revision counter: if the event changes while the
+ * revert is computed, nothing is written and the client gets 409.
+ */
+const revertEvent = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const objectId = toObjectId(id);
+        if (!objectId) {
+            throw new APIError('Invalid event ID format', 400);
+        }
+
+        const target = parseInt(req.body.revision);
+        if (isNaN(target) || target < 1 || String(target) !== String(req.body.revision).trim()) {
+            throw new APIError('revision must be a positive integer', 400);
+        }
+
+        const eventsCollection = getCollection(COLLECTION_NAME);
+        const event = await eventsCollection.findOne({ _id: objectId, ...NOT_DELETED });
+
+        if (!event) {
+            throw new APIError('Event not found', 404);
+        }
+        if (!canModify(req.user, event)) {
+            throw new APIError('You do not have permission to modify this event', 403);
+        }
+        if (target >= (event.revision || 0)) {
+            throw new APIError(`revision must be earlier than the current revision (${event.revision || 0})`, 400);
+        }
+
+        const exists = await getCollection(REVISIONS_COLLECTION_NAME)
+            .countDocuments({ event_id: objectId, revision: target }, { limit: 1 });
+        if (!exists) {
+            throw new APIError('Revision not found', 404);
+        }
+
+        const values = await getValuesAtRevision(objectId, target);
+        const reverted = { ...event, ...values };
+
+        // Derived timing follows the reverted fields - revisions from before events had a duration don't record it
+        reverted.end = getEnd(reverted);
+        reverted.ends_at = getEndsAt(reverted);
+
+        // The taxonomy may have changed since: restore today's spelling, or refuse
+        if (reverted.category !== event.category || reverted.sub_category !== event.sub_category) {
+            try {
+                await normalizeEventCategories(reverted);
+            } catch (error) {
+                if (!(error instanceof ValidationError)) {
+                    throw error;
+                }
+                throw new APIError(`Revision ${target} has a category that is no longer valid: ${error.errors.map((e) => e.message).join('; ')}`, 409);
+            }
+        }
+
+        const changes = diffEvents(event, reverted);
+
+        if (changes.length === 0) {
+            throw new APIError(`Event already matches revision ${target}`, 400);
+        }
+
+        const updateData = {};
+        changes.forEach(({ field, to }) => {
+            updateData[field] = to;
+        });
+        updateData.updated_at = new Date();
+
+        let updated = await eventsCollection.findOneAndUpdate(
+            { _id: objectId, revision: event.revision, ...NOT_DELETED },
+            { $set: updateData, $inc: { revision: 1, version: 1 } },
+            { returnDocument: 'after' }
+        );
+
+        if (!updated) {
+            throw new APIError('Event was modified during the revert. Try again', 409);
+        }
+
+        await recordRevision({
+            eventId: objectId,
+            revision: updated.revision,
+            action: 'revert',
+            user: req.user,
+            requestId: req.id,
+            changes: changes,
+            extra: { reverted_to: target }
+        });
+
+        // Same as updateEvent: a restored higher capacity frees seats
+        if (updateData.capacity !== undefined) {
+            const promoted = await promoteFromWaitlist(objectId);
+            if (promoted.length > 0) {
+                updated = await eventsCollection.findOne({ _id: objectId });
+            }
+        }
+
+        publishEventChange('updated', updated);
+        await queueWebhookDeliveries(getUpdateType(changes), updated, {
+            changed_fields: changes.map(({ field }) => field)
+        });
+
+        res.status(200).set('ETag', toETag(updated)).json({
+            success: true,
+            message: `Event reverted to revision ${target}`,
+            data: withLocalTimes(updated)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getEventHistory,
+    revertEvent
+};
@@ -0,0 +1,113 @@
+const { APIError } = require('../middleware/errorHandler');
+const { validateStreamFilters } = require('../utils/validator');
+const { subscribeToEventChanges, getSubscriberCount } = require('../utils/eventBus');
+const { createGauge } = require('../utils/metrics');
+
+// Comment line sent on idle streams so proxies don't close them
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS) || 25000;
+
+// Open streams per instance - each holds a socket and a bus listener
+const MAX_CLIENTS = parseInt(process.env.EVENT_STREAM_MAX_CLIENTS) || 1000;
+
+createGauge({
+    name: 'event_stream_clients',
+    help: 'Open GET /events/stream connections on this instance',
+    collect: getSubscriberCount
+});
+
+/*
+ * A client that stops reading would make its response buffer grow without
+ * bound (e.g. during a bulk import). Past this it's disconnected; EventSource
+ * reconnects on its own and the client can re-fetch what it missed.
+ */
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// EventSource reconnect delay
+const RETRY_MS = 5000;
+
+// End functions of the open streams, for shutdown
+const openStreams = new Set();
+
+const matchesFilters = (change, filters) =>
+    change.org_id === filters.orgId &&
+    (!filters.category || filters.category.includes(change.category)) &&
+    (!filters.ids || filters.ids.includes(String(change.event_id)));
+
+const formatMessage = (change) =>
+    `id: ${change.id}\nevent: ${change.type}\ndata: ${JSON.stringify(change)}\n\n`;
+
+/*
+ * GET /api/v3/app/events/stream?category=Tech,Design&id=<event_id>
+ * Server-Sent Events stream of event changes (created, updated, deleted, restored),
+ * replacing polling of ?type=latest. Public, like the event reads.
+ *
+ * Each message's event name is the change type; data is JSON:
+ *   { id, type, org_id, event_id, category, sub_category, version, at, data }
+ * data is the event document after the change (null for deleted).
+ * RSVPs aren't streamed - they'd dominate the stream on popular events.
+ */
+const streamEvents = (req, res, next) => {
+    let filters;
+    try {
+        // Streams are per organization, like every other read
+        filters = { ...validateStreamFilters(req.query), orgId: req.tenant.id };
+
+        if (getSubscriberCount() >= MAX_CLIENTS) {
+            throw new APIError('Too many open event streams. Try again later', 503);
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'  // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const unsubscribe = subscribeToEventChanges((change) => {
+        if (!matchesFilters(change, filters)) {
+            return;
+        }
+        if (res.writableLength > MAX_BUFFERED_BYTES) {
+            end();
+            return;
+        }
+        res.write(formatMessage(change));
+    });
+
+    const close = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        openStreams.delete(end);
+    };
+
+    const end = () => {
+        close();
+        res.end();
+    };
+    openStreams.add(end);
+
+    req.on('close', close);
+};
+
+/**
+ * End every open stream - streams never finish on their own, so shutdown
+ * would otherwise wait out its deadline. Clients reconnect (to another
+ * instance) after the retry delay.
+ */
+const closeEventStreams = () => {
+    openStreams.forEach((end) => end());
+};
+
+module.exports = {
+    streamEvents,
+    closeEventStreams
+};
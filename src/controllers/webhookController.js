@@ -0,0 +1,303 @@
+const { getCollection, toObjectId } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { ownershipFilter } = require('../middleware/auth');
+const { validateWebhookData, validatePagination } = require('../utils/validator');
+const {
+    SUBSCRIPTIONS_COLLECTION_NAME,
+    DELIVERIES_COLLECTION_NAME,
+    DELIVERY_STATUSES,
+    ensureIndexes,
+    generateSecret,
+    queuePing
+} = require('../utils/webhooks');
+
+/*
+ * Every subscription fans out to one delivery per event change, so the
+ * number a single user can create is capped.
+ */
+const MAX_SUBSCRIPTIONS_PER_USER = 10;
+
+// The secret is only ever returned by create and rotate
+const HIDE_SECRET = { projection: { secret: 0 } };
+
+/*
+ * Find a subscription the caller may manage.
+ * Someone else's subscription is reported as missing - unlike events,
+ * subscriptions are private, so their ids shouldn't be confirmable.
+ */
+const findSubscription = async (id, user, options = HIDE_SECRET) => {
+    const objectId = toObjectId(id);
+    if (!objectId) {
+        throw new APIError('Invalid webhook ID format', 400);
+    }
+
+    const subscription = await getCollection(SUBSCRIPTIONS_COLLECTION_NAME)
+        .findOne({ _id: objectId, ...ownershipFilter(user) }, options);
+
+    if (!subscription) {
+        throw new APIError('Webhook not found', 404);
+    }
+    return subscription;
+};
+
+/*
+ * GET /api/v3/app/webhooks?limit=10&page=1
+ * Your webhook subscriptions (admins: everyone's), newest first.
+ */
+const getWebhooks = async (req, res, next) => {
+    try {
+        const { limit, page } = req.query;
+        const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+
+        const query = ownershipFilter(req.user);
+        const subscriptionsCollection = getCollection(SUBSCRIPTIONS_COLLECTION_NAME);
+        const totalWebhooks = await subscriptionsCollection.countDocuments(query);
+
+        const subscriptions = await subscriptionsCollection
+            .find(query, HIDE_SECRET)
+            .sort({ created_at: -1, _id: -1 })
+            .skip(skip)
+            .limit(validatedLimit)
+            .toArray();
+
+        const totalPages = Math.ceil(totalWebhooks / validatedLimit);
+
+        res.status(200).json({
+            success: true,
+            data: subscriptions,
+            pagination: {
+                currentPage: validatedPage,
+                totalPages: totalPages,
+                totalWebhooks: totalWebhooks,
+                webhooksPerPage: validatedLimit,
+                hasNextPage: validatedPage < totalPages,
+                hasPrevPage: validatedPage > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/webhooks/:id
+ */
+const getWebhookById = async (req, res, next) => {
+    try {
+        const subscription = await findSubscription(req.params.id, req.user);
+
+        res.status(200).json({
+            success: true,
+            data: subscription
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * POST /api/v3/app/webhooks  { url, events?, description?, active? }
+ * events defaults to every type. The response is the only time the
+ * signing secret is shown - store it, or rotate to get a new one.
+ */
+const createWebhook = async (req, res, next) => {
+    try {
+        const webhookData = validateWebhookData(req.body);
+
+        const subscriptionsCollection = getCollection(SUBSCRIPTIONS_COLLECTION_NAME);
+        const existing = await subscriptionsCollection.countDocuments({ uid: req.user.uid });
+        if (existing >= MAX_SUBSCRIPTIONS_PER_USER) {
+            throw new APIError(`You can have at most ${MAX_SUBSCRIPTIONS_PER_USER} webhooks`, 409);
+        }
+
+        await ensureIndexes();
+
+        webhookData.uid = req.user.uid;
+        webhookData.secret = generateSecret();
+        webhookData.created_at = new Date();
+        webhookData.updated_at = new Date();
+
+        const result = await subscriptionsCollection.insertOne(webhookData);
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created successfully. Store the secret - it won\'t be shown again',
+            data: {
+                id: result.insertedId,
+                ...webhookData
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * PUT /api/v3/app/webhooks/:id
+ * Partial update. Queued deliveries pick up a changed URL on their next attempt.
+ */
+const updateWebhook = async (req, res, next) => {
+    try {
+        const updateData = validateWebhookData(req.body, true);
+
+        if (Object.keys(updateData).length === 0) {
+            throw new APIError('No update data provided', 400);
+        }
+
+        const { _id } = await findSubscription(req.params.id, req.user);
+
+        updateData.updated_at = new Date();
+
+        const updated = await getCollection(SUBSCRIPTIONS_COLLECTION_NAME).findOneAndUpdate(
+            { _id, ...ownershipFilter(req.user) },
+            { $set: updateData },
+            { returnDocument: 'after', ...HIDE_SECRET }
+        );
+
+        if (!updated) {
+            throw new APIError('Webhook not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: updated
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * DELETE /api/v3/app/webhooks/:id
+ * Removes the subscription and its delivery log; queued deliveries are dropped.
+ */
+const deleteWebhook = async (req, res, next) => {
+    try {
+        const { _id } = await findSubscription(req.params.id, req.user);
+
+        const result = await getCollection(SUBSCRIPTIONS_COLLECTION_NAME)
+            .deleteOne({ _id, ...ownershipFilter(req.user) });
+
+        if (result.deletedCount === 0) {
+            throw new APIError('Webhook not found', 404);
+        }
+
+        await getCollection(DELIVERIES_COLLECTION_NAME).deleteMany({ subscription_id: _id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook deleted successfully',
+            data: {
+                deletedId: _id
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * POST /api/v3/app/webhooks/:id/secret
+ * Replace the signing secret. Takes effect immediately, including for
+ * retries of deliveries queued before the rotation.
+ */
+const rotateWebhookSecret = async (req, res, next) => {
+    try {
+        const { _id } = await findSubscription(req.params.id, req.user);
+        const secret = generateSecret();
+
+        await getCollection(SUBSCRIPTIONS_COLLECTION_NAME).updateOne(
+            { _id },
+            { $set: { secret, updated_at: new Date() } }
+        );
+
+        res.status(200).json({
+            success: true,
+            message: 'Webhook secret rotated. Store the secret - it won\'t be shown again',
+            data: {
+                id: _id,
+                secret: secret
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * POST /api/v3/app/webhooks/:id/ping
+ * Queue a "ping" delivery to check the receiver and signature handling.
+ * Sent even when the subscription is inactive.
+ */
+const pingWebhook = async (req, res, next) => {
+    try {
+        const subscription = await findSubscription(req.params.id, req.user);
+        const delivery = await queuePing(subscription);
+
+        res.status(202).json({
+            success: true,
+            message: 'Ping queued',
+            data: delivery
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/*
+ * GET /api/v3/app/webhooks/:id/deliveries?status=failed&limit=10&page=1
+ * Delivery log of a subscription, newest first: status, attempts,
+ * last response status/error and the payload sent.
+ */
+const getWebhookDeliveries = async (req, res, next) => {
+    try {
+        const { status, limit, page } = req.query;
+        const { limit: validatedLimit, page: validatedPage, skip } = validatePagination(limit, page);
+
+        if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+            throw new APIError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`, 400);
+        }
+
+        const { _id } = await findSubscription(req.params.id, req.user);
+
+        const query = { subscription_id: _id, ...(status && { status }) };
+        const deliveriesCollection = getCollection(DELIVERIES_COLLECTION_NAME);
+        const totalDeliveries = await deliveriesCollection.countDocuments(query);
+
+        const deliveries = await deliveriesCollection
+            .find(query, { projection: { claim_token: 0 } })
+            .sort({ created_at: -1, _id: -1 })
+            .skip(skip)
+            .limit(validatedLimit)
+            .toArray();
+
+        const totalPages = Math.ceil(totalDeliveries / validatedLimit);
+
+        res.status(200).json({
+            success: true,
+            data: deliveries,
+            pagination: {
+                currentPage: validatedPage,
+                totalPages: totalPages,
+                totalDeliveries: totalDeliveries,
+                deliveriesPerPage: validatedLimit,
+                hasNextPage: validatedPage < totalPages,
+                hasPrevPage: validatedPage > 1
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    getWebhooks,
+    getWebhookById,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    pingWebhook,
+    getWebhookDeliveries
+};
@@ -0,0 +1,162 @@
+const { getCollection } = require('../config/database');
+const { runAsSystem, runWithTenant } = require('../tenancy/context');
+const { removeFiles } = require('../storage');
+const { getVariantPaths } = require('../utils/imageProcessor');
+const { getTrashRetentionMs } = require('../utils/trash');
+const { recordRevision } = require('../utils/revisions');
+const { deleteEventNudges } = require('../utils/nudges');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'event-purge' });
+
+const COLLECTION_NAME = 'events';
+
+// Job state - one in-process purger per API instance
+let timer = null;
+let running = false;
+let activeTick = null;
+let options = null;
+
+/*
+ * Hard-delete one expired event, then its files.
+ * The deleted_at condition is repeated in the delete itself: an event
+ * restored between the scan and the delete no longer matches and survives.
+ * Several instances may purge concurrently - only one findOneAndDelete wins.
+ */
+const purgeEvent = async (eventId, cutoff) => {
+    const eventsCollection = getCollection(COLLECTION_NAME);
+    const deleted = await eventsCollection.findOneAndDelete({
+        _id: eventId,
+        deleted_at: { $ne: null, $lte: cutoff }
+    });
+
+    if (!deleted) {
+        return false;
+    }
+
+    /*
+     * The audit trail outlives the event. The job runs across organizations,
+     * so the revision is written as the event's own organization.
+     */
+    const record = () => recordRevision({
+        eventId: deleted._id,
+        revision: (deleted.revision || 0) + 1,
+        action: 'purge',
+        user: null
+    });
+    await (deleted.org_id ? runWithTenant({ id: deleted.org_id }, record) : record());
+
+    // Its nudges (cancelled since the delete) have nothing to point at any more
+    await deleteEventNudges(deleted._id);
+    await removeFiles([deleted.image, ...getVariantPaths(deleted.images)]);
+    return true;
+};
+
+/**
+ * Run one purge cycle: hard-delete events deleted longer ago than the
+ * retention period, up to the batch size.
+ * @returns {Promise<number>} Number of events purged
+ */
+const runOnce = async () => {
+    if (!options) {
+        options = getOptionsFromEnv();
+    }
+
+    const cutoff = new Date(Date.now() - options.retentionMs);
+    const eventsCollection = getCollection(COLLECTION_NAME);
+
+    const expired = await eventsCollection
+        .find({ deleted_at: { $ne: null, $lte: cutoff } }, { projection: { _id: 1 } })
+        .sort({ deleted_at: 1 })
+        .limit(options.batchSize)
+        .toArray();
+
+    let purged = 0;
+    for (const { _id } of expired) {
+        if (await purgeEvent(_id, cutoff)) {
+            purged++;
+        }
+    }
+
+    if (purged > 0) {
+        log.info('Purged deleted events', { purged });
+    }
+
+    return purged;
+};
+
+/*
+ * setTimeout chain instead of setInterval - a slow tick never overlaps the next.
+ */
+const scheduleNextTick = () => {
+    if (!running) {
+        return;
+    }
+
+    timer = setTimeout(async () => {
+        // Events of every organization - no tenant context
+        activeTick = runAsSystem(runOnce)
+            .catch((error) => log.error('Event purge error', { err: error }))
+            .finally(() => {
+                activeTick = null;
+            });
+
+        await activeTick;
+        scheduleNextTick();
+    }, options.intervalMs);
+
+    // Don't keep the process alive just for the purger
+    timer.unref();
+};
+
+/**
+ * Build job options from environment variables
+ * @returns {Object} Job options
+ */
+const getOptionsFromEnv = () => ({
+    retentionMs: getTrashRetentionMs(),
+    intervalMs: parseInt(process.env.EVENT_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+    batchSize: parseInt(process.env.EVENT_PURGE_BATCH_SIZE) || 100
+});
+
+/**
+ * Start the background purge job
+ * @param {Object} overrides - Options overriding the environment configuration
+ */
+const startEventPurgeJob = (overrides = {}) => {
+    if (running) {
+        return;
+    }
+
+    options = { ...getOptionsFromEnv(), ...overrides };
+    running = true;
+
+    log.info('Event purge job started', {
+        retention_days: Math.round(options.retentionMs / 86400000),
+        interval_ms: options.intervalMs
+    });
+
+    scheduleNextTick();
+};
+
+/**
+ * Stop the job and wait for an in-flight tick to finish
+ */
+const stopEventPurgeJob = async () => {
+    running = false;
+
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    if (activeTick) {
+        await activeTick;
+    }
+};
+
+module.exports = {
+    startEventPurgeJob,
+    stopEventPurgeJob,
+    runOnce
+};
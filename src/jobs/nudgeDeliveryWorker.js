@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { getCollection } = require('../config/database');
+const { runAsSystem } = require('../tenancy/context');
+const { createTransport } = require('../transports');
+const { logger } = require('../utils/logger');
+const { NOT_DELETED } = require('../utils/trash');
+const { EVENT_DELETED } = require('../utils/nudges');
+
+const log = logger.child({ component: 'nudge-worker' });
+
+const COLLECTION_NAME = 'nudges';
+const EVENTS_COLLECTION_NAME = 'events';
+
+// Worker state - one in-process worker per API instance
+let timer = null;
+let running = false;
+let activeTick = null;
+let options = null;
+
+/*
+ * Each instance gets its own id so a claimed nudge records who owns it.
+ * Two instances polling the same collection only ever race on findOneAndUpdate,
+ * which MongoDB applies atomically - the loser simply gets null back.
+ */
+const workerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/*
+ * Delivery windows are evaluated in UTC.
+ * scheduled_date picks the day, timing_from/timing_to ("HH:mm") the window inside it.
+ */
+const getWindowBounds = (now) => {
+    const startOfToday = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const startOfTomorrow = new Date(startOfToday.getTime() + 24 * 60 * 60 * 1000);
+    const currentTime = `${pad(now.getUTCHours())}:${pad(now.getUTCMinutes())}`;
+
+    return { startOfToday, startOfTomorrow, currentTime };
+};
+
+/*
+ * Exponential backoff: base, 2x base, 4x base, ...
+ */
+const getBackoffDelay = (attempts, baseMs) => baseMs * Math.pow(2, Math.max(attempts - 1, 0));
+
+/*
+ * Atomically claim the next due nudge.
+ *
+ * Due means:
+ * - pending (or a processing claim whose lease expired - the owning worker died)
+ * - not waiting for a retry (next_attempt_at in the future)
+ * - its day is today and timing_from has passed, or its day is already over
+ *   (those get marked failed by processNudge - the window was missed)
+ */
+const claimNextNudge = async (now) => {
+    const { startOfToday, startOfTomorrow, currentTime } = getWindowBounds(now);
+    const leaseExpiredBefore = new Date(now.getTime() - options.claimTimeoutMs);
+    const claimToken = crypto.randomBytes(8).toString('hex');
+
+    const nudgesCollection = getCollection(COLLECTION_NAME);
+
+    const nudge = await nudgesCollection.findOneAndUpdate(
+        {
+            $and: [
+                {
+                    $or: [
+                        { status: 'pending' },
+                        { status: 'processing', claimed_at: { $lt: leaseExpiredBefore } }
+                    ]
+                },
+                {
+                    $or: [
+                        { scheduled_date: { $lt: startOfToday } },
+                        {
+                            scheduled_date: { $gte: startOfToday, $lt: startOfTomorrow },
+                            timing_from: { $lte: currentTime }
+                        }
+                    ]
+                },
+                { next_attempt_at: { $not: { $gt: now } } }
+            ]
+        },
+        {
+            $set: {
+                status: 'processing',
+                claimed_by: workerId,
+                claim_token: claimToken,
+                claimed_at: now,
+                updated_at: now
+            },
+            $inc: { attempts: 1 }
+        },
+        {
+            sort: { scheduled_date: 1, timing_from: 1 },
+            returnDocument: 'after'
+        }
+    );
+
+    return nudge;
+};
+
+/*
+ * Finalize a claimed nudge.
+ * Filter includes the claim token so a worker whose lease was taken over
+ * can't overwrite the new owner's result.
+ */
+const finishNudge = async (nudge, update) => {
+    const nudgesCollection = getCollection(COLLECTION_NAME);
+
+    await nudgesCollection.updateOne(
+        { _id: nudge._id, status: 'processing', claim_token: nudge.claim_token },
+        {
+            $set: { ...update, updated_at: new Date() },
+            $unset: { claimed_by: '', claim_token: '', claimed_at: '' }
+        }
+    );
+};
+
+const processNudge = async (nudge, now) => {
+    const { startOfToday, currentTime } = getWindowBounds(now);
+
+    /*
+     * Window already closed - delivering a "workshop starting soon" nudge
+     * after the workshop is worse than not delivering it.
+     */
+    const windowMissed = nudge.scheduled_date < startOfToday || nudge.timing_to <= currentTime;
+    if (windowMissed) {
+        await finishNudge(nudge, {
+            status: 'failed',
+            last_error: 'Delivery window missed'
+        });
+        return;
+    }
+
+    /*
+     * The event was trashed (or purged) after the nudge was claimed - nobody
+     * should be reminded of it (see utils/nudges.js). Restoring the event
+     * re-queues it like the nudges cancelled by the delete itself.
+     */
+    const event = await getCollection(EVENTS_COLLECTION_NAME).findOne(
+        { _id: nudge.event_id, ...NOT_DELETED },
+        { projection: { _id: 1 } }
+    );
+    if (!event) {
+        await finishNudge(nudge, {
+            status: 'cancelled',
+            last_error: EVENT_DELETED
+        });
+        return;
+    }
+
+    try {
+        await options.transport.send(nudge);
+
+        await finishNudge(nudge, {
+            status: 'sent',
+            sent_at: new Date(),
+            delivered_via: options.transport.name,
+            last_error: null
+        });
+    } catch (error) {
+        if (nudge.attempts >= options.maxAttempts) {
+            await finishNudge(nudge, {
+                status: 'failed',
+                last_error: error.message
+            });
+            return;
+        }
+
+        await finishNudge(nudge, {
+            status: 'pending',
+            next_attempt_at: new Date(Date.now() + getBackoffDelay(nudge.attempts, options.retryBaseMs)),
+            last_error: error.message
+        });
+    }
+};
+
+/**
+ * Run one polling cycle: claim and process due nudges until none are left
+ * or the batch size is reached.
+ * @returns {Promise<number>} Number of nudges processed
+ */
+const runOnce = async () => {
+    if (!options) {
+        options = getOptionsFromEnv();
+    }
+
+    let processed = 0;
+
+    while (processed < options.batchSize) {
+        const now = new Date();
+        const nudge = await claimNextNudge(now);
+        if (!nudge) {
+            break;
+        }
+
+        await processNudge(nudge, now);
+        processed++;
+    }
+
+    return processed;
+};
+
+/*
+ * setTimeout chain instead of setInterval - a slow tick (e.g. webhook timeouts)
+ * never overlaps with the next one.
+ */
+const scheduleNextTick = () => {
+    if (!running) {
+        return;
+    }
+
+    timer = setTimeout(async () => {
+        // Nudges of every organization - no tenant context
+        activeTick = runAsSystem(runOnce)
+            .catch((error) => log.error('Nudge worker error', { err: error }))
+            .finally(() => {
+                activeTick = null;
+            });
+
+        await activeTick;
+        scheduleNextTick();
+    }, options.intervalMs);
+
+    // Don't keep the process alive just for the poller
+    timer.unref();
+};
+
+/**
+ * Build worker options from environment variables
+ * @returns {Object} Worker options
+ */
+const getOptionsFromEnv = () => {
+    const transportName = process.env.NUDGE_TRANSPORT || 'console';
+
+    return {
+        transport: createTransport(transportName, {
+            url: process.env.NUDGE_WEBHOOK_URL,
+            timeoutMs: parseInt(process.env.NUDGE_WEBHOOK_TIMEOUT_MS) || 5000
+        }),
+        intervalMs: parseInt(process.env.NUDGE_WORKER_INTERVAL_MS) || 10000,
+        batchSize: parseInt(process.env.NUDGE_WORKER_BATCH_SIZE) || 50,
+        maxAttempts: parseInt(process.env.NUDGE_MAX_ATTEMPTS) || 5,
+        retryBaseMs: parseInt(process.env.NUDGE_RETRY_BASE_MS) || 30000,
+        claimTimeoutMs: parseInt(process.env.NUDGE_CLAIM_TIMEOUT_MS) || 5 * 60 * 1000
+    };
+};
+
+/**
+ * Start the background delivery worker
+ * @param {Object} overrides - Options overriding the environment configuration
+ */
+const startNudgeWorker = (overrides = {}) => {
+    if (running) {
+        return;
+    }
+
+    options = { ...getOptionsFromEnv(), ...overrides };
+    running = true;
+
+    log.info('Nudge worker started', { transport: options.transport.name, interval_ms: options.intervalMs });
+
+    scheduleNextTick();
+};
+
+/**
+ * Stop the worker and wait for an in-flight tick to finish
+ */
+const stopNudgeWorker = async () => {
+    running = false;
+
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    if (activeTick) {
+        await activeTick;
+    }
+};
+
+module.exports = {
+    startNudgeWorker,
+    stopNudgeWorker,
+    runOnce
+};
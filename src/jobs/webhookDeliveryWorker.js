@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { getCollection } = require('../config/database');
+const { runAsSystem } = require('../tenancy/context');
+const { postJson } = require('../utils/http');
+const {
+    SUBSCRIPTIONS_COLLECTION_NAME,
+    DELIVERIES_COLLECTION_NAME,
+    ensureIndexes,
+    signPayload,
+    resolveWebhookTarget
+} = require('../utils/webhooks');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'webhook-worker' });
+
+// Worker state - one in-process worker per API instance
+let timer = null;
+let running = false;
+let activeTick = null;
+let options = null;
+
+// Same claim/lease scheme as the nudge worker (see nudgeDeliveryWorker.js)
+const workerId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+/*
+ * Exponential backoff: base, 2x base, 4x base, ...
+ */
+const getBackoffDelay = (attempts, baseMs) => baseMs * Math.pow(2, Math.max(attempts - 1, 0));
+
+/*
+ * Atomically claim the next due delivery: pending and not waiting for a
+ * retry, or a processing claim whose lease expired (the owning worker died).
+ * Oldest first, so a subscription's deliveries go out roughly in order -
+ * receivers must not rely on it though; retries reorder them.
+ */
+const claimNextDelivery = async (now) => {
+    const leaseExpiredBefore = new Date(now.getTime() - options.claimTimeoutMs);
+
+    return getCollection(DELIVERIES_COLLECTION_NAME).findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', next_attempt_at: { $not: { $gt: now } } },
+                { status: 'processing', claimed_at: { $lt: leaseExpiredBefore } }
+            ]
+        },
+        {
+            $set: {
+                status: 'processing',
+                claimed_by: workerId,
+                claim_token: crypto.randomBytes(8).toString('hex'),
+                claimed_at: now,
+                updated_at: now
+            },
+            $inc: { attempts: 1 }
+        },
+        {
+            sort: { created_at: 1 },
+            returnDocument: 'after'
+        }
+    );
+};
+
+/*
+ * Finalize a claimed delivery.
+ * Filter includes the claim token so a worker whose lease was taken over
+ * can't overwrite the new owner's result.
+ */
+const finishDelivery = async (delivery, update) => {
+    await getCollection(DELIVERIES_COLLECTION_NAME).updateOne(
+        { _id: delivery._id, status: 'processing', claim_token: delivery.claim_token },
+        {
+            $set: { ...update, updated_at: new Date() },
+            $unset: { claimed_by: '', claim_token: '', claimed_at: '' }
+        }
+    );
+};
+
+/*
+ * URL and secret are read at send time, so retries follow an edited URL
+ * or a rotated secret. Deliveries for a subscription that was paused since
+ * are cancelled rather than sent; pings go out regardless.
+ * The URL's host is resolved and checked against private addresses right
+ * before sending, and the request goes to that address - a failed check
+ * counts as a failed attempt.
+ */
+const processDelivery = async (delivery) => {
+    const subscription = await getCollection(SUBSCRIPTIONS_COLLECTION_NAME).findOne({ _id: delivery.subscription_id });
+
+    if (!subscription || (!subscription.active && delivery.type !== 'ping')) {
+        await finishDelivery(delivery, {
+            status: 'cancelled',
+            last_error: subscription ? 'Webhook is inactive' : 'Webhook was deleted'
+        });
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const address = await resolveWebhookTarget(subscription.url);
+        const { statusCode } = await postJson(subscription.url, body, {
+            address,
+            headers: {
+                'User-Agent': options.userAgent,
+                'X-Webhook-Id': delivery.payload.id,
+                'X-Webhook-Event': delivery.type,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+            },
+            timeoutMs: options.timeoutMs
+        });
+
+        await finishDelivery(delivery, {
+            status: 'delivered',
+            delivered_at: new Date(),
+            last_status_code: statusCode,
+            last_error: null
+        });
+    } catch (error) {
+        const update = {
+            last_status_code: error.statusCode || null,
+            last_error: error.message
+        };
+
+        if (delivery.attempts >= options.maxAttempts) {
+            await finishDelivery(delivery, { ...update, status: 'failed' });
+            return;
+        }
+
+        await finishDelivery(delivery, {
+            ...update,
+            status: 'pending',
+            next_attempt_at: new Date(Date.now() + getBackoffDelay(delivery.attempts, options.retryBaseMs))
+        });
+    }
+};
+
+/**
+ * Run one polling cycle: claim and send due deliveries until none are left
+ * or the batch size is reached.
+ * @returns {Promise<number>} Number of deliveries processed
+ */
+const runOnce = async () => {
+    if (!options) {
+        options = getOptionsFromEnv();
+    }
+
+    await ensureIndexes();
+
+    let processed = 0;
+
+    while (processed < options.batchSize) {
+        const delivery = await claimNextDelivery(new Date());
+        if (!delivery) {
+            break;
+        }
+
+        await processDelivery(delivery);
+        processed++;
+    }
+
+    return processed;
+};
+
+/*
+ * setTimeout chain instead of setInterval - a slow tick (receivers timing out)
+ * never overlaps with the next one.
+ */
+const scheduleNextTick = () => {
+    if (!running) {
+        return;
+    }
+
+    timer = setTimeout(async () => {
+        // Deliveries of every organization - no tenant context
+        activeTick = runAsSystem(runOnce)
+            .catch((error) => log.error('Webhook worker error', { err: error }))
+            .finally(() => {
+                activeTick = null;
+            });
+
+        await activeTick;
+        scheduleNextTick();
+    }, options.intervalMs);
+
+    // Don't keep the process alive just for the poller
+    timer.unref();
+};
+
+/**
+ * Build worker options from environment variables
+ * @returns {Object} Worker options
+ */
+const getOptionsFromEnv = () => ({
+    intervalMs: parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 5000,
+    batchSize: parseInt(process.env.WEBHOOK_WORKER_BATCH_SIZE) || 50,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    claimTimeoutMs: parseInt(process.env.WEBHOOK_CLAIM_TIMEOUT_MS) || 5 * 60 * 1000,
+    userAgent: 'events-api-webhooks/1.0'
+});
+
+/**
+ * Start the background delivery worker
+ * @param {Object} overrides - Options overriding the environment configuration
+ */
+const startWebhookWorker = (overrides = {}) => {
+    if (running) {
+        return;
+    }
+
+    options = { ...getOptionsFromEnv(), ...overrides };
+    running = true;
+
+    log.info('Webhook worker started', { interval_ms: options.intervalMs });
+
+    scheduleNextTick();
+};
+
+/**
+ * Stop the worker and wait for an in-flight tick to finish
+ */
+const stopWebhookWorker = async () => {
+    running = false;
+
+    if (timer) {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    if (activeTick) {
+        await activeTick;
+    }
+};
+
+module.exports = {
+    startWebhookWorker,
+    stopWebhookWorker,
+    runOnce
+};
@@ -0,0 +1,130 @@
+const jwt = require('jsonwebtoken');
+const { APIError } = require('./errorHandler');
+const { getDefaultOrgId } = require('../tenancy/organizations');
+
+/*
+ * Only HMAC algorithms are accepted.
+ * Pinning the list prevents "alg: none" tokens and RS/HS confusion attacks.
+ */
+const ALLOWED_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+
+/*
+ * Normalize token claims into req.user.
+ * The user id comes from a numeric `uid` claim, falling back to the standard `sub`.
+ * Roles may be given as a `roles` array or a single `role` string.
+ * `org_id` names the user's organization; tokens without one belong to the
+ * default organization.
+ */
+const toUser = (payload) => {
+    const uid = parseInt(payload.uid !== undefined ? payload.uid : payload.sub);
+    if (isNaN(uid)) {
+        throw new APIError('Invalid token: missing user id', 401);
+    }
+
+    let roles = [];
+    if (Array.isArray(payload.roles)) {
+        roles = payload.roles;
+    } else if (typeof payload.role === 'string') {
+        roles = [payload.role];
+    }
+
+    const orgId = typeof payload.org_id === 'string' && payload.org_id ? payload.org_id.toLowerCase() : null;
+
+    return { uid, roles, org_id: orgId };
+};
+
+/*
+ * Verify a bearer token with JWT_SECRET and turn its claims into a user.
+ * Throws APIError 401/500 the way authenticate reports them.
+ */
+const verifyRequestToken = (req) => {
+    const secret = process.env.JWT_SECRET;
+    if (!secret) {
+        throw new APIError('Authentication is not configured', 500);
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        throw new APIError('Authentication required', 401);
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, secret, {
+            algorithms: ALLOWED_ALGORITHMS,
+            ...(process.env.JWT_ISSUER && { issuer: process.env.JWT_ISSUER }),
+            ...(process.env.JWT_AUDIENCE && { audience: process.env.JWT_AUDIENCE })
+        });
+    } catch (error) {
+        // TokenExpiredError / JsonWebTokenError / NotBeforeError
+        const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+        throw new APIError(message, 401);
+    }
+
+    return toUser(payload);
+};
+
+/**
+ * Require a valid bearer token.
+ * Verifies the HMAC signature with JWT_SECRET and populates req.user.
+ * The token must belong to the request's organization (req.tenant) - a
+ * user of one organization can't act in another by changing X-Org-Id.
+ * Mount before upload middleware so unauthenticated requests never write files.
+ */
+const authenticate = (req, res, next) => {
+    try {
+        const user = verifyRequestToken(req);
+
+        if (req.tenant && (user.org_id || getDefaultOrgId()) !== req.tenant.id) {
+            throw new APIError('Token does not belong to this organization', 403);
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * The user a request's bearer token identifies, without requiring one.
+ * For middleware that treats signed-in callers differently (rate limits) -
+ * a missing or invalid token gives null; authenticate still rejects it later.
+ * @param {Object} req - Express request
+ * @returns {Object|null} Same shape as req.user
+ */
+const identifyUser = (req) => {
+    if (!req.headers.authorization) {
+        return null;
+    }
+    try {
+        return verifyRequestToken(req);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Check whether a user has a role
+ * @param {Object} user - req.user populated by authenticate
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+const hasRole = (user, role) => Boolean(user && user.roles.includes(role));
+
+/*
+ * Ownership filter for mutations.
+ * Admins can modify any document; everyone else only documents whose uid
+ * matches their token. Putting this in the query filter (rather than a
+ * separate read-then-check) keeps the check and the write atomic.
+ */
+const ownershipFilter = (user) => (hasRole(user, 'admin') ? {} : { uid: user.uid });
+
+module.exports = {
+    authenticate,
+    identifyUser,
+    hasRole,
+    ownershipFilter
+};
@@ -1,3 +1,6 @@
+const { removeFiles, getRequestFilePaths } = require('../storage');
+const { logger } = require('../utils/logger');
+
 /**
  * Custom API Error class
  */
@@ -12,28 +15,44 @@ class APIError extends Error {
     }
 }
 
+/**
+ * Validation error carrying every field problem at once.
+ * errors: [{ field, message }] - returned to the client as-is.
+ */
+class ValidationError extends APIError {
+    constructor(errors) {
+        super(`Validation failed: ${errors.map((e) => e.message).join('; ')}`, 400);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
 /**
  * Global error handler middleware
  */
 const errorHandler = (err, req, res, next) => {
+    /*
+     * Files multer already stored belong to a request that failed
+     * (validation, auth, not found...) - nothing will reference them.
+     * Unless the document was already written: a controller sets
+     * req.filesCommitted once a saved document points at the files, and a
+     * later failure (revision, webhook queue...) must not delete them.
+     */
+    if (!req.filesCommitted) {
+        removeFiles(getRequestFilePaths(req))
+            .catch((removeError) => (req.log || logger).error('Failed to remove uploaded files', { err: removeError }));
+    }
+
     let error = { ...err };
     error.message = err.message;
     error.statusCode = err.statusCode || 500;
 
-    // Log error for debugging
-    if (process.env.NODE_ENV === 'development') {
-        console.error('Error:', err);
-    }
-
     /*
      * Multer-specific errors - these come from file upload middleware.
      * Multer uses error codes, not classes, so we check by code property.
+     * (LIMIT_FILE_SIZE is turned into an APIError by the upload middleware,
+     * which knows the organization's limit.)
      */
-    if (err.code === 'LIMIT_FILE_SIZE') {
-        error.message = 'File size too large. Maximum size is 5MB';
-        error.statusCode = 400;
-    }
-
     if (err.code === 'LIMIT_UNEXPECTED_FILE') {
         error.message = 'Too many files or unexpected field name';
         error.statusCode = 400;
@@ -54,10 +73,32 @@ const errorHandler = (err, req, res, next) => {
         error.statusCode = 400;
     }
 
-    // Send error response
+    /*
+     * Unexpected errors are logged with their stack; the request line
+     * (requestLogger) already records 4xx rejections, so those are debug only.
+     */
+    const log = req.log || logger;
+    if (error.statusCode >= 500) {
+        log.error('Unhandled error', { err });
+    } else {
+        log.debug('Request error', { err });
+    }
+
+    // RFC 6750 - 401 responses tell the client which auth scheme to use
+    if (error.statusCode === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+    }
+
+    /*
+     * Send error response - requestId lets support find the matching log lines.
+     * Only our ValidationError's field list is sent: other errors (driver,
+     * AggregateError, libraries) can carry an errors property with internals.
+     */
     res.status(error.statusCode).json({
         success: false,
         error: error.message || 'Internal server error',
+        requestId: req.id,
+        ...(err instanceof ValidationError && { errors: err.errors }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
 };
@@ -73,5 +114,6 @@ const notFound = (req, res, next) => {
 module.exports = {
     errorHandler,
     notFound,
-    APIError
+    APIError,
+    ValidationError
 };
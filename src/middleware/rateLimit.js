@@ -0,0 +1,148 @@
+const { APIError } = require('./errorHandler');
+const { identifyUser } = require('./auth');
+const { getRateLimitStore } = require('../rateLimit');
+const { getDefaultOrgId } = require('../tenancy/organizations');
+const { logger } = require('../utils/logger');
+
+/*
+ * Token-bucket rate limiting.
+ *
+ * Each caller has a bucket of `capacity` tokens that refills evenly over
+ * the window; every request takes one. Bursts up to the capacity pass, then
+ * requests are limited to the refill rate. Signed-in callers are counted per
+ * user (offices behind one NAT don't share a bucket), everyone else per IP.
+ *
+ * Limits are "<requests>/<seconds>", e.g. "120/60".
+ */
+
+const DEFAULT_LIMITS = {
+    api: { ip: '120/60', user: '600/60' },
+    upload: { ip: '10/60', user: '10/60' }
+};
+
+/**
+ * Parse a "<requests>/<seconds>" limit
+ * @param {string} value - Limit from the environment
+ * @param {string} variable - Environment variable name, for the error message
+ * @returns {{capacity: number, windowSeconds: number, refillPerMs: number}}
+ */
+const parseLimit = (value, variable) => {
+    const match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(value);
+    if (!match || parseInt(match[1]) < 1 || parseInt(match[2]) < 1) {
+        throw new Error(`${variable} must look like <requests>/<seconds>, e.g. 120/60`);
+    }
+
+    const capacity = parseInt(match[1]);
+    const windowSeconds = parseInt(match[2]);
+
+    return { capacity, windowSeconds, refillPerMs: capacity / (windowSeconds * 1000) };
+};
+
+const getLimits = (name) => {
+    const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+    return {
+        ip: parseLimit(process.env[`${prefix}_IP`] || DEFAULT_LIMITS[name].ip, `${prefix}_IP`),
+        user: parseLimit(process.env[`${prefix}_USER`] || DEFAULT_LIMITS[name].user, `${prefix}_USER`)
+    };
+};
+
+// Draft IETF RateLimit header fields, plus Retry-After on 429
+const setHeaders = (res, limit, { allowed, tokens }) => {
+    const secondsUntil = (missingTokens) => Math.ceil(missingTokens / limit.refillPerMs / 1000);
+
+    res.set({
+        'RateLimit-Policy': `${limit.capacity};w=${limit.windowSeconds}`,
+        'RateLimit-Limit': String(limit.capacity),
+        'RateLimit-Remaining': String(Math.floor(tokens)),
+        'RateLimit-Reset': String(secondsUntil(limit.capacity - tokens))
+    });
+
+    if (!allowed) {
+        res.set('Retry-After', String(secondsUntil(1 - tokens)));
+    }
+};
+
+/**
+ * Build a rate limiting middleware
+ * @param {string} name - Bucket family ("api", "upload"); limits come from RATE_LIMIT_<NAME>_IP/_USER
+ * @returns {Function} Express middleware
+ */
+const createRateLimiter = (name) => {
+    /*
+     * Read on first request, after dotenv has loaded the environment
+     * (server.js checks both at startup with checkRateLimitConfig). A bad
+     * RATE_LIMIT_STORE is a configuration error like a bad limit - only
+     * failures of a working store below fail open.
+     */
+    let limits = null;
+    let store = null;
+
+    return async (req, res, next) => {
+        if (process.env.RATE_LIMIT_ENABLED === 'false') {
+            return next();
+        }
+
+        try {
+            if (!store) {
+                limits = getLimits(name);
+                store = getRateLimitStore();
+            }
+
+            /*
+             * authenticate runs later for most routes - identify the caller from the token here.
+             * uids are only unique within an organization, so user buckets are per organization.
+             */
+            const user = req.user || identifyUser(req);
+            const key = user
+                ? `${name}:user:${user.org_id || getDefaultOrgId()}:${user.uid}`
+                : `${name}:ip:${req.ip}`;
+            const limit = user ? limits.user : limits.ip;
+
+            let result;
+            try {
+                result = await store.consume(key, limit);
+            } catch (error) {
+                // Fail open - a broken counter store shouldn't take the API down with it
+                (req.log || logger).error('Rate limit store error', { limiter: name, err: error });
+                return next();
+            }
+
+            setHeaders(res, limit, result);
+
+            if (!result.allowed) {
+                throw new APIError('Too many requests. Try again later', 429);
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/*
+ * apiRateLimit covers every API request.
+ * uploadRateLimit is the stricter bucket for routes that store files;
+ * mount it before the upload middleware so rejected requests write nothing.
+ */
+const apiRateLimit = createRateLimiter('api');
+const uploadRateLimit = createRateLimiter('upload');
+
+/**
+ * Validate the rate limit configuration (limits and RATE_LIMIT_STORE),
+ * so a typo stops the server at startup instead of surfacing on requests
+ * @throws {Error} If a limit or the store name is invalid
+ */
+const checkRateLimitConfig = () => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+        return;
+    }
+    Object.keys(DEFAULT_LIMITS).forEach(getLimits);
+    getRateLimitStore();
+};
+
+module.exports = {
+    checkRateLimitConfig,
+    createRateLimiter,
+    apiRateLimit,
+    uploadRateLimit
+};
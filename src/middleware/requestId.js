@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Accept caller-supplied ids only if they look like ids (no log/header injection)
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Assign every request an id (req.id) and echo it as X-Request-Id.
+ * An incoming X-Request-Id from a proxy or client is kept so one id
+ * follows a request across services; otherwise a UUID is generated.
+ */
+const requestId = (req, res, next) => {
+    const incoming = req.headers['x-request-id'];
+
+    req.id = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+
+    res.setHeader('X-Request-Id', req.id);
+    next();
+};
+
+module.exports = {
+    requestId
+};
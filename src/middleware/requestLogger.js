@@ -0,0 +1,69 @@
+const { logger } = require('../utils/logger');
+const { recordHttpRequest } = require('../utils/metrics');
+
+// Probes and scrapes hit every few seconds - keep them out of the info log
+const QUIET_PATHS = new Set(['/health', '/health/live', '/health/ready', '/metrics']);
+
+/*
+ * Route pattern ("/events/:id"), not the URL, so metrics have one series per
+ * endpoint. Requests that matched no route (404s, static files) share one label.
+ */
+const getRouteLabel = (req) => (req.route ? req.route.path : 'unmatched');
+
+/**
+ * Give every request a logger carrying its id (req.log), then log and
+ * measure the request once the response is finished.
+ * Mount after requestId.
+ */
+const requestLogger = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    req.log = logger.child({ request_id: req.id });
+
+    const done = (aborted) => {
+        res.removeListener('finish', onFinish);
+        res.removeListener('close', onClose);
+
+        const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = getRouteLabel(req);
+
+        recordHttpRequest({ method: req.method, route, status: res.statusCode, durationSeconds });
+
+        const fields = {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            status: res.statusCode,
+            duration_ms: Math.round(durationSeconds * 1000),
+            ip: req.ip,
+            ...(req.user && { uid: req.user.uid }),
+            ...(aborted && { aborted: true })
+        };
+
+        const message = aborted ? 'Request closed by client' : 'Request completed';
+
+        if (res.statusCode >= 500) {
+            req.log.error(message, fields);
+        } else if (res.statusCode >= 400) {
+            req.log.warn(message, fields);
+        } else if (QUIET_PATHS.has(req.path)) {
+            req.log.debug(message, fields);
+        } else {
+            req.log.info(message, fields);
+        }
+    };
+
+    /*
+     * close without finish: the client went away before the response ended -
+     * a dropped request, or simply the end of a change stream.
+     */
+    const onFinish = () => done(false);
+    const onClose = () => done(true);
+
+    res.on('finish', onFinish);
+    res.on('close', onClose);
+    next();
+};
+
+module.exports = {
+    requestLogger
+};
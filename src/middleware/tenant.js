@@ -0,0 +1,87 @@
+const { APIError } = require('./errorHandler');
+const { identifyUser } = require('./auth');
+const { runWithTenant } = require('../tenancy/context');
+const { ORG_ID_PATTERN, getDefaultOrgId, findOrganization } = require('../tenancy/organizations');
+
+/*
+ * With TENANT_BASE_DOMAIN=events.example.com, acme.events.example.com is
+ * organization "acme". Only one label - a.b.events.example.com is no one.
+ */
+const getSubdomain = (req) => {
+    const baseDomain = (process.env.TENANT_BASE_DOMAIN || '').toLowerCase();
+    const hostname = (req.hostname || '').toLowerCase();
+
+    if (!baseDomain || !hostname.endsWith(`.${baseDomain}`)) {
+        return null;
+    }
+    const label = hostname.slice(0, -(baseDomain.length + 1));
+    return label.includes('.') ? null : label;
+};
+
+/*
+ * Where the organization comes from, first match wins:
+ * 1. X-Org-Id header
+ * 2. subdomain of TENANT_BASE_DOMAIN
+ * 3. org_id claim of the bearer token
+ * Returns null when the request names none.
+ */
+const getRequestedOrgId = (req) => {
+    const header = req.get('X-Org-Id');
+    if (header && header.trim()) {
+        return header.trim().toLowerCase();
+    }
+
+    const subdomain = getSubdomain(req);
+    if (subdomain) {
+        return subdomain;
+    }
+
+    const user = identifyUser(req);
+    if (user && user.org_id) {
+        return user.org_id;
+    }
+
+    return null;
+};
+
+/**
+ * Resolve the organization a request is for and run the rest of the
+ * request in its context - getCollection() then scopes every query to it.
+ * Sets req.tenant ({ id, name, settings }).
+ * Requests naming no organization belong to DEFAULT_ORG_ID, unless
+ * TENANT_REQUIRED=true. A token for another organization is rejected by
+ * authenticate, not here - public reads don't look at tokens.
+ */
+const resolveTenant = async (req, res, next) => {
+    let tenant;
+    try {
+        let orgId = getRequestedOrgId(req);
+
+        if (!orgId) {
+            if (process.env.TENANT_REQUIRED === 'true') {
+                throw new APIError('Organization required: send X-Org-Id or use your organization\'s subdomain', 400);
+            }
+            orgId = getDefaultOrgId();
+        }
+
+        if (!ORG_ID_PATTERN.test(orgId)) {
+            throw new APIError('Invalid organization id', 400);
+        }
+
+        tenant = await findOrganization(orgId);
+
+        // Disabled organizations look the same as unknown ones
+        if (!tenant || !tenant.active) {
+            throw new APIError('Organization not found', 404);
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    req.tenant = tenant;
+    runWithTenant(tenant, next);
+};
+
+module.exports = {
+    resolveTenant
+};
@@ -1,35 +1,129 @@
+const crypto = require('crypto');
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
-
-// Ensure upload directory exists
-const uploadDir = process.env.UPLOAD_DIR || 'uploads';
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, uploadDir);
+const { Readable } = require('stream');
+const { getStorage } = require('../storage');
+const { sanitizeImage, generateVariants } = require('../utils/imageProcessor');
+const { APIError } = require('./errorHandler');
+const { recordUpload } = require('../utils/metrics');
+const { runWithTenant } = require('../tenancy/context');
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', gif: 'gif', webp: 'webp' };
+
+/*
+ * Stored files are named by a random id only.
+ * Pattern: 0f8e6a4c-3b2d-4e1f-9a7b-5c6d7e8f9a0b
+ * The client's filename is never used - the file is re-encoded anyway, and
+ * the extension comes from the output format.
+ */
+const generateBasename = () => crypto.randomUUID();
+
+const readStream = (stream) => new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/*
+ * Save several buffers; if any save fails, remove the ones that succeeded
+ * so a half-processed upload leaves nothing behind.
+ */
+const saveAll = async (outputs, contentTypeOf) => {
+    const storage = getStorage();
+    const saved = [];
+
+    try {
+        for (const output of outputs) {
+            const result = await storage.save({
+                filename: output.filename,
+                stream: Readable.from([output.buffer]),
+                contentType: contentTypeOf(output)
+            });
+            saved.push({ ...output, path: result.path });
+        }
+    } catch (error) {
+        await Promise.all(saved.map((output) => storage.remove(output.path).catch(() => {})));
+        throw error;
+    }
+
+    return saved;
+};
+
+/*
+ * Variants mode (event images): thumbnail/card/full in WebP + JPEG.
+ * req.file.path is the full-size JPEG (the legacy `image` field),
+ * req.file.images the variant map stored on the event.
+ */
+const processWithVariants = async (buffer) => {
+    const basename = generateBasename();
+    const outputs = (await generateVariants(buffer)).map((output) => ({
+        ...output,
+        filename: `${basename}-${output.variant}.${output.ext}`
+    }));
+
+    const saved = await saveAll(outputs, (output) => `image/${output.format}`);
+
+    const images = {};
+    for (const output of saved) {
+        images[output.variant] = images[output.variant] || { width: output.width, height: output.height };
+        images[output.variant][output.format] = output.path;
+    }
+
+    return {
+        path: images.full.jpeg,
+        size: buffer.length,
+        images,
+        storedPaths: saved.map((output) => output.path)
+    };
+};
+
+/*
+ * Sanitize mode (nudge image/icon): same format and size, metadata stripped.
+ */
+const processSanitized = async (buffer) => {
+    const { buffer: clean, type } = await sanitizeImage(buffer);
+    const [saved] = await saveAll(
+        [{ buffer: clean, filename: `${generateBasename()}.${EXTENSIONS[type]}` }],
+        () => `image/${type}`
+    );
+
+    return {
+        path: saved.path,
+        size: clean.length,
+        storedPaths: [saved.path]
+    };
+};
+
+/*
+ * Multer storage engine: buffer the upload, verify it by magic bytes,
+ * strip metadata / resize, then hand the results to the configured storage
+ * adapter (local disk or S3-compatible). Controllers only see stored paths.
+ * storedPaths lists every file written so _removeFile and the error handler
+ * can clean up all of them. `kind` labels the upload size metric.
+ */
+const createImageStorage = ({ variants, kind }) => ({
+    _handleFile: (req, file, cb) => {
+        readStream(file.stream)
+            .then((buffer) => {
+                recordUpload(kind, buffer.length);
+                return variants ? processWithVariants(buffer) : processSanitized(buffer);
+            })
+            .then((info) => cb(null, info))
+            .catch(cb);
     },
-    filename: (req, file, cb) => {
-        /*
-         * Generate collision-resistant filename using timestamp + random number.
-         * Preserves original extension for MIME type detection.
-         * Pattern: original-name-1704744491234-987654321.jpg
-         * 
-         * Note: Not cryptographically secure, but sufficient for this use case.
-         * For sensitive applications, use UUID or hash of file content.
-         */
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        const basename = path.basename(file.originalname, ext);
-        cb(null, `${basename}-${uniqueSuffix}${ext}`);
+    _removeFile: (req, file, cb) => {
+        const storage = getStorage();
+        Promise.all((file.storedPaths || [file.path]).map((storedPath) => storage.remove(storedPath)))
+            .then(() => cb(null))
+            .catch(cb);
     }
 });
 
-// File filter - only accept images
+/*
+ * File filter - cheap early rejection by extension/mimetype.
+ * The authoritative check is the magic-byte detection in the storage engine.
+ */
 const fileFilter = (req, file, cb) => {
     const allowedTypes = /jpeg|jpg|png|gif|webp/;
     const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
@@ -38,17 +132,58 @@ const fileFilter = (req, file, cb) => {
     if (mimetype && extname) {
         return cb(null, true);
     } else {
-        cb(new Error('Only image files are allowed (jpeg, jpg, png, gif, webp)'));
+        cb(new APIError('Only image files are allowed (jpeg, jpg, png, gif, webp)', 400));
     }
 };
 
-// Configure multer
-const upload = multer({
-    storage: storage,
-    limits: {
-        fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
-    },
-    fileFilter: fileFilter
-});
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+    ? `${Math.round(bytes / (1024 * 1024) * 10) / 10}MB`
+    : `${Math.round(bytes / 1024 * 10) / 10}KB`);
+
+/*
+ * Upload middleware factory with .single() / .fields() like multer's.
+ * The file size limit is the organization's (settings.max_file_size), so
+ * one multer instance is kept per distinct limit.
+ *
+ * Multer calls back outside the request's async context, which would
+ * leave the controller with no organization - getCollection() would throw.
+ * The callback re-enters the tenant context before moving on.
+ */
+const createUpload = ({ variants, kind }) => {
+    const storage = createImageStorage({ variants, kind });
+    const byFileSize = new Map();
+
+    const getMulter = (fileSize) => {
+        if (!byFileSize.has(fileSize)) {
+            byFileSize.set(fileSize, multer({ storage, limits: { fileSize }, fileFilter: fileFilter }));
+        }
+        return byFileSize.get(fileSize);
+    };
 
-module.exports = upload;
+    const wrap = (select) => (req, res, next) => {
+        const fileSize = req.tenant.settings.max_file_size;
+
+        select(getMulter(fileSize))(req, res, (error) => {
+            if (error && error.code === 'LIMIT_FILE_SIZE') {
+                error = new APIError(`File size too large. Maximum size is ${formatSize(fileSize)}`, 400);
+            }
+            runWithTenant(req.tenant, () => next(error));
+        });
+    };
+
+    return {
+        single: (field) => wrap((instance) => instance.single(field)),
+        fields: (fields) => wrap((instance) => instance.fields(fields))
+    };
+};
+
+// Event images - resized variant set
+const eventImageUpload = createUpload({ variants: true, kind: 'event_image' });
+
+// Other uploads (nudge image/icon) - sanitized, not resized
+const upload = createUpload({ variants: false, kind: 'nudge_image' });
+
+module.exports = {
+    upload,
+    eventImageUpload
+};
@@ -0,0 +1,37 @@
+/*
+ * Events and nudges written before created_at was set on every insert have
+ * no created_at, so they sort last in "newest first" lists. An ObjectId
+ * embeds its creation second - use that. Documents with non-ObjectId ids
+ * are left alone.
+ */
+const COLLECTIONS = ['events', 'nudges'];
+
+const MISSING_CREATED_AT = {
+    created_at: null,   // matches missing and null
+    _id: { $type: 'objectId' }
+};
+
+module.exports = {
+    description: 'Backfill created_at on legacy events and nudges from their ObjectId timestamps',
+
+    up: async ({ db, dryRun }) => {
+        const result = {};
+
+        for (const name of COLLECTIONS) {
+            const collection = db.collection(name);
+
+            if (dryRun) {
+                result[name] = await collection.countDocuments(MISSING_CREATED_AT);
+                continue;
+            }
+
+            // Pipeline update - each document's own _id, in one round trip
+            const { modifiedCount } = await collection.updateMany(MISSING_CREATED_AT, [
+                { $set: { created_at: { $toDate: '$_id' } } }
+            ]);
+            result[name] = modifiedCount;
+        }
+
+        return result;
+    }
+};
@@ -0,0 +1,15 @@
+/*
+ * Every event list sorts on schedule (?type=latest, cursor pages, the
+ * calendar window) - without an index each one is a collection scan plus
+ * an in-memory sort. _id is the tie-breaker cursor pages sort on, and the
+ * index serves both directions.
+ */
+module.exports = {
+    description: 'Index events on schedule',
+
+    up: async ({ createIndexes }) => ({
+        created: await createIndexes('events', [
+            { key: { schedule: 1, _id: 1 }, name: 'schedule' }
+        ])
+    })
+};
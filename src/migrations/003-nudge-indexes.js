@@ -0,0 +1,17 @@
+/*
+ * The indexes NUDGE_API_DOCUMENTATION.md recommends:
+ * nudges by event, the delivery worker's due-nudge query, a user's nudges,
+ * and the newest-first list.
+ */
+module.exports = {
+    description: 'Index nudges on event_id, scheduled_date/status, uid and created_at',
+
+    up: async ({ createIndexes }) => ({
+        created: await createIndexes('nudges', [
+            { key: { event_id: 1 }, name: 'event_id' },
+            { key: { scheduled_date: 1, status: 1 }, name: 'scheduled_date_status' },
+            { key: { uid: 1 }, name: 'uid' },
+            { key: { created_at: -1 }, name: 'created_at' }
+        ])
+    })
+};
@@ -0,0 +1,57 @@
+const { TENANT_COLLECTIONS } = require('../tenancy/scopedCollection');
+const { COLLECTION_NAME: ORGANIZATIONS_COLLECTION_NAME, getDefaultOrgId } = require('../tenancy/organizations');
+
+/*
+ * Multi-tenancy: everything written before organizations existed belongs
+ * to the default organization (DEFAULT_ORG_ID), which gets its document.
+ * Every query now filters on org_id first, so the list indexes lead with it.
+ */
+const MISSING_ORG_ID = { org_id: null };  // matches missing and null
+
+module.exports = {
+    description: 'Assign existing data to the default organization and index org_id',
+
+    up: async ({ db, dryRun, createIndexes }) => {
+        const orgId = getDefaultOrgId();
+        const result = { org_id: orgId, backfilled: {} };
+
+        for (const name of TENANT_COLLECTIONS) {
+            const collection = db.collection(name);
+
+            if (dryRun) {
+                result.backfilled[name] = await collection.countDocuments(MISSING_ORG_ID);
+                continue;
+            }
+
+            const { modifiedCount } = await collection.updateMany(MISSING_ORG_ID, { $set: { org_id: orgId } });
+            result.backfilled[name] = modifiedCount;
+        }
+
+        const organizations = db.collection(ORGANIZATIONS_COLLECTION_NAME);
+        if (dryRun) {
+            result.default_organization_created = !(await organizations.findOne({ _id: orgId }));
+        } else {
+            const now = new Date();
+            const { upsertedCount } = await organizations.updateOne(
+                { _id: orgId },
+                { $setOnInsert: { name: 'Default', active: true, settings: {}, created_at: now, updated_at: now } },
+                { upsert: true }
+            );
+            result.default_organization_created = upsertedCount === 1;
+        }
+
+        result.created = [
+            ...await createIndexes('events', [
+                { key: { org_id: 1, schedule: 1, _id: 1 }, name: 'org_schedule' }
+            ]),
+            ...await createIndexes('nudges', [
+                { key: { org_id: 1, created_at: -1 }, name: 'org_created_at' }
+            ]),
+            ...await createIndexes('webhook_subscriptions', [
+                { key: { org_id: 1, active: 1, events: 1 }, name: 'org_active_events' }
+            ])
+        ];
+
+        return result;
+    }
+};
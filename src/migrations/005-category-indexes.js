@@ -0,0 +1,14 @@
+/*
+ * Category taxonomy: siblings can't share a slug (the controller also
+ * checks names, case-insensitively). The same index serves the taxonomy
+ * load and the children lookups.
+ */
+module.exports = {
+    description: 'Unique index on categories org_id/parent_id/slug',
+
+    up: async ({ createIndexes }) => ({
+        created: await createIndexes('categories', [
+            { key: { org_id: 1, parent_id: 1, slug: 1 }, name: 'org_parent_slug', unique: true }
+        ])
+    })
+};
@@ -0,0 +1,46 @@
+/*
+ * Timezone-aware scheduling. Existing events get timezone UTC - the zone
+ * their series were expanded in until now, so no occurrence moves - and no
+ * duration. ends_at (what ?when= queries) is then the start, or the last
+ * occurrence for a series. Organizers can set the real zone and duration
+ * with PUT /events/:id.
+ */
+const MISSING_TIMEZONE = { timezone: null };  // matches missing and null
+
+module.exports = {
+    description: 'Backfill timezone, duration and ends_at on existing events and index ends_at',
+
+    up: async ({ db, dryRun, createIndexes }) => {
+        const events = db.collection('events');
+        const result = {};
+
+        if (dryRun) {
+            result.backfilled = await events.countDocuments(MISSING_TIMEZONE);
+        } else {
+            // Pipeline update - each event's own schedule/recurrence_end
+            const { modifiedCount } = await events.updateMany(MISSING_TIMEZONE, [
+                {
+                    $set: {
+                        timezone: 'UTC',
+                        duration: null,
+                        end: null,
+                        ends_at: {
+                            $cond: [
+                                { $eq: [{ $type: '$rrule' }, 'string'] },
+                                { $ifNull: ['$recurrence_end', null] },
+                                '$schedule'
+                            ]
+                        }
+                    }
+                }
+            ]);
+            result.backfilled = modifiedCount;
+        }
+
+        result.created = await createIndexes('events', [
+            { key: { org_id: 1, ends_at: 1 }, name: 'org_ends_at' }
+        ]);
+
+        return result;
+    }
+};
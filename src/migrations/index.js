@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getDB } = require('../config/database');
+const { logger } = require('../utils/logger');
+
+/*
+ * Versioned migrations.
+ *
+ * Each file in this directory named "<NNN>-<name>.js" is a migration:
+ *   module.exports = { description, up: async (context) => result }
+ * They run once each, in filename order, and are recorded in the
+ * _migrations collection ({ _id: "<NNN>-<name>", applied_at, ... }).
+ *
+ * up() must be idempotent - a migration that fails halfway is re-run from
+ * the start - and must honour context.dryRun by only reporting what it
+ * would change. context: { db, dryRun, log, createIndexes }.
+ *
+ * Never edit or renumber a migration once it has been applied anywhere;
+ * add a new one instead.
+ */
+
+const COLLECTION_NAME = '_migrations';
+
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.js$/;
+
+/*
+ * Only one instance migrates at a time; the others wait for it to finish.
+ * The lock is a document in _migrations with a lease, so a crashed
+ * migrator doesn't block everyone forever.
+ */
+const LOCK_ID = 'lock';
+const LOCK_LEASE_MS = 10 * 60 * 1000;
+const LOCK_POLL_MS = 1000;
+
+const log = logger.child({ component: 'migrations' });
+
+/**
+ * Load every migration in this directory, in order
+ * @returns {Array<{name: string, version: number, description: string, up: Function}>}
+ */
+const loadMigrations = () => fs.readdirSync(__dirname)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort()
+    .map((file) => {
+        const migration = require(path.join(__dirname, file));
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${file} must export an up() function`);
+        }
+        return {
+            name: path.basename(file, '.js'),
+            version: parseInt(MIGRATION_FILE.exec(file)[1]),
+            description: migration.description || '',
+            up: migration.up
+        };
+    });
+
+const getAppliedNames = async (collection) => {
+    const applied = await collection
+        .find({ _id: { $ne: LOCK_ID } }, { projection: { _id: 1 } })
+        .toArray();
+    return new Set(applied.map((doc) => doc._id));
+};
+
+/*
+ * Index helper for migrations: creates the missing indexes, or in a dry run
+ * lists them. An index counts as existing when its name or its key matches -
+ * one created by hand under the default name ("event_id_1") is kept, since
+ * createIndexes would reject the same key under a second name.
+ * specs: [{ key, name, ...createIndex options }]
+ */
+const createIndexesHelper = (db, dryRun) => async (collectionName, specs) => {
+    let existing = [];
+    try {
+        existing = await db.collection(collectionName).listIndexes().toArray();
+    } catch (error) {
+        // NamespaceNotFound - the collection doesn't exist yet
+        if (error.code !== 26) {
+            throw error;
+        }
+    }
+
+    const existingNames = new Set(existing.map((index) => index.name));
+    const existingKeys = new Set(existing.map((index) => JSON.stringify(index.key)));
+    const missing = specs.filter((spec) =>
+        !existingNames.has(spec.name) && !existingKeys.has(JSON.stringify(spec.key)));
+
+    if (!dryRun && missing.length > 0) {
+        await db.collection(collectionName).createIndexes(missing);
+    }
+    return missing.map((spec) => spec.name);
+};
+
+/*
+ * Lock: the upsert inserts the lock document when there is none, or takes
+ * over an expired lease. While someone else holds a live lease the filter
+ * doesn't match and the upsert's insert hits the duplicate _id.
+ */
+const acquireLock = async (collection, owner) => {
+    const now = new Date();
+    try {
+        await collection.updateOne(
+            { _id: LOCK_ID, locked_at: { $lt: new Date(now.getTime() - LOCK_LEASE_MS) } },
+            { $set: { owner, locked_at: now } },
+            { upsert: true }
+        );
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+const renewLock = (collection, owner) =>
+    collection.updateOne({ _id: LOCK_ID, owner }, { $set: { locked_at: new Date() } });
+
+const releaseLock = (collection, owner) =>
+    collection.deleteOne({ _id: LOCK_ID, owner });
+
+const waitForLock = async (collection, owner) => {
+    const giveUpAt = Date.now() + LOCK_LEASE_MS;
+
+    if (await acquireLock(collection, owner)) {
+        return;
+    }
+    log.info('Another instance is migrating, waiting for it');
+
+    do {
+        if (Date.now() > giveUpAt) {
+            throw new Error('Timed out waiting for another instance to finish migrating');
+        }
+        await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+    } while (!(await acquireLock(collection, owner)));
+};
+
+/**
+ * Applied and pending migrations
+ * @returns {Promise<Array<{name: string, description: string, applied_at: Date|null}>>}
+ */
+const getMigrationStatus = async () => {
+    const collection = getDB().collection(COLLECTION_NAME);
+    const applied = await collection.find({ _id: { $ne: LOCK_ID } }).toArray();
+    const appliedByName = new Map(applied.map((doc) => [doc._id, doc]));
+
+    return loadMigrations().map((migration) => ({
+        name: migration.name,
+        description: migration.description,
+        applied_at: appliedByName.has(migration.name) ? appliedByName.get(migration.name).applied_at : null
+    }));
+};
+
+/**
+ * Apply pending migrations in order.
+ * A dry run takes no lock and writes nothing - each pending migration
+ * reports what it would change.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Report without writing
+ * @returns {Promise<Array<{name: string, result: *, duration_ms: number}>>} Migrations run
+ */
+const runMigrations = async ({ dryRun = false } = {}) => {
+    const db = getDB();
+    const collection = db.collection(COLLECTION_NAME);
+    const migrations = loadMigrations();
+    const owner = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+    if (!dryRun) {
+        await waitForLock(collection, owner);
+    }
+
+    const ran = [];
+
+    try {
+        // Read after taking the lock - whoever held it may have applied some
+        const appliedNames = await getAppliedNames(collection);
+        const pending = migrations.filter((migration) => !appliedNames.has(migration.name));
+
+        if (pending.length === 0) {
+            log.info('Database is up to date', { applied: appliedNames.size });
+            return ran;
+        }
+
+        for (const migration of pending) {
+            const migrationLog = log.child({ migration: migration.name, dry_run: dryRun });
+            const startedAt = Date.now();
+
+            migrationLog.info(dryRun ? 'Checking migration' : 'Applying migration', { description: migration.description });
+
+            const result = await migration.up({
+                db,
+                dryRun,
+                log: migrationLog,
+                createIndexes: createIndexesHelper(db, dryRun)
+            });
+            const durationMs = Date.now() - startedAt;
+
+            if (!dryRun) {
+                await collection.insertOne({
+                    _id: migration.name,
+                    version: migration.version,
+                    description: migration.description,
+                    result: result === undefined ? null : result,
+                    duration_ms: durationMs,
+                    applied_at: new Date()
+                });
+                await renewLock(collection, owner);
+            }
+
+            migrationLog.info(dryRun ? 'Migration would apply' : 'Migration applied', { result, duration_ms: durationMs });
+            ran.push({ name: migration.name, result, duration_ms: durationMs });
+        }
+
+        return ran;
+    } finally {
+        if (!dryRun) {
+            await releaseLock(collection, owner);
+        }
+    }
+};
+
+module.exports = {
+    COLLECTION_NAME,
+    loadMigrations,
+    getMigrationStatus,
+    runMigrations
+};
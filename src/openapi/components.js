@@ -0,0 +1,428 @@
+const { MAX_DURATION_MINUTES, WHEN_VALUES } = require('../utils/eventTime');
+
+/*
+ * Shared parts of the OpenAPI document: response schemas, parameters and
+ * the conversion of our request schemas (utils/schema.js) to JSON Schema.
+ *
+ * Response schemas describe what the controllers send, field for field -
+ * Event allows no other properties, so a field added to responses without
+ * being documented here fails the response check in test mode.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// A $ref can't carry nullable in OpenAPI 3.0 - wrap it
+const nullableRef = (name) => ({ allOf: [ref(name)], nullable: true });
+
+const string = (description, extra = {}) => ({ type: 'string', ...(description && { description }), ...extra });
+const integer = (description, extra = {}) => ({ type: 'integer', ...(description && { description }), ...extra });
+const dateTime = (description, extra = {}) => string(description, { format: 'date-time', ...extra });
+
+const DATETIME_INPUT_DESCRIPTION = 'ISO 8601 date/time. Without an offset (2024-03-15T10:00) it is local time in the event\'s timezone';
+
+/*
+ * What the request schemas' custom validate functions check, which
+ * JSON Schema can't express
+ */
+const FIELD_DESCRIPTIONS = {
+    schedule: 'Start. For a series, the first occurrence',
+    timezone: 'IANA time zone (Europe/Berlin). Defaults to the organization\'s',
+    duration: 'Minutes. Send duration or end, not both - the other is derived',
+    end: 'End of the (first) occurrence. Send duration or end, not both',
+    rrule: 'RFC 5545 recurrence rule (FREQ=WEEKLY;BYDAY=TU), repeating daily at most. null for a single event',
+    exdates: 'Cancelled occurrences of a series, by original start',
+    attendees: 'Initial attendee user IDs. Afterwards use /events/{id}/attendees',
+    rigor_rank: 'Difficulty ranking',
+    capacity: 'Maximum attendees; null for unlimited. Further RSVPs join the waitlist'
+};
+
+/*
+ * Request schema rule (utils/schema.js) -> JSON Schema.
+ * Bodies are checked by the request schemas themselves, in the controllers;
+ * this only documents them, so both can't disagree.
+ */
+const RULE_TYPES = {
+    string: () => ({ type: 'string' }),
+    integer: () => ({ type: 'integer' }),
+    number: () => ({ type: 'number' }),
+    boolean: () => ({ type: 'boolean' }),
+    date: () => ({ type: 'string', format: 'date-time' }),
+    datetime: () => ({ type: 'string', description: DATETIME_INPUT_DESCRIPTION, example: '2024-03-15T10:00' }),
+    array: (rule) => ({ type: 'array', ...(rule.items && { items: fromRule(rule.items) }) })
+};
+
+const fromRule = (rule, description) => {
+    const schema = RULE_TYPES[rule.type](rule);
+
+    if (description) {
+        schema.description = schema.description ? `${description}. ${schema.description}` : description;
+    }
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+    if (rule.min !== undefined) schema.minimum = rule.min;
+    if (rule.max !== undefined) schema.maximum = rule.max;
+    if (rule.enum) schema.enum = rule.enum;
+    if (rule.nullable) schema.nullable = true;
+    if (rule.default !== undefined) {
+        schema.default = typeof rule.default === 'function' ? rule.default() : rule.default;
+    }
+
+    return schema;
+};
+
+/**
+ * JSON Schema of a request body from its request schema
+ * @param {Object} schema - From defineSchema
+ * @param {Object} options
+ * @param {boolean} options.partial - Update: nothing required, non-updatable fields left out
+ * @param {Object} options.descriptions - Field name -> description
+ * @returns {Object}
+ */
+const fromSchema = (schema, { partial = false, descriptions = FIELD_DESCRIPTIONS } = {}) => {
+    const properties = {};
+    const required = [];
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        if (partial && rule.updatable === false) {
+            continue;
+        }
+        properties[field] = fromRule(rule, descriptions[field]);
+        if (!partial && rule.required) {
+            required.push(field);
+        }
+    }
+
+    for (const field of schema.ignored) {
+        properties[field] = { deprecated: true, description: 'Ignored if sent' };
+    }
+
+    return {
+        type: 'object',
+        properties,
+        ...(required.length > 0 && { required }),
+        additionalProperties: false
+    };
+};
+
+/**
+ * The same body as multipart/form-data: every part is text, arrays are
+ * sent as JSON ('["2024-03-22T10:00"]'), plus the image file
+ * @param {Object} jsonSchema - From fromSchema
+ * @param {boolean} imageRequired
+ * @returns {Object} OpenAPI media type object
+ */
+const toMultipart = (jsonSchema, imageRequired) => {
+    const arrays = Object.keys(jsonSchema.properties)
+        .filter((field) => jsonSchema.properties[field].type === 'array');
+
+    return {
+        schema: {
+            ...jsonSchema,
+            properties: {
+                ...jsonSchema.properties,
+                image: string('JPEG, PNG or WebP. Stored resized (thumbnail, card, full) in WebP and JPEG', { format: 'binary' })
+            },
+            ...(imageRequired && { required: [...(jsonSchema.required || []), 'image'] })
+        },
+        encoding: Object.fromEntries(arrays.map((field) => [field, { contentType: 'application/json' }]))
+    };
+};
+
+const schemas = {
+    ObjectId: string('MongoDB ObjectId', { format: 'objectid', pattern: '^[0-9a-fA-F]{24}$', example: '65f1c0ffee0000000000a1b2' }),
+
+    Error: {
+        type: 'object',
+        required: ['success', 'error'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            error: string('What went wrong'),
+            requestId: string('X-Request-Id of the request - quote it to support'),
+            errors: {
+                type: 'array',
+                description: 'Every invalid field, for validation errors',
+                items: {
+                    type: 'object',
+                    required: ['message'],
+                    properties: {
+                        field: string(),
+                        message: string()
+                    },
+                    additionalProperties: false
+                }
+            },
+            stack: string('Development only')
+        },
+        additionalProperties: false
+    },
+
+    LocalTimes: {
+        type: 'object',
+        description: 'The event\'s times in its own timezone',
+        required: ['timezone'],
+        properties: {
+            timezone: string(),
+            schedule: string(null, { example: '2024-03-15T10:00:00-04:00' }),
+            end: string(null, { example: '2024-03-15T11:30:00-04:00' })
+        },
+        additionalProperties: false
+    },
+
+    ImageVariants: {
+        type: 'object',
+        description: 'Resized copies by variant (thumbnail, card, full)',
+        additionalProperties: {
+            type: 'object',
+            properties: {
+                width: integer(),
+                height: integer(),
+                webp: string(),
+                jpeg: string()
+            }
+        }
+    },
+
+    OccurrenceOverride: {
+        type: 'object',
+        required: ['occurrence'],
+        properties: {
+            occurrence: dateTime('Original start of the edited occurrence'),
+            name: string(),
+            tagline: string(),
+            description: string(),
+            moderator: string(),
+            schedule: dateTime('New start')
+        },
+        additionalProperties: false
+    },
+
+    Event: {
+        type: 'object',
+        required: ['_id', 'name', 'schedule', 'local'],
+        properties: {
+            _id: ref('ObjectId'),
+            id: { allOf: [ref('ObjectId')], description: 'Same as _id (create response only)' },
+            type: string(null, { enum: ['event'] }),
+            org_id: string('Organization'),
+            uid: integer('Owner (user id from the token)'),
+            name: string(),
+            tagline: string(),
+            description: string(),
+            moderator: string(),
+            category: string(),
+            sub_category: string(),
+            rigor_rank: integer(FIELD_DESCRIPTIONS.rigor_rank),
+            capacity: integer(FIELD_DESCRIPTIONS.capacity, { nullable: true }),
+            schedule: dateTime(FIELD_DESCRIPTIONS.schedule),
+            timezone: string(FIELD_DESCRIPTIONS.timezone),
+            duration: integer('Minutes', { nullable: true, minimum: 1, maximum: MAX_DURATION_MINUTES }),
+            end: dateTime('schedule + duration', { nullable: true }),
+            ends_at: dateTime('When it\'s all over - the end of the last occurrence for a series, null while it repeats forever', { nullable: true }),
+            image: string('Full-size JPEG (null for imported events)', { nullable: true }),
+            images: nullableRef('ImageVariants'),
+            rrule: string(FIELD_DESCRIPTIONS.rrule, { nullable: true }),
+            exdates: { type: 'array', items: dateTime(), description: FIELD_DESCRIPTIONS.exdates },
+            occurrence_overrides: { type: 'array', items: ref('OccurrenceOverride') },
+            recurrence_end: dateTime('No occurrence starts later (the rule\'s UNTIL, or its last COUNTed occurrence); null for a single event or an endless series', { nullable: true }),
+            attendees: { type: 'array', items: string() },
+            waitlist: { type: 'array', items: string() },
+            revision: integer('Audited changes so far (see /events/{id}/history)'),
+            version: integer('Every write, RSVPs included - the ETag'),
+            created_at: dateTime(),
+            updated_at: dateTime(),
+            deleted_at: dateTime('Trashed events only', { nullable: true }),
+            deleted_by: integer('Trashed events only'),
+            purge_at: dateTime('Trash listing only: when the event is deleted for good'),
+            score: { type: 'number', description: 'Search with q only: relevance' },
+            series_id: { allOf: [ref('ObjectId')], description: 'Window listings only: the series this occurrence belongs to' },
+            occurrence: dateTime('Window listings only: original start of this occurrence'),
+            modified: { type: 'boolean', description: 'Window listings only: the occurrence has been edited' },
+            local: ref('LocalTimes')
+        },
+        additionalProperties: false
+    },
+
+    PagePagination: {
+        type: 'object',
+        required: ['currentPage', 'totalPages', 'totalEvents', 'eventsPerPage', 'hasNextPage', 'hasPrevPage'],
+        properties: {
+            currentPage: integer(),
+            totalPages: integer(),
+            totalEvents: integer(),
+            eventsPerPage: integer(),
+            hasNextPage: { type: 'boolean' },
+            hasPrevPage: { type: 'boolean' }
+        },
+        additionalProperties: false
+    },
+
+    CursorPagination: {
+        type: 'object',
+        required: ['eventsPerPage', 'hasNextPage', 'hasPrevPage', 'nextCursor', 'prevCursor'],
+        properties: {
+            eventsPerPage: integer(),
+            hasNextPage: { type: 'boolean' },
+            hasPrevPage: { type: 'boolean' },
+            nextCursor: string('Pass as ?cursor= for the next page', { nullable: true }),
+            prevCursor: string('Pass as ?cursor= for the previous page', { nullable: true })
+        },
+        additionalProperties: false
+    },
+
+    FacetCount: {
+        type: 'object',
+        required: ['value', 'count'],
+        properties: {
+            value: string(null, { nullable: true }),
+            count: integer()
+        },
+        additionalProperties: false
+    },
+
+    Revision: {
+        type: 'object',
+        required: ['_id', 'event_id', 'revision', 'action', 'created_at', 'changes'],
+        properties: {
+            _id: ref('ObjectId'),
+            org_id: string(),
+            event_id: ref('ObjectId'),
+            revision: integer('The event\'s revision counter after the change'),
+            action: string(null, {
+                enum: ['create', 'update', 'delete', 'restore', 'revert', 'occurrence_update', 'occurrence_cancel', 'purge', 'recategorize']
+            }),
+            actor: {
+                type: 'object',
+                nullable: true,
+                description: 'null for system jobs',
+                properties: {
+                    uid: integer(),
+                    roles: { type: 'array', items: string() }
+                }
+            },
+            request_id: string(null, { nullable: true }),
+            created_at: dateTime(),
+            changes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['field'],
+                    properties: {
+                        field: string(),
+                        from: { description: 'Value before (null if unset)' },
+                        to: { description: 'Value after (null if unset)' }
+                    }
+                }
+            }
+        },
+        // Action-specific extras: occurrence, reverted_to, source, category_id...
+        additionalProperties: true
+    },
+
+    RsvpStatus: {
+        type: 'object',
+        required: ['eventId', 'userId', 'status'],
+        properties: {
+            eventId: ref('ObjectId'),
+            userId: string(),
+            status: string(null, { enum: ['attending', 'waitlisted'] })
+        },
+        additionalProperties: false
+    },
+
+    ImportRow: {
+        type: 'object',
+        required: ['row', 'status'],
+        properties: {
+            row: integer('Data row, from 1 (CSV header and blank lines not counted)'),
+            status: string(null, { enum: ['created', 'valid', 'error'] }),
+            id: ref('ObjectId'),
+            errors: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['message'],
+                    properties: { field: string(), message: string() }
+                }
+            }
+        },
+        additionalProperties: false
+    }
+};
+
+const parameters = {
+    EventId: {
+        name: 'id',
+        in: 'path',
+        required: true,
+        description: 'Event ID',
+        schema: ref('ObjectId')
+    },
+    OrgId: {
+        name: 'X-Org-Id',
+        in: 'header',
+        required: false,
+        description: 'Organization to act in, unless given by the subdomain or the token',
+        schema: string()
+    },
+    Limit: {
+        name: 'limit',
+        in: 'query',
+        description: 'Items per page',
+        schema: integer(null, { minimum: 1, maximum: 100, default: 10 })
+    },
+    Page: {
+        name: 'page',
+        in: 'query',
+        description: 'Page number, from 1',
+        schema: integer(null, { minimum: 1, default: 1 })
+    },
+    IfMatch: {
+        name: 'If-Match',
+        in: 'header',
+        required: false,
+        description: 'ETag of the version the change is based on - 412 if the event has changed since',
+        schema: string(null, { example: '"7"' })
+    }
+};
+
+// The type=search filters, shared by search, export and (partly) the feed
+const searchFilterParameters = {
+    q: { name: 'q', in: 'query', description: 'Keywords (name, tagline, description)', schema: string(null, { minLength: 1 }) },
+    category: { name: 'category', in: 'query', description: 'Comma-separated list (Tech,Design)', schema: string(null, { minLength: 1 }) },
+    sub_category: { name: 'sub_category', in: 'query', description: 'Comma-separated list', schema: string(null, { minLength: 1 }) },
+    moderator: { name: 'moderator', in: 'query', schema: string() },
+    rigor_min: { name: 'rigor_min', in: 'query', schema: integer() },
+    rigor_max: { name: 'rigor_max', in: 'query', schema: integer() },
+    from: { name: 'from', in: 'query', description: 'ISO 8601; without an offset, in the organization\'s timezone', schema: string() },
+    to: { name: 'to', in: 'query', description: 'ISO 8601; without an offset, in the organization\'s timezone', schema: string() },
+    when: { name: 'when', in: 'query', description: 'Relative to now', schema: string(null, { enum: WHEN_VALUES }) }
+};
+
+const responses = {
+    Error: {
+        description: 'Error',
+        content: { 'application/json': { schema: ref('Error') } }
+    }
+};
+
+const securitySchemes = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'uid (or sub), roles and org_id claims'
+    }
+};
+
+module.exports = {
+    ref,
+    string,
+    integer,
+    dateTime,
+    fromSchema,
+    toMultipart,
+    schemas,
+    parameters,
+    searchFilterParameters,
+    responses,
+    securitySchemes
+};
@@ -0,0 +1,233 @@
+const { authenticate } = require('../middleware/auth');
+const { ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { version } = require('../../package.json');
+const { schemas, parameters, responses, securitySchemes } = require('./components');
+const { operations } = require('./operations');
+const { validateValue, resolveSchema } = require('./validate');
+
+/*
+ * OpenAPI 3 document of the API, generated from the routers.
+ *
+ * Every route names its operation with operation('<operationId>'), placed
+ * right before the controller. Paths and methods come from the routers
+ * themselves - a route without an operation fails the build (when the
+ * app loads, see docsController.js), so nothing goes undocumented - and
+ * routes behind authenticate get bearer auth.
+ * Parameters, bodies and responses come from operations.js.
+ *
+ * The same middleware holds requests to the document: path and query
+ * parameters, and JSON bodies not already covered by a request schema,
+ * are rejected with 400 before the controller runs. With NODE_ENV=test
+ * every JSON response is checked against it too, and a mismatch answered
+ * with 500 - so the document can't fall behind the code unnoticed.
+ */
+
+const OPENAPI_VERSION = '3.0.3';
+
+const components = { schemas, parameters, responses, securitySchemes };
+
+const resolveParameter = (parameter) => (parameter.$ref
+    ? parameters[parameter.$ref.replace('#/components/parameters/', '')]
+    : parameter);
+
+/*
+ * Query strings are text - numbers and booleans are parsed before checking.
+ * Anything unparseable stays a string and fails the type check.
+ */
+const parseParameter = (schema, raw) => {
+    switch (schema.type) {
+        case 'integer':
+            return /^-?\d+$/.test(raw) ? Number(raw) : raw;
+        case 'number':
+            return raw.trim() !== '' && isFinite(Number(raw)) ? Number(raw) : raw;
+        case 'boolean':
+            return raw === 'true' || raw === 'false' ? raw === 'true' : raw;
+        default:
+            return raw;
+    }
+};
+
+/*
+ * Path and query parameters. Headers are left to their middleware
+ * (X-Org-Id: tenant, If-Match/If-None-Match: the controllers).
+ * An empty non-string query value (?limit=) counts as not sent.
+ */
+const validateParameters = (definition, req) => {
+    const errors = [];
+
+    for (const parameter of (definition.parameters || []).map(resolveParameter)) {
+        const source = { path: req.params, query: req.query }[parameter.in];
+        if (!source) {
+            continue;
+        }
+
+        const raw = source[parameter.name];
+        const schema = resolveSchema(parameter.schema, components);
+
+        if (raw === undefined || (raw === '' && schema.type !== 'string')) {
+            if (parameter.required) {
+                errors.push({ field: parameter.name, message: `${parameter.name} is required` });
+            }
+            continue;
+        }
+        if (typeof raw !== 'string') {
+            errors.push({ field: parameter.name, message: `${parameter.name} must be given once` });
+            continue;
+        }
+
+        errors.push(...validateValue(parameter.schema, parseParameter(schema, raw), { name: parameter.name, components }));
+    }
+
+    return errors;
+};
+
+// JSON bodies of operations without a request schema (those check their own)
+const validateBody = (definition, req) => {
+    const content = definition.requestBody && definition.requestBody.content['application/json'];
+    if (!content || definition.requestSchema || !req.is('application/json')) {
+        return [];
+    }
+    return validateValue(content.schema, req.body, { name: 'body', components });
+};
+
+const getResponseSchema = (definition, statusCode) => {
+    const response = definition.responses[statusCode] || responses.Error;
+    const content = response.content && response.content['application/json'];
+    return content ? content.schema : null;
+};
+
+/*
+ * Test mode: check what the controller sends before it goes out.
+ * Bodies are compared as the client gets them (dates and ObjectIds as strings).
+ */
+const checkResponses = (operationId, definition, req, res) => {
+    const send = res.json.bind(res);
+
+    res.json = (body) => {
+        const schema = getResponseSchema(definition, res.statusCode);
+        const errors = schema
+            ? validateValue(schema, JSON.parse(JSON.stringify(body)), { name: 'response', components })
+            : [{ field: 'response', message: `${res.statusCode} JSON responses are not documented` }];
+
+        if (errors.length === 0) {
+            return send(body);
+        }
+
+        (req.log || logger).error('Response does not match the OpenAPI document', {
+            operation_id: operationId,
+            status: res.statusCode,
+            errors
+        });
+        res.removeHeader('ETag');
+        res.status(500);
+        return send({
+            success: false,
+            error: `Response does not match the OpenAPI document (${operationId})`,
+            requestId: req.id,
+            errors
+        });
+    };
+};
+
+/**
+ * Middleware naming a route's operation and validating requests against it
+ * @param {string} operationId - Key in operations.js
+ * @returns {Function} Express middleware (with .operationId for the document build)
+ */
+const operation = (operationId) => {
+    const definition = operations[operationId];
+    if (!definition) {
+        throw new Error(`Unknown OpenAPI operation: ${operationId}`);
+    }
+
+    const middleware = (req, res, next) => {
+        if (process.env.NODE_ENV === 'test') {
+            checkResponses(operationId, definition, req, res);
+        }
+
+        const errors = validateParameters(definition, req).concat(validateBody(definition, req));
+        if (errors.length > 0) {
+            return next(new ValidationError(errors));
+        }
+        next();
+    };
+    middleware.operationId = operationId;
+
+    return middleware;
+};
+
+const describeOperation = (operationId, method, path, authenticated) => {
+    // requestSchema is ours, not OpenAPI - the body it generated is already in requestBody
+    const { requestSchema, ...definition } = operations[operationId];
+    const documentedParameters = (definition.parameters || []).map(resolveParameter);
+
+    // Path parameters and the route must agree
+    for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+        if (!documentedParameters.some((parameter) => parameter.in === 'path' && parameter.name === name)) {
+            throw new Error(`${method.toUpperCase()} ${path}: path parameter ${name} is not documented in ${operationId}`);
+        }
+    }
+
+    return {
+        operationId,
+        ...definition,
+        parameters: [...(definition.parameters || []), { $ref: '#/components/parameters/OrgId' }],
+        ...(authenticated && { security: [{ bearerAuth: [] }] }),
+        responses: {
+            ...definition.responses,
+            default: { $ref: '#/components/responses/Error' }
+        }
+    };
+};
+
+/**
+ * Build the OpenAPI document from routers
+ * @param {Object} options
+ * @param {string} options.basePath - Where the routers are mounted (/api/v3/app)
+ * @param {Array<Function>} options.routers - Express routers
+ * @returns {Object} OpenAPI 3 document
+ * @throws {Error} If a route has no operation
+ */
+const buildDocument = ({ basePath, routers }) => {
+    const paths = {};
+
+    for (const router of routers) {
+        for (const layer of router.stack) {
+            if (!layer.route) {
+                continue;
+            }
+
+            const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+            const named = handlers.find((handler) => handler.operationId);
+            const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+
+            for (const method of Object.keys(layer.route.methods).filter((name) => name !== '_all')) {
+                if (!named) {
+                    throw new Error(`${method.toUpperCase()} ${path} has no operation() - document it in src/openapi/operations.js`);
+                }
+                paths[path] = paths[path] || {};
+                paths[path][method] = describeOperation(named.operationId, method, path, handlers.includes(authenticate));
+            }
+        }
+    }
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'Events API',
+            version,
+            description: 'Events, RSVPs, recurring series, calendar feeds and bulk import/export. ' +
+                'Every request runs in one organization (X-Org-Id header, subdomain or token claim).'
+        },
+        servers: [{ url: basePath }],
+        paths,
+        components
+    };
+};
+
+module.exports = {
+    OPENAPI_VERSION,
+    operation,
+    buildDocument
+};
@@ -0,0 +1,426 @@
+const eventSchema = require('../schemas/eventSchema');
+const occurrenceSchema = require('../schemas/occurrenceSchema');
+const {
+    ref,
+    string,
+    integer,
+    dateTime,
+    fromSchema,
+    toMultipart,
+    searchFilterParameters
+} = require('./components');
+
+/*
+ * Operations of the event routes (routes/eventRoutes.js), by operationId.
+ * Each route names its operation with the operation() middleware; the
+ * path and authentication come from the route itself.
+ *
+ * requestSchema marks bodies checked by a request schema (utils/schema.js)
+ * in the controller - the documented body is generated from it. Any other
+ * JSON requestBody is checked by the operation middleware.
+ */
+
+const success = { type: 'boolean', enum: [true] };
+
+/**
+ * JSON response envelope: { success: true, message?, data, ... }
+ * @param {Object} data - Schema of data
+ * @param {Object} extra - Further top-level properties
+ * @returns {Object}
+ */
+const envelope = (data, extra = {}) => ({
+    type: 'object',
+    required: ['success', 'data', ...Object.keys(extra)],
+    properties: { success, message: string(), data, ...extra },
+    additionalProperties: false
+});
+
+const json = (description, schema, extra = {}) => ({
+    description,
+    content: { 'application/json': { schema } },
+    ...extra
+});
+
+const etagHeader = {
+    ETag: { description: 'Version of the event, for If-None-Match and If-Match', schema: string() }
+};
+
+const eventResponse = (description) => json(description, envelope(ref('Event')), { headers: etagHeader });
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, ...(description && { description }) });
+
+const updateBody = fromSchema(eventSchema, { partial: true });
+
+const operations = {
+    listEvents: {
+        tags: ['Events'],
+        summary: 'Get an event, or list, search or trash events',
+        description: [
+            'One endpoint, four modes:',
+            '- `?id=` - a single event (ETag / If-None-Match supported)',
+            '- `?type=latest` - latest first; `page`, or `cursor` for keyset paging, or a `from`/`to` window with recurring series expanded into occurrences',
+            '- `?type=search` - keyword search and filters, with category facets',
+            '- `?type=trash` - your deleted events (needs a token)'
+        ].join('\n'),
+        // Only type=trash needs a token
+        security: [{}, { bearerAuth: [] }],
+        parameters: [
+            query('id', ref('ObjectId'), 'Get this one event'),
+            query('type', string(null, { enum: ['latest', 'search', 'trash'] })),
+            { $ref: '#/components/parameters/Limit' },
+            { $ref: '#/components/parameters/Page' },
+            query('cursor', string(), 'type=latest: keyset paging. Empty for the first page, then nextCursor/prevCursor'),
+            ...Object.values(searchFilterParameters),
+            { name: 'If-None-Match', in: 'header', schema: string(), description: '?id= only: ETag of a cached copy' }
+        ],
+        responses: {
+            200: json('The event (?id=) or a page of events', {
+                type: 'object',
+                required: ['success', 'data'],
+                properties: {
+                    success,
+                    data: {
+                        oneOf: [ref('Event'), { type: 'array', items: ref('Event') }]
+                    },
+                    facets: {
+                        type: 'object',
+                        description: 'type=search only: counts over every match',
+                        required: ['category', 'sub_category'],
+                        properties: {
+                            category: { type: 'array', items: ref('FacetCount') },
+                            sub_category: { type: 'array', items: ref('FacetCount') }
+                        },
+                        additionalProperties: false
+                    },
+                    pagination: { oneOf: [ref('PagePagination'), ref('CursorPagination')] }
+                },
+                additionalProperties: false
+            }, { headers: etagHeader }),
+            304: { description: '?id= with a matching If-None-Match: not modified' }
+        }
+    },
+
+    streamEvents: {
+        tags: ['Events'],
+        summary: 'Stream event changes (Server-Sent Events)',
+        description: 'Message event names are the change type (created, updated, deleted, restored); data is JSON ' +
+            '{ id, type, org_id, event_id, category, sub_category, version, at, data }, data being the event after the change (null when deleted).',
+        parameters: [
+            query('category', string(null, { minLength: 1 }), 'Comma-separated list'),
+            query('id', string(null, { minLength: 1 }), 'Comma-separated event IDs')
+        ],
+        responses: {
+            200: { description: 'Stream of changes', content: { 'text/event-stream': { schema: string() } } }
+        }
+    },
+
+    getEventFeed: {
+        tags: ['Calendar'],
+        summary: 'Subscribable iCalendar feed',
+        parameters: [searchFilterParameters.category, searchFilterParameters.sub_category, searchFilterParameters.moderator],
+        responses: {
+            200: { description: 'iCalendar feed', content: { 'text/calendar': { schema: string() } } }
+        }
+    },
+
+    getEventIcs: {
+        tags: ['Calendar'],
+        summary: 'Download an event as iCalendar',
+        parameters: [{ $ref: '#/components/parameters/EventId' }],
+        responses: {
+            200: { description: 'iCalendar file', content: { 'text/calendar': { schema: string() } } }
+        }
+    },
+
+    importEvents: {
+        tags: ['Import/Export'],
+        summary: 'Bulk import events from CSV or NDJSON',
+        description: 'Every row is validated like POST /events (without the image). Invalid rows are reported and skipped. ' +
+            'Columns that exports add (_id, uid, image, created_at, updated_at) are ignored.',
+        parameters: [
+            query('format', string(null, { enum: ['csv', 'ndjson'] }), 'Defaults to the Content-Type'),
+            query('dry_run', { type: 'boolean', default: false }, 'Only validate')
+        ],
+        requestBody: {
+            required: true,
+            content: {
+                'text/csv': { schema: string('Header row, then one event per row. Arrays as JSON') },
+                'application/x-ndjson': { schema: string('One JSON event per line') }
+            }
+        },
+        responses: {
+            200: json('Per-row results', envelope({
+                type: 'object',
+                required: ['dryRun', 'total', 'failed', 'rows'],
+                properties: {
+                    dryRun: { type: 'boolean' },
+                    total: integer(),
+                    created: integer('Import only'),
+                    valid: integer('Dry run only'),
+                    failed: integer(),
+                    rows: { type: 'array', items: ref('ImportRow') }
+                },
+                additionalProperties: false
+            }))
+        }
+    },
+
+    exportEvents: {
+        tags: ['Import/Export'],
+        summary: 'Export events as CSV or NDJSON',
+        description: 'Filters as for type=search. The output can be imported again.',
+        parameters: [
+            query('format', string(null, { enum: ['csv', 'ndjson'], default: 'csv' })),
+            ...Object.values(searchFilterParameters)
+        ],
+        responses: {
+            200: {
+                description: 'Matching events, latest first',
+                content: {
+                    'text/csv': { schema: string() },
+                    'application/x-ndjson': { schema: string() }
+                }
+            }
+        }
+    },
+
+    createEvent: {
+        tags: ['Events'],
+        summary: 'Create an event',
+        description: 'Multipart form with the image. The owner is the token\'s user.',
+        requestSchema: eventSchema,
+        requestBody: {
+            required: true,
+            content: { 'multipart/form-data': toMultipart(fromSchema(eventSchema), true) }
+        },
+        responses: {
+            201: eventResponse('Created')
+        }
+    },
+
+    updateEvent: {
+        tags: ['Events'],
+        summary: 'Update an event',
+        description: 'Only the fields sent change. Multipart to replace the image, or JSON. Owner or admin.',
+        requestSchema: eventSchema,
+        parameters: [{ $ref: '#/components/parameters/EventId' }, { $ref: '#/components/parameters/IfMatch' }],
+        requestBody: {
+            required: true,
+            content: {
+                'multipart/form-data': toMultipart(updateBody, false),
+                'application/json': { schema: updateBody }
+            }
+        },
+        responses: {
+            200: eventResponse('Updated')
+        }
+    },
+
+    deleteEvent: {
+        tags: ['Events'],
+        summary: 'Move an event to the trash',
+        description: 'It can be restored until purged. Owner or admin.',
+        parameters: [{ $ref: '#/components/parameters/EventId' }, { $ref: '#/components/parameters/IfMatch' }],
+        responses: {
+            200: json('Trashed', envelope({
+                type: 'object',
+                required: ['deletedId', 'purgeAt'],
+                properties: {
+                    deletedId: ref('ObjectId'),
+                    purgeAt: dateTime('When it is deleted for good')
+                },
+                additionalProperties: false
+            }))
+        }
+    },
+
+    restoreEvent: {
+        tags: ['Events'],
+        summary: 'Take an event out of the trash',
+        parameters: [{ $ref: '#/components/parameters/EventId' }],
+        responses: {
+            200: eventResponse('Restored')
+        }
+    },
+
+    getEventHistory: {
+        tags: ['History'],
+        summary: 'Revision history of an event',
+        description: 'Newest first. Owner or admin.',
+        parameters: [
+            { $ref: '#/components/parameters/EventId' },
+            { $ref: '#/components/parameters/Limit' },
+            { $ref: '#/components/parameters/Page' }
+        ],
+        responses: {
+            200: json('Revisions', envelope({ type: 'array', items: ref('Revision') }, {
+                pagination: {
+                    type: 'object',
+                    required: ['currentPage', 'totalPages', 'totalRevisions', 'revisionsPerPage', 'hasNextPage', 'hasPrevPage'],
+                    properties: {
+                        currentPage: integer(),
+                        totalPages: integer(),
+                        totalRevisions: integer(),
+                        revisionsPerPage: integer(),
+                        hasNextPage: { type: 'boolean' },
+                        hasPrevPage: { type: 'boolean' }
+                    },
+                    additionalProperties: false
+                }
+            }))
+        }
+    },
+
+    revertEvent: {
+        tags: ['History'],
+        summary: 'Revert an event to an earlier revision',
+        description: 'The revert is a new revision. Images and RSVPs are not reverted.',
+        parameters: [{ $ref: '#/components/parameters/EventId' }],
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        required: ['revision'],
+                        properties: { revision: integer('Revision to go back to', { minimum: 1 }) }
+                    }
+                }
+            }
+        },
+        responses: {
+            200: eventResponse('Reverted')
+        }
+    },
+
+    updateOccurrence: {
+        tags: ['Recurrence'],
+        summary: 'Edit one occurrence of a recurring event',
+        description: 'Repeated edits of the same occurrence are merged. Owner or admin.',
+        requestSchema: occurrenceSchema,
+        parameters: [
+            { $ref: '#/components/parameters/EventId' },
+            {
+                name: 'occurrence',
+                in: 'path',
+                required: true,
+                description: 'Original start of the occurrence (the `occurrence` field of window listings). Without an offset, in the event\'s timezone',
+                schema: string()
+            },
+            { $ref: '#/components/parameters/IfMatch' }
+        ],
+        requestBody: {
+            required: true,
+            content: { 'application/json': { schema: fromSchema(occurrenceSchema, { partial: true }) } }
+        },
+        responses: {
+            200: json('The occurrence as edited', envelope(ref('Event')), { headers: etagHeader })
+        }
+    },
+
+    cancelOccurrence: {
+        tags: ['Recurrence'],
+        summary: 'Cancel one occurrence of a recurring event',
+        description: 'Recorded as an exdate; the series goes on. Owner or admin.',
+        parameters: [
+            { $ref: '#/components/parameters/EventId' },
+            { name: 'occurrence', in: 'path', required: true, description: 'Original start of the occurrence', schema: string() },
+            { $ref: '#/components/parameters/IfMatch' }
+        ],
+        responses: {
+            200: json('Cancelled', envelope({
+                type: 'object',
+                required: ['seriesId', 'occurrence'],
+                properties: {
+                    seriesId: ref('ObjectId'),
+                    occurrence: dateTime()
+                },
+                additionalProperties: false
+            }))
+        }
+    },
+
+    getAttendees: {
+        tags: ['Attendees'],
+        summary: 'List attendees or the waitlist',
+        parameters: [
+            { $ref: '#/components/parameters/EventId' },
+            { $ref: '#/components/parameters/Limit' },
+            { $ref: '#/components/parameters/Page' },
+            query('list', string(null, { enum: ['attendees', 'waitlist'], default: 'attendees' }))
+        ],
+        responses: {
+            200: json('A page of user IDs', envelope({ type: 'array', items: string() }, {
+                capacity: integer('null for unlimited', { nullable: true }),
+                attendeeCount: integer(),
+                waitlistCount: integer(),
+                pagination: {
+                    type: 'object',
+                    required: ['currentPage', 'totalPages', 'totalAttendees', 'attendeesPerPage', 'hasNextPage', 'hasPrevPage'],
+                    properties: {
+                        currentPage: integer(),
+                        totalPages: integer(),
+                        totalAttendees: integer(),
+                        attendeesPerPage: integer(),
+                        hasNextPage: { type: 'boolean' },
+                        hasPrevPage: { type: 'boolean' }
+                    },
+                    additionalProperties: false
+                }
+            }))
+        }
+    },
+
+    addAttendee: {
+        tags: ['Attendees'],
+        summary: 'RSVP',
+        description: 'Takes a seat if one is free, otherwise joins the waitlist. Repeating an RSVP returns the current status with 200.',
+        parameters: [{ $ref: '#/components/parameters/EventId' }],
+        requestBody: {
+            required: false,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: {
+                            user_id: {
+                                description: 'RSVP someone else (event owner or admin). Defaults to yourself',
+                                anyOf: [string(null, { minLength: 1 }), integer()]
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        responses: {
+            200: json('Already registered', envelope(ref('RsvpStatus'))),
+            201: json('Registered', envelope(ref('RsvpStatus')))
+        }
+    },
+
+    removeAttendee: {
+        tags: ['Attendees'],
+        summary: 'Cancel an RSVP or leave the waitlist',
+        description: 'A freed seat goes to the head of the waitlist.',
+        parameters: [
+            { $ref: '#/components/parameters/EventId' },
+            query('user_id', string(null, { minLength: 1 }), 'Remove someone else (event owner or admin)')
+        ],
+        responses: {
+            200: json('Removed', envelope({
+                type: 'object',
+                required: ['eventId', 'userId', 'promoted'],
+                properties: {
+                    eventId: ref('ObjectId'),
+                    userId: string(),
+                    promoted: { type: 'array', items: string(), description: 'Moved from the waitlist into the freed seat' }
+                },
+                additionalProperties: false
+            }))
+        }
+    }
+};
+
+module.exports = {
+    operations
+};
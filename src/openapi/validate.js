@@ -0,0 +1,187 @@
+/*
+ * JSON Schema checks for the OpenAPI document - just the keywords it uses:
+ * $ref (to #/components/schemas), type, nullable, enum, format, pattern,
+ * minLength/maxLength, minimum/maximum, items, properties, required,
+ * additionalProperties and oneOf/anyOf/allOf.
+ *
+ * Messages read like the schema layer's (utils/schema.js):
+ * "limit must be at most 100", "data.0.schedule is required".
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+const FORMATS = {
+    'date-time': {
+        test: (value) => DATE_TIME_PATTERN.test(value) && !isNaN(Date.parse(value)),
+        message: 'must be an ISO 8601 date/time with an offset'
+    },
+    objectid: {
+        test: (value) => OBJECT_ID_PATTERN.test(value),
+        message: 'must be a valid ID (24 hex characters)'
+    }
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (type, value) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    array: 'an array',
+    object: 'an object'
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+/**
+ * Resolve a local $ref ("#/components/schemas/Event")
+ * @param {Object} schema
+ * @param {Object} components - The document's components
+ * @returns {Object}
+ */
+const resolveSchema = (schema, components) => {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+        const name = resolved.$ref.replace('#/components/schemas/', '');
+        resolved = components.schemas[name];
+        if (!resolved) {
+            throw new Error(`Unknown schema ${schema.$ref}`);
+        }
+    }
+    return resolved;
+};
+
+// context: { components, name (for the value itself), errors }
+const check = (schema, value, path, context) => {
+    schema = resolveSchema(schema, context.components);
+    const label = path || context.name;
+    const fail = (message) => context.errors.push({ field: label, message: `${label} ${message}` });
+
+    if (value === null) {
+        if (!schema.nullable && schema.type !== undefined) {
+            fail('must not be null');
+        }
+        return;
+    }
+
+    if (schema.allOf) {
+        schema.allOf.forEach((part) => check(part, value, path, context));
+    }
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+        if (schema[keyword]) {
+            const results = schema[keyword].map((option) => {
+                const optionErrors = [];
+                check(option, value, path, { ...context, errors: optionErrors });
+                return optionErrors;
+            });
+            const matching = results.filter((optionErrors) => optionErrors.length === 0).length;
+
+            if (matching === 0) {
+                // The closest shape - of the right type, fewest problems - says best what's wrong
+                const distance = (i) => {
+                    const option = resolveSchema(schema[keyword][i], context.components);
+                    return option.type && !matchesType(option.type, value) ? Infinity : results[i].length;
+                };
+                const closest = results.reduce((best, optionErrors, i) => (distance(i) < distance(best) ? i : best), 0);
+                context.errors.push(...results[closest]);
+            } else if (keyword === 'oneOf' && matching > 1) {
+                fail('matches more than one of the allowed shapes');
+            }
+        }
+    }
+
+    if (schema.type !== undefined && !matchesType(schema.type, value)) {
+        fail(`must be ${TYPE_NAMES[schema.type]}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    if (typeof value === 'string') {
+        const format = FORMATS[schema.format];
+        if (format && !format.test(value)) {
+            fail(format.message);
+        } else if (!format && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match ${schema.pattern}`);
+        }
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be ${schema.maxLength} characters or less`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => check(schema.items, item, join(path, i), context));
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+
+        for (const field of schema.required || []) {
+            if (value[field] === undefined) {
+                context.errors.push({ field: join(path, field), message: `${join(path, field)} is required` });
+            }
+        }
+
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (fieldValue === undefined) {
+                continue;
+            }
+            if (properties[field]) {
+                check(properties[field], fieldValue, join(path, field), context);
+            } else if (schema.additionalProperties === false) {
+                context.errors.push({ field: join(path, field), message: `${join(path, field)} is not an allowed field` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, fieldValue, join(path, field), context);
+            }
+        }
+    }
+};
+
+/**
+ * Check a value against a schema from the OpenAPI document
+ * @param {Object} schema
+ * @param {*} value - Already parsed (JSON types)
+ * @param {Object} options
+ * @param {string} options.name - What the value is called in messages ("limit", "body");
+ *   its properties are named by their path ("data.0.schedule")
+ * @param {Object} options.components - The document's components, for $ref
+ * @returns {Array<{field: string, message: string}>} Empty if valid
+ */
+const validateValue = (schema, value, { name, components }) => {
+    const errors = [];
+    check(schema, value, '', { components, name, errors });
+    return errors;
+};
+
+module.exports = {
+    validateValue,
+    resolveSchema
+};
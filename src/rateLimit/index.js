@@ -0,0 +1,37 @@
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+/*
+ * Rate limit store registry.
+ * A store exposes consume(key, { capacity, refillPerMs }) -> Promise<{ allowed, tokens }>:
+ * refill the key's token bucket for the time passed, take one token if there
+ * is one, and report whether it did and how many are left.
+ */
+const stores = {
+    memory: () => createMemoryStore(),
+    mongo: () => createMongoStore()
+};
+
+// Store is created lazily once - env config is read at first use
+let store = null;
+
+/**
+ * Get the configured rate limit store (RATE_LIMIT_STORE, default "memory")
+ * @returns {Object} Store
+ */
+const getRateLimitStore = () => {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!stores[name]) {
+            throw new Error(`Unknown rate limit store: ${name}. Available: ${Object.keys(stores).join(', ')}`);
+        }
+        store = stores[name]();
+    }
+    return store;
+};
+
+module.exports = {
+    getRateLimitStore,
+    createMemoryStore,
+    createMongoStore
+};
@@ -0,0 +1,43 @@
+/*
+ * In-process token buckets - for a single instance, or when each instance
+ * may enforce its own limit. Counters are lost on restart.
+ */
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const buckets = new Map();
+
+    // A bucket that has refilled completely is the same as no bucket - drop it
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (now >= bucket.fullAt) {
+                buckets.delete(key);
+            }
+        }
+    }, sweepIntervalMs);
+    sweep.unref();
+
+    const consume = async (key, { capacity, refillPerMs }) => {
+        const now = Date.now();
+        const bucket = buckets.get(key);
+
+        let tokens = bucket
+            ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+            : capacity;
+
+        const allowed = tokens >= 1;
+        if (allowed) {
+            tokens -= 1;
+        }
+
+        buckets.set(key, { tokens, updatedAt: now, fullAt: now + (capacity - tokens) / refillPerMs });
+
+        return { allowed, tokens };
+    };
+
+    return {
+        name: 'memory',
+        consume
+    };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,84 @@
+const { getCollection } = require('../config/database');
+
+const DUPLICATE_KEY = 11000;
+
+/*
+ * Token buckets shared by every instance, one document per key:
+ *   { _id: key, tokens, updated_at, expires_at }
+ *
+ * Refill, check and take happen in a single pipeline update, so concurrent
+ * requests on different instances can't both spend the last token.
+ * expires_at is when the bucket would be full again; a TTL index removes
+ * it then (missing and full are the same thing).
+ */
+const createMongoStore = ({ collectionName = 'rate_limits' } = {}) => {
+    let indexReady = null;
+
+    const ensureIndex = () => {
+        if (!indexReady) {
+            indexReady = getCollection(collectionName)
+                .createIndex({ expires_at: 1 }, { name: 'bucket_ttl', expireAfterSeconds: 0 })
+                .catch((error) => {
+                    indexReady = null;
+                    throw error;
+                });
+        }
+        return indexReady;
+    };
+
+    const buildUpdate = (now, { capacity, refillPerMs }) => [
+        {
+            $set: {
+                tokens: {
+                    $min: [
+                        capacity,
+                        {
+                            $add: [
+                                { $ifNull: ['$tokens', capacity] },
+                                { $multiply: [{ $subtract: [now, { $ifNull: ['$updated_at', now] }] }, refillPerMs] }
+                            ]
+                        }
+                    ]
+                }
+            }
+        },
+        { $set: { allowed: { $gte: ['$tokens', 1] } } },
+        {
+            $set: {
+                tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] },
+                updated_at: now
+            }
+        },
+        { $set: { expires_at: { $add: [now, { $divide: [{ $subtract: [capacity, '$tokens'] }, refillPerMs] }] } } }
+    ];
+
+    const consume = async (key, limit) => {
+        await ensureIndex();
+
+        const run = () => getCollection(collectionName).findOneAndUpdate(
+            { _id: key },
+            buildUpdate(new Date(), limit),
+            { upsert: true, returnDocument: 'after' }
+        );
+
+        let bucket;
+        try {
+            bucket = await run();
+        } catch (error) {
+            // Two first requests raced to create the bucket - the loser updates the winner's
+            if (error.code !== DUPLICATE_KEY) {
+                throw error;
+            }
+            bucket = await run();
+        }
+
+        return { allowed: bucket.allowed, tokens: bucket.tokens };
+    };
+
+    return {
+        name: 'mongo',
+        consume
+    };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const {
+    getCategories,
+    getCategoryCounts,
+    getCategoryById,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    mergeCategory
+} = require('../controllers/categoryController');
+
+/*
+ * Category taxonomy of the current organization - what events may use as
+ * category/sub_category. Reading is public; changes are for admins.
+ * /categories/counts is registered before /categories/:id, which would
+ * otherwise take it as id "counts".
+ */
+router.get('/categories', getCategories);
+router.get('/categories/counts', getCategoryCounts);
+router.get('/categories/:id', getCategoryById);
+router.post('/categories', authenticate, createCategory);
+router.put('/categories/:id', authenticate, updateCategory);
+router.delete('/categories/:id', authenticate, deleteCategory);
+
+// Move a node's events (and sub-categories) into another node, then delete it
+router.post('/categories/:id/merge', authenticate, mergeCategory);
+
+module.exports = router;
@@ -1,18 +1,42 @@
 const express = require('express');
 const router = express.Router();
-const upload = require('../middleware/upload');
+const { eventImageUpload } = require('../middleware/upload');
+const { authenticate } = require('../middleware/auth');
+const { uploadRateLimit } = require('../middleware/rateLimit');
 const {
     getEventById,
+    getEventIcs,
+    getEventFeed,
     getLatestEvents,
+    searchEvents,
     createEvent,
     updateEvent,
-    deleteEvent
+    updateOccurrence,
+    cancelOccurrence,
+    deleteEvent,
+    getTrash,
+    restoreEvent
 } = require('../controllers/eventController');
+const {
+    getAttendees,
+    addAttendee,
+    removeAttendee
+} = require('../controllers/attendeeController');
+const { importEvents, exportEvents } = require('../controllers/importExportController');
+const { getEventHistory, revertEvent } = require('../controllers/revisionController');
+const { streamEvents } = require('../controllers/streamController');
+const { operation } = require('../openapi');
+
+/*
+ * Every route names its OpenAPI operation (src/openapi/operations.js) right
+ * before the controller. It validates the request's parameters against the
+ * published document, which GET /openapi.json builds from these routes.
+ */
 
 /**
  * Route handler to distinguish between different GET requests
  */
-router.get('/events', (req, res, next) => {
+router.get('/events', operation('listEvents'), (req, res, next) => {
     // Check if it's a request by ID
     if (req.query.id) {
         return getEventById(req, res, next);
@@ -22,34 +46,100 @@ router.get('/events', (req, res, next) => {
         return getLatestEvents(req, res, next);
     }
 
+    if (req.query.type === 'search') {
+        return searchEvents(req, res, next);
+    }
+
+    // The trash is per user, so this one GET needs a token
+    if (req.query.type === 'trash') {
+        return authenticate(req, res, (error) => (error ? next(error) : getTrash(req, res, next)));
+    }
+
     // Invalid request
     return res.status(400).json({
         success: false,
-        error: 'Invalid query parameters. Use either ?id=<event_id> or ?type=latest&limit=<n>&page=<n>'
+        error: 'Invalid query parameters. Use ?id=<event_id>, ?type=latest&limit=<n>&page=<n> (optionally &from=<date>&to=<date>), ?type=search&q=<keywords> or ?type=trash'
     });
 });
 
+/*
+ * Live change notifications (Server-Sent Events) - an alternative to polling ?type=latest.
+ * Filter with ?category=<list> and/or ?id=<list>.
+ */
+router.get('/events/stream', operation('streamEvents'), streamEvents);
+
+/*
+ * iCalendar export - single event download and a subscribable feed.
+ * feed.ics is registered first, otherwise /events/:id.ics would take it as id "feed".
+ */
+router.get('/events/feed.ics', operation('getEventFeed'), getEventFeed);
+router.get('/events/:id.ics', operation('getEventIcs'), getEventIcs);
+
+/*
+ * Bulk import/export (CSV or NDJSON), streamed in both directions.
+ * Import takes the raw body (text/csv or application/x-ndjson) - no multipart.
+ * Imported events are owned by the caller, like POST /events.
+ */
+router.post('/events/import', authenticate, uploadRateLimit, operation('importEvents'), importEvents);
+router.get('/events/export', operation('exportEvents'), exportEvents);
+
 /*
  * POST /events - Create event
- * upload.single('image') middleware runs BEFORE controller.
+ * authenticate runs first so unauthenticated requests never write files to disk,
+ * then the stricter upload rate limit, so a flood can't fill the uploads directory.
+ * eventImageUpload.single('image') middleware runs BEFORE controller.
  * If file validation fails, error handler catches it before reaching controller.
  * If successful, req.file contains file metadata.
  */
-router.post('/events', upload.single('image'), createEvent);
+router.post('/events', authenticate, uploadRateLimit, eventImageUpload.single('image'), operation('createEvent'), createEvent);
 
 /*
  * PUT /events/:id - Update event
  * Image is optional on update - upload middleware accepts missing files gracefully.
- * Controller checks req.file presence to determine if image was updated.
+ * Controller checks req.file presence to determine if image was updated
+ * and removes the replaced file.
+ * Controller enforces ownership (owner or admin).
+ */
+router.put('/events/:id', authenticate, uploadRateLimit, eventImageUpload.single('image'), operation('updateEvent'), updateEvent);
+
+/*
+ * DELETE /events/:id - Move event to the trash
+ * No upload middleware needed. Image files are kept until the event is purged.
+ */
+router.delete('/events/:id', authenticate, operation('deleteEvent'), deleteEvent);
+
+/*
+ * POST /events/:id/restore - Take event out of the trash
+ * Only possible until the purge job hard-deletes it (EVENT_TRASH_RETENTION_DAYS).
+ */
+router.post('/events/:id/restore', authenticate, operation('restoreEvent'), restoreEvent);
+
+/*
+ * Revision history (audit log) and revert - owner or admin.
+ * Every create/update/delete writes a revision with actor, request id and
+ * a field-level diff; revert applies an earlier state as a new revision.
+ */
+router.get('/events/:id/history', authenticate, operation('getEventHistory'), getEventHistory);
+router.post('/events/:id/revert', authenticate, operation('revertEvent'), revertEvent);
+
+/*
+ * Single occurrences of a recurring event.
+ * :occurrence is the occurrence's original start time (ISO 8601), as
+ * returned in the `occurrence` field of window listings.
+ * PUT overrides fields of that one occurrence, DELETE cancels it (EXDATE).
+ * Same ownership rules as updating the series.
  */
-router.put('/events/:id', upload.single('image'), updateEvent);
+router.put('/events/:id/occurrences/:occurrence', authenticate, operation('updateOccurrence'), updateOccurrence);
+router.delete('/events/:id/occurrences/:occurrence', authenticate, operation('cancelOccurrence'), cancelOccurrence);
 
 /*
- * DELETE /events/:id - Delete event
- * No middleware needed - just delete from DB.
- * Note: Does NOT delete image file from disk (prevents accidental file loss).
+ * Attendee subresource - RSVP, cancellation and waitlist.
+ * Mutations are atomic per user, so concurrent RSVPs never overwrite each other.
+ * Users act on themselves; the owner or an admin may pass user_id.
  */
-router.delete('/events/:id', deleteEvent);
+router.get('/events/:id/attendees', operation('getAttendees'), getAttendees);
+router.post('/events/:id/attendees', authenticate, operation('addAttendee'), addAttendee);
+router.delete('/events/:id/attendees', authenticate, operation('removeAttendee'), removeAttendee);
 
 module.exports = router;
 
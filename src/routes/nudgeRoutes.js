@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { upload } = require('../middleware/upload');
+const { authenticate } = require('../middleware/auth');
+const { uploadRateLimit } = require('../middleware/rateLimit');
+const {
+    getNudgeById,
+    getLatestNudges,
+    getNudgesByEventId,
+    createNudge,
+    updateNudge,
+    deleteNudge
+} = require('../controllers/nudgeController');
+
+/*
+ * Nudges carry two files: a cover image and a small icon for the minimized view.
+ * upload.fields() puts them on req.files keyed by field name.
+ */
+const nudgeUpload = upload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'icon', maxCount: 1 }
+]);
+
+/**
+ * Route handler to distinguish between different GET requests
+ */
+router.get('/nudges', (req, res, next) => {
+    if (req.query.id) {
+        return getNudgeById(req, res, next);
+    }
+
+    if (req.query.event_id) {
+        return getNudgesByEventId(req, res, next);
+    }
+
+    if (req.query.type === 'latest') {
+        return getLatestNudges(req, res, next);
+    }
+
+    return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters. Use ?id=<nudge_id>, ?event_id=<event_id> or ?type=latest&limit=<n>&page=<n>'
+    });
+});
+
+/*
+ * Mutations require a valid bearer token, and updates and deletes are
+ * limited to the nudge's creator or an admin (as for events).
+ * authenticate runs first so unauthenticated requests never write files;
+ * the upload rate limit runs before files are stored.
+ */
+
+// POST /nudges - Create nudge (image + icon required)
+router.post('/nudges', authenticate, uploadRateLimit, nudgeUpload, createNudge);
+
+// PUT /nudges/:id - Update nudge (image/icon optional). Owner or admin.
+router.put('/nudges/:id', authenticate, uploadRateLimit, nudgeUpload, updateNudge);
+
+// DELETE /nudges/:id - Delete nudge and its uploaded files. Owner or admin.
+router.delete('/nudges/:id', authenticate, deleteNudge);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const { getOrganization, updateSettings } = require('../controllers/organizationController');
+
+/*
+ * The current organization - from X-Org-Id, the subdomain or the token
+ * (middleware/tenant.js). Reading it is public; settings are for its admins.
+ */
+router.get('/organization', getOrganization);
+router.put('/organization/settings', authenticate, updateSettings);
+
+module.exports = router;
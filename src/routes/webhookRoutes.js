@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/auth');
+const {
+    getWebhooks,
+    getWebhookById,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    pingWebhook,
+    getWebhookDeliveries
+} = require('../controllers/webhookController');
+
+/*
+ * Webhook subscriptions - partners get HMAC-signed POSTs when events are
+ * created, updated, rescheduled, deleted or restored.
+ * All routes need a token; users manage their own subscriptions, admins all.
+ */
+router.get('/webhooks', authenticate, getWebhooks);
+router.get('/webhooks/:id', authenticate, getWebhookById);
+router.post('/webhooks', authenticate, createWebhook);
+router.put('/webhooks/:id', authenticate, updateWebhook);
+router.delete('/webhooks/:id', authenticate, deleteWebhook);
+
+// Replace the signing secret (the old one stops working immediately)
+router.post('/webhooks/:id/secret', authenticate, rotateWebhookSecret);
+
+// Queue a test delivery
+router.post('/webhooks/:id/ping', authenticate, pingWebhook);
+
+// Delivery log - status, attempts and last error of each delivery
+router.get('/webhooks/:id/deliveries', authenticate, getWebhookDeliveries);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const { defineSchema } = require('../utils/schema');
+const { SLUG_PATTERN } = require('../utils/categories');
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+/*
+ * Client-writable category fields.
+ * slug defaults to one made from the name. parent_id is fixed once the
+ * node exists - moving a sub-category changes what its events mean, which
+ * is what POST /categories/:id/merge is for.
+ */
+const categorySchema = defineSchema({
+    name: { type: 'string', required: true, maxLength: 100 },
+    slug: {
+        type: 'string',
+        maxLength: 100,
+        validate: (slug) => (SLUG_PATTERN.test(slug) ? null : 'slug must be lowercase letters and digits separated by dashes')
+    },
+    parent_id: {
+        type: 'string',
+        nullable: true,
+        default: null,
+        updatable: false,
+        immutableMessage: 'parent_id cannot be changed. Use /categories/:id/merge',
+        validate: (id) => (OBJECT_ID_PATTERN.test(id) ? null : 'parent_id must be a valid category ID')
+    },
+    order: { type: 'integer', min: 0, default: 0 }
+});
+
+module.exports = categorySchema;
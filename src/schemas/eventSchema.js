@@ -0,0 +1,46 @@
+const { defineSchema } = require('../utils/schema');
+const { validateRule } = require('../utils/recurrence');
+const { validateTimeZone } = require('../utils/timezone');
+const { MAX_DURATION_MINUTES } = require('../utils/eventTime');
+
+/*
+ * Client-writable event fields.
+ * Server-managed fields (_id, type, image, images, waitlist, recurrence_end,
+ * ends_at, occurrence_overrides, created_at, updated_at) are deliberately
+ * absent, so they're rejected if sent.
+ * uid is ignored rather than rejected - it comes from the auth token, and
+ * older clients still send it.
+ */
+const eventSchema = defineSchema({
+    name: { type: 'string', required: true, maxLength: 120 },
+    tagline: { type: 'string', required: true, maxLength: 200 },
+    /*
+     * Timing (see utils/eventTime.js). Date/times without an offset are
+     * local to timezone, which defaults to the organization's. Send end or
+     * duration (minutes), not both - the other is derived.
+     */
+    schedule: { type: 'datetime', required: true },
+    timezone: { type: 'string', maxLength: 64, validate: validateTimeZone },
+    duration: { type: 'integer', min: 1, max: MAX_DURATION_MINUTES, nullable: true },
+    end: { type: 'datetime', nullable: true },
+    description: { type: 'string', required: true, maxLength: 5000 },
+    moderator: { type: 'string', required: true, maxLength: 100 },
+    category: { type: 'string', required: true, maxLength: 100 },
+    sub_category: { type: 'string', required: true, maxLength: 100 },
+    rigor_rank: { type: 'integer', required: true },
+    capacity: { type: 'integer', min: 1, nullable: true, default: null },
+    // Recurrence - schedule is the series start (see utils/recurrence.js)
+    rrule: { type: 'string', maxLength: 500, nullable: true, default: null, validate: validateRule },
+    exdates: { type: 'array', items: { type: 'datetime' }, default: () => [] },
+    attendees: {
+        type: 'array',
+        items: { type: 'string', maxLength: 100 },
+        default: () => [],
+        updatable: false,
+        immutableMessage: 'Attendees cannot be replaced on update. Use /events/:id/attendees'
+    }
+}, {
+    ignored: ['uid']
+});
+
+module.exports = eventSchema;
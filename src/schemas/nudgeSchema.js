@@ -0,0 +1,45 @@
+const { defineSchema } = require('../utils/schema');
+const { toObjectId } = require('../config/database');
+
+// Title is shown in a single notification line - UI caps it at 60 chars
+const NUDGE_TITLE_MAX_LENGTH = 60;
+
+// processing and failed are set by the delivery worker only
+const NUDGE_STATUSES = ['pending', 'sent', 'cancelled'];
+
+/*
+ * Timings are stored as "HH:mm" strings, not Dates.
+ * Zero-padded 24h strings compare correctly with plain string comparison,
+ * so no parsing is needed for the ordering check (see validateNudgeData).
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const validateTiming = (field) => (value) => (TIME_PATTERN.test(value) ? null : `${field} must be in HH:mm format`);
+
+/*
+ * Client-writable nudge fields.
+ * image and icon are uploads, not body fields. Delivery state (attempts,
+ * claim_token, next_attempt_at, last_error, sent_at), type, created_at,
+ * updated_at, _id and org_id are server-managed and rejected if sent.
+ * status is set to pending on create whatever the client sends.
+ * uid is ignored rather than rejected - it comes from the auth token, and
+ * older clients still send it.
+ */
+const nudgeSchema = defineSchema({
+    event_id: {
+        type: 'string',
+        required: true,
+        validate: (value) => (toObjectId(value) ? null : 'Invalid event_id format')
+    },
+    title: { type: 'string', required: true, maxLength: NUDGE_TITLE_MAX_LENGTH },
+    invitation: { type: 'string', required: true },
+    description: { type: 'string', required: true },
+    scheduled_date: { type: 'date', required: true },
+    timing_from: { type: 'string', required: true, validate: validateTiming('timing_from') },
+    timing_to: { type: 'string', required: true, validate: validateTiming('timing_to') },
+    status: { type: 'string', enum: NUDGE_STATUSES }
+}, {
+    ignored: ['uid']
+});
+
+module.exports = nudgeSchema;
@@ -0,0 +1,16 @@
+const { defineSchema } = require('../utils/schema');
+const eventSchema = require('./eventSchema');
+const { OVERRIDABLE_FIELDS } = require('../utils/recurrence');
+
+/*
+ * Edits to a single occurrence of a recurring event.
+ * Same rules as the event fields they override; anything else is rejected.
+ */
+const occurrenceSchema = defineSchema(
+    OVERRIDABLE_FIELDS.reduce((fields, field) => {
+        fields[field] = eventSchema.fields[field];
+        return fields;
+    }, {})
+);
+
+module.exports = occurrenceSchema;
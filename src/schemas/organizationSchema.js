@@ -0,0 +1,27 @@
+const { defineSchema } = require('../utils/schema');
+const { getInstanceSettings } = require('../tenancy/organizations');
+const { validateTimeZone } = require('../utils/timezone');
+
+/*
+ * Settings an organization's admins may change. null resets a setting to
+ * the instance value. Size limits can be lowered, not raised past the
+ * instance's - uploads are buffered in memory while they're processed.
+ */
+const atMostInstance = (field) => (value) => {
+    const limit = getInstanceSettings()[field];
+    return value > limit ? `${field} must not exceed the instance limit of ${limit} bytes` : null;
+};
+
+const organizationSettingsSchema = defineSchema({
+    max_file_size: { type: 'integer', min: 1, nullable: true, validate: atMostInstance('max_file_size') },
+    max_import_bytes: { type: 'integer', min: 1, nullable: true, validate: atMostInstance('max_import_bytes') },
+    allowed_categories: {
+        type: 'array',
+        items: { type: 'string', maxLength: 100 },
+        nullable: true,
+        validate: (categories) => (categories.length === 0 ? 'allowed_categories must list at least one category (null allows any)' : null)
+    },
+    timezone: { type: 'string', maxLength: 64, nullable: true, validate: validateTimeZone }
+});
+
+module.exports = organizationSettingsSchema;
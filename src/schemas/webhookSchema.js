@@ -0,0 +1,21 @@
+const { defineSchema } = require('../utils/schema');
+const { WEBHOOK_EVENT_TYPES, validateWebhookUrl } = require('../utils/webhooks');
+
+/*
+ * Client-writable webhook subscription fields.
+ * The signing secret is generated by the server, and rotated through
+ * POST /webhooks/:id/secret, so it's not in here.
+ */
+const webhookSchema = defineSchema({
+    url: { type: 'string', required: true, maxLength: 2048, validate: validateWebhookUrl },
+    events: {
+        type: 'array',
+        items: { type: 'string', enum: WEBHOOK_EVENT_TYPES },
+        default: () => [...WEBHOOK_EVENT_TYPES],
+        validate: (events) => (events.length === 0 ? 'events must list at least one event type' : null)
+    },
+    description: { type: 'string', maxLength: 200, nullable: true, default: null },
+    active: { type: 'boolean', default: true }
+});
+
+module.exports = webhookSchema;
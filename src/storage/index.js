@@ -0,0 +1,91 @@
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+const { logger } = require('../utils/logger');
+
+/*
+ * Storage adapter registry.
+ * An adapter exposes:
+ * - save({ filename, stream, contentType }) -> Promise<{ path, size }>
+ * - remove(storedPath) -> Promise<void>   (missing files are not an error)
+ * - list() -> Promise<Array<{ path, modifiedAt }>>  (path in the same format as save)
+ * - check() -> Promise<void>   optional; rejects when uploads can't be stored
+ *
+ * The `path` returned by save() is what documents store in image/icon fields.
+ */
+const drivers = {
+    local: () => createLocalStorage({
+        directory: process.env.UPLOAD_DIR || 'uploads'
+    }),
+    s3: () => createS3Storage({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        prefix: process.env.S3_PREFIX,
+        publicUrl: process.env.S3_PUBLIC_URL,
+        timeoutMs: parseInt(process.env.S3_TIMEOUT_MS) || undefined
+    })
+};
+
+// Adapter is created lazily once - env config is read at first use
+let storage = null;
+
+/**
+ * Get the configured storage adapter (STORAGE_DRIVER, default "local")
+ * @returns {Object} Storage adapter
+ */
+const getStorage = () => {
+    if (!storage) {
+        const driver = process.env.STORAGE_DRIVER || 'local';
+        if (!drivers[driver]) {
+            throw new Error(`Unknown storage driver: ${driver}. Available: ${Object.keys(drivers).join(', ')}`);
+        }
+        storage = drivers[driver]();
+    }
+    return storage;
+};
+
+/**
+ * Remove stored files, ignoring empty values.
+ * Failures are logged, not thrown - a leftover file is recoverable by
+ * reconciliation, a failed API response after a successful DB write is not.
+ * @param {Array<string>} storedPaths - Paths as stored on documents
+ */
+const removeFiles = async (storedPaths) => {
+    const adapter = getStorage();
+
+    await Promise.all(storedPaths.filter(Boolean).map(async (storedPath) => {
+        try {
+            await adapter.remove(storedPath);
+        } catch (error) {
+            logger.error('Failed to remove file', { path: storedPath, err: error });
+        }
+    }));
+};
+
+/**
+ * Collect stored paths of every file multer attached to a request
+ * (req.file from upload.single, req.files from upload.fields)
+ * @param {Object} req - Express request
+ * @returns {Array<string>}
+ */
+const getRequestFilePaths = (req) => {
+    const files = [];
+    if (req.file) {
+        files.push(req.file);
+    }
+    if (req.files) {
+        const groups = Array.isArray(req.files) ? [req.files] : Object.values(req.files);
+        groups.forEach((group) => files.push(...group));
+    }
+    // storedPaths covers every variant written for one upload
+    return files.reduce((paths, file) => paths.concat(file.storedPaths || [file.path]), []);
+};
+
+module.exports = {
+    getStorage,
+    removeFiles,
+    getRequestFilePaths
+};
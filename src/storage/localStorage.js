@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage adapter.
+ * Stored paths look like "uploads/name-123.jpg" - the same value multer's
+ * diskStorage used to put in req.file.path, so existing documents stay valid.
+ * @param {Object} options
+ * @param {string} options.directory - Upload directory (created if missing)
+ */
+const createLocalStorage = ({ directory }) => {
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    const save = ({ filename, stream }) => new Promise((resolve, reject) => {
+        const filePath = path.join(directory, filename);
+        const out = fs.createWriteStream(filePath);
+
+        stream.on('error', reject);
+        out.on('error', reject);
+        out.on('finish', () => resolve({ path: filePath, size: out.bytesWritten }));
+
+        stream.pipe(out);
+    });
+
+    /*
+     * Only paths inside the upload directory are removed.
+     * Document values are user-influenced, so never unlink outside it.
+     */
+    const remove = async (storedPath) => {
+        const resolved = path.resolve(storedPath);
+        if (path.dirname(resolved) !== path.resolve(directory)) {
+            return;
+        }
+
+        try {
+            await fs.promises.unlink(resolved);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    };
+
+    const list = async () => {
+        const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        const files = entries.filter((entry) => entry.isFile());
+
+        return Promise.all(files.map(async (entry) => {
+            const filePath = path.join(directory, entry.name);
+            const stats = await fs.promises.stat(filePath);
+            return { path: filePath, modifiedAt: stats.mtime };
+        }));
+    };
+
+    // Readiness: uploads fail if the directory was removed or made read-only
+    const check = () => fs.promises.access(directory, fs.constants.W_OK);
+
+    return {
+        name: 'local',
+        directory,
+        save,
+        remove,
+        list,
+        check
+    };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,58 @@
+const { getCollection } = require('../config/database');
+const { runAsSystem } = require('../tenancy/context');
+const { getStorage } = require('./index');
+const { IMAGE_VARIANTS, IMAGE_FORMATS } = require('../utils/imageProcessor');
+
+const eventVariantFields = Object.keys(IMAGE_VARIANTS).reduce((fields, variant) => fields.concat(
+    Object.keys(IMAGE_FORMATS).map((format) => `images.${variant}.${format}`)
+), []);
+
+/*
+ * Document fields that hold stored file paths, per collection.
+ * Anything in storage not referenced from one of these is an orphan.
+ */
+const FILE_REFERENCES = {
+    events: ['image', ...eventVariantFields],
+    nudges: ['image', 'icon']
+};
+
+/**
+ * Collect every stored path referenced by a document
+ * @returns {Promise<Set<string>>}
+ */
+const getReferencedPaths = async () => {
+    const referenced = new Set();
+
+    for (const [collectionName, fields] of Object.entries(FILE_REFERENCES)) {
+        const collection = getCollection(collectionName);
+        for (const field of fields) {
+            const values = await collection.distinct(field);
+            values.filter(Boolean).forEach((value) => referenced.add(value));
+        }
+    }
+
+    return referenced;
+};
+
+/**
+ * Find stored files no document references.
+ * Files younger than minAgeMs are skipped: an upload is written to storage
+ * before its document is inserted, so a brand new file isn't an orphan yet.
+ * @param {Object} options
+ * @param {number} options.minAgeMs - Ignore files modified more recently than this
+ * @returns {Promise<Array<{path: string, modifiedAt: Date}>>}
+ */
+const findOrphanedFiles = async ({ minAgeMs = 60 * 60 * 1000 } = {}) => {
+    // List before reading references so a file saved in between is never flagged
+    const files = await getStorage().list();
+    // Storage is shared by every organization, so are the references
+    const referenced = await runAsSystem(getReferencedPaths);
+    const cutoff = Date.now() - minAgeMs;
+
+    return files.filter((file) => !referenced.has(file.path) && file.modifiedAt.getTime() < cutoff);
+};
+
+module.exports = {
+    findOrphanedFiles,
+    FILE_REFERENCES
+};
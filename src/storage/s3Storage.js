@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+/*
+ * Minimal S3-compatible client (PUT, DELETE, ListObjectsV2) with AWS Signature V4.
+ *
+ * Hand-rolled instead of the AWS SDK: we need three calls, and this works
+ * against AWS, MinIO or any local stub that speaks the S3 REST API.
+ */
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = (str) => encodeURIComponent(str)
+    .replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKey = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+const decodeXml = (str) => str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * S3-compatible storage adapter.
+ * Stored paths are public object URLs: `${publicUrl}/${key}`.
+ * @param {Object} options
+ * @param {string} options.endpoint - e.g. https://s3.eu-west-1.amazonaws.com or http://localhost:9000
+ * @param {string} options.region - Signing region (MinIO accepts us-east-1)
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {boolean} options.forcePathStyle - Use endpoint/bucket/key instead of bucket.endpoint/key
+ * @param {string} options.prefix - Key prefix for uploads
+ * @param {string} options.publicUrl - Base URL objects are served from
+ * @param {number} options.timeoutMs - Deadline for each request, response included
+ */
+const createS3Storage = ({
+    endpoint,
+    region = 'us-east-1',
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = true,
+    prefix = 'uploads/',
+    publicUrl,
+    timeoutMs = 30000
+}) => {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+        throw new Error('S3 storage requires endpoint, bucket, accessKeyId and secretAccessKey');
+    }
+
+    const base = new URL(endpoint);
+    const client = base.protocol === 'https:' ? https : http;
+    const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+    const bucketPath = forcePathStyle ? `/${bucket}` : '';
+    const objectBaseUrl = (publicUrl || `${base.protocol}//${host}${bucketPath}`).replace(/\/+$/, '');
+
+    /*
+     * Sign and send one request.
+     * Resolves with { statusCode, body } for 2xx, rejects otherwise - and
+     * after timeoutMs, so an unresponsive endpoint can't hang an upload
+     * (and the request holding it) forever.
+     */
+    const request = ({ method, key = '', query = {}, body = '', headers = {} }) => new Promise((resolve, reject) => {
+        const now = new Date();
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const payloadHash = sha256(body);
+
+        const canonicalUri = `${bucketPath}/${encodeKey(key)}`;
+        const canonicalQuery = Object.keys(query)
+            .sort()
+            .map((name) => `${encodeRfc3986(name)}=${encodeRfc3986(String(query[name]))}`)
+            .join('&');
+
+        const signedHeaderValues = {
+            ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+            host: host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const signedHeaderNames = Object.keys(signedHeaderValues).sort();
+        const canonicalHeaders = signedHeaderNames.map((name) => `${name}:${signedHeaderValues[name]}\n`).join('');
+        const signedHeaders = signedHeaderNames.join(';');
+
+        const canonicalRequest = [
+            method,
+            canonicalUri,
+            canonicalQuery,
+            canonicalHeaders,
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region), 's3'), 'aws4_request');
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        const req = client.request({
+            protocol: base.protocol,
+            hostname: forcePathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+            port: base.port,
+            method,
+            path: canonicalQuery ? `${canonicalUri}?${canonicalQuery}` : canonicalUri,
+            headers: {
+                ...signedHeaderValues,
+                'content-length': Buffer.byteLength(body),
+                authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+            }
+        }, (res) => {
+            const chunks = [];
+            res.on('data', (chunk) => chunks.push(chunk));
+            res.on('error', reject);
+            res.on('end', () => {
+                clearTimeout(deadline);
+                const responseBody = Buffer.concat(chunks).toString('utf8');
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve({ statusCode: res.statusCode, body: responseBody });
+                } else {
+                    reject(new Error(`S3 ${method} failed with status ${res.statusCode}`));
+                }
+            });
+        });
+
+        const deadline = setTimeout(() => {
+            req.destroy(new Error(`S3 ${method} timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+
+        req.on('error', (error) => {
+            clearTimeout(deadline);
+            reject(error);
+        });
+        req.end(body);
+    });
+
+    const toStoredPath = (key) => `${objectBaseUrl}/${encodeKey(key)}`;
+
+    const toKey = (storedPath) => {
+        if (typeof storedPath !== 'string' || !storedPath.startsWith(`${objectBaseUrl}/`)) {
+            return null;
+        }
+        return storedPath.slice(objectBaseUrl.length + 1).split('/').map(decodeURIComponent).join('/');
+    };
+
+    /*
+     * Files are buffered before upload: PUT needs a Content-Length and a
+     * payload hash, and multer's fileSize limit keeps the buffer small.
+     */
+    const save = ({ filename, stream, contentType }) => new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const key = `${prefix}${filename}`;
+
+            request({
+                method: 'PUT',
+                key,
+                body,
+                headers: contentType ? { 'content-type': contentType } : {}
+            })
+                .then(() => resolve({ path: toStoredPath(key), size: body.length }))
+                .catch(reject);
+        });
+    });
+
+    // Deleting a missing object succeeds in S3, so no not-found handling needed
+    const remove = async (storedPath) => {
+        const key = toKey(storedPath);
+        if (!key || !key.startsWith(prefix)) {
+            return;
+        }
+        await request({ method: 'DELETE', key });
+    };
+
+    const list = async () => {
+        const files = [];
+        let continuationToken = null;
+
+        do {
+            const query = { 'list-type': 2, prefix };
+            if (continuationToken) {
+                query['continuation-token'] = continuationToken;
+            }
+
+            const { body } = await request({ method: 'GET', query });
+
+            for (const match of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const keyMatch = match[1].match(/<Key>([^<]*)<\/Key>/);
+                const modifiedMatch = match[1].match(/<LastModified>([^<]*)<\/LastModified>/);
+                if (keyMatch) {
+                    files.push({
+                        path: toStoredPath(decodeXml(keyMatch[1])),
+                        modifiedAt: modifiedMatch ? new Date(modifiedMatch[1]) : new Date(0)
+                    });
+                }
+            }
+
+            const truncated = /<IsTruncated>true<\/IsTruncated>/.test(body);
+            const tokenMatch = body.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/);
+            continuationToken = truncated && tokenMatch ? decodeXml(tokenMatch[1]) : null;
+        } while (continuationToken);
+
+        return files;
+    };
+
+    return {
+        name: 's3',
+        save,
+        remove,
+        list
+    };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,50 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/*
+ * The organization the current code runs for, carried through async calls
+ * so getCollection() can scope queries without every caller passing it.
+ *
+ * Three states:
+ * - a tenant: inside a request (set by middleware/tenant.js)
+ * - SYSTEM: background jobs, CLI scripts - see every organization
+ * - none: a bug (context lost, or new code path) - tenant collections throw
+ */
+const storage = new AsyncLocalStorage();
+
+const SYSTEM = Object.freeze({ system: true });
+
+/**
+ * Run fn as the given organization
+ * @param {{id: string}} tenant - Organization (at least its id)
+ * @param {Function} fn
+ * @returns {*} fn's return value
+ */
+const runWithTenant = (tenant, fn) => storage.run(tenant, fn);
+
+/**
+ * Run fn unscoped - for jobs and scripts that work across organizations
+ * @param {Function} fn
+ * @returns {*} fn's return value
+ */
+const runAsSystem = (fn) => storage.run(SYSTEM, fn);
+
+/**
+ * @returns {Object|null} The current tenant, SYSTEM, or null outside any context
+ */
+const getContext = () => storage.getStore() || null;
+
+/**
+ * @returns {Object|null} The current tenant, or null when unscoped
+ */
+const getCurrentTenant = () => {
+    const context = getContext();
+    return context && context !== SYSTEM ? context : null;
+};
+
+module.exports = {
+    SYSTEM,
+    runWithTenant,
+    runAsSystem,
+    getContext,
+    getCurrentTenant
+};
@@ -0,0 +1,23 @@
+/*
+ * Multi-tenancy: organizations, the per-request organization context and
+ * the collection scoping built on it.
+ *
+ * middleware/tenant.js resolves each API request's organization and runs
+ * the request inside runWithTenant(); getCollection() then returns
+ * organization data (TENANT_COLLECTIONS) scoped to it. Background jobs and
+ * scripts that work across organizations use runAsSystem().
+ */
+const { SYSTEM, runWithTenant, runAsSystem, getContext, getCurrentTenant } = require('./context');
+const { TENANT_COLLECTIONS, scopeCollection } = require('./scopedCollection');
+const organizations = require('./organizations');
+
+module.exports = {
+    SYSTEM,
+    runWithTenant,
+    runAsSystem,
+    getContext,
+    getCurrentTenant,
+    TENANT_COLLECTIONS,
+    scopeCollection,
+    ...organizations
+};
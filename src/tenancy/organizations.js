@@ -0,0 +1,174 @@
+const { getCollection } = require('../config/database');
+const { normalizeTimeZone } = require('../utils/timezone');
+
+/*
+ * Organizations (tenants).
+ *
+ * { _id: "<org id>", name, active, settings, created_at, updated_at }
+ * The id is a slug ("acme") so it can be a subdomain, a header value and a
+ * token claim as-is. settings holds the organization's own limits; a field
+ * that is null or missing falls back to the instance-wide value.
+ */
+
+const COLLECTION_NAME = 'organizations';
+
+// Lowercase letters, digits and dashes - valid as a DNS label
+const ORG_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+
+/*
+ * Every API request looks its organization up, so documents are cached
+ * per instance. A settings change made through another instance takes
+ * up to this long to be seen here.
+ */
+const CACHE_TTL_MS = 30 * 1000;
+
+const cache = new Map();
+
+/**
+ * Id of the organization requests without any tenant belong to
+ * @returns {string}
+ */
+const getDefaultOrgId = () => process.env.DEFAULT_ORG_ID || 'default';
+
+/**
+ * Instance-wide settings - the fallback for every organization, and the
+ * ceiling an organization's own limits can't exceed.
+ * @returns {{max_file_size: number, max_import_bytes: number, allowed_categories: null, timezone: string}}
+ */
+const getInstanceSettings = () => ({
+    max_file_size: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,  // 5MB default
+    max_import_bytes: parseInt(process.env.IMPORT_MAX_BYTES) || 50 * 1024 * 1024,
+    allowed_categories: null,  // Any category
+    timezone: normalizeTimeZone(process.env.DEFAULT_TIMEZONE) || 'UTC'  // Of date/times sent without an offset
+});
+
+/*
+ * The tenant object requests carry (req.tenant, tenancy context):
+ * effective settings, with the instance values filled in.
+ */
+const toTenant = (organization) => {
+    const settings = getInstanceSettings();
+    for (const [field, value] of Object.entries(organization.settings || {})) {
+        if (value !== null && value !== undefined && field in settings) {
+            settings[field] = value;
+        }
+    }
+
+    return {
+        id: organization._id,
+        name: organization.name,
+        active: organization.active !== false,
+        settings
+    };
+};
+
+/*
+ * The default organization works before anyone has created its document
+ * (fresh install, or migrations not run yet).
+ */
+const defaultOrganization = (id) => ({ _id: id, name: 'Default', active: true, settings: {} });
+
+/**
+ * Look up an organization
+ * @param {string} id - Organization id
+ * @returns {Promise<Object|null>} Tenant ({ id, name, active, settings }), null if unknown
+ */
+const findOrganization = async (id) => {
+    const cached = cache.get(id);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.tenant;
+    }
+
+    let organization = await getCollection(COLLECTION_NAME).findOne({ _id: id });
+    if (!organization && id === getDefaultOrgId()) {
+        organization = defaultOrganization(id);
+    }
+
+    // Unknown ids are cached too, so guessing ids doesn't cost a query each
+    const tenant = organization ? toTenant(organization) : null;
+    cache.set(id, { tenant, expiresAt: Date.now() + CACHE_TTL_MS });
+    return tenant;
+};
+
+/**
+ * Change some of an organization's settings (null resets one to the instance value)
+ * @param {string} id - Organization id
+ * @param {Object} settings - Validated settings (validateOrganizationSettings)
+ * @returns {Promise<Object|null>} Updated tenant, null if unknown
+ */
+const updateOrganizationSettings = async (id, settings) => {
+    const now = new Date();
+    const $set = { updated_at: now };
+    for (const [field, value] of Object.entries(settings)) {
+        $set[`settings.${field}`] = value;
+    }
+
+    const organization = await getCollection(COLLECTION_NAME).findOneAndUpdate(
+        { _id: id },
+        { $set, $setOnInsert: { name: 'Default', active: true, created_at: now } },
+        // Only the default organization may not have a document yet
+        { upsert: id === getDefaultOrgId(), returnDocument: 'after' }
+    );
+
+    cache.delete(id);
+    return organization ? toTenant(organization) : null;
+};
+
+/**
+ * Create an organization
+ * @param {Object} organization
+ * @param {string} organization.id - Slug matching ORG_ID_PATTERN
+ * @param {string} organization.name - Display name
+ * @returns {Promise<Object>} The new tenant
+ * @throws {Error} If the id is invalid or taken (MongoDB duplicate key)
+ */
+const createOrganization = async ({ id, name }) => {
+    if (!ORG_ID_PATTERN.test(id)) {
+        throw new Error('Organization id must be 2-63 lowercase letters, digits or dashes');
+    }
+
+    const now = new Date();
+    const organization = { _id: id, name: name || id, active: true, settings: {}, created_at: now, updated_at: now };
+
+    await getCollection(COLLECTION_NAME).insertOne(organization);
+    cache.delete(id);
+    return toTenant(organization);
+};
+
+/**
+ * Enable or disable an organization - a disabled one gets 404 on every request
+ * @param {string} id - Organization id
+ * @param {boolean} active
+ * @returns {Promise<Object|null>} Updated tenant, null if unknown
+ */
+const setOrganizationActive = async (id, active) => {
+    const organization = await getCollection(COLLECTION_NAME).findOneAndUpdate(
+        { _id: id },
+        { $set: { active, updated_at: new Date() } },
+        { returnDocument: 'after' }
+    );
+
+    cache.delete(id);
+    return organization ? toTenant(organization) : null;
+};
+
+/**
+ * Every organization
+ * @returns {Promise<Array<Object>>} Tenants, by id
+ */
+const listOrganizations = async () => {
+    const organizations = await getCollection(COLLECTION_NAME).find({}).sort({ _id: 1 }).toArray();
+    return organizations.map(toTenant);
+};
+
+module.exports = {
+    COLLECTION_NAME,
+    ORG_ID_PATTERN,
+    getDefaultOrgId,
+    getInstanceSettings,
+    findOrganization,
+    updateOrganizationSettings,
+    createOrganization,
+    setOrganizationActive,
+    listOrganizations
+};
@@ -0,0 +1,156 @@
+const { SYSTEM, getContext } = require('./context');
+
+/*
+ * Collections holding organization data. Every document carries org_id;
+ * other collections (organizations, rate_limits, _migrations) are global.
+ */
+const TENANT_COLLECTIONS = new Set([
+    'events',
+    'event_revisions',
+    'nudges',
+    'webhook_subscriptions',
+    'webhook_deliveries',
+    'categories'
+]);
+
+const FIELD = 'org_id';
+
+// Stages that read or write another collection would bypass the scope
+const FORBIDDEN_STAGES = ['$lookup', '$graphLookup', '$unionWith', '$out', '$merge'];
+
+const scopeFilter = (filter, orgId) => ({ ...(filter || {}), [FIELD]: orgId });
+
+// Documents are tagged in place - the driver sets _id on the caller's object too
+const tagDocument = (doc, orgId) => {
+    doc[FIELD] = orgId;
+    return doc;
+};
+
+/*
+ * A $text $match must stay the first stage, so the org condition is merged
+ * into a leading $match rather than put in front of it.
+ */
+const scopePipeline = (pipeline, orgId) => {
+    pipeline.forEach((stage) => {
+        const name = Object.keys(stage)[0];
+        if (FORBIDDEN_STAGES.includes(name)) {
+            throw new Error(`${name} is not allowed on tenant-scoped collections`);
+        }
+    });
+
+    const [first, ...rest] = pipeline;
+    if (first && first.$match) {
+        return [{ $match: scopeFilter(first.$match, orgId) }, ...rest];
+    }
+    return [{ $match: { [FIELD]: orgId } }, ...pipeline];
+};
+
+/*
+ * An update must not move a document to another organization. Operator
+ * updates are checked field by field; pipeline updates stage by stage.
+ */
+const touchesOrgId = (fields) => Object.keys(fields || {})
+    .some((field) => field === FIELD || field.startsWith(`${FIELD}.`));
+
+const guardUpdate = (update) => {
+    const parts = Array.isArray(update) ? update.map((stage) => Object.values(stage)[0]) : Object.values(update);
+    if (parts.some((fields) => fields && typeof fields === 'object' && touchesOrgId(fields))) {
+        throw new Error(`${FIELD} cannot be changed on tenant-scoped collections`);
+    }
+    return update;
+};
+
+const scopeBulkOperation = (operation, orgId) => {
+    const [type, spec] = Object.entries(operation)[0];
+
+    if (type === 'insertOne') {
+        return { insertOne: { ...spec, document: tagDocument(spec.document, orgId) } };
+    }
+    if (type === 'replaceOne') {
+        return { replaceOne: { ...spec, filter: scopeFilter(spec.filter, orgId), replacement: tagDocument(spec.replacement, orgId) } };
+    }
+    if (type === 'updateOne' || type === 'updateMany') {
+        return { [type]: { ...spec, filter: scopeFilter(spec.filter, orgId), update: guardUpdate(spec.update) } };
+    }
+    return { [type]: { ...spec, filter: scopeFilter(spec.filter, orgId) } };
+};
+
+/*
+ * The collection as one organization sees it. Only the methods below are
+ * available - anything else throws rather than silently reading or writing
+ * other organizations' documents.
+ */
+const createScopedCollection = (collection, orgId) => {
+    const scoped = {
+        find: (filter, options) => collection.find(scopeFilter(filter, orgId), options),
+        findOne: (filter, options) => collection.findOne(scopeFilter(filter, orgId), options),
+        countDocuments: (filter, options) => collection.countDocuments(scopeFilter(filter, orgId), options),
+        distinct: (key, filter, options) => collection.distinct(key, scopeFilter(filter, orgId), options),
+        aggregate: (pipeline, options) => collection.aggregate(scopePipeline(pipeline, orgId), options),
+
+        insertOne: (doc, options) => collection.insertOne(tagDocument(doc, orgId), options),
+        insertMany: (docs, options) => collection.insertMany(docs.map((doc) => tagDocument(doc, orgId)), options),
+        bulkWrite: (operations, options) =>
+            collection.bulkWrite(operations.map((operation) => scopeBulkOperation(operation, orgId)), options),
+
+        updateOne: (filter, update, options) =>
+            collection.updateOne(scopeFilter(filter, orgId), guardUpdate(update), options),
+        updateMany: (filter, update, options) =>
+            collection.updateMany(scopeFilter(filter, orgId), guardUpdate(update), options),
+        replaceOne: (filter, doc, options) =>
+            collection.replaceOne(scopeFilter(filter, orgId), tagDocument(doc, orgId), options),
+        findOneAndUpdate: (filter, update, options) =>
+            collection.findOneAndUpdate(scopeFilter(filter, orgId), guardUpdate(update), options),
+        findOneAndReplace: (filter, doc, options) =>
+            collection.findOneAndReplace(scopeFilter(filter, orgId), tagDocument(doc, orgId), options),
+        findOneAndDelete: (filter, options) => collection.findOneAndDelete(scopeFilter(filter, orgId), options),
+        deleteOne: (filter, options) => collection.deleteOne(scopeFilter(filter, orgId), options),
+        deleteMany: (filter, options) => collection.deleteMany(scopeFilter(filter, orgId), options),
+
+        // Index management is collection-wide by nature
+        createIndex: (...args) => collection.createIndex(...args),
+        createIndexes: (...args) => collection.createIndexes(...args),
+        listIndexes: (...args) => collection.listIndexes(...args),
+        collectionName: collection.collectionName
+    };
+
+    return new Proxy(scoped, {
+        get: (target, property) => {
+            if (property in target) {
+                return target[property];
+            }
+            if (typeof property === 'symbol' || property === 'then') {
+                return undefined;
+            }
+            throw new Error(`${String(property)}() is not supported on tenant-scoped collection ${collection.collectionName}`);
+        }
+    });
+};
+
+/**
+ * Scope a collection to the current organization.
+ * Global collections and SYSTEM context get the driver collection as-is;
+ * a tenant collection used with no context at all throws (fail closed).
+ * @param {string} name - Collection name
+ * @param {import('mongodb').Collection} collection - Driver collection
+ * @returns {Object} Scoped or driver collection
+ */
+const scopeCollection = (name, collection) => {
+    if (!TENANT_COLLECTIONS.has(name)) {
+        return collection;
+    }
+
+    const context = getContext();
+    if (context === SYSTEM) {
+        return collection;
+    }
+    if (!context) {
+        throw new Error(`No organization context for collection "${name}" - wrap background work in runAsSystem()`);
+    }
+    return createScopedCollection(collection, context.id);
+};
+
+module.exports = {
+    TENANT_COLLECTIONS,
+    scopeCollection
+};
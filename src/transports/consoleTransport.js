@@ -0,0 +1,20 @@
+const { logger } = require('../utils/logger');
+
+/**
+ * Console transport - logs nudges instead of delivering them.
+ * Default transport for local development; never fails.
+ */
+const createConsoleTransport = () => ({
+    name: 'console',
+
+    send: async (nudge) => {
+        logger.info('Nudge (console transport)', {
+            nudge_id: String(nudge._id),
+            event_id: String(nudge.event_id),
+            title: nudge.title,
+            timing: `${nudge.timing_from}-${nudge.timing_to}`
+        });
+    }
+});
+
+module.exports = createConsoleTransport;
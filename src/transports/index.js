@@ -0,0 +1,32 @@
+const createConsoleTransport = require('./consoleTransport');
+const createWebhookTransport = require('./webhookTransport');
+
+/*
+ * Transport registry.
+ * A transport is any object with a `name` and an async `send(nudge)` that
+ * rejects on failure. Add new channels (FCM, SNS, ...) by registering a factory here.
+ */
+const transports = {
+    console: createConsoleTransport,
+    webhook: createWebhookTransport
+};
+
+/**
+ * Build a transport by name
+ * @param {string} name - Registered transport name
+ * @param {Object} options - Options passed to the transport factory
+ * @returns {{name: string, send: function(Object): Promise<void>}}
+ */
+const createTransport = (name, options = {}) => {
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`Unknown notification transport: ${name}. Available: ${Object.keys(transports).join(', ')}`);
+    }
+    return factory(options);
+};
+
+module.exports = {
+    createTransport,
+    createConsoleTransport,
+    createWebhookTransport
+};
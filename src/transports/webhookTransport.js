@@ -0,0 +1,25 @@
+const { postJson } = require('../utils/http');
+
+/**
+ * Webhook transport - POSTs each nudge as JSON to a configured URL.
+ * Any non-2xx response, network error or timeout rejects, which the
+ * delivery worker treats as a retryable failure.
+ */
+const createWebhookTransport = ({ url, timeoutMs = 5000, headers = {} } = {}) => {
+    if (!url) {
+        throw new Error('Webhook transport requires a url');
+    }
+
+    const target = new URL(url);
+
+    const send = async (nudge) => {
+        await postJson(target, JSON.stringify({ type: 'nudge', data: nudge }), { headers, timeoutMs });
+    };
+
+    return {
+        name: 'webhook',
+        send
+    };
+};
+
+module.exports = createWebhookTransport;
@@ -0,0 +1,225 @@
+const { getCollection } = require('../config/database');
+const { ValidationError } = require('../middleware/errorHandler');
+const { getCurrentTenant } = require('../tenancy/context');
+const { diffEvents, recordRevisions } = require('./revisions');
+const { publishEventChange } = require('./eventBus');
+const { queueBulkWebhookDeliveries } = require('./webhooks');
+
+/*
+ * Category taxonomy.
+ *
+ * Each organization has a two-level tree in the categories collection:
+ *   { name, slug, parent_id, order, created_at, updated_at }
+ * Top-level nodes (parent_id null) are event categories, their children
+ * sub-categories. Events keep storing the names in category/sub_category,
+ * so existing clients and filters are unchanged; the taxonomy decides
+ * which names are valid and how they are spelled.
+ *
+ * An organization without any categories isn't checked at all - that's
+ * every organization until its admins start defining one.
+ */
+
+const COLLECTION_NAME = 'categories';
+const EVENTS_COLLECTION_NAME = 'events';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Events rewritten per round trip by a rename or merge
+const REWRITE_BATCH_SIZE = 500;
+
+/**
+ * URL-safe slug from a display name ("Data & AI" -> "data-ai")
+ * @param {string} name
+ * @returns {string} Possibly empty, for names without letters or digits
+ */
+const slugify = (name) => String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')  // Accents: "Café" -> "Cafe"
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Query value matching a name exactly but ignoring case ("tech" matches "Tech")
+ * @param {string} name
+ * @returns {RegExp}
+ */
+const nameMatcher = (name) => new RegExp(`^${escapeRegex(name)}$`, 'i');
+
+// An event value names a node by its name (any case) or its slug
+const matchesNode = (node, value) => typeof value === 'string' &&
+    (node.name.toLowerCase() === value.trim().toLowerCase() || node.slug === slugify(value));
+
+/**
+ * The organization's taxonomy as a tree, ordered by order then name
+ * @returns {Promise<{roots: Array<Object>, isEmpty: boolean, findRoot: Function, findChild: Function}>}
+ */
+const loadTaxonomy = async () => {
+    const nodes = await getCollection(COLLECTION_NAME).find({}).sort({ order: 1, name: 1 }).toArray();
+
+    const roots = nodes
+        .filter((node) => !node.parent_id)
+        .map((root) => ({
+            ...root,
+            children: nodes.filter((node) => node.parent_id && node.parent_id.equals(root._id))
+        }));
+
+    return {
+        roots,
+        isEmpty: nodes.length === 0,
+        findRoot: (value) => roots.find((root) => matchesNode(root, value)) || null,
+        findChild: (root, value) => root.children.find((child) => matchesNode(child, value)) || null
+    };
+};
+
+/**
+ * Filter for the events a node holds, trashed ones included: every
+ * spelling of it actually stored - its name in any case, or its slug.
+ * Found with distinct() because slugs can't be matched by a query.
+ * @param {Object} node - Category
+ * @param {Object|null} parent - The node's category, for a sub-category
+ * @param {Array<{name: string, slug: string}>} aliases - More spellings to include (a rename's new name)
+ * @returns {Promise<Object>} Filter on category, and sub_category for a sub-category
+ */
+const eventsFilter = async (node, parent = null, aliases = []) => {
+    const eventsCollection = getCollection(EVENTS_COLLECTION_NAME);
+    const spellings = async (field, nodes, filter) => (await eventsCollection.distinct(field, filter))
+        .filter((value) => nodes.some((candidate) => matchesNode(candidate, value)));
+
+    if (!parent) {
+        return { category: { $in: await spellings('category', [node, ...aliases], {}) } };
+    }
+
+    const category = { $in: await spellings('category', [parent], {}) };
+    return { category, sub_category: { $in: await spellings('sub_category', [node, ...aliases], { category }) } };
+};
+
+const listNames = (nodes) => nodes.map((node) => node.name).join(', ');
+
+/**
+ * Check an event's category and sub_category against the organization's
+ * taxonomy and settings.allowed_categories, and replace them with the
+ * taxonomy's spelling ("tech" -> "Tech"). Only looks at the fields present,
+ * so it suits partial updates; the stored event fills in the other half.
+ * A category without sub-categories accepts any sub_category.
+ * @param {Object} data - Validated event fields, changed in place
+ * @param {Object} options
+ * @param {Object|null} options.current - Stored event (category, sub_category) on update
+ * @param {Object} options.taxonomy - Preloaded loadTaxonomy() result (bulk import)
+ * @returns {Promise<Object>} data
+ * @throws {ValidationError}
+ */
+const normalizeEventCategories = async (data, { current = null, taxonomy = null } = {}) => {
+    if (data.category === undefined && data.sub_category === undefined) {
+        return data;
+    }
+
+    const errors = [];
+    const tree = taxonomy || await loadTaxonomy();
+
+    if (!tree.isEmpty) {
+        const categoryValue = data.category !== undefined ? data.category : current && current.category;
+        const subCategoryValue = data.sub_category !== undefined ? data.sub_category : current && current.sub_category;
+        const root = tree.findRoot(categoryValue);
+
+        if (!root) {
+            errors.push({ field: 'category', message: `category must be one of: ${listNames(tree.roots)}` });
+        } else {
+            if (data.category !== undefined) {
+                data.category = root.name;
+            }
+
+            if (root.children.length > 0) {
+                const child = tree.findChild(root, subCategoryValue);
+                if (!child) {
+                    errors.push({
+                        field: 'sub_category',
+                        message: `sub_category must be one of the ${root.name} sub-categories: ${listNames(root.children)}`
+                    });
+                } else if (data.sub_category !== undefined || data.category !== undefined) {
+                    data.sub_category = child.name;
+                }
+            }
+        }
+    }
+
+    // Organization setting - a further restriction on top of the taxonomy
+    const tenant = getCurrentTenant();
+    const allowed = tenant && tenant.settings.allowed_categories;
+    if (allowed && data.category !== undefined && errors.length === 0 &&
+        !allowed.some((name) => name.toLowerCase() === data.category.toLowerCase())) {
+        errors.push({ field: 'category', message: `category must be one of: ${allowed.join(', ')}` });
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    return data;
+};
+
+/*
+ * Rewrite category/sub_category on every event matching `match` (trashed
+ * ones too, so a restore doesn't bring an old name back) to `set`.
+ * Each event gets a revision and a new version like any other edit, plus
+ * the usual change notification and event.updated webhook.
+ *
+ * Events already equal to `set` are excluded, so every pass shrinks the
+ * match. An event edited between a pass's read and its write is skipped
+ * by the revision condition and picked up by the next pass.
+ */
+const rewriteEvents = async ({ match, set, user, requestId, extra = {} }) => {
+    const eventsCollection = getCollection(EVENTS_COLLECTION_NAME);
+    const filter = { ...match, $nor: [set] };
+    let rewritten = 0;
+
+    for (;;) {
+        const events = await eventsCollection.find(filter).limit(REWRITE_BATCH_SIZE).toArray();
+        if (events.length === 0) {
+            return rewritten;
+        }
+
+        const now = new Date();
+        await eventsCollection.bulkWrite(events.map((event) => ({
+            updateOne: {
+                filter: { _id: event._id, revision: event.revision },
+                update: { $set: { ...set, updated_at: now }, $inc: { revision: 1, version: 1 } }
+            }
+        })), { ordered: false });
+
+        // Which writes won - the others are still in the filter for the next pass
+        const written = await eventsCollection
+            .find({ _id: { $in: events.map((event) => event._id) }, ...set, updated_at: now })
+            .toArray();
+        const previousById = new Map(events.map((event) => [String(event._id), event]));
+
+        await recordRevisions(written.map((event) => ({
+            eventId: event._id,
+            revision: event.revision,
+            action: 'recategorize',
+            user,
+            requestId,
+            changes: diffEvents(previousById.get(String(event._id)), event),
+            extra
+        })));
+
+        const live = written.filter((event) => !event.deleted_at);
+        live.forEach((event) => publishEventChange('updated', event));
+        await queueBulkWebhookDeliveries('event.updated', live);
+
+        rewritten += written.length;
+    }
+};
+
+module.exports = {
+    COLLECTION_NAME,
+    SLUG_PATTERN,
+    slugify,
+    nameMatcher,
+    loadTaxonomy,
+    eventsFilter,
+    normalizeEventCategories,
+    rewriteEvents
+};
@@ -0,0 +1,121 @@
+/*
+ * Minimal RFC 4180 CSV support for bulk import/export.
+ *
+ * Hand-rolled rather than a dependency: we only need comma-separated,
+ * double-quote-escaped records, but the parser must be incremental so
+ * imports can stream - a quoted field may span chunk boundaries and lines.
+ */
+
+/**
+ * Create an incremental CSV parser
+ * @returns {{push: function(string): Array<Array<string>>, end: function(): Array<Array<string>>}}
+ *   push() takes the next chunk of text and returns the records it completed;
+ *   end() flushes the last record
+ * @throws {Error} From end() if the input stops inside a quoted field
+ */
+const createCsvParser = () => {
+    let field = '';
+    let record = [];
+    let inQuotes = false;
+    let quotePending = false;   // Saw '"' inside quotes; next char decides: '""' or closing quote
+    let fieldStarted = false;   // Distinguishes an empty last field from a blank line
+    let skipNewline = false;    // After '\r', a following '\n' belongs to the same line break
+
+    const endRecord = (records) => {
+        record.push(field);
+        // Blank lines produce no record
+        if (record.length > 1 || fieldStarted) {
+            records.push(record);
+        }
+        field = '';
+        record = [];
+        fieldStarted = false;
+    };
+
+    const push = (chunk) => {
+        const records = [];
+
+        for (const char of chunk) {
+            if (skipNewline) {
+                skipNewline = false;
+                if (char === '\n') {
+                    continue;
+                }
+            }
+
+            if (quotePending) {
+                quotePending = false;
+                if (char === '"') {
+                    field += '"';
+                    continue;
+                }
+                inQuotes = false;
+                // Fall through: char is the one after the closing quote
+            } else if (inQuotes) {
+                if (char === '"') {
+                    quotePending = true;
+                } else {
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field === '') {
+                inQuotes = true;
+                fieldStarted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+                fieldStarted = true;
+            } else if (char === '\r' || char === '\n') {
+                skipNewline = char === '\r';
+                endRecord(records);
+            } else {
+                field += char;
+                fieldStarted = true;
+            }
+        }
+
+        return records;
+    };
+
+    const end = () => {
+        if (inQuotes && !quotePending) {
+            throw new Error('Unterminated quoted field');
+        }
+        const records = [];
+        if (record.length > 0 || fieldStarted) {
+            endRecord(records);
+        }
+        return records;
+    };
+
+    return { push, end };
+};
+
+/*
+ * Spreadsheets run a cell starting with one of these as a formula
+ * ("=HYPERLINK(...)", "+cmd|..."). A leading ' makes it plain text
+ * (CSV injection) - numbers are left alone, "-5" is just negative.
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV record (CRLF-terminated)
+ * @param {Array<*>} values - Cell values; null/undefined become empty cells
+ * @returns {string}
+ */
+const formatCsvRow = (values) => values
+    .map((value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',') + '\r\n';
+
+module.exports = {
+    createCsvParser,
+    formatCsvRow
+};
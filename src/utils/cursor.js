@@ -0,0 +1,62 @@
+const { APIError } = require('../middleware/errorHandler');
+const { toObjectId } = require('../config/database');
+
+/*
+ * Opaque keyset cursors for (schedule, _id) pagination.
+ *
+ * Encoded as base64url JSON so clients treat them as tokens rather than
+ * building them by hand. The direction is part of the cursor, so a single
+ * ?cursor= parameter serves both "next" and "previous" links.
+ */
+
+const toBase64Url = (str) => Buffer.from(str, 'utf8').toString('base64url');
+
+const fromBase64Url = (str) => Buffer.from(str, 'base64url').toString('utf8');
+
+/**
+ * Encode a cursor pointing at a document boundary
+ * @param {Object} doc - Boundary document (needs schedule and _id)
+ * @param {string} direction - 'next' or 'prev'
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (doc, direction) => {
+    const payload = {
+        s: new Date(doc.schedule).toISOString(),
+        i: doc._id.toString(),
+        d: direction
+    };
+    return toBase64Url(JSON.stringify(payload));
+};
+
+/**
+ * Decode and validate a cursor
+ * @param {string} cursor - Cursor from the query string
+ * @returns {{schedule: Date, id: ObjectId, direction: string}}
+ * @throws {APIError} If the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(String(cursor)));
+    } catch (error) {
+        throw new APIError('Invalid cursor', 400);
+    }
+
+    if (!payload || typeof payload !== 'object') {
+        throw new APIError('Invalid cursor', 400);
+    }
+
+    const id = toObjectId(payload.i);
+    const schedule = new Date(payload.s);
+
+    if (!id || isNaN(schedule.getTime()) || !['next', 'prev'].includes(payload.d)) {
+        throw new APIError('Invalid cursor', 400);
+    }
+
+    return { schedule, id, direction: payload.d };
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor
+};
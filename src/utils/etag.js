@@ -0,0 +1,71 @@
+/*
+ * ETags for events.
+ *
+ * Every write to an event increments its `version` field (RSVPs included -
+ * they change the representation too), so the version alone is a strong
+ * validator: "<version>". Documents written before versions existed have
+ * no field and count as version 0.
+ *
+ * `revision` (utils/revisions.js) is different: it numbers audited edits
+ * and doesn't move on RSVPs.
+ */
+
+/**
+ * Entity tag for an event
+ * @param {Object} event - Event document
+ * @returns {string} Quoted ETag, e.g. "7"
+ */
+const toETag = (event) => `"${event.version || 0}"`;
+
+const parseTags = (header) => header.split(',').map((tag) => tag.trim()).filter(Boolean);
+
+/**
+ * Versions an If-Match header accepts (strong comparison - weak tags never match)
+ * @param {string|undefined} header - If-Match value
+ * @returns {Array<number>|null} null if there's no precondition (absent or "*")
+ */
+const parseIfMatch = (header) => {
+    if (header === undefined || header.trim() === '*') {
+        return null;
+    }
+    return parseTags(header)
+        .filter((tag) => /^"\d+"$/.test(tag))
+        .map((tag) => parseInt(tag.slice(1, -1), 10));
+};
+
+/**
+ * Filter restricting a write to the versions If-Match accepts.
+ * Spread into the update filter, so the check and the write are one atomic operation.
+ * @param {Array<number>|null} versions - From parseIfMatch
+ * @returns {Object} MongoDB filter fragment
+ */
+const versionFilter = (versions) => {
+    if (versions === null) {
+        return {};
+    }
+    // Version 0 means "no version field yet"; $in with null also matches missing fields
+    return { version: { $in: versions.includes(0) ? [...versions, null] : versions } };
+};
+
+/**
+ * Whether If-None-Match matches the current ETag (weak comparison, as RFC 9110 requires)
+ * @param {string|undefined} header - If-None-Match value
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+const matchesIfNoneMatch = (header, etag) => {
+    if (header === undefined) {
+        return false;
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    return parseTags(header).some((tag) => tag.replace(/^W\//, '') === etag);
+};
+
+module.exports = {
+    toETag,
+    parseIfMatch,
+    versionFilter,
+    matchesIfNoneMatch
+};
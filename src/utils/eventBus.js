@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { getCurrentTenant } = require('../tenancy/context');
+
+/*
+ * In-process bus for event changes.
+ *
+ * Controllers publish after a change is written; subscribers (the SSE
+ * stream) receive it synchronously. Being in-process, it works on a
+ * standalone mongod - MongoDB change streams need a replica set - but each
+ * instance only sees changes made through itself. Running several
+ * instances behind a load balancer would need a shared broker behind
+ * publish/subscribe (e.g. Redis pub/sub); callers wouldn't change.
+ */
+
+const CHANNEL = 'event_change';
+
+const CHANGE_TYPES = ['created', 'updated', 'deleted', 'restored'];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);  // One listener per open stream
+
+// Per-process message id, used as the SSE id
+let sequence = 0;
+
+/**
+ * Announce a change to an event
+ * @param {string} type - created | updated | deleted | restored
+ * @param {Object} event - Event document after the change (for deleted: at least _id, category, sub_category, version)
+ */
+const publishEventChange = (type, event) => {
+    if (!CHANGE_TYPES.includes(type)) {
+        throw new Error(`Unknown event change type: ${type}`);
+    }
+
+    // Subscribers only see their own organization's changes
+    const tenant = getCurrentTenant();
+
+    bus.emit(CHANNEL, {
+        id: ++sequence,
+        type,
+        org_id: event.org_id || (tenant && tenant.id) || null,
+        event_id: event._id,
+        category: event.category || null,
+        sub_category: event.sub_category || null,
+        version: event.version || 0,
+        at: new Date(),
+        data: type === 'deleted' ? null : event
+    });
+};
+
+/**
+ * Receive every published change
+ * @param {Function} listener - Called with each change message
+ * @returns {Function} Unsubscribe
+ */
+const subscribeToEventChanges = (listener) => {
+    // A failing subscriber must not fail the request that published the change
+    const safeListener = (change) => {
+        try {
+            listener(change);
+        } catch (error) {
+            logger.error('Event change subscriber failed', { err: error });
+        }
+    };
+
+    bus.on(CHANNEL, safeListener);
+    return () => bus.off(CHANNEL, safeListener);
+};
+
+/**
+ * Number of active subscribers
+ * @returns {number}
+ */
+const getSubscriberCount = () => bus.listenerCount(CHANNEL);
+
+module.exports = {
+    CHANGE_TYPES,
+    publishEventChange,
+    subscribeToEventChanges,
+    getSubscriberCount
+};
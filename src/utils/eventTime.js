@@ -0,0 +1,248 @@
+const { ValidationError } = require('../middleware/errorHandler');
+const { getCurrentTenant } = require('../tenancy/context');
+const { getInstanceSettings } = require('../tenancy/organizations');
+const { LocalDateTime, normalizeTimeZone, formatInTimeZone, parseDateTime } = require('./timezone');
+const { DEFAULT_TIMEZONE, getRecurrenceEnd, hasOccurrences } = require('./recurrence');
+
+/*
+ * When an event happens.
+ *
+ *   schedule   start instant (UTC) - the first occurrence of a series
+ *   timezone   IANA zone the event is organized in. Date/times sent without
+ *              an offset are read in it, series repeat at the same local
+ *              time in it, and responses show local times in it.
+ *   duration   minutes, null for an event without a set end
+ *   end        schedule + duration, kept so clients can send either one
+ *   ends_at    server-managed: when it's all over - end (or schedule) for a
+ *              single event, the end of the last occurrence for a series,
+ *              null while a series repeats forever. Backs ?when=.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// A year and a day - longer "events" are really series
+const MAX_DURATION_MINUTES = 366 * 24 * 60;
+
+const WHEN_VALUES = ['upcoming', 'ongoing', 'past'];
+
+// Fields that change when an event happens; anything else leaves the timing alone
+const TIMING_FIELDS = ['schedule', 'timezone', 'duration', 'end', 'rrule', 'exdates'];
+
+/**
+ * Zone for events created without one: the organization's setting,
+ * or the instance's DEFAULT_TIMEZONE
+ * @returns {string} IANA zone
+ */
+const getDefaultTimeZone = () => {
+    const tenant = getCurrentTenant();
+    return (tenant && tenant.settings && tenant.settings.timezone) || getInstanceSettings().timezone;
+};
+
+/**
+ * Zone an event's times are shown and repeated in
+ * @param {Object} event
+ * @returns {string} IANA zone
+ */
+const getEventTimeZone = (event) => event.timezone || DEFAULT_TIMEZONE;
+
+const toInstant = (value, timeZone) => (value instanceof LocalDateTime ? value.toInstant(timeZone) : value);
+
+/**
+ * End of an event (or occurrence) from its start and duration
+ * @param {Object} event - schedule, duration
+ * @returns {Date|null} null without a duration
+ */
+const getEnd = ({ schedule, duration }) => (duration
+    ? new Date(new Date(schedule).getTime() + duration * MINUTE_MS)
+    : null);
+
+/**
+ * When an event is over, for its ends_at field
+ * @param {Object} event - schedule, duration, rrule, recurrence_end
+ * @returns {Date|null} null for a series without an end
+ */
+const getEndsAt = ({ schedule, duration, rrule, recurrence_end: recurrenceEnd }) => {
+    const lastStart = rrule ? recurrenceEnd : schedule;
+    if (!lastStart) {
+        return null;
+    }
+    return new Date(new Date(lastStart).getTime() + (duration || 0) * MINUTE_MS);
+};
+
+/**
+ * Turn validated timing fields into stored ones: local date/times become
+ * instants in the event's zone, end and duration are derived from whichever
+ * was sent, and recurrence_end and ends_at are recomputed.
+ * On update only the fields present change; the stored event supplies the rest.
+ * @param {Object} data - Validated event fields, changed in place
+ * @param {Object|null} current - Stored event on update (schedule, timezone,
+ *   duration, rrule, recurrence_end); null on create
+ * @returns {Object} data
+ * @throws {ValidationError}
+ */
+const resolveEventTiming = (data, current = null) => {
+    const isUpdate = current !== null;
+    if (isUpdate && !TIMING_FIELDS.some((field) => data[field] !== undefined)) {
+        return data;
+    }
+
+    const stored = current || {};
+    const timeZone = data.timezone !== undefined
+        ? normalizeTimeZone(data.timezone)
+        : (isUpdate ? getEventTimeZone(stored) : getDefaultTimeZone());
+
+    if (!isUpdate || data.timezone !== undefined) {
+        data.timezone = timeZone;
+    }
+    for (const field of ['schedule', 'end']) {
+        if (data[field]) {
+            data[field] = toInstant(data[field], timeZone);
+        }
+    }
+    if (data.exdates) {
+        data.exdates = data.exdates.map((date) => toInstant(date, timeZone));
+    }
+
+    const schedule = data.schedule || stored.schedule;
+    if (!schedule) {
+        // Update of an event that doesn't exist - the write reports it
+        return data;
+    }
+
+    const errors = [];
+
+    if (data.end !== undefined && data.duration !== undefined && !(data.end === null && data.duration === null)) {
+        errors.push({ field: 'end', message: 'Send either end or duration, not both' });
+    } else if (data.end !== undefined) {
+        const minutes = data.end === null ? null : (data.end - schedule) / MINUTE_MS;
+
+        if (minutes !== null && minutes <= 0) {
+            errors.push({ field: 'end', message: 'end must be after schedule' });
+        } else if (minutes !== null && !Number.isInteger(minutes)) {
+            errors.push({ field: 'end', message: 'end must be a whole number of minutes after schedule' });
+        } else if (minutes !== null && minutes > MAX_DURATION_MINUTES) {
+            errors.push({ field: 'end', message: `end must be at most ${MAX_DURATION_MINUTES} minutes after schedule` });
+        } else {
+            data.duration = minutes;
+        }
+    } else if (data.duration !== undefined) {
+        data.end = getEnd({ schedule, duration: data.duration });
+    } else if (!isUpdate) {
+        data.duration = null;
+        data.end = null;
+    } else if (data.schedule !== undefined) {
+        // Moving an event keeps its length
+        data.end = getEnd({ schedule, duration: stored.duration });
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    const pick = (field) => (data[field] !== undefined ? data[field] : stored[field]);
+
+    // A series' last occurrence moves with its start, its rule and its zone
+    if (!isUpdate || ['schedule', 'rrule', 'timezone'].some((field) => data[field] !== undefined)) {
+        const rrule = pick('rrule');
+        if (rrule && !hasOccurrences(schedule, rrule, timeZone)) {
+            throw new ValidationError([{ field: 'rrule', message: 'rrule has no occurrences from schedule on' }]);
+        }
+        data.recurrence_end = rrule ? getRecurrenceEnd(schedule, rrule, timeZone) : null;
+    }
+
+    data.ends_at = getEndsAt({
+        schedule,
+        duration: pick('duration'),
+        rrule: pick('rrule'),
+        recurrence_end: pick('recurrence_end')
+    });
+
+    return data;
+};
+
+/**
+ * Parse a date/time query parameter. Without an offset it's read in
+ * the organization's zone.
+ * @param {string} value
+ * @returns {Date|null} null if invalid
+ */
+const parseQueryDate = (value) => {
+    const parsed = parseDateTime(value);
+    return parsed && toInstant(parsed, getDefaultTimeZone());
+};
+
+/*
+ * ?when= as a query on stored events:
+ *   upcoming   hasn't started
+ *   ongoing    started and not over (ends_at null: a series that never ends)
+ *   past       over
+ * An event without a duration is over as soon as it starts.
+ */
+const buildWhenFilter = (when, now = new Date()) => {
+    switch (when) {
+        case 'upcoming':
+            return { schedule: { $gt: now } };
+        case 'ongoing':
+            return { schedule: { $lte: now }, ends_at: { $not: { $lte: now } } };
+        case 'past':
+            return { ends_at: { $lte: now } };
+        default:
+            return {};
+    }
+};
+
+/**
+ * ?when= for one expanded occurrence (see buildWhenFilter)
+ * @param {Object} occurrence - schedule, end
+ * @param {string} when
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const matchesWhen = (occurrence, when, now = new Date()) => {
+    const start = new Date(occurrence.schedule);
+    const finish = occurrence.end ? new Date(occurrence.end) : start;
+
+    switch (when) {
+        case 'upcoming':
+            return start > now;
+        case 'ongoing':
+            return start <= now && finish > now;
+        case 'past':
+            return finish <= now;
+        default:
+            return true;
+    }
+};
+
+/**
+ * An event (or occurrence) for a response, with its times also given
+ * in its own zone: local: { timezone, schedule: "2024-03-15T10:00:00-04:00", end }
+ * @param {Object} event
+ * @returns {Object}
+ */
+const withLocalTimes = (event) => {
+    const timeZone = getEventTimeZone(event);
+    const local = { timezone: timeZone };
+
+    for (const field of ['schedule', 'end']) {
+        if (event[field]) {
+            local[field] = formatInTimeZone(event[field], timeZone);
+        }
+    }
+
+    return { ...event, local };
+};
+
+module.exports = {
+    MAX_DURATION_MINUTES,
+    WHEN_VALUES,
+    getDefaultTimeZone,
+    getEventTimeZone,
+    getEnd,
+    getEndsAt,
+    resolveEventTiming,
+    parseQueryDate,
+    buildWhenFilter,
+    matchesWhen,
+    withLocalTimes
+};
@@ -0,0 +1,102 @@
+const http = require('http');
+const https = require('https');
+
+// Receivers only need to answer with a status; anything past this is not read
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+// A dns.lookup stand-in that always answers with one address
+const pinnedLookup = ({ address, family }) => (hostname, options, callback) => {
+    if (options && options.all) {
+        callback(null, [{ address, family }]);
+    } else {
+        callback(null, address, family);
+    }
+};
+
+/**
+ * POST a JSON body to a URL.
+ * Any non-2xx response, network error or timeout rejects; the error carries
+ * `statusCode` when the server answered.
+ *
+ * The timeout is a deadline for the whole exchange - connecting, sending and
+ * reading the response - so a receiver trickling bytes can't hold a worker.
+ * At most maxResponseBytes of the response body are read.
+ * With address, the connection goes to that IP instead of resolving the
+ * URL's host again; Host, SNI and certificate checks still use the host.
+ * @param {string|URL} url - Target URL
+ * @param {string} body - Serialized JSON
+ * @param {Object} options
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.timeoutMs - Deadline from the start of the request
+ * @param {number} options.maxResponseBytes - Response body bytes read before giving up on the rest
+ * @param {{address: string, family: number}} options.address - Already resolved (and checked) address to connect to
+ * @returns {Promise<{statusCode: number}>}
+ */
+const postJson = (url, body, {
+    headers = {},
+    timeoutMs = 5000,
+    maxResponseBytes = MAX_RESPONSE_BYTES,
+    address = null
+} = {}) => new Promise((resolve, reject) => {
+    const target = url instanceof URL ? url : new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    let settled = false;
+    const settle = (error, result) => {
+        if (settled) {
+            return;
+        }
+        settled = true;
+        clearTimeout(deadline);
+        if (error) {
+            reject(error);
+        } else {
+            resolve(result);
+        }
+    };
+
+    const req = client.request(target, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            ...headers
+        },
+        ...(address && { lookup: pinnedLookup(address) })
+    }, (res) => {
+        const finish = () => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                settle(null, { statusCode: res.statusCode });
+            } else {
+                const error = new Error(`Webhook responded with status ${res.statusCode}`);
+                error.statusCode = res.statusCode;
+                settle(error);
+            }
+        };
+
+        // Read (and discard) the body so the socket goes back to the agent -
+        // unless it's too large, then the connection is dropped instead
+        let received = 0;
+        res.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > maxResponseBytes) {
+                finish();
+                req.destroy();
+            }
+        });
+        res.on('end', finish);
+        res.on('error', settle);
+    });
+
+    const deadline = setTimeout(() => {
+        req.destroy(new Error(`Webhook timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    req.on('error', settle);
+
+    req.end(body);
+});
+
+module.exports = {
+    postJson
+};
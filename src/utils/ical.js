@@ -0,0 +1,208 @@
+/*
+ * iCalendar (RFC 5545) rendering for events.
+ *
+ * One VEVENT per event. Recurring events are emitted as a single VEVENT with
+ * RRULE/EXDATE, plus one VEVENT per edited occurrence (same UID, RECURRENCE-ID),
+ * so calendar clients expand the series themselves.
+ *
+ * - UID is derived from _id only, so re-importing or re-syncing a feed updates
+ *   the same calendar entry instead of duplicating it.
+ * - SEQUENCE is the number of seconds between created_at and updated_at.
+ *   It only grows when the event changes, which is all clients need to
+ *   prefer the newer copy.
+ * - Times are UTC, except for series outside UTC: they repeat at the same
+ *   local time, so their DTSTART (and EXDATE, RECURRENCE-ID) carry a TZID
+ *   for clients to expand them in. No VTIMEZONE is included - clients
+ *   resolve IANA names like Europe/Berlin themselves.
+ */
+
+const { toWallClock } = require('./timezone');
+
+const PRODID = '-//Events API//Events API//EN';
+
+// Lines longer than 75 octets must be folded (RFC 5545 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeText = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME: 20240315T100000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+/**
+ * Date-time property in UTC, or local time with a TZID when a zone is given:
+ * DTSTART;TZID=America/New_York:20240315T100000
+ * @param {string} name - Property name
+ * @param {Array<Date>} dates - One value, or several (EXDATE)
+ * @param {string|null} timeZone - IANA zone
+ * @returns {string}
+ */
+const dateProperty = (name, dates, timeZone) => (timeZone
+    ? `${name};TZID=${timeZone}:${dates.map((date) => formatDate(toWallClock(date, timeZone)).slice(0, -1)).join(',')}`
+    : `${name}:${dates.map(formatDate).join(',')}`);
+
+// Zone a series' times are written in - null for UTC
+const seriesTimeZone = (event) => (event.rrule && event.timezone && event.timezone !== 'UTC' ? event.timezone : null);
+
+/*
+ * Fold a content line into 75-octet chunks, continuation lines starting with
+ * a space. Splits on character boundaries so multi-byte UTF-8 stays intact.
+ */
+const foldLine = (line) => {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+        return line;
+    }
+
+    const chunks = [];
+    let current = '';
+    let currentOctets = 0;
+    // The leading space of continuation lines counts toward their limit
+    let limit = MAX_LINE_OCTETS;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char);
+        if (currentOctets + octets > limit) {
+            chunks.push(current);
+            current = '';
+            currentOctets = 0;
+            limit = MAX_LINE_OCTETS - 1;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+};
+
+const sequenceOf = (event) => {
+    if (!event.created_at || !event.updated_at) {
+        return 0;
+    }
+    return Math.max(0, Math.floor((new Date(event.updated_at) - new Date(event.created_at)) / 1000));
+};
+
+const describe = (fields) => [
+    fields.tagline,
+    fields.description,
+    fields.moderator && `Moderator: ${fields.moderator}`
+].filter(Boolean).join('\n\n');
+
+/*
+ * Properties shared by a series/single event and its edited occurrences.
+ * `fields` holds the (possibly overridden) display fields.
+ */
+const eventLines = (event, fields, { uid, dtstamp }) => {
+    const timeZone = seriesTimeZone(event);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${dtstamp}`,
+        dateProperty('DTSTART', [fields.schedule], timeZone)
+    ];
+
+    // Every occurrence, moved ones included, lasts the event's duration
+    if (event.duration) {
+        const end = new Date(new Date(fields.schedule).getTime() + event.duration * 60 * 1000);
+        lines.push(dateProperty('DTEND', [end], timeZone));
+    }
+
+    lines.push(
+        `SEQUENCE:${sequenceOf(event)}`,
+        `SUMMARY:${escapeText(fields.name)}`
+    );
+
+    const description = describe(fields);
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+
+    const categories = [event.category, event.sub_category].filter(Boolean);
+    if (categories.length > 0) {
+        lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+    }
+
+    if (event.created_at) {
+        lines.push(`CREATED:${formatDate(event.created_at)}`);
+    }
+    if (event.updated_at) {
+        lines.push(`LAST-MODIFIED:${formatDate(event.updated_at)}`);
+    }
+
+    return lines;
+};
+
+/*
+ * VEVENT lines for one event document, including RRULE/EXDATE and
+ * RECURRENCE-ID components for recurring events.
+ */
+const renderEvent = (event, { uidDomain, dtstamp }) => {
+    const uid = `${event._id}@${uidDomain}`;
+    const lines = eventLines(event, event, { uid, dtstamp });
+
+    if (event.rrule) {
+        lines.push(`RRULE:${event.rrule.replace(/^RRULE:/i, '')}`);
+        if (event.exdates && event.exdates.length > 0) {
+            lines.push(dateProperty('EXDATE', event.exdates, seriesTimeZone(event)));
+        }
+    }
+    lines.push('END:VEVENT');
+
+    if (event.rrule) {
+        for (const override of event.occurrence_overrides || []) {
+            const fields = { ...event, schedule: override.occurrence, ...override };
+            lines.push(...eventLines(event, fields, { uid, dtstamp }));
+            lines.push(dateProperty('RECURRENCE-ID', [override.occurrence], seriesTimeZone(event)));
+            lines.push('END:VEVENT');
+        }
+    }
+
+    return lines;
+};
+
+/**
+ * Render events as an iCalendar document
+ * @param {Array<Object>} events - Event documents
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by clients (X-WR-CALNAME)
+ * @param {string} options.uidDomain - Right-hand side of UIDs (`<_id>@<uidDomain>`)
+ * @returns {string} CRLF-terminated iCalendar text
+ */
+const buildCalendar = (events, { name, uidDomain = process.env.ICAL_UID_DOMAIN || 'events-api' } = {}) => {
+    const dtstamp = formatDate(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (name) {
+        lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+
+    for (const event of events) {
+        lines.push(...renderEvent(event, { uidDomain, dtstamp }));
+    }
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    buildCalendar
+};
@@ -0,0 +1,132 @@
+const sharp = require('sharp');
+const { APIError } = require('../middleware/errorHandler');
+
+/*
+ * Variants generated for event images.
+ * fit 'cover' crops to the exact box (thumbnails/cards in grids),
+ * 'inside' keeps the aspect ratio and only ever shrinks (detail view).
+ */
+const IMAGE_VARIANTS = {
+    thumbnail: { width: 160, height: 160, fit: 'cover' },
+    card: { width: 640, height: 360, fit: 'cover' },
+    full: { width: 1920, height: 1920, fit: 'inside' }
+};
+
+// WebP for clients that support it, JPEG as the universal fallback
+const IMAGE_FORMATS = {
+    webp: { ext: 'webp', options: { quality: 80 } },
+    jpeg: { ext: 'jpg', options: { quality: 82, mozjpeg: true } }
+};
+
+/*
+ * File signatures ("magic bytes").
+ * Extension and declared mimetype are client-controlled; the content isn't.
+ */
+const SIGNATURES = [
+    { type: 'jpeg', matches: (b) => b.length >= 3 && b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+    { type: 'png', matches: (b) => b.length >= 8 && b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) },
+    { type: 'gif', matches: (b) => b.length >= 6 && ['GIF87a', 'GIF89a'].includes(b.slice(0, 6).toString('ascii')) },
+    { type: 'webp', matches: (b) => b.length >= 12 && b.slice(0, 4).toString('ascii') === 'RIFF' && b.slice(8, 12).toString('ascii') === 'WEBP' }
+];
+
+/**
+ * Detect image type from file content
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} 'jpeg' | 'png' | 'gif' | 'webp', or null if not a supported image
+ */
+const detectImageType = (buffer) => {
+    const signature = SIGNATURES.find((candidate) => candidate.matches(buffer));
+    return signature ? signature.type : null;
+};
+
+/*
+ * Decode once, auto-rotate from the EXIF orientation, then let sharp drop all
+ * metadata on output (it does unless withMetadata() is called) - that removes
+ * EXIF/GPS, camera serials, embedded thumbnails etc.
+ */
+const decode = (buffer) => sharp(buffer, { failOn: 'error' }).rotate();
+
+/**
+ * Re-encode an image in its own format with metadata stripped.
+ * Used for uploads that don't need resized variants (e.g. nudge icons).
+ * @param {Buffer} buffer - Original file content
+ * @returns {Promise<{buffer: Buffer, type: string}>}
+ * @throws {APIError} If the content isn't a supported or decodable image
+ */
+const sanitizeImage = async (buffer) => {
+    const type = detectImageType(buffer);
+    if (!type) {
+        throw new APIError('Only image files are allowed (jpeg, jpg, png, gif, webp)', 400);
+    }
+
+    try {
+        const output = await decode(buffer).toFormat(type).toBuffer();
+        return { buffer: output, type };
+    } catch (error) {
+        throw new APIError('Invalid or corrupted image file', 400);
+    }
+};
+
+/**
+ * Generate every variant x format for an image.
+ * @param {Buffer} buffer - Original file content
+ * @returns {Promise<Array<{variant: string, format: string, ext: string, buffer: Buffer, width: number, height: number}>>}
+ * @throws {APIError} If the content isn't a supported or decodable image
+ */
+const generateVariants = async (buffer) => {
+    if (!detectImageType(buffer)) {
+        throw new APIError('Only image files are allowed (jpeg, jpg, png, gif, webp)', 400);
+    }
+
+    /*
+     * Sequential on purpose: libvips already uses a thread pool per operation,
+     * and running six encodes at once multiplies peak memory per upload.
+     */
+    const outputs = [];
+    try {
+        for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+            for (const [format, { ext, options }] of Object.entries(IMAGE_FORMATS)) {
+                const { data, info } = await decode(buffer)
+                    .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: true })
+                    .toFormat(format, options)
+                    .toBuffer({ resolveWithObject: true });
+
+                outputs.push({ variant, format, ext, buffer: data, width: info.width, height: info.height });
+            }
+        }
+    } catch (error) {
+        throw new APIError('Invalid or corrupted image file', 400);
+    }
+
+    return outputs;
+};
+
+/**
+ * All stored paths held by an `images` object (see generateVariants)
+ * @param {Object} images - { variant: { format: path, width, height } }
+ * @returns {Array<string>}
+ */
+const getVariantPaths = (images) => {
+    if (!images) {
+        return [];
+    }
+
+    const paths = [];
+    for (const variant of Object.keys(IMAGE_VARIANTS)) {
+        for (const format of Object.keys(IMAGE_FORMATS)) {
+            if (images[variant] && images[variant][format]) {
+                paths.push(images[variant][format]);
+            }
+        }
+    }
+    return paths;
+};
+
+module.exports = {
+    IMAGE_VARIANTS,
+    IMAGE_FORMATS,
+    detectImageType,
+    sanitizeImage,
+    generateVariants,
+    getVariantPaths
+};
@@ -0,0 +1,107 @@
+/*
+ * Structured logger - one JSON object per line on stdout, so log shippers
+ * can index fields (request_id, status, duration_ms...) instead of grepping.
+ *
+ * LOG_LEVEL: debug | info | warn | error (default info)
+ * LOG_FORMAT: json | pretty (default pretty in development, json elsewhere)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Read on first log line, after dotenv has loaded the environment
+let settings = null;
+
+const getSettings = () => {
+    if (!settings) {
+        const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+        const format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'development' ? 'pretty' : 'json');
+
+        settings = {
+            threshold: LEVELS[level] || LEVELS.info,
+            pretty: format === 'pretty'
+        };
+    }
+    return settings;
+};
+
+/**
+ * Errors don't survive JSON.stringify - keep the fields worth logging
+ * @param {Error} error
+ * @returns {Object}
+ */
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.statusCode !== undefined && { statusCode: error.statusCode }),
+    stack: error.stack
+});
+
+const serializeFields = (fields) => {
+    const entry = {};
+    for (const [key, value] of Object.entries(fields)) {
+        entry[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    return entry;
+};
+
+const formatPretty = (entry) => {
+    const { time, level, message, ...fields } = entry;
+    const stacks = [];
+
+    const rest = Object.entries(fields).map(([key, value]) => {
+        if (value && typeof value === 'object' && value.stack) {
+            stacks.push(value.stack);
+            return `${key}=${JSON.stringify(value.message)}`;
+        }
+        return `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+    });
+
+    return [`${time} ${level.toUpperCase().padEnd(5)} ${message}`, rest.join(' ')].filter(Boolean).join(' ')
+        + stacks.map((stack) => `\n${stack}`).join('');
+};
+
+const write = (level, bindings, message, fields) => {
+    const { threshold, pretty } = getSettings();
+    if (LEVELS[level] < threshold) {
+        return;
+    }
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        message,
+        ...bindings,
+        ...serializeFields(fields)
+    };
+
+    let line;
+    try {
+        line = pretty ? formatPretty(entry) : JSON.stringify(entry);
+    } catch (error) {
+        // Circular or BigInt fields - never let logging break the caller
+        line = JSON.stringify({ time: entry.time, level, message, log_error: error.message });
+    }
+
+    process.stdout.write(line + '\n');
+};
+
+/**
+ * Create a logger whose lines all carry the given fields
+ * @param {Object} bindings - Fields added to every line (e.g. { request_id })
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ */
+const createLogger = (bindings = {}) => ({
+    debug: (message, fields = {}) => write('debug', bindings, message, fields),
+    info: (message, fields = {}) => write('info', bindings, message, fields),
+    warn: (message, fields = {}) => write('warn', bindings, message, fields),
+    error: (message, fields = {}) => write('error', bindings, message, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra })
+});
+
+// Process-wide logger; use logger.child({ component }) in modules, req.log in handlers
+const logger = createLogger();
+
+module.exports = {
+    logger
+};
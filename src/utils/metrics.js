@@ -0,0 +1,265 @@
+/*
+ * Prometheus metrics, rendered in the text exposition format (0.0.4) by
+ * GET /metrics. Values live in process memory, so each instance reports
+ * its own - Prometheus aggregates across instances.
+ *
+ * Label values must come from a small fixed set (route patterns, not URLs)
+ * or the series count grows without bound.
+ */
+
+const registry = [];
+
+const escapeLabelValue = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+// Series are keyed by their label values, in labelNames order
+const seriesKey = (labelNames, labels) => labelNames.map((name) => String(labels[name] ?? '')).join('\u0000');
+
+const pickLabels = (labelNames, labels) => {
+    const picked = {};
+    labelNames.forEach((name) => {
+        picked[name] = labels[name] ?? '';
+    });
+    return picked;
+};
+
+const register = (metric) => {
+    registry.push(metric);
+    return metric;
+};
+
+/**
+ * Monotonic counter
+ * @param {{name: string, help: string, labelNames?: string[]}} definition
+ */
+const createCounter = ({ name, help, labelNames = [] }) => {
+    const series = new Map();
+
+    return register({
+        inc: (labels = {}, value = 1) => {
+            const key = seriesKey(labelNames, labels);
+            const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+            entry.value += value;
+            series.set(key, entry);
+        },
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...[...series.values()].map((entry) => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`)
+        ]
+    });
+};
+
+/**
+ * Gauge - set directly, or computed at scrape time by `collect`
+ * @param {{name: string, help: string, labelNames?: string[], collect?: Function}} definition
+ */
+const createGauge = ({ name, help, labelNames = [], collect }) => {
+    const series = new Map();
+
+    const set = (labels, value) => {
+        series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+    };
+
+    const add = (labels, delta) => {
+        const entry = series.get(seriesKey(labelNames, labels));
+        set(labels, (entry ? entry.value : 0) + delta);
+    };
+
+    return register({
+        set: (labels = {}, value) => set(labels, value),
+        inc: (labels = {}, value = 1) => add(labels, value),
+        dec: (labels = {}, value = 1) => add(labels, -value),
+        render: () => {
+            if (collect) {
+                set({}, collect());
+            }
+            return [
+                `# HELP ${name} ${help}`,
+                `# TYPE ${name} gauge`,
+                ...[...series.values()].map((entry) => `${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`)
+            ];
+        }
+    });
+};
+
+/**
+ * Histogram with cumulative buckets, _sum and _count
+ * @param {{name: string, help: string, labelNames?: string[], buckets: number[]}} definition
+ */
+const createHistogram = ({ name, help, labelNames = [], buckets }) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+
+    return register({
+        observe: (labels = {}, value) => {
+            const key = seriesKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+
+            bounds.forEach((bound, i) => {
+                if (value <= bound) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render: () => {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+            for (const entry of series.values()) {
+                bounds.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+                lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+                lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+            }
+            return lines;
+        }
+    });
+};
+
+/**
+ * Render every registered metric
+ * @returns {string} Prometheus text exposition
+ */
+const renderMetrics = () => registry.map((metric) => metric.render().join('\n')).join('\n') + '\n';
+
+/*
+ * Instruments
+ */
+
+const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency by method, route pattern and status',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+const httpErrors = createCounter({
+    name: 'http_request_errors_total',
+    help: 'Responses with a 4xx or 5xx status, by route pattern and status',
+    labelNames: ['route', 'status']
+});
+
+const uploadSize = createHistogram({
+    name: 'upload_size_bytes',
+    help: 'Size of accepted uploads as received, by kind',
+    labelNames: ['kind'],
+    buckets: [10e3, 50e3, 100e3, 500e3, 1e6, 2.5e6, 5e6, 10e6, 25e6, 50e6]
+});
+
+const mongoPoolConnections = createGauge({
+    name: 'mongodb_pool_connections',
+    help: 'Open MongoDB connections, by state (idle or in_use)',
+    labelNames: ['state']
+});
+
+const mongoPoolWaitQueue = createGauge({
+    name: 'mongodb_pool_wait_queue_size',
+    help: 'Operations waiting for a MongoDB connection'
+});
+
+const mongoPoolMaxSize = createGauge({
+    name: 'mongodb_pool_max_size',
+    help: 'Configured maximum MongoDB connections per server'
+});
+
+const mongoCheckoutFailures = createCounter({
+    name: 'mongodb_pool_checkout_failures_total',
+    help: 'Failed MongoDB connection checkouts, by reason',
+    labelNames: ['reason']
+});
+
+createGauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: () => process.memoryUsage().rss
+});
+
+createGauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'V8 heap in use in bytes',
+    collect: () => process.memoryUsage().heapUsed
+});
+
+createGauge({
+    name: 'process_uptime_seconds',
+    help: 'Seconds since the process started',
+    collect: () => Math.round(process.uptime())
+});
+
+/**
+ * Record a finished HTTP request
+ * @param {{method: string, route: string, status: number, durationSeconds: number}} request
+ */
+const recordHttpRequest = ({ method, route, status, durationSeconds }) => {
+    httpRequestDuration.observe({ method, route, status }, durationSeconds);
+    if (status >= 400) {
+        httpErrors.inc({ route, status });
+    }
+};
+
+/**
+ * Record an accepted upload
+ * @param {string} kind - "event_image", "nudge_image" or "import"
+ * @param {number} bytes - Size as received, before processing
+ */
+const recordUpload = (kind, bytes) => {
+    uploadSize.observe({ kind }, bytes);
+};
+
+/**
+ * Track a MongoClient's connection pool through the driver's CMAP events
+ * @param {import('mongodb').MongoClient} client
+ * @param {number} maxPoolSize - The client's maxPoolSize option
+ */
+const observeMongoPool = (client, maxPoolSize) => {
+    mongoPoolMaxSize.set({}, maxPoolSize);
+    mongoPoolConnections.set({ state: 'idle' }, 0);
+    mongoPoolConnections.set({ state: 'in_use' }, 0);
+    mongoPoolWaitQueue.set({}, 0);
+
+    client.on('connectionCreated', () => mongoPoolConnections.inc({ state: 'idle' }));
+    client.on('connectionClosed', () => mongoPoolConnections.dec({ state: 'idle' }));
+    client.on('connectionCheckOutStarted', () => mongoPoolWaitQueue.inc());
+    client.on('connectionCheckedOut', () => {
+        mongoPoolWaitQueue.dec();
+        mongoPoolConnections.dec({ state: 'idle' });
+        mongoPoolConnections.inc({ state: 'in_use' });
+    });
+    client.on('connectionCheckOutFailed', (event) => {
+        mongoPoolWaitQueue.dec();
+        mongoCheckoutFailures.inc({ reason: event.reason });
+    });
+    client.on('connectionCheckedIn', () => {
+        mongoPoolConnections.dec({ state: 'in_use' });
+        mongoPoolConnections.inc({ state: 'idle' });
+    });
+};
+
+module.exports = {
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics,
+    recordHttpRequest,
+    recordUpload,
+    observeMongoPool
+};
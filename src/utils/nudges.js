@@ -0,0 +1,81 @@
+const { getCollection } = require('../config/database');
+const { removeFiles } = require('../storage');
+const { logger } = require('./logger');
+
+/*
+ * Nudges follow their event through the trash.
+ *
+ * Moving an event to the trash cancels its pending nudges; restoring it
+ * puts the ones cancelled that way back in the queue (a missed delivery
+ * window is then handled by the worker as usual). Purging the event deletes
+ * its nudges and their files. The delivery worker also checks the event at
+ * send time, for nudges it claimed before the delete.
+ *
+ * Like revisions, this runs after the event is written: failures are
+ * logged, not returned as errors - the change already happened.
+ */
+
+const COLLECTION_NAME = 'nudges';
+
+// last_error of nudges cancelled because their event was deleted
+const EVENT_DELETED = 'Event was deleted';
+
+/**
+ * Cancel the pending nudges of a trashed event. Never throws.
+ * @param {ObjectId} eventId
+ */
+const cancelEventNudges = async (eventId) => {
+    try {
+        await getCollection(COLLECTION_NAME).updateMany(
+            { event_id: eventId, status: 'pending' },
+            { $set: { status: 'cancelled', last_error: EVENT_DELETED, updated_at: new Date() } }
+        );
+    } catch (error) {
+        logger.error('Failed to cancel nudges', { event_id: String(eventId), err: error });
+    }
+};
+
+/**
+ * Re-queue the nudges cancelled by moving an event to the trash. Never throws.
+ * Nudges cancelled by hand stay cancelled.
+ * @param {ObjectId} eventId
+ */
+const restoreEventNudges = async (eventId) => {
+    try {
+        await getCollection(COLLECTION_NAME).updateMany(
+            { event_id: eventId, status: 'cancelled', last_error: EVENT_DELETED },
+            { $set: { status: 'pending', last_error: null, updated_at: new Date() } }
+        );
+    } catch (error) {
+        logger.error('Failed to restore nudges', { event_id: String(eventId), err: error });
+    }
+};
+
+/**
+ * Delete the nudges of a purged event, then their files. Never throws.
+ * @param {ObjectId} eventId
+ */
+const deleteEventNudges = async (eventId) => {
+    try {
+        const nudgesCollection = getCollection(COLLECTION_NAME);
+        const nudges = await nudgesCollection
+            .find({ event_id: eventId }, { projection: { image: 1, icon: 1 } })
+            .toArray();
+
+        if (nudges.length === 0) {
+            return;
+        }
+
+        await nudgesCollection.deleteMany({ _id: { $in: nudges.map(({ _id }) => _id) } });
+        await removeFiles(nudges.flatMap(({ image, icon }) => [image, icon]));
+    } catch (error) {
+        logger.error('Failed to delete nudges', { event_id: String(eventId), err: error });
+    }
+};
+
+module.exports = {
+    EVENT_DELETED,
+    cancelEventNudges,
+    restoreEventNudges,
+    deleteEventNudges
+};
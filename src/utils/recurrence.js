@@ -0,0 +1,363 @@
+const { RRule } = require('rrule');
+const { toWallClock, fromWallClock } = require('./timezone');
+
+/*
+ * Recurring events.
+ *
+ * A series is a normal event document plus:
+ * - rrule:                iCalendar RRULE without DTSTART ("FREQ=WEEKLY;BYDAY=TU;COUNT=10").
+ *                         The event's schedule is the DTSTART.
+ * - exdates:              cancelled occurrences (original start instants)
+ * - occurrence_overrides: [{ occurrence, ...fields }] edits to single occurrences
+ * - recurrence_end:       last possible occurrence (null = unbounded), kept so
+ *                         listings can skip finished series without expanding them
+ *
+ * Occurrences are expanded on the fly and never stored as documents.
+ * Stored instants are UTC, but rules repeat in the event's timezone: a
+ * weekly 10:00 session in New York stays at 10:00 there across DST changes.
+ */
+
+// Fields a single occurrence may override; everything else comes from the series
+const OVERRIDABLE_FIELDS = ['name', 'tagline', 'description', 'moderator', 'schedule'];
+
+// Safety net against rules like BYHOUR=0,1,...,23 over a year-long window
+const MAX_OCCURRENCES_PER_SERIES = 1000;
+
+/*
+ * rrule walks the calendar one period (day, week, month or year) at a time
+ * and only stops at a match past what it was asked for, COUNT or UNTIL. A
+ * rule nothing matches ("FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30") would walk on
+ * to the year 9999, seconds of CPU, so every walk is cut off after this many
+ * years of the calendar. Listings and single occurrences start the walk
+ * next to the dates they want (skipAhead), so only a series' end (COUNT)
+ * ever walks from its start.
+ */
+const MAX_WALK_YEARS = 50;
+
+// Periods a year, by rrule frequency
+const PERIODS_PER_YEAR = {
+    [RRule.YEARLY]: 1,
+    [RRule.MONTHLY]: 12,
+    [RRule.WEEKLY]: 53,
+    [RRule.DAILY]: 366
+};
+
+// A COUNT beyond this isn't walked to - the series is treated as endless
+const MAX_COUNTED_OCCURRENCES = 100000;
+
+// Events stored before they had a timezone were expanded in UTC
+const DEFAULT_TIMEZONE = 'UTC';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Parse and check an RRULE string
+ * @param {string} rruleString - RRULE value (no DTSTART)
+ * @returns {Object} rrule options
+ * @throws {Error} With a client-facing message if the rule is invalid
+ */
+const parseRule = (rruleString) => {
+    let options;
+    try {
+        options = RRule.parseString(rruleString.replace(/^RRULE:/i, ''));
+    } catch (error) {
+        throw new Error(`rrule is invalid: ${error.message}`);
+    }
+
+    if (options.freq === undefined) {
+        throw new Error('rrule must include a valid FREQ');
+    }
+    // Anything finer makes thousands of occurrences a day
+    if (options.freq > RRule.DAILY) {
+        throw new Error('rrule FREQ must be YEARLY, MONTHLY, WEEKLY or DAILY');
+    }
+    if (options.dtstart || options.tzid) {
+        throw new Error('rrule must not include DTSTART/TZID - schedule is the series start');
+    }
+
+    return options;
+};
+
+/**
+ * Schema validator for the rrule field
+ * @param {string} value - RRULE string
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRule = (value) => {
+    try {
+        parseRule(value);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+const WEEK_MS = 7 * DAY_MS;
+
+const present = (value) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+
+// rrule numbers weekdays from Monday (0)
+const weekdayOf = (date) => (date.getUTCDay() + 6) % 7;
+
+// Midnight of a wall clock date, plus some days
+const dayOf = (date, plusDays = 0) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + plusDays);
+
+/*
+ * Periods are counted from the series start, INTERVAL apart. The rule
+ * restarted at a later period boundary generates the same dates from there
+ * on - once what rrule otherwise takes from DTSTART (time of day, weekday,
+ * day of month) is spelled out. COUNT counts from the start, so those rules
+ * can't skip.
+ * Returns the options for the restarted rule, or null if there's nothing to skip.
+ */
+const skipAhead = (options, dtstart, near) => {
+    if (options.count || near <= dtstart) {
+        return null;
+    }
+
+    const interval = options.interval || 1;
+    const whole = (periods) => Math.floor(periods / interval) * interval;
+    const y = dtstart.getUTCFullYear();
+    const m = dtstart.getUTCMonth();
+    let start;
+
+    switch (options.freq) {
+        case RRule.YEARLY:
+            start = Date.UTC(y + whole(near.getUTCFullYear() - y), 0, 1);
+            break;
+        case RRule.MONTHLY:
+            start = Date.UTC(y, m + whole((near.getUTCFullYear() - y) * 12 + near.getUTCMonth() - m), 1);
+            break;
+        case RRule.WEEKLY: {
+            const wkst = options.wkst === undefined ? 0 : (options.wkst.weekday ?? options.wkst);
+            const weekStart = (date) => dayOf(date, -((weekdayOf(date) - wkst + 7) % 7));
+            start = weekStart(dtstart) + whole(Math.floor((weekStart(near) - weekStart(dtstart)) / WEEK_MS)) * WEEK_MS;
+            break;
+        }
+        default:
+            start = dayOf(dtstart, whole(Math.floor((dayOf(near) - dayOf(dtstart)) / DAY_MS)));
+    }
+    if (start <= dtstart.getTime()) {
+        return null;
+    }
+
+    const explicit = { ...options };
+    if (![options.byweekno, options.byyearday, options.bymonthday, options.byweekday, options.byeaster].some(present)) {
+        if (options.freq === RRule.YEARLY) {
+            explicit.bymonth = present(options.bymonth) ? options.bymonth : m + 1;
+        }
+        if (options.freq === RRule.YEARLY || options.freq === RRule.MONTHLY) {
+            explicit.bymonthday = dtstart.getUTCDate();
+        }
+        if (options.freq === RRule.WEEKLY) {
+            explicit.byweekday = [weekdayOf(dtstart)];
+        }
+    }
+    explicit.byhour = present(options.byhour) ? options.byhour : dtstart.getUTCHours();
+    explicit.byminute = present(options.byminute) ? options.byminute : dtstart.getUTCMinutes();
+    explicit.bysecond = present(options.bysecond) ? options.bysecond : dtstart.getUTCSeconds();
+    // Sub-second parts of DTSTART carry over to every date
+    explicit.dtstart = new Date(start + dtstart.getUTCMilliseconds());
+
+    return explicit;
+};
+
+/*
+ * rrule checks options.interval before every step of its walk (and reads
+ * it once more to take the step), and stops when it's 0 - the one place a
+ * walk can be cut short. The public bounds don't help here: UNTIL, COUNT
+ * and iterator callbacks are only looked at when a date matches, and a
+ * rule that never matches never gets there. This relies on rrule's
+ * internals, so the version is pinned in package.json and
+ * test/recurrence.test.js checks the bound - rerun it when upgrading.
+ */
+const limitWalk = (options) => {
+    const { interval } = options;
+    let reads = 2 * Math.ceil((MAX_WALK_YEARS * PERIODS_PER_YEAR[options.freq]) / interval);
+
+    Object.defineProperty(options, 'interval', {
+        get: () => {
+            reads -= 1;
+            return reads >= 0 ? interval : 0;
+        }
+    });
+};
+
+/*
+ * The rule runs on wall clock times (utils/timezone.js): dtstart is the
+ * local start time and every date it generates is local too, turned back
+ * into an instant with fromWallClock. UNTIL is an instant (RFC 5545), so
+ * it's moved onto the same wall clock.
+ * near: wall clock time the caller wants dates from - the walk starts there
+ * when the rule allows it.
+ */
+const buildRule = (schedule, rruleString, timeZone, near = null) => {
+    const options = parseRule(rruleString);
+    if (options.until) {
+        options.until = new Date(toWallClock(options.until, timeZone));
+    }
+    const dtstart = new Date(toWallClock(schedule, timeZone));
+
+    const rule = new RRule((near && skipAhead(options, dtstart, near)) || { ...options, dtstart }, true);
+    limitWalk(rule.options);
+    return rule;
+};
+
+const toInstant = (wallDate, timeZone) => fromWallClock(wallDate.getTime(), timeZone);
+
+/**
+ * Last possible occurrence of a series: UNTIL, or the COUNTth occurrence
+ * @param {Date} schedule - Series start
+ * @param {string} rruleString - RRULE
+ * @param {string} timeZone - IANA zone the series repeats in
+ * @returns {Date|null} null if the rule has no UNTIL/COUNT, or its
+ *   COUNTth occurrence is too far off to walk to
+ */
+const getRecurrenceEnd = (schedule, rruleString, timeZone = DEFAULT_TIMEZONE) => {
+    const { until, count } = parseRule(rruleString);
+
+    if (until) {
+        return until < schedule ? new Date(schedule) : until;
+    }
+    if (!count) {
+        return null;
+    }
+
+    const all = buildRule(schedule, rruleString, timeZone).all((date, i) => i < MAX_COUNTED_OCCURRENCES);
+    return all.length === count ? toInstant(all[all.length - 1], timeZone) : null;
+};
+
+/**
+ * Whether a series has any occurrence (within the years a walk covers)
+ * @param {Date} schedule - Series start
+ * @param {string} rruleString - RRULE
+ * @param {string} timeZone - IANA zone the series repeats in
+ * @returns {boolean}
+ */
+const hasOccurrences = (schedule, rruleString, timeZone = DEFAULT_TIMEZONE) => {
+    const rule = buildRule(schedule, rruleString, timeZone);
+    return rule.after(rule.options.dtstart, true) !== null;
+};
+
+/**
+ * Whether an instant is a (non-cancelled) occurrence of a series
+ * @param {Object} event - Series document
+ * @param {Date} occurrence - Original start instant
+ * @returns {boolean}
+ */
+const isOccurrence = (event, occurrence) => {
+    if (!event.rrule) {
+        return false;
+    }
+    const exdates = (event.exdates || []).map((date) => new Date(date).getTime());
+    if (exdates.includes(occurrence.getTime())) {
+        return false;
+    }
+    const timeZone = event.timezone || DEFAULT_TIMEZONE;
+    const wall = new Date(toWallClock(occurrence, timeZone));
+    const matches = buildRule(event.schedule, event.rrule, timeZone, wall).between(wall, wall, true);
+
+    // When clocks go back, the wall clock time also names the hour before
+    return matches.length === 1 && toInstant(wall, timeZone).getTime() === occurrence.getTime();
+};
+
+// Series bookkeeping isn't part of an occurrence
+const seriesBase = (event) => {
+    const base = { ...event };
+    delete base.exdates;
+    delete base.occurrence_overrides;
+    delete base.recurrence_end;
+    delete base.ends_at;
+    return base;
+};
+
+const findOverride = (event, start) => (event.occurrence_overrides || [])
+    .find((o) => new Date(o.occurrence).getTime() === start.getTime()) || {};
+
+const buildOccurrence = (event, base, start, override) => {
+    const fields = {};
+    OVERRIDABLE_FIELDS.forEach((field) => {
+        if (override[field] !== undefined) {
+            fields[field] = override[field];
+        }
+    });
+
+    const schedule = fields.schedule ? new Date(fields.schedule) : start;
+
+    return {
+        ...base,
+        schedule: start,
+        ...fields,
+        // Every occurrence lasts as long as the series' duration
+        end: event.duration ? new Date(schedule.getTime() + event.duration * MINUTE_MS) : null,
+        series_id: event._id,
+        occurrence: start,
+        modified: Object.keys(fields).length > 0
+    };
+};
+
+/**
+ * Expand a series into occurrence documents within [from, to].
+ * Each occurrence is the series document with schedule set to the occurrence
+ * start, any override merged in, and series_id/occurrence identifying it.
+ * Overrides that move an occurrence are filtered by their new schedule.
+ * @param {Object} event - Series document
+ * @param {Date} from - Window start (inclusive)
+ * @param {Date} to - Window end (inclusive)
+ * @returns {Array<Object>}
+ */
+const expandOccurrences = (event, from, to) => {
+    const timeZone = event.timezone || DEFAULT_TIMEZONE;
+    // Wall clock and instants are less than a day apart; the exact window is applied below
+    const after = new Date(from.getTime() - DAY_MS);
+    const before = new Date(to.getTime() + DAY_MS);
+    const rule = buildRule(event.schedule, event.rrule, timeZone, after);
+    const exdates = new Set((event.exdates || []).map((date) => new Date(date).getTime()));
+    const overrides = new Map((event.occurrence_overrides || []).map((o) => [new Date(o.occurrence).getTime(), o]));
+
+    /*
+     * A moved occurrence may originate outside the window, so the original
+     * instants of overrides with a new schedule are checked individually.
+     */
+    const starts = rule
+        .between(after, before, true, (date, i) => i < MAX_OCCURRENCES_PER_SERIES)
+        .map((date) => toInstant(date, timeZone));
+    const seen = new Set(starts.map((date) => date.getTime()));
+    for (const [time, override] of overrides) {
+        if (!seen.has(time) && override.schedule && isOccurrence(event, new Date(time))) {
+            starts.push(new Date(time));
+        }
+    }
+
+    const base = seriesBase(event);
+
+    return starts
+        .filter((start) => !exdates.has(start.getTime()))
+        .map((start) => buildOccurrence(event, base, start, overrides.get(start.getTime()) || {}))
+        .filter((occurrence) => occurrence.schedule >= from && occurrence.schedule <= to);
+};
+
+/**
+ * A single occurrence document (see expandOccurrences)
+ * @param {Object} event - Series document
+ * @param {Date} occurrence - Original start instant
+ * @returns {Object|null} null if it isn't an occurrence of the series
+ */
+const getOccurrence = (event, occurrence) => {
+    if (!isOccurrence(event, occurrence)) {
+        return null;
+    }
+    return buildOccurrence(event, seriesBase(event), occurrence, findOverride(event, occurrence));
+};
+
+module.exports = {
+    OVERRIDABLE_FIELDS,
+    DEFAULT_TIMEZONE,
+    validateRule,
+    getRecurrenceEnd,
+    hasOccurrences,
+    isOccurrence,
+    expandOccurrences,
+    getOccurrence
+};
@@ -0,0 +1,168 @@
+const { getCollection } = require('../config/database');
+const { logger } = require('./logger');
+
+/*
+ * Event revision history (audit log).
+ *
+ * Every change to an event writes one document to event_revisions:
+ *   { event_id, revision, action, actor, request_id, created_at, changes }
+ * changes is a field-level diff: [{ field, from, to }].
+ *
+ * revision numbers come from a counter on the event itself, incremented by
+ * the same atomic update that changes the event - concurrent edits can't be
+ * given the same number, and the event document always knows its latest one.
+ *
+ * Revisions are written after the event update (no multi-document
+ * transaction - standalone MongoDB doesn't have them). A failed audit
+ * write is logged, not returned as an error: the change itself already
+ * happened, and a 500 would invite the client to apply it twice.
+ */
+
+const COLLECTION_NAME = 'event_revisions';
+
+/*
+ * Fields a revert restores. Derived fields (end, recurrence_end, ends_at)
+ * are included so reverted timing stays consistent without recomputing.
+ */
+const REVERTIBLE_FIELDS = [
+    'name',
+    'tagline',
+    'schedule',
+    'timezone',
+    'duration',
+    'end',
+    'description',
+    'moderator',
+    'category',
+    'sub_category',
+    'rigor_rank',
+    'capacity',
+    'rrule',
+    'exdates',
+    'occurrence_overrides',
+    'recurrence_end',
+    'ends_at'
+];
+
+/*
+ * Image paths are audited but never reverted: replaced files are deleted
+ * from storage, so old paths would point at nothing.
+ * attendees/waitlist are RSVP state, not edits, and aren't audited.
+ */
+const AUDITED_FIELDS = [...REVERTIBLE_FIELDS, 'image', 'images'];
+
+// Pending/finished createIndex call
+let indexReady = null;
+
+const ensureIndex = () => {
+    if (!indexReady) {
+        indexReady = getCollection(COLLECTION_NAME)
+            .createIndex({ event_id: 1, revision: -1 }, { name: 'event_revision' })
+            .catch((error) => {
+                indexReady = null;
+                throw error;
+            });
+    }
+    return indexReady;
+};
+
+// Missing fields and null are the same for diffing (and for MongoDB queries)
+const normalize = (value) => (value === undefined ? null : value);
+
+// Values are dates, strings, numbers and plain arrays/objects - JSON equality is exact enough
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+/**
+ * Field-level diff between two versions of an event
+ * @param {Object|null} before - Previous document (null on create)
+ * @param {Object|null} after - New document (null on delete)
+ * @returns {Array<{field: string, from: *, to: *}>} Changed audited fields
+ */
+const diffEvents = (before, after) => AUDITED_FIELDS
+    .filter((field) => !isEqual(before && before[field], after && after[field]))
+    .map((field) => ({
+        field,
+        from: normalize(before && before[field]),
+        to: normalize(after && after[field])
+    }));
+
+const buildRevision = ({ eventId, revision, action, user, requestId = null, changes = [], extra = {} }) => ({
+    event_id: eventId,
+    revision,
+    action,
+    actor: user ? { uid: user.uid, roles: user.roles } : null,
+    request_id: requestId,
+    created_at: new Date(),
+    changes,
+    ...extra
+});
+
+/**
+ * Write one revision. Never throws (see above).
+ * @param {Object} revision
+ * @param {ObjectId} revision.eventId
+ * @param {number} revision.revision - Event's revision counter after the change
+ * @param {string} revision.action - create | update | delete | restore | revert | occurrence_update | occurrence_cancel | purge | recategorize
+ * @param {Object|null} revision.user - req.user, or null for system jobs
+ * @param {string|null} revision.requestId - req.id
+ * @param {Array} revision.changes - From diffEvents
+ * @param {Object} revision.extra - Additional action-specific fields
+ */
+const recordRevision = async (revision) => {
+    try {
+        await ensureIndex();
+        await getCollection(COLLECTION_NAME).insertOne(buildRevision(revision));
+    } catch (error) {
+        logger.error('Failed to record revision', { action: revision.action, event_id: String(revision.eventId), err: error });
+    }
+};
+
+/**
+ * Write many create revisions at once (bulk import)
+ * @param {Array<Object>} revisions - Same shape as recordRevision's argument
+ */
+const recordRevisions = async (revisions) => {
+    if (revisions.length === 0) {
+        return;
+    }
+    try {
+        await ensureIndex();
+        await getCollection(COLLECTION_NAME).insertMany(revisions.map(buildRevision), { ordered: false });
+    } catch (error) {
+        logger.error('Failed to record revisions', { revisions: revisions.length, err: error });
+    }
+};
+
+/**
+ * Values the revertible fields had right after a given revision.
+ * Walks the later revisions oldest-first: the first change to a field
+ * after the target holds its value at the target in `from`.
+ * @param {ObjectId} eventId
+ * @param {number} revision - Target revision
+ * @returns {Promise<Object>} field -> value, only for fields changed since
+ */
+const getValuesAtRevision = async (eventId, revision) => {
+    const later = await getCollection(COLLECTION_NAME)
+        .find({ event_id: eventId, revision: { $gt: revision } }, { projection: { changes: 1 } })
+        .sort({ revision: 1 })
+        .toArray();
+
+    const values = {};
+    for (const { changes } of later) {
+        for (const { field, from } of changes || []) {
+            if (REVERTIBLE_FIELDS.includes(field) && !(field in values)) {
+                values[field] = from;
+            }
+        }
+    }
+    return values;
+};
+
+module.exports = {
+    COLLECTION_NAME,
+    REVERTIBLE_FIELDS,
+    diffEvents,
+    recordRevision,
+    recordRevisions,
+    getValuesAtRevision
+};
@@ -0,0 +1,220 @@
+/*
+ * Declarative schema validation.
+ *
+ * A schema maps field names to rules. One pass over the input coerces
+ * multipart strings to their real types, drops nothing silently and
+ * collects every problem instead of stopping at the first one.
+ *
+ * Field rules:
+ * - type:        'string' | 'integer' | 'number' | 'date' | 'datetime' | 'array' | 'boolean'
+ *                'datetime' is strict ISO 8601; without an offset it's a LocalDateTime
+ *                for the caller to place in a time zone (utils/timezone.js)
+ * - required:    must be present and non-empty on create
+ * - nullable:    '' / 'null' / null become null (e.g. "unlimited" capacity)
+ * - maxLength:   max string length (after trim)
+ * - min / max:   numeric bounds
+ * - enum:        allowed values
+ * - items:       rule applied to each array element
+ * - validate:    (value) => error message or null, run after coercion
+ * - updatable:   false rejects the field on update (message: immutableMessage)
+ *
+ * Schema options (second argument to defineSchema):
+ * - ignored:     fields silently dropped from input (server-managed but harmless to send)
+ *
+ * Fields not in the schema are rejected - that's what keeps _id, type,
+ * created_at etc. out of $set.
+ */
+
+const { parseDateTime } = require('./timezone');
+
+const isEmpty = (value) => value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '');
+
+/*
+ * Coercers return { value } on success or { error } with a message.
+ * Input may already be typed (JSON body) or a string (multipart form).
+ */
+const coercers = {
+    string: (value) => {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+            return { error: 'must be a string' };
+        }
+        return { value: String(value).trim() };
+    },
+
+    integer: (value) => {
+        if (typeof value === 'number' && Number.isInteger(value)) {
+            return { value };
+        }
+        // Stricter than parseInt, which accepts "7abc" as 7
+        if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+            return { value: parseInt(value, 10) };
+        }
+        return { error: 'must be a valid integer' };
+    },
+
+    number: (value) => {
+        const parsed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof parsed !== 'number' || !isFinite(parsed)) {
+            return { error: 'must be a valid number' };
+        }
+        return { value: parsed };
+    },
+
+    date: (value) => {
+        const date = new Date(value);
+        if (value === true || value === false || isNaN(date.getTime())) {
+            return { error: 'must be a valid date/time' };
+        }
+        return { value: date };
+    },
+
+    datetime: (value) => {
+        const parsed = value === true || value === false ? null : parseDateTime(value);
+        if (!parsed) {
+            return { error: 'must be an ISO 8601 date/time (e.g. 2024-03-15T10:00 or 2024-03-15T10:00:00Z)' };
+        }
+        return { value: parsed };
+    },
+
+    boolean: (value) => {
+        if (value === true || value === 'true') return { value: true };
+        if (value === false || value === 'false') return { value: false };
+        return { error: 'must be true or false' };
+    },
+
+    // Multipart sends arrays as JSON strings: '["id1","id2"]'
+    array: (value) => {
+        let parsed = value;
+        if (typeof value === 'string') {
+            try {
+                parsed = JSON.parse(value);
+            } catch (e) {
+                return { error: 'must be a JSON array' };
+            }
+        }
+        if (!Array.isArray(parsed)) {
+            return { error: 'must be a JSON array' };
+        }
+        return { value: parsed };
+    }
+};
+
+/*
+ * Apply one rule to one value.
+ * Returns { value } or { error } (message without the field name).
+ */
+const checkValue = (rule, value) => {
+    const coerced = coercers[rule.type](value);
+    if (coerced.error) {
+        return coerced;
+    }
+
+    const result = coerced.value;
+
+    if (rule.maxLength !== undefined && result.length > rule.maxLength) {
+        return { error: `must be ${rule.maxLength} characters or less` };
+    }
+    if (rule.min !== undefined && result < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+    }
+    if (rule.max !== undefined && result > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+    }
+    if (rule.enum && !rule.enum.includes(result)) {
+        return { error: `must be one of: ${rule.enum.join(', ')}` };
+    }
+
+    let checked = result;
+
+    if (rule.items) {
+        checked = [];
+        for (let i = 0; i < result.length; i++) {
+            const item = checkValue(rule.items, result[i]);
+            if (item.error) {
+                return { error: `item ${i} ${item.error}` };
+            }
+            checked.push(item.value);
+        }
+    }
+
+    if (rule.validate) {
+        const message = rule.validate(checked);
+        if (message) {
+            // Custom messages are complete sentences including the field name
+            return { error: message, custom: true };
+        }
+    }
+
+    return { value: checked };
+};
+
+/**
+ * Define a schema
+ * @param {Object} fields - Field name -> rule
+ * @param {Object} options - { ignored: Array<string> }
+ * @returns {Object} Schema
+ */
+const defineSchema = (fields, options = {}) => ({
+    fields,
+    ignored: options.ignored || []
+});
+
+/**
+ * Validate and coerce input against a schema.
+ * @param {Object} schema - From defineSchema
+ * @param {Object} input - Raw request data
+ * @param {Object} options
+ * @param {boolean} options.partial - Update mode: nothing required, non-updatable fields rejected
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}}
+ */
+const validateSchema = (schema, input, { partial = false } = {}) => {
+    const value = {};
+    const errors = [];
+
+    for (const field of Object.keys(input)) {
+        if (!schema.fields[field] && !schema.ignored.includes(field)) {
+            errors.push({ field, message: `${field} is not an allowed field` });
+        }
+    }
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+        const raw = input[field];
+
+        if (partial && raw !== undefined && rule.updatable === false) {
+            errors.push({ field, message: rule.immutableMessage || `${field} cannot be changed` });
+            continue;
+        }
+
+        if (rule.nullable && (raw === null || raw === 'null' || (typeof raw === 'string' && raw.trim() === ''))) {
+            value[field] = null;
+            continue;
+        }
+
+        if (isEmpty(raw)) {
+            if (!partial && rule.required) {
+                errors.push({ field, message: `${field} is required` });
+            } else if (!partial && rule.default !== undefined) {
+                value[field] = typeof rule.default === 'function' ? rule.default() : rule.default;
+            } else if (partial && raw !== undefined && rule.required) {
+                // Clearing a required field on update
+                errors.push({ field, message: `${field} must not be empty` });
+            }
+            continue;
+        }
+
+        const result = checkValue(rule, raw);
+        if (result.error) {
+            errors.push({ field, message: result.custom ? result.error : `${field} ${result.error}` });
+        } else {
+            value[field] = result.value;
+        }
+    }
+
+    return { value, errors };
+};
+
+module.exports = {
+    defineSchema,
+    validateSchema
+};
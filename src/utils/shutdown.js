@@ -0,0 +1,84 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'shutdown' });
+
+// Set once a shutdown starts - readiness reports 503 from then on
+let shuttingDown = false;
+
+const isShuttingDown = () => shuttingDown;
+
+/*
+ * Stop accepting connections and wait for in-flight requests.
+ * server.close() leaves keep-alive connections open once their request
+ * finishes, so idle ones are closed as they appear. Whatever is still open
+ * at the deadline is cut.
+ * Resolves true when every connection ended on its own.
+ */
+const drainServer = (server, timeoutMs) => new Promise((resolve) => {
+    const idleSweep = setInterval(() => server.closeIdleConnections(), 250);
+
+    const deadline = setTimeout(() => {
+        clearInterval(idleSweep);
+        server.closeAllConnections();
+        resolve(false);
+    }, timeoutMs);
+
+    server.close(() => {
+        clearInterval(idleSweep);
+        clearTimeout(deadline);
+        resolve(true);
+    });
+    server.closeIdleConnections();
+});
+
+/**
+ * Shut down on SIGTERM/SIGINT: fail readiness and keep serving for delayMs,
+ * so load balancers see the 503 and stop routing here, then stop accepting
+ * connections and drain in-flight requests, run the shutdown steps (stop
+ * jobs, close streams), then the final steps (close the database), and exit.
+ * A second signal exits immediately.
+ * @param {import('http').Server} server
+ * @param {Object} options
+ * @param {Array<Function>} options.steps - Async steps run while requests drain
+ * @param {Array<Function>} options.finalSteps - Async steps run after draining (e.g. closeDB)
+ * @param {number} options.delayMs - How long readiness fails before the listener closes
+ * @param {number} options.timeoutMs - Drain deadline before open connections are cut
+ */
+const registerShutdown = (server, { steps = [], finalSteps = [], delayMs = 0, timeoutMs }) => {
+    const shutdown = async (signal) => {
+        if (shuttingDown) {
+            log.warn('Second signal received, exiting immediately', { signal });
+            process.exit(1);
+        }
+        shuttingDown = true;
+
+        log.info('Shutting down', { signal, delay_ms: delayMs, timeout_ms: timeoutMs });
+
+        // Readiness already answers 503; give the probes time to notice
+        if (delayMs > 0) {
+            await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
+
+        const runSteps = (list) => Promise.all(list.map((step) => Promise.resolve()
+            .then(step)
+            .catch((error) => log.error('Shutdown step failed', { err: error }))));
+
+        const [drained] = await Promise.all([drainServer(server, timeoutMs), runSteps(steps)]);
+        if (!drained) {
+            log.warn('Drain deadline reached, closed remaining connections');
+        }
+
+        await runSteps(finalSteps);
+
+        log.info('Shutdown complete');
+        process.exit(0);
+    };
+
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+module.exports = {
+    isShuttingDown,
+    registerShutdown
+};
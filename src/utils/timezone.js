@@ -0,0 +1,225 @@
+/*
+ * IANA time zone arithmetic on top of Intl - no tz database of our own.
+ *
+ * "Wall clock" times are local date/times with no zone attached, held as
+ * the millisecond value they would have if they were UTC. 2024-03-15 10:00
+ * in New York is wall clock Date.UTC(2024, 2, 15, 10) there, whatever its
+ * real instant is.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/*
+ * ISO 8601 date/time, optionally with a UTC offset:
+ * 2024-03-15, 2024-03-15T10:00, 2024-03-15 10:00:30.5, 2024-03-15T10:00Z, 2024-03-15T10:00+05:30
+ */
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+/*
+ * Date.UTC with years 0-99 taken literally - Date.UTC(24, ...) is 1924.
+ * Out-of-range fields roll over the same way.
+ */
+const utcTime = (year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0) => {
+    const date = new Date(0);
+    date.setUTCFullYear(year, month, day);
+    date.setUTCHours(hour, minute, second, millisecond);
+    return date.getTime();
+};
+
+// DateTimeFormat construction is slow; every zone gets one, reused
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+};
+
+/**
+ * Canonical name of an IANA time zone ("america/new_york" -> "America/New_York")
+ * @param {string} name
+ * @returns {string|null} null if the zone is unknown
+ */
+const normalizeTimeZone = (name) => {
+    if (typeof name !== 'string' || name.trim() === '') {
+        return null;
+    }
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone: name.trim() }).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Schema validator for time zone fields
+ * @param {string} value
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateTimeZone = (value) => (normalizeTimeZone(value)
+    ? null
+    : 'timezone must be an IANA time zone name (e.g. Europe/Berlin, America/New_York, UTC)');
+
+/**
+ * Wall clock time of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Wall clock milliseconds
+ */
+const toWallClock = (date, timeZone) => {
+    const time = new Date(date).getTime();
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+        parts[type] = parseInt(value, 10);
+    });
+
+    const wall = utcTime(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    // formatToParts drops milliseconds
+    return wall + (((time % 1000) + 1000) % 1000);
+};
+
+/**
+ * Offset of a zone from UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {number} Milliseconds, positive east of Greenwich
+ */
+const getOffset = (date, timeZone) => toWallClock(date, timeZone) - new Date(date).getTime();
+
+/**
+ * The instant a wall clock time happens in a zone.
+ * Around DST changes a wall clock time can happen twice (clocks go back:
+ * the first one is taken) or not at all (clocks go forward: it's moved
+ * forward by the gap, 02:30 becoming 03:30) - the usual calendar behaviour.
+ * @param {number} wall - Wall clock milliseconds
+ * @param {string} timeZone - IANA zone
+ * @returns {Date}
+ */
+const fromWallClock = (wall, timeZone) => {
+    const offsetBefore = getOffset(new Date(wall - DAY_MS), timeZone);
+    const offsetAfter = getOffset(new Date(wall + DAY_MS), timeZone);
+
+    const matches = [wall - offsetBefore, wall - offsetAfter]
+        .filter((time) => toWallClock(new Date(time), timeZone) === wall);
+
+    if (matches.length > 0) {
+        return new Date(Math.min(...matches));
+    }
+    return new Date(wall - offsetBefore);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatOffset = (offset) => {
+    const minutes = Math.round(Math.abs(offset) / MINUTE_MS);
+    return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+/**
+ * An instant as ISO 8601 local time with its offset: 2024-03-15T10:00:00-04:00
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA zone
+ * @returns {string}
+ */
+const formatInTimeZone = (date, timeZone) => {
+    const wall = new Date(toWallClock(date, timeZone));
+    return `${pad(wall.getUTCFullYear(), 4)}-${pad(wall.getUTCMonth() + 1)}-${pad(wall.getUTCDate())}` +
+        `T${pad(wall.getUTCHours())}:${pad(wall.getUTCMinutes())}:${pad(wall.getUTCSeconds())}` +
+        formatOffset(getOffset(date, timeZone));
+};
+
+/*
+ * A date/time sent without an offset. It only becomes an instant once the
+ * zone it's meant in is known - usually the event's, which may come from
+ * another field or the stored event.
+ */
+class LocalDateTime {
+    constructor(wall, text) {
+        this.wall = wall;
+        this.text = text;
+    }
+
+    /**
+     * @param {string} timeZone - IANA zone
+     * @returns {Date}
+     */
+    toInstant(timeZone) {
+        return fromWallClock(this.wall, timeZone);
+    }
+
+    toString() {
+        return this.text;
+    }
+}
+
+/**
+ * Parse an ISO 8601 date/time. With an offset (or Z) it's an instant;
+ * without one it's a LocalDateTime. Date objects and epoch milliseconds
+ * are instants.
+ * @param {*} value
+ * @returns {Date|LocalDateTime|null} null if it isn't a valid ISO 8601 date/time
+ */
+const parseDateTime = (value) => {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value;
+    }
+    if (typeof value === 'number') {
+        return isFinite(value) ? new Date(value) : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const match = DATE_TIME_PATTERN.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hour = '0', minute = '0', second = '0', fraction = '0', zone] = match;
+    const fields = [year, month, day, hour, minute, second].map((part) => parseInt(part, 10));
+    const milliseconds = parseInt(fraction.padEnd(3, '0').slice(0, 3), 10);
+    const wall = utcTime(fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5], milliseconds);
+
+    // 2024-02-30 would roll over to March 1st - reject instead
+    const check = new Date(wall);
+    if (check.getUTCFullYear() !== fields[0] || check.getUTCMonth() !== fields[1] - 1 || check.getUTCDate() !== fields[2] ||
+        check.getUTCHours() !== fields[3] || check.getUTCMinutes() !== fields[4] || check.getUTCSeconds() !== fields[5]) {
+        return null;
+    }
+
+    if (!zone) {
+        return new LocalDateTime(wall, value.trim());
+    }
+    if (zone.toUpperCase() === 'Z') {
+        return new Date(wall);
+    }
+
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    const offset = sign * (parseInt(digits.slice(0, 2), 10) * 60 + parseInt(digits.slice(2), 10)) * MINUTE_MS;
+    return new Date(wall - offset);
+};
+
+module.exports = {
+    LocalDateTime,
+    normalizeTimeZone,
+    validateTimeZone,
+    toWallClock,
+    fromWallClock,
+    getOffset,
+    formatInTimeZone,
+    parseDateTime
+};
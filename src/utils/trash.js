@@ -0,0 +1,34 @@
+/*
+ * Soft delete for events.
+ *
+ * DELETE /events/:id sets deleted_at instead of removing the document.
+ * A tombstoned event keeps its image files and can be restored until the
+ * purge job hard-deletes it after the retention period.
+ *
+ * Every read and mutation of live events spreads NOT_DELETED into its filter.
+ * { deleted_at: null } also matches documents without the field, so events
+ * stored before soft delete existed need no backfill.
+ */
+const NOT_DELETED = { deleted_at: null };
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * How long deleted events are kept before purging
+ * @returns {number} Retention in milliseconds (EVENT_TRASH_RETENTION_DAYS, default 30 days)
+ */
+const getTrashRetentionMs = () =>
+    (parseInt(process.env.EVENT_TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+
+/**
+ * When a deleted event becomes eligible for purging
+ * @param {Date} deletedAt - Tombstone date
+ * @returns {Date}
+ */
+const getPurgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + getTrashRetentionMs());
+
+module.exports = {
+    NOT_DELETED,
+    getTrashRetentionMs,
+    getPurgeDate
+};
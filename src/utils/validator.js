@@ -1,87 +1,212 @@
-const { APIError } = require('../middleware/errorHandler');
+const { APIError, ValidationError } = require('../middleware/errorHandler');
+const { validateSchema } = require('./schema');
+const { toObjectId } = require('../config/database');
+const { slugify } = require('./categories');
+const { normalizeTimeZone } = require('./timezone');
+const { WHEN_VALUES, parseQueryDate } = require('./eventTime');
+const eventSchema = require('../schemas/eventSchema');
+const occurrenceSchema = require('../schemas/occurrenceSchema');
+const webhookSchema = require('../schemas/webhookSchema');
+const organizationSettingsSchema = require('../schemas/organizationSchema');
+const categorySchema = require('../schemas/categorySchema');
+const nudgeSchema = require('../schemas/nudgeSchema');
+
+// Widest window recurring events are expanded over in one listing
+const MAX_WINDOW_DAYS = 366;
 
 /**
- * Validate required fields in request body
- * @param {Object} data - Request data
- * @param {Array<string>} requiredFields - Array of required field names
- * @throws {APIError} If validation fails
+ * Validate and coerce event data against the event schema
+ * @param {Object} eventData - Raw request data (JSON or multipart strings)
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @param {Array<Object>} extraErrors - Errors found outside the body (e.g. missing file)
+ * @returns {Object} Whitelisted data with proper types
+ * @throws {ValidationError} Listing every invalid field
  */
-const validateRequiredFields = (data, requiredFields) => {
-    const missingFields = [];
+const validateEventData = (eventData, isUpdate = false, extraErrors = []) => {
+    /*
+     * CREATE requires all required fields and fills defaults.
+     * UPDATE allows partial data - only validates provided fields.
+     */
+    const { value, errors } = validateSchema(eventSchema, eventData, { partial: isUpdate });
+    const allErrors = extraErrors.concat(errors);
 
-    for (const field of requiredFields) {
-        if (!data[field] || (typeof data[field] === 'string' && data[field].trim() === '')) {
-            missingFields.push(field);
-        }
+    if (allErrors.length > 0) {
+        throw new ValidationError(allErrors);
+    }
+
+    return value;
+};
+
+/**
+ * Validate an override for one occurrence of a recurring event
+ * @param {Object} data - Raw request data
+ * @returns {Object} Coerced override fields
+ * @throws {ValidationError} Listing every invalid field
+ */
+const validateOccurrenceData = (data) => {
+    const { value, errors } = validateSchema(occurrenceSchema, data, { partial: true });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    if (Object.keys(value).length === 0) {
+        throw new APIError('No update data provided', 400);
     }
 
-    if (missingFields.length > 0) {
-        throw new APIError(
-            `Missing required fields: ${missingFields.join(', ')}`,
-            400
-        );
+    return value;
+};
+
+/**
+ * Validate a from/to listing window. Date/times without an offset are
+ * in the organization's time zone.
+ * @param {string} from - Window start
+ * @param {string} to - Window end
+ * @returns {{from: Date, to: Date}}
+ * @throws {APIError} If dates are invalid, reversed or too far apart
+ */
+const validateDateWindow = (from, to) => {
+    const fromDate = parseQueryDate(from);
+    const toDate = parseQueryDate(to);
+
+    if (!fromDate || !toDate) {
+        throw new APIError('from and to must both be valid date/times', 400);
+    }
+    if (fromDate > toDate) {
+        throw new APIError('from must be before to', 400);
+    }
+    if (toDate - fromDate > MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+        throw new APIError(`Date window must not exceed ${MAX_WINDOW_DAYS} days`, 400);
+    }
+
+    return { from: fromDate, to: toDate };
+};
+
+/**
+ * Validate the when filter (upcoming, ongoing, past)
+ * @param {string} when - Raw query value
+ * @returns {string|undefined} undefined if not given
+ * @throws {APIError} If the value is unknown
+ */
+const validateWhen = (when) => {
+    if (when === undefined) {
+        return undefined;
+    }
+    if (!WHEN_VALUES.includes(when)) {
+        throw new APIError(`when must be one of: ${WHEN_VALUES.join(', ')}`, 400);
     }
+    return when;
 };
 
 /**
- * Validate event data
- * @param {Object} eventData - Event data to validate
+ * Validate and coerce a webhook subscription
+ * @param {Object} data - Raw request data
  * @param {boolean} isUpdate - Whether this is an update operation
- * @throws {APIError} If validation fails
+ * @returns {Object} Whitelisted data with proper types
+ * @throws {ValidationError} Listing every invalid field
  */
-const validateEventData = (eventData, isUpdate = false) => {
-    /*
-     * CREATE requires all fields.
-     * UPDATE allows partial data - only validates provided fields.
-     */
-    if (!isUpdate) {
-        const requiredFields = [
-            'name',
-            'tagline',
-            'schedule',
-            'description',
-            'moderator',
-            'category',
-            'sub_category',
-            'rigor_rank'
-        ];
-        validateRequiredFields(eventData, requiredFields);
+const validateWebhookData = (data, isUpdate = false) => {
+    const { value, errors } = validateSchema(webhookSchema, data, { partial: isUpdate });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
     }
 
-    /*
-     * Validate rigor_rank is a number.
-     * parseInt() returns NaN for invalid input, not throwing an error.
-     * Explicit check needed to catch this case.
-     */
-    if (eventData.rigor_rank !== undefined) {
-        const rigorRank = parseInt(eventData.rigor_rank);
-        if (isNaN(rigorRank)) {
-            throw new APIError('rigor_rank must be a valid integer', 400);
-        }
+    // Duplicates would only mean the same type listed twice
+    if (value.events) {
+        value.events = [...new Set(value.events)];
     }
 
-    /*
-     * Validate schedule is a parseable date.
-     * new Date('invalid') returns Invalid Date object (not null/error).
-     * Must check with isNaN(date.getTime()) to detect invalid dates.
-     */
-    if (eventData.schedule) {
-        const scheduleDate = new Date(eventData.schedule);
-        if (isNaN(scheduleDate.getTime())) {
-            throw new APIError('schedule must be a valid date/time', 400);
-        }
+    return value;
+};
+
+/**
+ * Validate a change to an organization's settings (always partial)
+ * @param {Object} data - Raw request data
+ * @returns {Object} Coerced settings, only those provided
+ * @throws {ValidationError} Listing every invalid field
+ */
+const validateOrganizationSettings = (data) => {
+    const { value, errors } = validateSchema(organizationSettingsSchema, data, { partial: true });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    if (Object.keys(value).length === 0) {
+        throw new APIError('No update data provided', 400);
     }
 
-    /*
-     * Validate attendees is an array.
-     * Without schemas, type enforcement is manual.
-     * Controller should parse '["id1","id2"]' string to array before validation.
-     */
-    if (eventData.attendees) {
-        if (!Array.isArray(eventData.attendees)) {
-            throw new APIError('attendees must be an array of user IDs', 400);
+    if (value.allowed_categories) {
+        value.allowed_categories = [...new Set(value.allowed_categories)];
+    }
+    if (value.timezone) {
+        value.timezone = normalizeTimeZone(value.timezone);
+    }
+
+    return value;
+};
+
+/**
+ * Validate and coerce a category
+ * @param {Object} data - Raw request data
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @returns {Object} Whitelisted data, parent_id as an ObjectId
+ * @throws {ValidationError} Listing every invalid field
+ */
+const validateCategoryData = (data, isUpdate = false) => {
+    const { value, errors } = validateSchema(categorySchema, data, { partial: isUpdate });
+
+    // A name of only punctuation has no slug to default to
+    if (!isUpdate && value.name && value.slug === undefined) {
+        value.slug = slugify(value.name);
+        if (!value.slug) {
+            errors.push({ field: 'slug', message: 'slug is required when the name has no letters or digits' });
         }
     }
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+    if (isUpdate && Object.keys(value).length === 0) {
+        throw new APIError('No update data provided', 400);
+    }
+
+    if (value.parent_id) {
+        value.parent_id = toObjectId(value.parent_id);
+    }
+
+    return value;
+};
+
+/**
+ * Validate and coerce nudge data against the nudge schema
+ * @param {Object} nudgeData - Raw request data (multipart strings)
+ * @param {boolean} isUpdate - Whether this is an update operation
+ * @param {Object} options
+ * @param {Object} options.current - Stored nudge on update, for the timing order check
+ * @param {Array<Object>} options.extraErrors - Errors found outside the body (e.g. missing files)
+ * @returns {Object} Whitelisted data with proper types, event_id as an ObjectId
+ * @throws {ValidationError} Listing every invalid field
+ */
+const validateNudgeData = (nudgeData, isUpdate = false, { current = {}, extraErrors = [] } = {}) => {
+    const { value, errors } = validateSchema(nudgeSchema, nudgeData, { partial: isUpdate });
+
+    // Updating only one side of the window can't invert it either
+    const timingFrom = value.timing_from !== undefined ? value.timing_from : current.timing_from;
+    const timingTo = value.timing_to !== undefined ? value.timing_to : current.timing_to;
+    if (timingFrom && timingTo && timingFrom >= timingTo) {
+        errors.push({ field: 'timing_to', message: 'timing_to must be after timing_from' });
+    }
+
+    const allErrors = extraErrors.concat(errors);
+    if (allErrors.length > 0) {
+        throw new ValidationError(allErrors);
+    }
+
+    if (value.event_id) {
+        value.event_id = toObjectId(value.event_id);
+    }
+
+    return value;
 };
 
 /**
@@ -109,8 +234,121 @@ const validatePagination = (limit, page) => {
     };
 };
 
+/**
+ * Validate search filters for GET /events?type=search
+ * @param {Object} query - Raw query string parameters
+ * @returns {Object} Parsed filters (only those provided)
+ * @throws {APIError} If a filter value is invalid
+ */
+const validateSearchParams = (query) => {
+    const filters = {};
+
+    if (query.q !== undefined) {
+        const q = String(query.q).trim();
+        if (q === '') {
+            throw new APIError('q must not be empty', 400);
+        }
+        filters.q = q;
+    }
+
+    /*
+     * category/sub_category accept a comma-separated list ("Tech,Design")
+     * so several values can be combined in one request.
+     */
+    for (const field of ['category', 'sub_category']) {
+        if (query[field] !== undefined) {
+            const values = String(query[field]).split(',').map((v) => v.trim()).filter(Boolean);
+            if (values.length === 0) {
+                throw new APIError(`${field} must not be empty`, 400);
+            }
+            filters[field] = values;
+        }
+    }
+
+    if (query.moderator !== undefined) {
+        filters.moderator = String(query.moderator).trim();
+    }
+
+    for (const field of ['rigor_min', 'rigor_max']) {
+        if (query[field] !== undefined) {
+            const value = parseInt(query[field]);
+            if (isNaN(value)) {
+                throw new APIError(`${field} must be a valid integer`, 400);
+            }
+            filters[field] = value;
+        }
+    }
+
+    if (filters.rigor_min !== undefined && filters.rigor_max !== undefined && filters.rigor_min > filters.rigor_max) {
+        throw new APIError('rigor_min must not be greater than rigor_max', 400);
+    }
+
+    // Without an offset, from/to are in the organization's time zone
+    for (const field of ['from', 'to']) {
+        if (query[field] !== undefined) {
+            const date = parseQueryDate(query[field]);
+            if (!date) {
+                throw new APIError(`${field} must be a valid ISO 8601 date/time`, 400);
+            }
+            filters[field] = date;
+        }
+    }
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+        throw new APIError('from must be before to', 400);
+    }
+
+    if (query.when !== undefined) {
+        filters.when = validateWhen(query.when);
+    }
+
+    return filters;
+};
+
+/**
+ * Validate filters for GET /events/stream
+ * Both accept comma-separated lists; a change passes if it matches every filter given.
+ * @param {Object} query - Raw query string parameters
+ * @returns {{category?: Array<string>, ids?: Array<string>}} Parsed filters (only those provided)
+ * @throws {APIError} If a filter value is invalid
+ */
+const validateStreamFilters = (query) => {
+    const filters = {};
+
+    if (query.category !== undefined) {
+        const values = String(query.category).split(',').map((v) => v.trim()).filter(Boolean);
+        if (values.length === 0) {
+            throw new APIError('category must not be empty', 400);
+        }
+        filters.category = values;
+    }
+
+    if (query.id !== undefined) {
+        const values = String(query.id).split(',').map((v) => v.trim()).filter(Boolean);
+        if (values.length === 0) {
+            throw new APIError('id must not be empty', 400);
+        }
+        const invalid = values.find((value) => !toObjectId(value));
+        if (invalid !== undefined) {
+            throw new APIError(`Invalid event ID format: ${invalid}`, 400);
+        }
+        // Compared as hex strings against published event ids
+        filters.ids = values.map((value) => toObjectId(value).toHexString());
+    }
+
+    return filters;
+};
+
 module.exports = {
-    validateRequiredFields,
     validateEventData,
-    validatePagination
+    validateOccurrenceData,
+    validateNudgeData,
+    validateWebhookData,
+    validateOrganizationSettings,
+    validateCategoryData,
+    validatePagination,
+    validateSearchParams,
+    validateStreamFilters,
+    validateDateWindow,
+    validateWhen
 };
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { getCollection, ObjectId } = require('../config/database');
+const { logger } = require('./logger');
+
+/*
+ * Outgoing webhooks for event lifecycle changes.
+ *
+ * Subscriptions live in webhook_subscriptions. A change to an event queues
+ * one document per matching subscription in webhook_deliveries, which is
+ * both the retry queue (worked by jobs/webhookDeliveryWorker.js) and the
+ * delivery log shown by GET /webhooks/:id/deliveries.
+ *
+ * Like revisions, deliveries are queued after the event is written. Failing
+ * to queue is logged, not returned as an error - the change already happened.
+ */
+
+const SUBSCRIPTIONS_COLLECTION_NAME = 'webhook_subscriptions';
+const DELIVERIES_COLLECTION_NAME = 'webhook_deliveries';
+
+const WEBHOOK_EVENT_TYPES = [
+    'event.created',
+    'event.updated',
+    'event.rescheduled',
+    'event.deleted',
+    'event.restored'
+];
+
+// An update touching any of these is sent as event.rescheduled instead of event.updated
+const RESCHEDULE_FIELDS = ['schedule', 'end', 'duration', 'timezone', 'rrule', 'exdates'];
+
+const DELIVERY_STATUSES = ['pending', 'processing', 'delivered', 'failed', 'cancelled'];
+
+// Delivery log entries are removed by a TTL index after this long
+const DELIVERY_LOG_TTL_DAYS = 30;
+
+// Pending/finished createIndex calls
+let indexesReady = null;
+
+const ensureIndexes = () => {
+    if (!indexesReady) {
+        const deliveries = getCollection(DELIVERIES_COLLECTION_NAME);
+        indexesReady = Promise.all([
+            getCollection(SUBSCRIPTIONS_COLLECTION_NAME).createIndex({ active: 1, events: 1 }, { name: 'active_events' }),
+            deliveries.createIndex({ status: 1, next_attempt_at: 1 }, { name: 'queue' }),
+            deliveries.createIndex({ subscription_id: 1, created_at: -1 }, { name: 'subscription_log' }),
+            deliveries.createIndex(
+                { created_at: 1 },
+                { name: 'log_ttl', expireAfterSeconds: DELIVERY_LOG_TTL_DAYS * 24 * 60 * 60 }
+            )
+        ]).catch((error) => {
+            indexesReady = null;
+            throw error;
+        });
+    }
+    return indexesReady;
+};
+
+/**
+ * New signing secret, shown to the subscriber once
+ * @returns {string}
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature for a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the subscription secret.
+ * The timestamp is signed too, so receivers can reject replays of old deliveries.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Exact request body
+ * @returns {string} "sha256=<hex>", sent as X-Webhook-Signature
+ */
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const isPrivateIPv4 = (address) => {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168);
+};
+
+const isPrivateIPv6 = (address) => {
+    const lower = address.toLowerCase();
+
+    // IPv4-mapped (::ffff:a.b.c.d) - URL normalizes it to hex groups, ::ffff:7f00:1
+    const mapped = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+        const high = parseInt(mapped[1], 16);
+        const low = parseInt(mapped[2], 16);
+        return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    if (lower.startsWith('::ffff:') && net.isIPv4(lower.slice(7))) {
+        return isPrivateIPv4(lower.slice(7));
+    }
+
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+};
+
+const isPrivateAddress = (address) => (net.isIPv4(address) ? isPrivateIPv4(address) : isPrivateIPv6(address));
+
+/*
+ * Hosts a production server shouldn't be told to POST to (SSRF).
+ * Only literal addresses and localhost are recognised here, when a
+ * subscription is saved - names are resolved and checked at send time by
+ * resolveWebhookTarget.
+ */
+const isPrivateHost = (hostname) => {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return true;
+    }
+    if (net.isIPv4(host)) {
+        return isPrivateIPv4(host);
+    }
+    if (net.isIPv6(host)) {
+        return isPrivateIPv6(host);
+    }
+    return false;
+};
+
+/*
+ * Private/loopback targets are allowed outside production, so a local
+ * receiver (npm run webhooks:receiver) works in development.
+ */
+const allowPrivateUrls = () => {
+    if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS !== undefined) {
+        return process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+    }
+    return process.env.NODE_ENV !== 'production';
+};
+
+/**
+ * Schema validator for subscription URLs
+ * @param {string} value - URL
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateWebhookUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'url must be a valid absolute URL';
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return 'url must use http or https';
+    }
+    if (url.username || url.password) {
+        return 'url must not contain credentials';
+    }
+    if (!allowPrivateUrls() && isPrivateHost(url.hostname)) {
+        return 'url must not point to a private or loopback address';
+    }
+    return null;
+};
+
+/**
+ * Resolve a subscription URL right before sending and check every address
+ * it resolves to. A name that was public when the subscription was saved
+ * can point at 127.0.0.1 or 169.254.169.254 by now (DNS rebinding), so the
+ * request must go to the address checked here - pass it to postJson.
+ * @param {string} value - Subscription URL
+ * @returns {Promise<{address: string, family: number}>} Address to connect to
+ * @throws {Error} If the URL is no longer valid or resolves to a private address
+ */
+const resolveWebhookTarget = async (value) => {
+    const invalid = validateWebhookUrl(value);
+    if (invalid) {
+        throw new Error(invalid);
+    }
+
+    const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.promises.lookup(host, { all: true });
+
+    if (!allowPrivateUrls() && addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error(`url resolves to a private or loopback address (${host})`);
+    }
+    return addresses[0];
+};
+
+/**
+ * Webhook type for an update, from its revision diff
+ * @param {Array<{field: string}>} changes - From diffEvents
+ * @returns {string} event.rescheduled or event.updated
+ */
+const getUpdateType = (changes) =>
+    (changes.some(({ field }) => RESCHEDULE_FIELDS.includes(field)) ? 'event.rescheduled' : 'event.updated');
+
+const buildDelivery = (subscription, type, data, extra) => {
+    const _id = new ObjectId();
+    const now = new Date();
+
+    return {
+        _id,
+        subscription_id: subscription._id,
+        event_id: data._id || null,
+        type,
+        // Sent as-is on every attempt; the id lets receivers drop duplicates
+        payload: { id: _id.toHexString(), type, created_at: now, data, ...extra },
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: null,
+        last_error: null,
+        last_status_code: null,
+        created_at: now,
+        updated_at: now
+    };
+};
+
+const queueDeliveries = async (type, events, extra) => {
+    await ensureIndexes();
+
+    const subscriptions = await getCollection(SUBSCRIPTIONS_COLLECTION_NAME)
+        .find({ active: true, events: type }, { projection: { _id: 1 } })
+        .toArray();
+
+    if (subscriptions.length === 0 || events.length === 0) {
+        return;
+    }
+
+    await getCollection(DELIVERIES_COLLECTION_NAME).insertMany(
+        events.flatMap((event) => subscriptions.map((subscription) => buildDelivery(subscription, type, event, extra))),
+        { ordered: false }
+    );
+};
+
+/**
+ * Queue deliveries of one change to every active subscription for its type.
+ * Never throws (see above).
+ * @param {string} type - One of WEBHOOK_EVENT_TYPES
+ * @param {Object} event - Event document after the change (for deleted: _id and deleted_at)
+ * @param {Object} extra - Additional payload fields, e.g. { changed_fields }
+ */
+const queueWebhookDeliveries = async (type, event, extra = {}) => {
+    try {
+        await queueDeliveries(type, [event], extra);
+    } catch (error) {
+        logger.error('Failed to queue webhooks', { type, event_id: String(event._id), err: error });
+    }
+};
+
+/**
+ * Queue deliveries of the same change to many events at once (bulk import).
+ * Never throws (see above).
+ * @param {string} type - One of WEBHOOK_EVENT_TYPES
+ * @param {Array<Object>} events - Event documents
+ */
+const queueBulkWebhookDeliveries = async (type, events) => {
+    try {
+        await queueDeliveries(type, events, {});
+    } catch (error) {
+        logger.error('Failed to queue webhooks', { type, events: events.length, err: error });
+    }
+};
+
+/**
+ * Queue a test delivery to one subscription
+ * @param {Object} subscription - Subscription document
+ * @returns {Promise<Object>} The queued delivery
+ */
+const queuePing = async (subscription) => {
+    await ensureIndexes();
+    const delivery = buildDelivery(subscription, 'ping', { subscription_id: subscription._id }, {});
+    await getCollection(DELIVERIES_COLLECTION_NAME).insertOne(delivery);
+    return delivery;
+};
+
+module.exports = {
+    SUBSCRIPTIONS_COLLECTION_NAME,
+    DELIVERIES_COLLECTION_NAME,
+    WEBHOOK_EVENT_TYPES,
+    DELIVERY_STATUSES,
+    ensureIndexes,
+    generateSecret,
+    signPayload,
+    validateWebhookUrl,
+    resolveWebhookTarget,
+    getUpdateType,
+    queueWebhookDeliveries,
+    queueBulkWebhookDeliveries,
+    queuePing
+};
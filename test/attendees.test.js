@@ -0,0 +1,88 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+
+const OWNER = { org: 'acme', uid: 1 };
+const member = (uid) => ({ org: 'acme', uid });
+
+describe('capacity and waitlist', () => {
+    let api;
+    let event;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+
+        const created = await api.request('/api/v3/app/events', {
+            method: 'POST',
+            user: OWNER,
+            body: await eventForm({ name: 'Small room', capacity: 2 })
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        event = created.body.data;
+    });
+
+    after(() => api.close());
+
+    const call = async (path, options, expectedStatus) => {
+        const response = await api.request(`/api/v3/app/events/${event.id}${path}`, { org: 'acme', ...options });
+        assert.equal(response.status, expectedStatus, JSON.stringify(response.body));
+        return response.body;
+    };
+    const rsvp = (uid, expectedStatus) => call('/attendees', { method: 'POST', user: member(uid), body: {} }, expectedStatus);
+    const lists = async () => {
+        const attendees = await call('/attendees', {}, 200);
+        const waitlist = await call('/attendees?list=waitlist', {}, 200);
+        return { attendees: attendees.data, waitlist: waitlist.data, capacity: attendees.capacity };
+    };
+
+    test('seats fill up to capacity, then the waitlist grows in order', async () => {
+        assert.equal((await rsvp(2, 201)).data.status, 'attending');
+        assert.equal((await rsvp(3, 201)).data.status, 'attending');
+        assert.equal((await rsvp(4, 201)).data.status, 'waitlisted');
+        assert.equal((await rsvp(5, 201)).data.status, 'waitlisted');
+
+        // Repeating an RSVP reports the current status without moving anyone
+        assert.equal((await rsvp(4, 200)).data.status, 'waitlisted');
+        assert.equal((await rsvp(2, 200)).data.status, 'attending');
+
+        assert.deepEqual(await lists(), { attendees: ['2', '3'], waitlist: ['4', '5'], capacity: 2 });
+    });
+
+    test('a freed seat goes to the head of the waitlist', async () => {
+        // Leaving the waitlist frees no seat
+        const left = await call('/attendees', { method: 'DELETE', user: member(5) }, 200);
+        assert.deepEqual(left.data.promoted, []);
+        await rsvp(5, 201);
+
+        const cancelled = await call('/attendees', { method: 'DELETE', user: member(2) }, 200);
+        assert.deepEqual(cancelled.data.promoted, ['4']);
+        assert.deepEqual(await lists(), { attendees: ['3', '4'], waitlist: ['5'], capacity: 2 });
+
+        await call('/attendees', { method: 'DELETE', user: member(2) }, 404);
+    });
+
+    test('raising the capacity promotes, lowering it evicts no one', async () => {
+        await rsvp(6, 201);
+
+        await call('', { method: 'PUT', user: OWNER, body: { capacity: 3 } }, 200);
+        assert.deepEqual(await lists(), { attendees: ['3', '4', '5'], waitlist: ['6'], capacity: 3 });
+
+        await call('', { method: 'PUT', user: OWNER, body: { capacity: 1 } }, 200);
+        assert.deepEqual(await lists(), { attendees: ['3', '4', '5'], waitlist: ['6'], capacity: 1 });
+
+        // Still over capacity after a cancellation - nobody is promoted
+        const cancelled = await call('/attendees', { method: 'DELETE', user: member(3) }, 200);
+        assert.deepEqual(cancelled.data.promoted, []);
+        assert.equal((await rsvp(7, 201)).data.status, 'waitlisted');
+
+        // No capacity means unlimited: the whole waitlist is seated
+        await call('', { method: 'PUT', user: OWNER, body: { capacity: null } }, 200);
+        assert.deepEqual(await lists(), { attendees: ['4', '5', '6', '7'], waitlist: [], capacity: null });
+    });
+});
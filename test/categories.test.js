@@ -0,0 +1,125 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const memoryDb = useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+
+const OWNER = { org: 'acme', uid: 1 };
+const ADMIN = { org: 'acme', uid: 2, roles: ['admin'] };
+
+describe('category renames and merges', () => {
+    let api;
+    const ids = {};
+
+    const call = async (path, options, expectedStatus) => {
+        const response = await api.request(`/api/v3/app${path}`, { org: 'acme', user: ADMIN, ...options });
+        assert.equal(response.status, expectedStatus, JSON.stringify(response.body));
+        return response.body;
+    };
+    const createCategory = async (name, parent) =>
+        (await call('/categories', { method: 'POST', body: { name, ...(parent && { parent_id: ids[parent] }) } }, 201)).data.id;
+
+    // category/sub_category of each stored event, by name and organization
+    const stored = (org) => Object.fromEntries(memoryDb.collection('events').documents
+        .filter((event) => event.org_id === org)
+        .map((event) => [event.name, `${event.category}/${event.sub_category}`]));
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        await createOrganization({ id: 'globex', name: 'Globex' });
+        api = await startApp();
+
+        // Written before acme had a taxonomy, so spellings vary
+        const events = [
+            ['acme', { name: 'Node', category: 'tech', sub_category: 'backend' }],
+            ['acme', { name: 'React', category: 'Tech', sub_category: 'Frontend' }],
+            ['acme', { name: 'Archived', category: 'TECH', sub_category: 'Backend' }],
+            ['acme', { name: 'Sketching', category: 'Design', sub_category: 'UX' }],
+            ['acme', { name: 'Tailwind', category: 'design', sub_category: 'frontend' }],
+            ['globex', { name: 'Globex node', category: 'Tech', sub_category: 'Backend' }],
+            ['globex', { name: 'Globex sketching', category: 'Design', sub_category: 'UX' }]
+        ];
+        for (const [org, fields] of events) {
+            const created = await api.request('/api/v3/app/events', {
+                method: 'POST',
+                user: { ...OWNER, org },
+                body: await eventForm(fields)
+            });
+            assert.equal(created.status, 201, JSON.stringify(created.body));
+            ids[fields.name] = created.body.data.id;
+        }
+        await call(`/events/${ids.Archived}`, { method: 'DELETE', user: OWNER }, 200);
+
+        ids.Tech = await createCategory('Tech');
+        ids.Backend = await createCategory('Backend', 'Tech');
+        ids.Frontend = await createCategory('Frontend', 'Tech');
+        ids.Design = await createCategory('Design');
+        ids.UX = await createCategory('UX', 'Design');
+        ids.DesignFrontend = await createCategory('Frontend', 'Design');
+    });
+
+    after(() => api.close());
+
+    const globexBefore = {
+        'Globex node': 'Tech/Backend',
+        'Globex sketching': 'Design/UX'
+    };
+
+    test('renaming rewrites every spelling, trashed events included, in this organization only', async () => {
+        const renamed = await call(`/categories/${ids.Tech}`, { method: 'PUT', body: { name: 'Engineering' } }, 200);
+        assert.equal(renamed.eventsUpdated, 3);
+        assert.equal(renamed.data.name, 'Engineering');
+
+        const renamedSub = await call(`/categories/${ids.Backend}`, { method: 'PUT', body: { name: 'Server' } }, 200);
+        assert.equal(renamedSub.eventsUpdated, 2);
+
+        assert.deepEqual(stored('acme'), {
+            Node: 'Engineering/Server',
+            React: 'Engineering/Frontend',
+            Archived: 'Engineering/Server',
+            Sketching: 'Design/UX',
+            Tailwind: 'design/frontend'
+        });
+        assert.deepEqual(stored('globex'), globexBefore);
+
+        // Each rewrite is an edit of its own in the event's history
+        const history = await call(`/events/${ids.Node}/history`, {}, 200);
+        assert.deepEqual(history.data.slice(0, 2).map(({ action, changes }) => [action, changes.map(({ field }) => field)]), [
+            ['recategorize', ['sub_category']],
+            ['recategorize', ['category']]
+        ]);
+    });
+
+    test('merging moves events and sub-categories, in this organization only', async () => {
+        const merged = await call(`/categories/${ids.Design}/merge`, { method: 'POST', body: { into: ids.Tech } }, 200);
+        assert.equal(merged.eventsUpdated, 2);
+        assert.deepEqual(merged.data.children.map(({ name }) => name).sort(), ['Frontend', 'Server', 'UX']);
+
+        assert.deepEqual(stored('acme'), {
+            Node: 'Engineering/Server',
+            React: 'Engineering/Frontend',
+            Archived: 'Engineering/Server',
+            Sketching: 'Engineering/UX',
+            // Design's Frontend had a twin under Engineering and was merged into it
+            Tailwind: 'Engineering/Frontend'
+        });
+        assert.deepEqual(stored('globex'), globexBefore);
+
+        await call(`/categories/${ids.Design}`, {}, 404);
+        await call(`/categories/${ids.DesignFrontend}`, {}, 404);
+        assert.equal((await call(`/categories/${ids.UX}`, {}, 200)).data.parent_id, ids.Tech);
+    });
+
+    test('another organization can neither see nor rewrite them', async () => {
+        const globexAdmin = { org: 'globex', uid: 2, roles: ['admin'] };
+
+        await call(`/categories/${ids.Tech}`, { org: 'globex', user: globexAdmin, method: 'PUT', body: { name: 'Hijacked' } }, 404);
+        await call(`/categories/${ids.UX}/merge`, { org: 'globex', user: globexAdmin, method: 'POST', body: { into: ids.Frontend } }, 404);
+
+        assert.deepEqual(stored('globex'), globexBefore);
+        assert.equal(stored('acme').Node, 'Engineering/Server');
+    });
+});
@@ -0,0 +1,24 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCsvParser, formatCsvRow } = require('../src/utils/csv');
+
+describe('formatCsvRow', () => {
+    test('quotes cells with separators, quotes and line breaks', () => {
+        assert.equal(formatCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', null, 3]), 'plain,"a,b","say ""hi""","two\nlines",,3\r\n');
+    });
+
+    test('keeps spreadsheets from running text cells as formulas', () => {
+        const row = formatCsvRow(['=HYPERLINK("http://evil.example","click")', '+cmd|\' /C calc\'!A0', '-2+3', '@SUM(A1)', '\tTab', '\rReturn', -5, 'Fine = good']);
+
+        assert.deepEqual(createCsvParser().push(row), [[
+            '\'=HYPERLINK("http://evil.example","click")',
+            '\'+cmd|\' /C calc\'!A0',
+            '\'-2+3',
+            '\'@SUM(A1)',
+            '\'\tTab',
+            '\'\rReturn',
+            '-5',
+            'Fine = good'
+        ]]);
+    });
+});
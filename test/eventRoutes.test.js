@@ -0,0 +1,198 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+useMemoryDb();
+
+const { startApp, eventFields, eventForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+const { buildDocument, operation } = require('../src/openapi');
+const eventRoutes = require('../src/routes/eventRoutes');
+
+/*
+ * Every event route, called once with NODE_ENV=test: a response that
+ * doesn't match the OpenAPI document comes back as a 500, so the expected
+ * statuses below also check the document.
+ */
+
+const OWNER = { org: 'acme', uid: 1 };
+const GUEST = { org: 'acme', uid: 2 };
+
+describe('OpenAPI document', () => {
+    test('documents every event route', () => {
+        const document = buildDocument({ basePath: '/api/v3/app', routers: [eventRoutes] });
+        const documented = Object.entries(document.paths)
+            .flatMap(([path, methods]) => Object.keys(methods).map((method) => `${method} ${path}`));
+        const routes = eventRoutes.stack
+            .filter((layer) => layer.route)
+            .flatMap((layer) => Object.keys(layer.route.methods)
+                .map((method) => `${method} ${layer.route.path.replace(/:(\w+)/g, '{$1}')}`));
+
+        assert.deepEqual(documented.sort(), routes.sort());
+    });
+
+    test('fails to build when a route has no operation', () => {
+        const router = express.Router();
+        router.get('/events/:id/documented', operation('getEventHistory'), (req, res) => res.end());
+        router.get('/events/undocumented', (req, res) => res.end());
+
+        assert.throws(
+            () => buildDocument({ basePath: '/api/v3/app', routers: [router] }),
+            /GET \/events\/undocumented has no operation\(\)/
+        );
+    });
+});
+
+describe('event routes (responses checked against the OpenAPI document)', () => {
+    let api;
+    let event;
+    let series;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+    });
+
+    after(() => api.close());
+
+    const call = async (path, options, expectedStatus) => {
+        const response = await api.request(`/api/v3/app${path}`, { org: 'acme', ...options });
+        assert.equal(response.status, expectedStatus, JSON.stringify(response.body));
+        return response;
+    };
+
+    test('POST /events', async () => {
+        event = (await call('/events', { method: 'POST', user: OWNER, body: await eventForm({ capacity: 1 }) }, 201)).body.data;
+        series = (await call('/events', {
+            method: 'POST',
+            user: OWNER,
+            body: await eventForm({ name: 'Weekly sync', rrule: 'FREQ=WEEKLY;COUNT=4', timezone: 'Europe/Berlin' })
+        }, 201)).body.data;
+    });
+
+    test('GET /events', async () => {
+        const byId = await call(`/events?id=${event.id}`, {}, 200);
+        assert.equal(byId.body.data.name, event.name);
+
+        await call('/events?type=latest&limit=5&page=1', {}, 200);
+        await call('/events?type=latest&limit=5&from=2030-01-01T00:00:00Z&to=2030-12-31T00:00:00Z', {}, 200);
+        await call('/events?type=search&category=Tech&rigor_min=1', {}, 200);
+        await call('/events?type=latest&limit=1000', {}, 400);
+        await call('/events?id=0123456789abcdef01234567', {}, 404);
+    });
+
+    test('GET /events/stream', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`${api.url}/api/v3/app/events/stream?category=Tech`, {
+            headers: { 'X-Org-Id': 'acme' },
+            signal: controller.signal
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /text\/event-stream/);
+        controller.abort();
+    });
+
+    test('GET /events/feed.ics and /events/:id.ics', async () => {
+        const feed = await call('/events/feed.ics', {}, 200);
+        assert.match(feed.body, /BEGIN:VCALENDAR/);
+        const single = await call(`/events/${series.id}.ics`, {}, 200);
+        assert.match(single.body, /RRULE:FREQ=WEEKLY;COUNT=4/);
+    });
+
+    test('POST /events/import and GET /events/export', async () => {
+        const imported = await call('/events/import?format=ndjson&dry_run=true', {
+            method: 'POST',
+            user: OWNER,
+            headers: { 'Content-Type': 'application/x-ndjson' },
+            body: `${JSON.stringify(eventFields({ name: 'Imported' }))}\n{"name":""}\n`
+        }, 200);
+        assert.deepEqual([imported.body.data.valid, imported.body.data.failed], [1, 1]);
+
+        const exported = await call('/events/export?format=ndjson', {}, 200);
+        assert.equal(exported.body.trim().split('\n').length, 2);
+    });
+
+    test('PUT /events/:id', async () => {
+        const updated = await call(`/events/${event.id}`, {
+            method: 'PUT',
+            user: OWNER,
+            body: { tagline: 'Updated tagline' }
+        }, 200);
+        assert.equal(updated.body.data.tagline, 'Updated tagline');
+
+        await call(`/events/${event.id}`, { method: 'PUT', user: GUEST, body: { tagline: 'Not mine' } }, 403);
+    });
+
+    test('attendees', async () => {
+        await call(`/events/${event.id}/attendees`, { method: 'POST', user: GUEST, body: {} }, 201);
+        await call(`/events/${event.id}/attendees`, { method: 'POST', user: GUEST, body: {} }, 200);
+        await call(`/events/${event.id}/attendees`, { method: 'POST', user: { org: 'acme', uid: 3 } }, 201);
+
+        const waitlist = await call(`/events/${event.id}/attendees?list=waitlist`, {}, 200);
+        assert.deepEqual(waitlist.body.data, ['3']);
+        await call(`/events/${event.id}/attendees`, {}, 200);
+
+        await call(`/events/${event.id}/attendees`, { method: 'DELETE', user: GUEST }, 200);
+    });
+
+    test('history and revert', async () => {
+        const history = await call(`/events/${event.id}/history`, { user: OWNER }, 200);
+        assert.ok(history.body.data.length >= 2);
+
+        const reverted = await call(`/events/${event.id}/revert`, { method: 'POST', user: OWNER, body: { revision: 1 } }, 200);
+        assert.equal(reverted.body.data.tagline, event.tagline);
+    });
+
+    test('occurrences', async () => {
+        const occurrence = encodeURIComponent('2030-05-08T10:00:00Z');
+
+        const edited = await call(`/events/${series.id}/occurrences/${occurrence}`, {
+            method: 'PUT',
+            user: OWNER,
+            body: { name: 'Special sync' }
+        }, 200);
+        assert.equal(edited.body.data.name, 'Special sync');
+        const etag = edited.headers.get('etag');
+
+        // A stale version changes nothing
+        const stale = { 'If-Match': '"0"' };
+        await call(`/events/${series.id}/occurrences/${occurrence}`, {
+            method: 'PUT',
+            user: OWNER,
+            headers: stale,
+            body: { name: 'Lost update' }
+        }, 412);
+        await call(`/events/${series.id}/occurrences/${encodeURIComponent('2030-05-15T10:00:00Z')}`, {
+            method: 'DELETE',
+            user: OWNER,
+            headers: stale
+        }, 412);
+
+        await call(`/events/${series.id}/occurrences/${encodeURIComponent('2030-05-15T10:00:00Z')}`, {
+            method: 'DELETE',
+            user: OWNER,
+            headers: { 'If-Match': etag }
+        }, 200);
+        await call(`/events/${series.id}/occurrences/${encodeURIComponent('2030-05-16T10:00:00Z')}`, {
+            method: 'DELETE',
+            user: OWNER
+        }, 404);
+
+        // Four weekly occurrences, one cancelled, one edited
+        const window = await call('/events?type=latest&from=2030-05-01T00:00:00Z&to=2030-06-01T00:00:00Z', {}, 200);
+        const names = window.body.data.filter((item) => item.name !== event.name).map((item) => item.name);
+        assert.deepEqual(names.sort(), ['Special sync', 'Weekly sync', 'Weekly sync']);
+    });
+
+    test('DELETE /events/:id, the trash and restore', async () => {
+        await call(`/events/${event.id}`, { method: 'DELETE', user: OWNER }, 200);
+        await call(`/events?id=${event.id}`, {}, 404);
+
+        const trash = await call('/events?type=trash', { user: OWNER }, 200);
+        assert.deepEqual(trash.body.data.map((item) => item._id), [event.id]);
+
+        await call(`/events/${event.id}/restore`, { method: 'POST', user: OWNER }, 200);
+        await call(`/events?id=${event.id}`, {}, 200);
+    });
+});
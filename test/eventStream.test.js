@@ -0,0 +1,145 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { createOrganization, runWithTenant } = require('../src/tenancy');
+const { publishEventChange, subscribeToEventChanges, getSubscriberCount } = require('../src/utils/eventBus');
+
+const waitUntil = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        assert.ok(Date.now() < deadline, 'timed out waiting');
+        await sleep(10);
+    }
+};
+
+describe('event bus', () => {
+    test('stamps changes with the organization they were made in', () => {
+        const changes = [];
+        const unsubscribe = subscribeToEventChanges((change) => changes.push(change));
+
+        runWithTenant({ id: 'acme' }, () => publishEventChange('created', { _id: 'a', category: 'Tech' }));
+        // A document's own org_id wins over the context
+        runWithTenant({ id: 'acme' }, () => publishEventChange('updated', { _id: 'b', org_id: 'globex' }));
+        publishEventChange('deleted', { _id: 'c' });
+        unsubscribe();
+
+        assert.deepEqual(changes.map(({ org_id, event_id, data }) => [org_id, event_id, data && data._id]), [
+            ['acme', 'a', 'a'],
+            ['globex', 'b', 'b'],
+            [null, 'c', null]
+        ]);
+        assert.throws(() => publishEventChange('moved', { _id: 'd' }), /Unknown event change type/);
+    });
+});
+
+describe('GET /events/stream', () => {
+    let api;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        await createOrganization({ id: 'globex', name: 'Globex' });
+        api = await startApp();
+    });
+
+    after(() => api.close());
+
+    // Open stream collecting the parsed change messages
+    const openStream = async (org, query = '') => {
+        const controller = new AbortController();
+        const response = await fetch(`${api.url}/api/v3/app/events/stream${query}`, {
+            headers: { 'X-Org-Id': org },
+            signal: controller.signal
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+        const changes = [];
+        const reading = (async () => {
+            const decoder = new TextDecoder();
+            let buffer = '';
+            try {
+                for await (const chunk of response.body) {
+                    buffer += decoder.decode(chunk, { stream: true });
+                    const messages = buffer.split('\n\n');
+                    buffer = messages.pop();
+                    for (const message of messages) {
+                        const data = message.split('\n').find((line) => line.startsWith('data: '));
+                        if (data) {
+                            changes.push(JSON.parse(data.slice('data: '.length)));
+                        }
+                    }
+                }
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    throw error;
+                }
+            }
+        })();
+
+        const close = async () => {
+            controller.abort();
+            await reading;
+        };
+        return { changes, close };
+    };
+
+    const createEvent = async (org, fields) => {
+        const created = await api.request('/api/v3/app/events', {
+            method: 'POST',
+            user: { org, uid: 1 },
+            body: await eventForm(fields)
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        return created.body.data;
+    };
+
+    test('clients only receive changes of their own organization', async () => {
+        const acme = await openStream('acme');
+        const globex = await openStream('globex');
+        await waitUntil(() => getSubscriberCount() === 2);
+
+        // Published in this order, so a leaked globex change would arrive before acme's
+        const globexEvent = await createEvent('globex', { name: 'Globex only' });
+        const acmeEvent = await createEvent('acme', { name: 'Acme only' });
+        await waitUntil(() => acme.changes.length > 0 && globex.changes.length > 0);
+
+        assert.deepEqual(acme.changes.map(({ type, org_id, event_id }) => [type, org_id, event_id]), [
+            ['created', 'acme', acmeEvent.id]
+        ]);
+        assert.deepEqual(globex.changes.map(({ type, org_id, event_id }) => [type, org_id, event_id]), [
+            ['created', 'globex', globexEvent.id]
+        ]);
+        assert.equal(acme.changes[0].data.name, 'Acme only');
+
+        await acme.close();
+        await globex.close();
+        await waitUntil(() => getSubscriberCount() === 0);
+    });
+
+    test('category and id filters narrow the stream', async () => {
+        const design = await openStream('acme', '?category=Design');
+        const all = await openStream('acme');
+        await waitUntil(() => getSubscriberCount() === 2);
+
+        await createEvent('acme', { name: 'Backend talk', category: 'Tech' });
+        const workshop = await createEvent('acme', { name: 'Sketching', category: 'Design', sub_category: 'UX' });
+        await createEvent('globex', { name: 'Globex design', category: 'Design', sub_category: 'UX' });
+        await waitUntil(() => design.changes.length > 0 && all.changes.length === 2);
+
+        assert.deepEqual(design.changes.map(({ event_id }) => event_id), [workshop.id]);
+
+        const single = await openStream('acme', `?id=${workshop.id}`);
+        await waitUntil(() => getSubscriberCount() === 3);
+        const deleted = await api.request(`/api/v3/app/events/${workshop.id}`, { method: 'DELETE', user: { org: 'acme', uid: 1 } });
+        assert.equal(deleted.status, 200);
+        await waitUntil(() => single.changes.length > 0);
+        assert.deepEqual(single.changes.map(({ type, data }) => [type, data]), [['deleted', null]]);
+
+        await Promise.all([design.close(), all.close(), single.close()]);
+    });
+});
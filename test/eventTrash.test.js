@@ -0,0 +1,78 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMemoryDb, ObjectId } = require('./helpers/memoryDb');
+
+const memoryDb = useMemoryDb();
+
+const { startApp, eventForm, UPLOAD_DIR } = require('./helpers/app');
+const { getCollection } = require('../src/config/database');
+const { createOrganization, runWithTenant, runAsSystem } = require('../src/tenancy');
+const eventPurgeJob = require('../src/jobs/eventPurgeJob');
+
+const OWNER = { org: 'acme', uid: 1 };
+
+const nudgeStatuses = () => Object.fromEntries(
+    memoryDb.collection('nudges').documents.map((nudge) => [nudge.title, nudge.status])
+);
+
+describe('nudges of trashed events', () => {
+    let api;
+    let event;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+
+        const created = await api.request('/api/v3/app/events', { method: 'POST', user: OWNER, body: await eventForm() });
+        assert.equal(created.status, 201);
+        event = created.body.data;
+
+        const upload = (name) => {
+            const filePath = path.join(UPLOAD_DIR, name);
+            fs.writeFileSync(filePath, 'image');
+            return filePath;
+        };
+        await runWithTenant({ id: 'acme' }, () => getCollection('nudges').insertMany([
+            ['Queued', 'pending'],
+            ['Delivered', 'sent'],
+            ['Withdrawn', 'cancelled']
+        ].map(([title, status]) => ({
+            event_id: new ObjectId(event.id),
+            title,
+            status,
+            image: upload(`${title}-image.jpg`),
+            icon: upload(`${title}-icon.png`)
+        }))));
+    });
+
+    after(() => api.close());
+
+    const call = (method, path) => api.request(`/api/v3/app/events/${event.id}${path}`, { method, user: OWNER });
+
+    test('moving the event to the trash cancels its pending nudges', async () => {
+        assert.equal((await call('DELETE', '')).status, 200);
+
+        assert.deepEqual(nudgeStatuses(), { Queued: 'cancelled', Delivered: 'sent', Withdrawn: 'cancelled' });
+    });
+
+    test('restoring the event re-queues only the nudges the delete cancelled', async () => {
+        assert.equal((await call('POST', '/restore')).status, 200);
+
+        assert.deepEqual(nudgeStatuses(), { Queued: 'pending', Delivered: 'sent', Withdrawn: 'cancelled' });
+    });
+
+    test('purging the event deletes its nudges and their files', async () => {
+        assert.equal((await call('DELETE', '')).status, 200);
+        await runAsSystem(() => getCollection('events').updateOne(
+            { name: event.name },
+            { $set: { deleted_at: new Date('2020-01-01T00:00:00Z') } }
+        ));
+
+        assert.equal(await runAsSystem(eventPurgeJob.runOnce), 1);
+
+        assert.deepEqual(memoryDb.collection('nudges').documents, []);
+        assert.deepEqual(fs.readdirSync(UPLOAD_DIR).filter((name) => /-(image|icon)\./.test(name)), []);
+    });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+
+/*
+ * The app on a free local port, for tests that go through HTTP.
+ *
+ * Runs with NODE_ENV=test, so every response of a documented route is
+ * also checked against the OpenAPI document (src/openapi) - a response
+ * that drifted from it comes back as a 500.
+ *
+ * Load test/helpers/memoryDb.js (useMemoryDb) first.
+ */
+
+const JWT_SECRET = 'test-secret';
+
+// Uploads go to a scratch directory, removed by close()
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'events-api-test-'));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    JWT_SECRET,
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+    RATE_LIMIT_ENABLED: 'false',
+    STORAGE_DRIVER: 'local',
+    UPLOAD_DIR
+});
+
+/**
+ * Bearer token for a user of an organization
+ * @param {Object} user
+ * @param {string} user.org - Organization id (org_id claim)
+ * @param {number} [user.uid]
+ * @param {Array<string>} [user.roles]
+ * @returns {string} Authorization header value
+ */
+const tokenFor = ({ org, uid = 1, roles = [] }) => `Bearer ${jwt.sign({ uid, roles, org_id: org }, JWT_SECRET)}`;
+
+// Plain objects are sent as JSON; strings and FormData as they are
+const isObject = (body) => body !== null && typeof body === 'object' && !(body instanceof FormData);
+
+/**
+ * Start the app
+ * @returns {Promise<{url: string, server: import('http').Server, request: Function, close: Function}>}
+ *   request(path, { method, org, user, headers, body }) resolves to
+ *   { status, headers, body } - body parsed when it's JSON. org sends
+ *   X-Org-Id, user ({ org, uid, roles }) a token; a plain object body
+ *   is sent as JSON.
+ */
+const startApp = async () => {
+    const app = require('../../src/app');
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (path, { method = 'GET', org, user, headers = {}, body } = {}) => {
+        const response = await fetch(`${url}${path}`, {
+            method,
+            headers: {
+                ...(org && { 'X-Org-Id': org }),
+                ...(user && { Authorization: tokenFor(user) }),
+                ...(isObject(body) && { 'Content-Type': 'application/json' }),
+                ...headers
+            },
+            body: isObject(body) ? JSON.stringify(body) : body
+        });
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('json');
+
+        return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+    };
+
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+        fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+    };
+
+    return { url, server, request, close };
+};
+
+/**
+ * Event fields for POST /events
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+const eventFields = (overrides = {}) => ({
+    name: 'Intro to Node.js',
+    tagline: 'Streams, buffers and the event loop',
+    schedule: '2030-05-01T10:00:00Z',
+    description: 'A hands-on session.',
+    moderator: 'Ada',
+    category: 'Tech',
+    sub_category: 'Backend',
+    rigor_rank: 3,
+    ...overrides
+});
+
+// A small valid image for upload routes
+let image = null;
+
+/**
+ * Multipart body: the fields plus a PNG for each file field
+ * @param {Object} fields
+ * @param {Array<string>} fileFields
+ * @returns {Promise<FormData>}
+ */
+const uploadForm = async (fields, fileFields) => {
+    if (!image) {
+        image = await sharp({ create: { width: 32, height: 24, channels: 3, background: '#336699' } }).png().toBuffer();
+    }
+
+    const form = new FormData();
+    for (const [field, value] of Object.entries(fields)) {
+        form.append(field, String(value));
+    }
+    for (const field of fileFields) {
+        form.append(field, new Blob([image], { type: 'image/png' }), `${field}.png`);
+    }
+    return form;
+};
+
+/**
+ * Multipart body for POST /events: the fields plus an image
+ * @param {Object} overrides - Field values (see eventFields)
+ * @returns {Promise<FormData>}
+ */
+const eventForm = (overrides = {}) => uploadForm(eventFields(overrides), ['image']);
+
+/**
+ * Multipart body for POST /nudges: the fields plus an image and an icon
+ * @param {Object} fields - Nudge fields (event_id at least)
+ * @returns {Promise<FormData>}
+ */
+const nudgeForm = (fields) => uploadForm({
+    title: 'Starting soon',
+    invitation: 'Grab a seat',
+    description: 'The session starts in an hour.',
+    scheduled_date: '2030-05-01',
+    timing_from: '09:00',
+    timing_to: '10:00',
+    ...fields
+}, ['image', 'icon']);
+
+module.exports = {
+    JWT_SECRET,
+    UPLOAD_DIR,
+    tokenFor,
+    startApp,
+    eventFields,
+    eventForm,
+    nudgeForm
+};
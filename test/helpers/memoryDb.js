@@ -0,0 +1,405 @@
+require('mingo/init/system');
+const { Query, Aggregator, update: applyOperator } = require('mingo');
+const { ObjectId } = require('mongodb');
+const database = require('../../src/config/database');
+const { scopeCollection } = require('../../src/tenancy/scopedCollection');
+
+/*
+ * In-memory stand-in for MongoDB, so tests run without a mongod.
+ *
+ * Collections implement the driver methods the app calls; filters, update
+ * operators and pipelines are evaluated by mingo. Writes are applied
+ * synchronously, which makes findOneAndUpdate as atomic as the real one:
+ * two concurrent claims never get the same document. Not supported: $text,
+ * $lookup-style stages (the app doesn't run them on tenant data either),
+ * transactions.
+ *
+ * useMemoryDb() must run before the app's modules are loaded - they take
+ * getCollection from config/database.js when required.
+ */
+
+// Documents are stored and returned as copies, like a round trip to the server
+const clone = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value instanceof Date) {
+        return new Date(value);
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+    }
+    return value;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const duplicateKeyError = (collectionName, indexName) => Object.assign(
+    new Error(`E11000 duplicate key error collection: ${collectionName} index: ${indexName}`),
+    { name: 'MongoServerError', code: 11000 }
+);
+
+/*
+ * The document an upsert inserts: the filter's equality conditions
+ * (top level and inside $and), then the update.
+ */
+const seedFromFilter = (filter) => {
+    const seed = {};
+    for (const [key, condition] of Object.entries(filter || {})) {
+        if (key === '$and') {
+            condition.forEach((part) => Object.assign(seed, seedFromFilter(part)));
+        } else if (!key.startsWith('$') && !key.includes('.') && !(
+            condition && typeof condition === 'object' && Object.keys(condition).some((op) => op.startsWith('$'))
+        )) {
+            seed[key] = clone(condition);
+        }
+    }
+    return seed;
+};
+
+const createCollection = (collectionName) => {
+    let docs = [];
+    const indexes = [{ name: '_id_', key: { _id: 1 }, unique: true }];
+
+    const matching = (filter) => new Query(filter || {}).find(docs).all();
+
+    const checkUnique = (doc) => {
+        for (const index of indexes.filter((candidate) => candidate.unique)) {
+            if (index.partialFilterExpression && !new Query(index.partialFilterExpression).test(doc)) {
+                continue;
+            }
+            const fields = Object.keys(index.key);
+            const key = (other) => fields.map((field) => String(getPath(other, field) ?? null)).join('\u0000');
+            if (docs.some((other) => other !== doc && key(other) === key(doc))) {
+                throw duplicateKeyError(collectionName, index.name);
+            }
+        }
+    };
+
+    const insert = (doc) => {
+        // The driver sets _id on the caller's object too
+        if (doc._id === undefined) {
+            doc._id = new ObjectId();
+        }
+        const stored = clone(doc);
+        checkUnique(stored);
+        docs.push(stored);
+        return doc._id;
+    };
+
+    // Apply an update in place - operators or a pipeline; rolled back on a duplicate key
+    const applyUpdate = (doc, update, { inserting = false } = {}) => {
+        const before = clone(doc);
+
+        if (Array.isArray(update)) {
+            const [result] = new Aggregator(update).run([clone(doc)]);
+            Object.keys(doc).forEach((key) => delete doc[key]);
+            Object.assign(doc, result);
+        } else {
+            for (const [operator, fields] of Object.entries(update)) {
+                if (operator === '$setOnInsert') {
+                    if (inserting) {
+                        applyOperator(doc, { $set: clone(fields) });
+                    }
+                } else {
+                    applyOperator(doc, { [operator]: clone(fields) });
+                }
+            }
+        }
+
+        try {
+            checkUnique(doc);
+        } catch (error) {
+            Object.keys(doc).forEach((key) => delete doc[key]);
+            Object.assign(doc, before);
+            throw error;
+        }
+    };
+
+    const upsert = (filter, update) => {
+        const doc = seedFromFilter(filter);
+        applyUpdate(doc, update, { inserting: true });
+        if (doc._id === undefined) {
+            doc._id = new ObjectId();
+        }
+        checkUnique(doc);
+        docs.push(doc);
+        return doc;
+    };
+
+    const updateOne = (filter, update, options = {}) => {
+        const [doc] = matching(filter);
+        if (doc) {
+            applyUpdate(doc, update);
+            return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+        }
+        if (options.upsert) {
+            const inserted = upsert(filter, update);
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+        return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+    };
+
+    const updateMany = (filter, update) => {
+        const found = matching(filter);
+        found.forEach((doc) => applyUpdate(doc, update));
+        return { matchedCount: found.length, modifiedCount: found.length };
+    };
+
+    const replaceOne = (filter, replacement, options = {}) => {
+        const [doc] = matching(filter);
+        if (!doc) {
+            if (options.upsert) {
+                insert({ ...replacement });
+                return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+            }
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+        }
+        const { _id } = doc;
+        Object.keys(doc).forEach((key) => delete doc[key]);
+        Object.assign(doc, clone(replacement), { _id });
+        return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    };
+
+    const deleteMatching = (filter, { limit } = {}) => {
+        const found = matching(filter).slice(0, limit);
+        docs = docs.filter((doc) => !found.includes(doc));
+        return found;
+    };
+
+    const sorted = (found, sort) => (sort ? new Query({}).find(found).sort(sort).all() : found);
+
+    /*
+     * mingo has no $elemMatch projection - those fields are done here:
+     * the first matching element, as a one-element array, or no field.
+     */
+    const project = (doc, projection) => {
+        if (!projection) {
+            return clone(doc);
+        }
+
+        const isElemMatch = (value) => value && typeof value === 'object' && value.$elemMatch;
+        const elemMatches = Object.entries(projection).filter(([, value]) => isElemMatch(value));
+        const rest = Object.fromEntries(Object.entries(projection).filter(([, value]) => !isElemMatch(value)));
+
+        const projected = Object.keys(rest).length > 0
+            ? new Query({}).find([doc], rest).next()
+            : { _id: doc._id };
+
+        for (const [field, { $elemMatch: condition }] of elemMatches) {
+            const values = Array.isArray(doc[field]) ? doc[field] : [];
+            const match = values.find((value) => new Query({ value: { $elemMatch: condition } }).test({ value: [value] }));
+            if (match !== undefined) {
+                projected[field] = [match];
+            }
+        }
+
+        return clone(projected);
+    };
+
+    const cursor = (filter, options = {}) => {
+        const state = { sort: options.sort, skip: options.skip || 0, limit: options.limit || 0, projection: options.projection };
+        const results = () => {
+            const found = sorted(matching(filter), state.sort)
+                .slice(state.skip, state.limit ? state.skip + state.limit : undefined);
+            return found.map((doc) => project(doc, state.projection));
+        };
+
+        const self = {
+            sort: (sort) => {
+                state.sort = sort;
+                return self;
+            },
+            skip: (skip) => {
+                state.skip = skip;
+                return self;
+            },
+            limit: (limit) => {
+                state.limit = limit;
+                return self;
+            },
+            project: (projection) => {
+                state.projection = projection;
+                return self;
+            },
+            toArray: async () => results(),
+            close: async () => {},
+            async *[Symbol.asyncIterator]() {
+                yield* results();
+            }
+        };
+        return self;
+    };
+
+    const aggregate = (pipeline) => {
+        const run = () => new Aggregator(pipeline).run(docs.map(clone));
+        return {
+            toArray: async () => run(),
+            async *[Symbol.asyncIterator]() {
+                yield* run();
+            }
+        };
+    };
+
+    const createIndex = async (key, options = {}) => {
+        const name = options.name || Object.entries(key).map(([field, direction]) => `${field}_${direction}`).join('_');
+        if (!indexes.some((index) => index.name === name)) {
+            indexes.push({ ...options, name, key });
+        }
+        return name;
+    };
+
+    return {
+        collectionName,
+
+        // Test access to what's stored
+        get documents() {
+            return docs;
+        },
+
+        find: cursor,
+        findOne: async (filter, options = {}) => {
+            const [doc] = sorted(matching(filter), options.sort);
+            return doc ? project(doc, options.projection) : null;
+        },
+        countDocuments: async (filter) => matching(filter).length,
+        distinct: async (key, filter) => {
+            const values = matching(filter).flatMap((doc) => [].concat(getPath(doc, key) ?? []));
+            return values.filter((value, i) => values.findIndex((other) => String(other) === String(value)) === i);
+        },
+        aggregate,
+
+        insertOne: async (doc) => ({ acknowledged: true, insertedId: insert(doc) }),
+        insertMany: async (many, options = {}) => {
+            const insertedIds = {};
+            const errors = [];
+            many.forEach((doc, i) => {
+                try {
+                    insertedIds[i] = insert(doc);
+                } catch (error) {
+                    if (options.ordered !== false) {
+                        throw error;
+                    }
+                    errors.push(error);
+                }
+            });
+            if (errors.length > 0) {
+                throw Object.assign(errors[0], { insertedIds });
+            }
+            return { acknowledged: true, insertedCount: many.length, insertedIds };
+        },
+        bulkWrite: async (operations) => {
+            const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, deletedCount: 0 };
+            for (const operation of operations) {
+                const [type, spec] = Object.entries(operation)[0];
+                if (type === 'insertOne') {
+                    insert(spec.document);
+                    result.insertedCount++;
+                } else if (type === 'updateOne' || type === 'updateMany') {
+                    const outcome = type === 'updateOne'
+                        ? updateOne(spec.filter, spec.update, spec)
+                        : updateMany(spec.filter, spec.update);
+                    result.matchedCount += outcome.matchedCount;
+                    result.modifiedCount += outcome.modifiedCount;
+                    result.upsertedCount += outcome.upsertedCount || 0;
+                } else if (type === 'replaceOne') {
+                    const outcome = replaceOne(spec.filter, spec.replacement, spec);
+                    result.matchedCount += outcome.matchedCount;
+                    result.upsertedCount += outcome.upsertedCount;
+                } else if (type === 'deleteOne' || type === 'deleteMany') {
+                    result.deletedCount += deleteMatching(spec.filter, { limit: type === 'deleteOne' ? 1 : undefined }).length;
+                } else {
+                    throw new Error(`Unsupported bulk operation ${type}`);
+                }
+            }
+            return result;
+        },
+
+        updateOne: async (filter, update, options) => updateOne(filter, update, options),
+        updateMany: async (filter, update) => updateMany(filter, update),
+        replaceOne: async (filter, replacement, options) => replaceOne(filter, replacement, options),
+        findOneAndUpdate: async (filter, update, options = {}) => {
+            const [doc] = sorted(matching(filter), options.sort);
+            if (!doc) {
+                if (!options.upsert) {
+                    return null;
+                }
+                const inserted = upsert(filter, update);
+                return options.returnDocument === 'after' ? project(inserted, options.projection) : null;
+            }
+            const before = project(doc, options.projection);
+            applyUpdate(doc, update);
+            return options.returnDocument === 'after' ? project(doc, options.projection) : before;
+        },
+        findOneAndReplace: async (filter, replacement, options = {}) => {
+            const [doc] = matching(filter);
+            if (!doc) {
+                return null;
+            }
+            const before = clone(doc);
+            replaceOne({ _id: doc._id }, replacement);
+            return options.returnDocument === 'after' ? clone(doc) : before;
+        },
+        findOneAndDelete: async (filter, options = {}) => {
+            const [doc] = sorted(matching(filter), options.sort);
+            if (!doc) {
+                return null;
+            }
+            deleteMatching({ _id: doc._id });
+            return clone(doc);
+        },
+        deleteOne: async (filter) => ({ deletedCount: deleteMatching(filter, { limit: 1 }).length }),
+        deleteMany: async (filter) => ({ deletedCount: deleteMatching(filter).length }),
+
+        createIndex,
+        createIndexes: async (specs) => Promise.all(specs.map(({ key, ...options }) => createIndex(key, options))),
+        indexes: async () => indexes.map((index) => ({ v: 2, ...index })),
+        listIndexes: () => ({ toArray: async () => indexes.map((index) => ({ v: 2, ...index })) }),
+        dropIndex: async (name) => {
+            indexes.splice(indexes.findIndex((index) => index.name === name), 1);
+        }
+    };
+};
+
+/**
+ * An empty in-memory database
+ * @returns {{collection: Function, command: Function, reset: Function}}
+ */
+const createMemoryDb = () => {
+    const collections = new Map();
+
+    return {
+        collection: (name) => {
+            if (!collections.has(name)) {
+                collections.set(name, createCollection(name));
+            }
+            return collections.get(name);
+        },
+        command: async () => ({ ok: 1 }),
+        // Drop every collection (between tests)
+        reset: () => collections.clear()
+    };
+};
+
+/**
+ * Point config/database.js at a fresh in-memory database. Collections
+ * come back tenant-scoped, exactly as from the real getCollection.
+ * @returns {Object} The database (createMemoryDb) - for reset() and raw reads
+ */
+const useMemoryDb = () => {
+    const memoryDb = createMemoryDb();
+
+    database.getDB = () => memoryDb;
+    database.getCollection = (name) => scopeCollection(name, memoryDb.collection(name));
+    database.pingDB = async () => {};
+    database.connectDB = async () => memoryDb;
+    database.closeDB = async () => {};
+
+    return memoryDb;
+};
+
+module.exports = {
+    ObjectId,
+    createMemoryDb,
+    useMemoryDb
+};
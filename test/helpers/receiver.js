@@ -0,0 +1,33 @@
+const http = require('http');
+
+/**
+ * Local HTTP server standing in for a webhook receiver
+ * @param {Function} [handle] - (req, res, body) => void; answers 200 when omitted
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>}
+ *   requests collects { method, url, headers, body } of everything received
+ */
+const startReceiver = async (handle = (req, res) => res.end('ok')) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString();
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            handle(req, res, body);
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+    };
+
+    return { url: `http://127.0.0.1:${server.address().port}`, requests, close };
+};
+
+module.exports = {
+    startReceiver
+};
@@ -0,0 +1,98 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+const { buildCalendar } = require('../src/utils/ical');
+
+const OWNER = { org: 'acme', uid: 1 };
+
+const lines = (calendar) => calendar.split('\r\n');
+// Undo folding: a CRLF followed by a space continues the previous line
+const unfold = (calendar) => lines(calendar.replace(/\r\n /g, ''));
+const property = (calendar, name) => unfold(calendar).find((line) => line.startsWith(`${name}:`));
+
+const event = (fields) => ({
+    _id: '0123456789abcdef01234567',
+    name: 'Intro',
+    schedule: new Date('2030-05-01T10:00:00Z'),
+    created_at: new Date('2030-01-01T00:00:00Z'),
+    updated_at: new Date('2030-01-01T00:00:00Z'),
+    ...fields
+});
+
+describe('iCalendar rendering', () => {
+    test('escapes TEXT values', () => {
+        const calendar = buildCalendar([event({
+            name: 'Q&A; maps, graphs \\ more',
+            tagline: 'Line one\nLine two\r\nLine three',
+            category: 'R&D, Labs',
+            sub_category: 'ML;AI'
+        })], { name: 'Team, all' });
+
+        assert.equal(property(calendar, 'SUMMARY'), 'SUMMARY:Q&A\\; maps\\, graphs \\\\ more');
+        assert.equal(property(calendar, 'DESCRIPTION'), 'DESCRIPTION:Line one\\nLine two\\nLine three');
+        // The separating comma stays unescaped
+        assert.equal(property(calendar, 'CATEGORIES'), 'CATEGORIES:R&D\\, Labs,ML\\;AI');
+        assert.equal(property(calendar, 'X-WR-CALNAME'), 'X-WR-CALNAME:Team\\, all');
+        assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    });
+
+    test('folds long lines at 75 octets without splitting characters', () => {
+        const name = 'Ünïcödé wörkshöp 🎉 '.repeat(12).trim();
+        const calendar = buildCalendar([event({ name, description: 'x'.repeat(300) })]);
+
+        for (const line of lines(calendar)) {
+            assert.ok(Buffer.byteLength(line) <= 75, line);
+            // No replacement characters from a cut multi-byte sequence
+            assert.ok(!Buffer.from(line).toString().includes('�'), line);
+        }
+
+        const summary = lines(calendar).findIndex((line) => line.startsWith('SUMMARY:'));
+        assert.ok(lines(calendar)[summary + 1].startsWith(' '));
+        assert.equal(property(calendar, 'SUMMARY'), `SUMMARY:${name}`);
+        assert.equal(property(calendar, 'DESCRIPTION'), `DESCRIPTION:${'x'.repeat(300)}`);
+    });
+
+    test('short lines are left alone', () => {
+        const calendar = buildCalendar([event({ name: 'x'.repeat(75 - 'SUMMARY:'.length) })]);
+        assert.ok(lines(calendar).includes(`SUMMARY:${'x'.repeat(67)}`));
+    });
+});
+
+describe('GET /events/:id.ics', () => {
+    let api;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+    });
+
+    after(() => api.close());
+
+    test('serves the escaped, folded event', async () => {
+        const description = 'Bring: laptop, charger; notes\nSecond line — ' + 'é'.repeat(80);
+        const created = await api.request('/api/v3/app/events', {
+            method: 'POST',
+            user: OWNER,
+            body: await eventForm({ name: 'Q&A, live; 2030', description })
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+
+        const response = await api.request(`/api/v3/app/events/${created.body.data.id}.ics`, { org: 'acme' });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/calendar/);
+
+        const calendar = response.body;
+        assert.ok(lines(calendar).every((line) => Buffer.byteLength(line) <= 75));
+        assert.equal(property(calendar, 'SUMMARY'), 'SUMMARY:Q&A\\, live\\; 2030');
+        assert.equal(
+            property(calendar, 'DESCRIPTION'),
+            'DESCRIPTION:Streams\\, buffers and the event loop\\n\\n' +
+            `Bring: laptop\\, charger\\; notes\\nSecond line — ${'é'.repeat(80)}\\n\\nModerator: Ada`
+        );
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { ObjectId } = require('mongodb');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const memoryDb = useMemoryDb();
+
+// Sets the environment (log level) the app's modules expect
+require('./helpers/app');
+const { COLLECTION_NAME, loadMigrations, getMigrationStatus, runMigrations } = require('../src/migrations');
+
+const MIGRATION_COUNT = loadMigrations().length;
+const LEASE_MS = 10 * 60 * 1000;
+
+const migrations = () => memoryDb.collection(COLLECTION_NAME);
+const appliedNames = () => migrations().documents.map(({ _id }) => _id).filter((id) => id !== 'lock');
+
+describe('migrations', () => {
+    let legacy;
+
+    beforeEach(async () => {
+        for (const name of [COLLECTION_NAME, 'events', 'organizations']) {
+            await memoryDb.collection(name).deleteMany({});
+        }
+
+        // Written before organizations existed
+        legacy = {
+            _id: new ObjectId(),
+            name: 'Legacy',
+            schedule: new Date('2023-12-01T10:00:00Z'),
+            created_at: new Date('2023-11-01T10:00:00Z')
+        };
+        await memoryDb.collection('events').insertOne({ ...legacy });
+    });
+
+    const organizationsResult = (ran) => ran.find(({ name }) => name === '004-organizations').result;
+
+    test('a dry run reports pending changes and writes nothing', async () => {
+        const indexes = await memoryDb.collection('events').listIndexes().toArray();
+        const ran = await runMigrations({ dryRun: true });
+
+        assert.equal(ran.length, MIGRATION_COUNT);
+        assert.equal(organizationsResult(ran).backfilled.events, 1);
+        assert.equal(organizationsResult(ran).default_organization_created, true);
+
+        assert.deepEqual(migrations().documents, []);
+        assert.deepEqual(memoryDb.collection('events').documents, [legacy]);
+        assert.deepEqual(memoryDb.collection('organizations').documents, []);
+        assert.deepEqual(await memoryDb.collection('events').listIndexes().toArray(), indexes);
+        assert.ok((await getMigrationStatus()).every(({ applied_at }) => applied_at === null));
+    });
+
+    test('applies each migration once and records it', async () => {
+        const ran = await runMigrations();
+        assert.equal(ran.length, MIGRATION_COUNT);
+        assert.equal(organizationsResult(ran).backfilled.events, 1);
+
+        assert.equal(memoryDb.collection('events').documents[0].org_id, 'default');
+        assert.deepEqual(memoryDb.collection('organizations').documents.map(({ _id }) => _id), ['default']);
+
+        assert.equal(appliedNames().length, MIGRATION_COUNT);
+        assert.ok((await getMigrationStatus()).every(({ applied_at }) => applied_at instanceof Date));
+
+        // The lock is released, and a second run has nothing to do
+        assert.deepEqual(await runMigrations(), []);
+        assert.deepEqual(await runMigrations({ dryRun: true }), []);
+    });
+
+    test('waits while another instance holds the lock', async () => {
+        await migrations().insertOne({ _id: 'lock', owner: 'other', locked_at: new Date() });
+
+        // A dry run doesn't need the lock
+        assert.equal((await runMigrations({ dryRun: true })).length, MIGRATION_COUNT);
+
+        let finished = false;
+        const running = runMigrations().then((ran) => {
+            finished = true;
+            return ran;
+        });
+
+        await sleep(300);
+        assert.equal(finished, false);
+        assert.deepEqual(appliedNames(), []);
+
+        await migrations().deleteOne({ _id: 'lock', owner: 'other' });
+        assert.equal((await running).length, MIGRATION_COUNT);
+        assert.equal(appliedNames().length, MIGRATION_COUNT);
+        assert.equal(migrations().documents.find(({ _id }) => _id === 'lock'), undefined);
+    });
+
+    test('takes over an expired lease', async () => {
+        await migrations().insertOne({ _id: 'lock', owner: 'crashed', locked_at: new Date(Date.now() - LEASE_MS - 1000) });
+
+        assert.equal((await runMigrations()).length, MIGRATION_COUNT);
+        assert.equal(migrations().documents.find(({ _id }) => _id === 'lock'), undefined);
+    });
+
+    test('concurrent runs apply each migration once', async () => {
+        const [first, second] = await Promise.all([runMigrations(), runMigrations()]);
+
+        assert.equal(first.length + second.length, MIGRATION_COUNT);
+        assert.equal(appliedNames().length, MIGRATION_COUNT);
+    });
+});
@@ -0,0 +1,137 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb, ObjectId } = require('./helpers/memoryDb');
+const { startReceiver } = require('./helpers/receiver');
+
+const memoryDb = useMemoryDb();
+
+const { getCollection } = require('../src/config/database');
+const { runWithTenant, runAsSystem } = require('../src/tenancy');
+const nudgeDeliveryWorker = require('../src/jobs/nudgeDeliveryWorker');
+
+const asAcme = (fn) => runWithTenant({ id: 'acme' }, fn);
+const stored = () => memoryDb.collection('nudges').documents;
+const runWorker = () => runAsSystem(nudgeDeliveryWorker.runOnce);
+
+describe('nudge delivery worker (webhook transport)', () => {
+    let receiver;
+    let status;
+    let eventId;
+
+    before(async () => {
+        receiver = await startReceiver((req, res) => {
+            res.statusCode = status;
+            res.end();
+        });
+
+        // Read by the worker on its first run
+        Object.assign(process.env, {
+            LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+            NUDGE_TRANSPORT: 'webhook',
+            NUDGE_WEBHOOK_URL: `${receiver.url}/nudges`,
+            NUDGE_MAX_ATTEMPTS: '2',
+            NUDGE_RETRY_BASE_MS: '60000'
+        });
+    });
+
+    after(() => receiver.close());
+
+    beforeEach(async () => {
+        status = 200;
+        receiver.requests.length = 0;
+        memoryDb.reset();
+
+        eventId = new ObjectId();
+        await asAcme(() => getCollection('events').insertOne({ _id: eventId, name: 'Workshop', deleted_at: null }));
+    });
+
+    // Due now: today (UTC), window open all day
+    const queueNudge = (fields = {}) => {
+        const now = new Date();
+        return asAcme(async () => {
+            const nudge = {
+                event_id: eventId,
+                uid: 1,
+                title: 'Starting soon',
+                scheduled_date: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+                timing_from: '00:00',
+                timing_to: '23:59',
+                status: 'pending',
+                created_at: now,
+                updated_at: now,
+                ...fields
+            };
+            await getCollection('nudges').insertOne(nudge);
+            return nudge;
+        });
+    };
+
+    const received = () => receiver.requests.map(({ body }) => JSON.parse(body).data._id);
+
+    test('concurrent workers claim different nudges and send each once', async () => {
+        const nudges = await Promise.all([1, 2, 3, 4].map((uid) => queueNudge({ uid })));
+
+        const processed = await Promise.all([runWorker(), runWorker()]);
+        assert.equal(processed[0] + processed[1], 4);
+        assert.ok(processed.every((count) => count > 0));
+
+        assert.deepEqual(received().sort(), nudges.map((nudge) => String(nudge._id)).sort());
+        for (const nudge of stored()) {
+            assert.equal(nudge.status, 'sent');
+            assert.equal(nudge.delivered_via, 'webhook');
+            assert.equal(nudge.attempts, 1);
+            assert.equal(nudge.claim_token, undefined);
+        }
+        assert.equal(receiver.requests[0].url, '/nudges');
+        assert.equal(JSON.parse(receiver.requests[0].body).type, 'nudge');
+    });
+
+    test('a failed send backs off, and fails for good after the last attempt', async () => {
+        status = 503;
+        const { _id } = await queueNudge();
+
+        const started = Date.now();
+        assert.equal(await runWorker(), 1);
+
+        let [nudge] = stored();
+        assert.equal(nudge.status, 'pending');
+        assert.equal(nudge.attempts, 1);
+        assert.match(nudge.last_error, /status 503/);
+        // NUDGE_RETRY_BASE_MS for the first retry
+        assert.ok(nudge.next_attempt_at.getTime() >= started + 60000);
+
+        assert.equal(await runWorker(), 0);
+
+        await runAsSystem(() => getCollection('nudges').updateOne(
+            { _id },
+            { $set: { next_attempt_at: new Date(Date.now() - 1000) } }
+        ));
+        assert.equal(await runWorker(), 1);
+
+        [nudge] = stored();
+        assert.equal(nudge.status, 'failed');
+        assert.equal(nudge.attempts, 2);
+        assert.equal(receiver.requests.length, 2);
+    });
+
+    test('a missed window fails without sending', async () => {
+        await queueNudge({ scheduled_date: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) });
+
+        assert.equal(await runWorker(), 1);
+
+        assert.equal(stored()[0].status, 'failed');
+        assert.equal(stored()[0].last_error, 'Delivery window missed');
+        assert.equal(receiver.requests.length, 0);
+    });
+
+    test('nudges of a deleted event are cancelled, not sent', async () => {
+        await queueNudge();
+        await asAcme(() => getCollection('events').updateOne({ _id: eventId }, { $set: { deleted_at: new Date() } }));
+
+        assert.equal(await runWorker(), 1);
+
+        assert.equal(stored()[0].status, 'cancelled');
+        assert.equal(stored()[0].last_error, 'Event was deleted');
+        assert.equal(receiver.requests.length, 0);
+    });
+});
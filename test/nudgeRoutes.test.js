@@ -0,0 +1,101 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const memoryDb = useMemoryDb();
+
+const { startApp, eventForm, nudgeForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+
+const OWNER = { org: 'acme', uid: 1 };
+const GUEST = { org: 'acme', uid: 2 };
+const ADMIN = { org: 'acme', uid: 3, roles: ['admin'] };
+
+describe('nudge routes', () => {
+    let api;
+    let eventId;
+    let nudge;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+
+        const created = await api.request('/api/v3/app/events', { method: 'POST', user: OWNER, body: await eventForm() });
+        assert.equal(created.status, 201);
+        eventId = created.body.data.id;
+    });
+
+    after(() => api.close());
+
+    const call = (path, options) => api.request(`/api/v3/app/nudges${path}`, { org: 'acme', user: OWNER, ...options });
+    const fields = (response) => response.body.errors.map(({ field }) => field).sort();
+
+    test('create takes only client fields and types them', async () => {
+        const rejected = await call('', {
+            method: 'POST',
+            body: await nudgeForm({ event_id: eventId, attempts: 99, claim_token: 'mine', org_id: 'globex' })
+        });
+        assert.equal(rejected.status, 400);
+        assert.deepEqual(fields(rejected), ['attempts', 'claim_token', 'org_id']);
+        assert.equal(memoryDb.collection('nudges').documents.length, 0);
+
+        // uid comes from the token, whatever the body says
+        const created = await call('', { method: 'POST', body: await nudgeForm({ event_id: eventId, uid: 2, status: 'sent' }) });
+        assert.equal(created.status, 201);
+        nudge = memoryDb.collection('nudges').documents[0];
+        assert.equal(nudge.uid, OWNER.uid);
+        assert.equal(String(nudge.event_id), eventId);
+        assert.ok(nudge.scheduled_date instanceof Date);
+        assert.equal(nudge.status, 'pending');
+    });
+
+    test('create reports every missing field and file at once', async () => {
+        const form = new FormData();
+        form.append('title', 'x'.repeat(61));
+
+        const response = await call('', { method: 'POST', body: form });
+        assert.equal(response.status, 400);
+        assert.deepEqual(fields(response), [
+            'description', 'event_id', 'icon', 'image', 'invitation',
+            'scheduled_date', 'timing_from', 'timing_to', 'title'
+        ]);
+    });
+
+    test('update rejects server-managed fields and keeps the creator', async () => {
+        for (const body of [{ attempts: 0 }, { claim_token: null }, { created_at: '2020-01-01' }, { _id: 'x' }, { org_id: 'globex' }]) {
+            const response = await call(`/${nudge._id}`, { method: 'PUT', body: { title: 'Changed', ...body } });
+            assert.equal(response.status, 400, JSON.stringify(body));
+        }
+        assert.equal(memoryDb.collection('nudges').documents[0].title, 'Starting soon');
+
+        assert.equal((await call(`/${nudge._id}`, { method: 'PUT', body: { uid: 2, title: 'Still mine' } })).status, 200);
+        assert.equal(memoryDb.collection('nudges').documents[0].uid, OWNER.uid);
+        await call(`/${nudge._id}`, { method: 'PUT', body: { title: 'Starting soon' } });
+    });
+
+    test('only the creator or an admin may change a nudge', async () => {
+        const anonymous = await call('', { method: 'POST', user: null, body: await nudgeForm({ event_id: eventId }) });
+        assert.equal(anonymous.status, 401);
+        assert.equal((await call(`/${nudge._id}`, { method: 'PUT', user: null, body: { title: 'Mine now' } })).status, 401);
+        assert.equal((await call(`/${nudge._id}`, { method: 'DELETE', user: null })).status, 401);
+
+        assert.equal((await call(`/${nudge._id}`, { method: 'PUT', user: GUEST, body: { title: 'Mine now' } })).status, 403);
+        assert.equal((await call(`/${nudge._id}`, { method: 'DELETE', user: GUEST })).status, 403);
+        assert.equal(memoryDb.collection('nudges').documents[0].title, 'Starting soon');
+
+        assert.equal((await call(`/${nudge._id}`, { method: 'PUT', user: ADMIN, body: { title: 'Edited by an admin' } })).status, 200);
+    });
+
+    test('update checks the timing window against the stored side', async () => {
+        const inverted = await call(`/${nudge._id}`, { method: 'PUT', body: { timing_to: '08:00' } });
+        assert.equal(inverted.status, 400);
+        assert.deepEqual(fields(inverted), ['timing_to']);
+
+        const updated = await call(`/${nudge._id}`, { method: 'PUT', body: { timing_to: '11:00', status: 'cancelled' } });
+        assert.equal(updated.status, 200);
+        assert.deepEqual(
+            [updated.body.data.timing_to, updated.body.data.status],
+            ['11:00', 'cancelled']
+        );
+    });
+});
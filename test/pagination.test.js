@@ -0,0 +1,67 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const memoryDb = useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+
+const OWNER = { org: 'acme', uid: 1 };
+
+describe('cursors', () => {
+    test('round-trip as URL-safe tokens', () => {
+        const doc = { schedule: new Date('2030-05-01T10:00:00Z'), _id: '0123456789abcdef01234567' };
+        const cursor = encodeCursor(doc, 'prev');
+
+        assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+        const decoded = decodeCursor(cursor);
+        assert.deepEqual([decoded.schedule, String(decoded.id), decoded.direction], [doc.schedule, doc._id, 'prev']);
+        assert.throws(() => decodeCursor('not a cursor'), /Invalid cursor/);
+    });
+});
+
+describe('?type=latest paging', () => {
+    let api;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+
+        for (const schedule of ['2030-05-01T10:00:00Z', '2030-06-01T10:00:00Z', '2030-07-01T10:00:00Z']) {
+            const created = await api.request('/api/v3/app/events', {
+                method: 'POST',
+                user: OWNER,
+                body: await eventForm({ name: `Meetup ${schedule.slice(0, 7)}`, schedule })
+            });
+            assert.equal(created.status, 201);
+        }
+
+        // A legacy document whose schedule was stored as a string
+        const [{ _id, ...legacy }] = memoryDb.collection('events').documents;
+        await memoryDb.collection('events').insertOne({ ...legacy, name: 'Legacy', schedule: '2030-08-01' });
+    });
+
+    after(() => api.close());
+
+    const list = async (query) => {
+        const response = await api.request(`/api/v3/app/events?type=latest&limit=2&${query}`, { org: 'acme' });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        return response.body;
+    };
+
+    test('page and cursor modes list the same events', async () => {
+        const firstPage = await list('page=1');
+        const secondPage = await list('page=2');
+        assert.equal(firstPage.pagination.totalEvents, 3);
+
+        const firstCursor = await list('cursor=');
+        const secondCursor = await list(`cursor=${firstCursor.pagination.nextCursor}`);
+
+        const names = (...pages) => pages.flatMap((page) => page.data.map((event) => event.name));
+        const expected = ['Meetup 2030-07', 'Meetup 2030-06', 'Meetup 2030-05'];
+        assert.deepEqual(names(firstPage, secondPage), expected);
+        assert.deepEqual(names(firstCursor, secondCursor), expected);
+    });
+});
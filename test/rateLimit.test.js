@@ -0,0 +1,74 @@
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+    RATE_LIMIT_ENABLED: 'true',
+    RATE_LIMIT_API_IP: '2/60'
+});
+
+const { checkRateLimitConfig, createRateLimiter } = require('../src/middleware/rateLimit');
+const { getRateLimitStore } = require('../src/rateLimit');
+
+// Runs the middleware once; resolves with what it passed to next()
+const run = (limiter, ip = '203.0.113.7') => {
+    const headers = {};
+    const req = { ip, headers: {} };
+    const res = { set: (name, value) => Object.assign(headers, typeof name === 'object' ? name : { [name]: value }) };
+
+    return new Promise((resolve) => limiter(req, res, (error) => resolve({ error, headers })));
+};
+
+describe('rate limiting', () => {
+    beforeEach(() => {
+        process.env.RATE_LIMIT_STORE = 'memory';
+    });
+
+    test('an unknown store is a configuration error, not a reason to fail open', async () => {
+        process.env.RATE_LIMIT_STORE = 'redis';
+
+        assert.throws(checkRateLimitConfig, /Unknown rate limit store: redis/);
+
+        const limiter = createRateLimiter('api');
+        const { error } = await run(limiter);
+        assert.match(error.message, /Unknown rate limit store: redis/);
+        // Still refused on the next request
+        assert.match((await run(limiter)).error.message, /Unknown rate limit store/);
+    });
+
+    test('a malformed limit is a configuration error', () => {
+        process.env.RATE_LIMIT_UPLOAD_USER = 'ten per minute';
+        try {
+            assert.throws(checkRateLimitConfig, /RATE_LIMIT_UPLOAD_USER must look like <requests>\/<seconds>/);
+        } finally {
+            delete process.env.RATE_LIMIT_UPLOAD_USER;
+        }
+        assert.doesNotThrow(checkRateLimitConfig);
+    });
+
+    test('limits callers to the bucket size', async () => {
+        const limiter = createRateLimiter('api');
+
+        assert.equal((await run(limiter)).error, undefined);
+        assert.equal((await run(limiter)).error, undefined);
+
+        const limited = await run(limiter);
+        assert.equal(limited.error.statusCode, 429);
+        assert.equal(limited.headers['RateLimit-Remaining'], '0');
+        assert.equal(limited.headers['Retry-After'], '30');
+
+        // Another caller has its own bucket
+        assert.equal((await run(limiter, '203.0.113.8')).error, undefined);
+    });
+
+    test('a failing store lets requests through', async (t) => {
+        const store = getRateLimitStore();
+        t.mock.method(store, 'consume', async () => {
+            throw new Error('connection reset');
+        });
+
+        const { error, headers } = await run(createRateLimiter('api'), '198.51.100.1');
+        assert.equal(error, undefined);
+        assert.deepEqual(headers, {});
+    });
+});
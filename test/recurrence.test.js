@@ -0,0 +1,151 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const memoryDb = useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+const {
+    validateRule,
+    getRecurrenceEnd,
+    hasOccurrences,
+    isOccurrence,
+    expandOccurrences
+} = require('../src/utils/recurrence');
+
+const OWNER = { org: 'acme', uid: 1 };
+
+const iso = (dates) => dates.map((date) => new Date(date).toISOString());
+const starts = (occurrences) => iso(occurrences.map((occurrence) => occurrence.schedule));
+
+describe('recurrence rules', () => {
+    test('rejects sub-daily frequencies', () => {
+        assert.match(validateRule('FREQ=HOURLY'), /FREQ must be YEARLY, MONTHLY, WEEKLY or DAILY/);
+        assert.match(validateRule('FREQ=MINUTELY;COUNT=5'), /FREQ must be/);
+        assert.equal(validateRule('FREQ=DAILY;COUNT=5'), null);
+    });
+
+    test('walks at most 50 years of the calendar', () => {
+        const start = new Date('2030-01-01T10:00:00Z');
+
+        assert.equal(getRecurrenceEnd(start, 'FREQ=YEARLY;COUNT=40').toISOString(), '2069-01-01T10:00:00.000Z');
+        // The 200th year is past the walk - the series counts as open-ended
+        assert.equal(getRecurrenceEnd(start, 'FREQ=YEARLY;COUNT=200'), null);
+        assert.equal(getRecurrenceEnd(start, 'FREQ=DAILY;COUNT=1000000'), null);
+
+        // Nothing ever matches: the walk gives up instead of running to the year 9999
+        const startedAt = Date.now();
+        assert.equal(hasOccurrences(start, 'FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30'), false);
+        assert.ok(Date.now() - startedAt < 2000);
+    });
+
+    test('series without an end are expanded far ahead', () => {
+        const series = { schedule: new Date('2020-01-06T10:00:00Z'), rrule: 'FREQ=WEEKLY', timezone: 'UTC' };
+        assert.equal(getRecurrenceEnd(series.schedule, series.rrule), null);
+
+        const occurrences = expandOccurrences(series, new Date('2090-03-01T00:00:00Z'), new Date('2090-03-31T23:59:59Z'));
+        assert.deepEqual(starts(occurrences), [
+            '2090-03-06T10:00:00.000Z',
+            '2090-03-13T10:00:00.000Z',
+            '2090-03-20T10:00:00.000Z',
+            '2090-03-27T10:00:00.000Z'
+        ]);
+    });
+
+    test('UNTIL ends the series on the same wall clock', () => {
+        // 10:00 in Berlin; UNTIL is the instant of the last one
+        const series = {
+            schedule: new Date('2030-01-01T09:00:00Z'),
+            rrule: 'FREQ=DAILY;UNTIL=20300104T090000Z',
+            timezone: 'Europe/Berlin'
+        };
+        assert.equal(getRecurrenceEnd(series.schedule, series.rrule, series.timezone).toISOString(), '2030-01-04T09:00:00.000Z');
+
+        const occurrences = expandOccurrences(series, new Date('2030-01-01T00:00:00Z'), new Date('2030-01-31T00:00:00Z'));
+        assert.deepEqual(starts(occurrences), [
+            '2030-01-01T09:00:00.000Z',
+            '2030-01-02T09:00:00.000Z',
+            '2030-01-03T09:00:00.000Z',
+            '2030-01-04T09:00:00.000Z'
+        ]);
+    });
+
+    test('exdates are skipped', () => {
+        const series = {
+            schedule: new Date('2030-01-01T10:00:00Z'),
+            rrule: 'FREQ=DAILY;COUNT=4',
+            timezone: 'UTC',
+            exdates: [new Date('2030-01-02T10:00:00Z')]
+        };
+
+        const occurrences = expandOccurrences(series, new Date('2030-01-01T00:00:00Z'), new Date('2030-01-31T00:00:00Z'));
+        assert.deepEqual(starts(occurrences), ['2030-01-01T10:00:00.000Z', '2030-01-03T10:00:00.000Z', '2030-01-04T10:00:00.000Z']);
+        assert.equal(isOccurrence(series, new Date('2030-01-02T10:00:00Z')), false);
+        assert.equal(isOccurrence(series, new Date('2030-01-03T10:00:00Z')), true);
+        assert.equal(isOccurrence(series, new Date('2030-01-03T11:00:00Z')), false);
+    });
+});
+
+describe('recurring events through the API', () => {
+    let api;
+    let series;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+    });
+
+    after(() => api.close());
+
+    const call = async (path, options, expectedStatus) => {
+        const response = await api.request(`/api/v3/app${path}`, { org: 'acme', user: OWNER, ...options });
+        assert.equal(response.status, expectedStatus, JSON.stringify(response.body));
+        return response;
+    };
+    const occurrencePath = (start) => `/events/${series.id}/occurrences/${encodeURIComponent(start)}`;
+    const stored = (name) => memoryDb.collection('events').documents.find((event) => event.name === name);
+
+    test('sub-daily rules are rejected, endless ones accepted', async () => {
+        const hourly = await call('/events', { method: 'POST', body: await eventForm({ rrule: 'FREQ=HOURLY;COUNT=3' }) }, 400);
+        assert.deepEqual(hourly.body.errors.map(({ field }) => field), ['rrule']);
+
+        await call('/events', { method: 'POST', body: await eventForm({ name: 'Every day, forever', rrule: 'FREQ=DAILY;COUNT=1000000' }) }, 201);
+        assert.equal(stored('Every day, forever').recurrence_end, null);
+        assert.equal(stored('Every day, forever').ends_at, null);
+    });
+
+    test('single occurrences can be edited and cancelled', async () => {
+        series = (await call('/events', {
+            method: 'POST',
+            body: await eventForm({
+                name: 'Standup',
+                schedule: '2030-03-04T09:00',
+                timezone: 'Europe/Berlin',
+                rrule: 'FREQ=WEEKLY;COUNT=5',
+                exdates: JSON.stringify(['2030-03-11T09:00'])
+            })
+        }, 201)).body.data;
+        assert.equal(new Date(stored('Standup').recurrence_end).toISOString(), '2030-04-01T07:00:00.000Z');
+
+        // Local time in the series' zone names the same occurrence as the instant
+        const edited = await call(occurrencePath('2030-03-18T09:00'), { method: 'PUT', body: { name: 'Planning' } }, 200);
+        assert.equal(edited.body.data.name, 'Planning');
+        await call(occurrencePath('2030-03-25T08:00:00Z'), { method: 'DELETE' }, 200);
+
+        // Already cancelled, or never part of the series
+        await call(occurrencePath('2030-03-11T08:00:00Z'), { method: 'PUT', body: { name: 'Too late' } }, 404);
+        await call(occurrencePath('2030-03-19T08:00:00Z'), { method: 'DELETE' }, 404);
+
+        const window = await call('/events?type=latest&from=2030-03-01T00:00:00Z&to=2030-04-30T00:00:00Z&limit=10', {}, 200);
+        const listed = window.body.data
+            .filter((item) => item.series_id === series.id)
+            .map((item) => [item.schedule, item.name])
+            .sort();
+        assert.deepEqual(listed, [
+            ['2030-03-04T08:00:00.000Z', 'Standup'],
+            ['2030-03-18T08:00:00.000Z', 'Planning'],
+            ['2030-04-01T07:00:00.000Z', 'Standup']
+        ]);
+    });
+});
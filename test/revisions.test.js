@@ -0,0 +1,125 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+const { diffEvents } = require('../src/utils/revisions');
+
+const OWNER = { org: 'acme', uid: 1 };
+const GUEST = { org: 'acme', uid: 2 };
+
+describe('diffEvents', () => {
+    test('lists changed audited fields only', () => {
+        const before = {
+            name: 'Intro',
+            tagline: undefined,
+            schedule: new Date('2030-05-01T10:00:00Z'),
+            exdates: [new Date('2030-05-08T10:00:00Z')],
+            attendees: ['1']
+        };
+        const after = {
+            name: 'Intro',
+            tagline: null,
+            schedule: new Date('2030-05-02T10:00:00Z'),
+            exdates: [new Date('2030-05-08T10:00:00Z')],
+            attendees: ['1', '2'],
+            capacity: 10
+        };
+
+        // Missing and null are the same; RSVPs aren't audited
+        assert.deepEqual(diffEvents(before, after), [
+            { field: 'schedule', from: before.schedule, to: after.schedule },
+            { field: 'capacity', from: null, to: 10 }
+        ]);
+    });
+
+    test('create and delete diff against nothing', () => {
+        assert.deepEqual(diffEvents(null, { name: 'Intro' }), [{ field: 'name', from: null, to: 'Intro' }]);
+        assert.deepEqual(diffEvents({ name: 'Intro' }, null), [{ field: 'name', from: 'Intro', to: null }]);
+    });
+});
+
+describe('history and revert', () => {
+    let api;
+    let event;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+
+        const created = await api.request('/api/v3/app/events', {
+            method: 'POST',
+            user: OWNER,
+            body: await eventForm({ name: 'Intro', tagline: 'First draft' })
+        });
+        assert.equal(created.status, 201, JSON.stringify(created.body));
+        event = created.body.data;
+    });
+
+    after(() => api.close());
+
+    const call = async (path, options, expectedStatus) => {
+        const response = await api.request(`/api/v3/app/events/${event.id}${path}`, { org: 'acme', user: OWNER, ...options });
+        assert.equal(response.status, expectedStatus, JSON.stringify(response.body));
+        return response.body;
+    };
+    const update = (body) => call('', { method: 'PUT', body }, 200);
+    const revert = (revision, expectedStatus) => call('/revert', { method: 'POST', body: { revision } }, expectedStatus);
+
+    test('every edit is a revision with a field-level diff', async () => {
+        await update({ tagline: 'Second draft' });
+        await update({ name: 'Intro to Node.js', capacity: 20 });
+
+        const history = await call('/history', {}, 200);
+        assert.deepEqual(history.data.map(({ revision, action }) => [revision, action]), [
+            [3, 'update'],
+            [2, 'update'],
+            [1, 'create']
+        ]);
+        assert.deepEqual(history.data[0].changes, [
+            { field: 'name', from: 'Intro', to: 'Intro to Node.js' },
+            { field: 'capacity', from: null, to: 20 }
+        ]);
+        assert.deepEqual(history.data[1].changes, [{ field: 'tagline', from: 'First draft', to: 'Second draft' }]);
+        assert.equal(history.data[0].actor.uid, OWNER.uid);
+
+        await call('/history', { user: GUEST }, 403);
+    });
+
+    test('revert restores the fields and is a revision itself', async () => {
+        const reverted = await revert(1, 200);
+        assert.deepEqual(
+            [reverted.data.name, reverted.data.tagline, reverted.data.capacity],
+            ['Intro', 'First draft', null]
+        );
+
+        const [latest] = (await call('/history', {}, 200)).data;
+        assert.equal(latest.revision, 4);
+        assert.equal(latest.action, 'revert');
+        assert.equal(latest.reverted_to, 1);
+        assert.deepEqual(latest.changes.map(({ field }) => field), ['name', 'tagline', 'capacity']);
+
+        // The revert can be undone like any other edit
+        const redone = await revert(3, 200);
+        assert.deepEqual(
+            [redone.data.name, redone.data.tagline, redone.data.capacity],
+            ['Intro to Node.js', 'Second draft', 20]
+        );
+
+        const middle = await revert(2, 200);
+        assert.deepEqual([middle.data.name, middle.data.tagline], ['Intro', 'Second draft']);
+    });
+
+    test('rejects reverts that would change nothing or are not allowed', async () => {
+        await revert(2, 400);
+        await revert(6, 400);
+        await revert('two', 400);
+        await call('/revert', { method: 'POST', user: GUEST, body: { revision: 1 } }, 403);
+
+        const history = await call('/history', {}, 200);
+        assert.equal(history.pagination.totalRevisions, 6);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { startReceiver } = require('./helpers/receiver');
+const createS3Storage = require('../src/storage/s3Storage');
+
+const BUCKET = 'events';
+const PAGE_SIZE = 2;
+
+/*
+ * MinIO-style stub: path-style PUT/DELETE of objects and ListObjectsV2,
+ * PAGE_SIZE keys per page. Requests must carry a SigV4 authorization
+ * header and the payload hash, like the real thing checks.
+ */
+const startS3Stub = () => {
+    const objects = new Map();
+
+    return startReceiver((req, res, body) => {
+        const url = new URL(req.url, 'http://stub');
+        const key = decodeURIComponent(url.pathname.slice(BUCKET.length + 2));
+        const signed = /^AWS4-HMAC-SHA256 Credential=AKIA\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=[a-z0-9;-]*host[a-z0-9;-]*, Signature=[0-9a-f]{64}$/
+            .test(req.headers.authorization || '');
+
+        if (!signed || req.headers['x-amz-content-sha256'] !== crypto.createHash('sha256').update(body).digest('hex')) {
+            res.statusCode = 403;
+            return res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+        }
+
+        if (req.method === 'PUT') {
+            objects.set(key, body);
+            return res.end();
+        }
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            res.statusCode = 204;
+            return res.end();
+        }
+
+        const keys = [...objects.keys()].filter((name) => name.startsWith(url.searchParams.get('prefix') || '')).sort();
+        const start = Number(url.searchParams.get('continuation-token') || 0);
+        const page = keys.slice(start, start + PAGE_SIZE);
+        const truncated = start + PAGE_SIZE < keys.length;
+
+        res.setHeader('Content-Type', 'application/xml');
+        res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>${page.map((name) =>
+            `<Contents><Key>${name.replace(/&/g, '&amp;')}</Key><LastModified>2024-03-01T10:00:00.000Z</LastModified></Contents>`).join('')
+        }<IsTruncated>${truncated}</IsTruncated>${truncated ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : ''}</ListBucketResult>`);
+    }).then((server) => ({ ...server, objects }));
+};
+
+const storageFor = (endpoint, options = {}) => createS3Storage({
+    endpoint,
+    bucket: BUCKET,
+    accessKeyId: 'AKIA',
+    secretAccessKey: 'secret',
+    ...options
+});
+
+const save = (storage, filename, content) =>
+    storage.save({ filename, stream: Readable.from([Buffer.from(content)]), contentType: 'image/jpeg' });
+
+describe('S3 storage', () => {
+    let stub;
+
+    before(async () => {
+        stub = await startS3Stub();
+    });
+
+    after(() => stub.close());
+
+    test('saves, lists and removes objects', async () => {
+        const storage = storageFor(stub.url);
+
+        const saved = await Promise.all(['a.jpg', 'b&c.jpg', 'd e.jpg'].map((name) => save(storage, name, name)));
+        assert.deepEqual(saved[0], { path: `${stub.url}/${BUCKET}/uploads/a.jpg`, size: 5 });
+        assert.equal(saved[2].path, `${stub.url}/${BUCKET}/uploads/d%20e.jpg`);
+        assert.equal(stub.objects.get('uploads/b&c.jpg'), 'b&c.jpg');
+
+        // Three keys, two pages
+        const listed = await storage.list();
+        assert.deepEqual(listed.map((file) => file.path).sort(), saved.map((file) => file.path).sort());
+        assert.deepEqual(listed[0].modifiedAt, new Date('2024-03-01T10:00:00.000Z'));
+
+        await storage.remove(saved[1].path);
+        // Outside the prefix - never deleted
+        await storage.remove('https://elsewhere.example/other.jpg');
+        assert.deepEqual([...stub.objects.keys()].sort(), ['uploads/a.jpg', 'uploads/d e.jpg']);
+    });
+
+    test('a rejected request fails with its status', async () => {
+        const storage = storageFor(stub.url, { secretAccessKey: 'secret', accessKeyId: 'WRONG' });
+        await assert.rejects(save(storage, 'x.jpg', 'x'), /S3 PUT failed with status 403/);
+    });
+
+    test('gives up on an endpoint that never answers', async () => {
+        // Accepts the request, never responds
+        const silent = await startReceiver(() => {});
+        try {
+            const storage = storageFor(silent.url, { timeoutMs: 200 });
+            const started = Date.now();
+
+            await assert.rejects(save(storage, 'slow.jpg', 'slow'), /S3 PUT timed out after 200ms/);
+            await assert.rejects(storage.list(), /S3 GET timed out after 200ms/);
+            assert.ok(Date.now() - started < 2000);
+        } finally {
+            await silent.close();
+        }
+    });
+});
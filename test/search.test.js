@@ -0,0 +1,71 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+
+describe('search facets', () => {
+    let api;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        await createOrganization({ id: 'globex', name: 'Globex' });
+        api = await startApp();
+
+        const events = [
+            ['acme', { name: 'Node internals', category: 'Tech', sub_category: 'Backend', rigor_rank: 5 }],
+            ['acme', { name: 'Databases', category: 'Tech', sub_category: 'Backend', rigor_rank: 3 }],
+            ['acme', { name: 'CSS grid', category: 'Tech', sub_category: 'Frontend', rigor_rank: 2 }],
+            ['acme', { name: 'Sketching', category: 'Design', sub_category: 'UX', rigor_rank: 1 }],
+            // Another organization's events never show up in acme's counts
+            ['globex', { name: 'Globex backend', category: 'Tech', sub_category: 'Backend', rigor_rank: 5 }],
+            ['globex', { name: 'Globex ops', category: 'Operations', sub_category: 'SRE', rigor_rank: 4 }]
+        ];
+        for (const [org, fields] of events) {
+            const created = await api.request('/api/v3/app/events', {
+                method: 'POST',
+                user: { org, uid: 1 },
+                body: await eventForm(fields)
+            });
+            assert.equal(created.status, 201, JSON.stringify(created.body));
+        }
+    });
+
+    after(() => api.close());
+
+    const search = async (query) => {
+        const response = await api.request(`/api/v3/app/events?type=search&${query}`, { org: 'acme' });
+        assert.equal(response.status, 200, JSON.stringify(response.body));
+        return response.body;
+    };
+
+    test('counts every match of the organization, not just the page', async () => {
+        const result = await search('limit=1');
+
+        assert.equal(result.data.length, 1);
+        assert.equal(result.pagination.totalEvents, 4);
+        assert.deepEqual(result.facets.category, [{ value: 'Tech', count: 3 }, { value: 'Design', count: 1 }]);
+        assert.deepEqual(result.facets.sub_category, [
+            { value: 'Backend', count: 2 },
+            { value: 'Frontend', count: 1 },
+            { value: 'UX', count: 1 }
+        ]);
+    });
+
+    test('counts reflect the active filters', async () => {
+        const tech = await search('category=Tech');
+        assert.deepEqual(tech.facets.category, [{ value: 'Tech', count: 3 }]);
+        assert.deepEqual(tech.facets.sub_category, [{ value: 'Backend', count: 2 }, { value: 'Frontend', count: 1 }]);
+
+        const rigorous = await search('rigor_min=3&category=Tech,Design');
+        assert.deepEqual(rigorous.data.map((event) => event.name).sort(), ['Databases', 'Node internals']);
+        assert.deepEqual(rigorous.facets.sub_category, [{ value: 'Backend', count: 2 }]);
+
+        const none = await search('moderator=Nobody');
+        assert.equal(none.pagination.totalEvents, 0);
+        assert.deepEqual(none.facets, { category: [], sub_category: [] });
+    });
+});
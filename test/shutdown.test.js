@@ -0,0 +1,34 @@
+const { describe, test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+useMemoryDb();
+
+const { startApp } = require('./helpers/app');
+const { registerShutdown } = require('../src/utils/shutdown');
+
+describe('graceful shutdown', () => {
+    let api;
+
+    after(() => api.close());
+
+    test('readiness fails while the server still answers, then the listener closes', async (t) => {
+        api = await startApp();
+        assert.equal((await api.request('/health/ready')).status, 200);
+
+        const exited = new Promise((resolve) => t.mock.method(process, 'exit', resolve));
+        const finalSteps = [];
+        registerShutdown(api.server, { finalSteps: [() => finalSteps.push('closeDB')], delayMs: 300, timeoutMs: 1000 });
+        process.emit('SIGTERM', 'SIGTERM');
+
+        // The probe sees the shutdown - it isn't refused
+        const ready = await api.request('/health/ready');
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.message, 'Shutting down');
+        assert.ok(api.server.listening);
+
+        assert.equal(await exited, 0);
+        assert.equal(api.server.listening, false);
+        assert.deepEqual(finalSteps, ['closeDB']);
+    });
+});
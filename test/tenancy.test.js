@@ -0,0 +1,248 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+const memoryDb = useMemoryDb();
+
+const { startApp, eventForm } = require('./helpers/app');
+const { getCollection } = require('../src/config/database');
+const { createOrganization, runWithTenant, runAsSystem } = require('../src/tenancy');
+const eventPurgeJob = require('../src/jobs/eventPurgeJob');
+
+const ACME = { org: 'acme', uid: 1 };
+const GLOBEX = { org: 'globex', uid: 2 };
+
+const asOrg = (org, fn) => runWithTenant({ id: org }, fn);
+
+before(async () => {
+    await createOrganization({ id: 'acme', name: 'Acme' });
+    await createOrganization({ id: 'globex', name: 'Globex' });
+});
+
+describe('tenant-scoped collections', () => {
+    test('documents written by one organization are invisible to another', async () => {
+        await asOrg('acme', () => getCollection('events').insertMany([
+            { name: 'A1', category: 'Tech', deleted_at: null },
+            { name: 'A2', category: 'Art', deleted_at: null }
+        ]));
+
+        await asOrg('globex', async () => {
+            const events = getCollection('events');
+
+            assert.deepEqual(await events.find({}).toArray(), []);
+            assert.equal(await events.findOne({ name: 'A1' }), null);
+            assert.equal(await events.countDocuments({}), 0);
+            assert.deepEqual(await events.distinct('category', {}), []);
+            assert.deepEqual(await events.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }]).toArray(), []);
+
+            const [facets] = await events.aggregate([
+                { $match: { deleted_at: null } },
+                { $facet: { total: [{ $count: 'count' }], category: [{ $group: { _id: '$category' } }] } }
+            ]).toArray();
+            assert.deepEqual(facets.category, []);
+            assert.equal(facets.total.length ? facets.total[0].count : 0, 0);
+        });
+
+        await asOrg('acme', async () => {
+            const [facets] = await getCollection('events').aggregate([
+                { $match: { deleted_at: null } },
+                { $facet: { total: [{ $count: 'count' }] } }
+            ]).toArray();
+            assert.deepEqual(facets.total, [{ count: 2 }]);
+        });
+    });
+
+    test('bulk writes and upserts stay in the writing organization', async () => {
+        await asOrg('acme', () => getCollection('categories').insertOne({ slug: 'shared', name: 'Acme' }));
+
+        await asOrg('globex', () => getCollection('categories').bulkWrite([
+            { insertOne: { document: { slug: 'bulk', name: 'Globex' } } },
+            { updateOne: { filter: { slug: 'shared' }, update: { $set: { name: 'Globex' } }, upsert: true } },
+            { updateMany: { filter: {}, update: { $set: { touched: true } } } },
+            { deleteMany: { filter: { slug: 'nothing' } } }
+        ]));
+        await asOrg('globex', () => getCollection('categories').updateOne(
+            { slug: 'upserted' },
+            { $set: { name: 'Globex' } },
+            { upsert: true }
+        ));
+        await asOrg('globex', () => getCollection('categories').findOneAndUpdate(
+            { slug: 'found' },
+            { $set: { name: 'Globex' } },
+            { upsert: true, returnDocument: 'after' }
+        ));
+
+        const stored = memoryDb.collection('categories').documents;
+        const acme = stored.filter((doc) => doc.org_id === 'acme');
+        const globex = stored.filter((doc) => doc.org_id === 'globex');
+
+        assert.deepEqual(acme.map((doc) => [doc.slug, doc.name, doc.touched]), [['shared', 'Acme', undefined]]);
+        assert.deepEqual(globex.map((doc) => doc.slug).sort(), ['bulk', 'found', 'shared', 'upserted']);
+        assert.ok(globex.every((doc) => doc.name === 'Globex'));
+        assert.equal(stored.length, 5);
+
+        // An organization with categories only accepts events in them
+        await runAsSystem(() => getCollection('categories').deleteMany({}));
+    });
+
+    test('updates cannot move a document to another organization', async () => {
+        await asOrg('acme', async () => {
+            const events = getCollection('events');
+
+            await assert.rejects(async () => events.updateOne({}, { $set: { org_id: 'globex' } }), /org_id cannot be changed/);
+            await assert.rejects(async () => events.updateMany({}, [{ $set: { org_id: 'globex' } }]), /org_id cannot be changed/);
+            await assert.rejects(
+                async () => events.bulkWrite([{ updateOne: { filter: {}, update: { $unset: { org_id: '' } } } }]),
+                /org_id cannot be changed/
+            );
+        });
+    });
+
+    test('cross-collection stages, unscoped methods and lost contexts are refused', async () => {
+        await asOrg('acme', async () => {
+            const events = getCollection('events');
+
+            assert.throws(() => events.aggregate([{ $lookup: { from: 'events', as: 'all', pipeline: [] } }]), /\$lookup is not allowed/);
+            assert.throws(() => events.watch(), /not supported on tenant-scoped collection/);
+        });
+
+        assert.throws(() => getCollection('events'), /No organization context/);
+        await runAsSystem(async () => {
+            assert.ok(await getCollection('events').countDocuments({}) >= 2);
+        });
+    });
+});
+
+describe('API requests', () => {
+    let api;
+
+    before(async () => {
+        api = await startApp();
+    });
+
+    after(() => api.close());
+
+    const createEvent = async (user, overrides) => {
+        const response = await api.request('/api/v3/app/events', { method: 'POST', user, body: await eventForm(overrides) });
+        assert.equal(response.status, 201, JSON.stringify(response.body));
+        return response.body.data;
+    };
+
+    test('events of another organization are not found', async () => {
+        const event = await createEvent(ACME, { name: 'Acme only' });
+
+        const own = await api.request(`/api/v3/app/events?id=${event._id}`, { org: 'acme' });
+        assert.equal(own.status, 200);
+        assert.equal(own.body.data.org_id, 'acme');
+
+        const other = await api.request(`/api/v3/app/events?id=${event._id}`, { org: 'globex' });
+        assert.equal(other.status, 404);
+
+        const list = await api.request('/api/v3/app/events?type=latest&limit=100', { org: 'globex' });
+        assert.equal(list.status, 200);
+        assert.ok(!list.body.data.some((item) => item._id === event._id));
+
+        const update = await api.request(`/api/v3/app/events/${event._id}`, {
+            method: 'PUT',
+            user: { ...GLOBEX, roles: ['admin'] },
+            body: { name: 'Taken over' }
+        });
+        assert.equal(update.status, 404);
+    });
+
+    test('a token only works in its own organization', async () => {
+        const event = await createEvent(ACME);
+
+        // An Acme user naming Globex in X-Org-Id
+        const write = await api.request('/api/v3/app/events', {
+            method: 'POST',
+            user: ACME,
+            headers: { 'X-Org-Id': 'globex' },
+            body: await eventForm()
+        });
+        assert.equal(write.status, 403);
+        assert.equal(write.body.error, 'Token does not belong to this organization');
+
+        const remove = await api.request(`/api/v3/app/events/${event._id}`, {
+            method: 'DELETE',
+            user: { ...ACME, roles: ['admin'] },
+            headers: { 'X-Org-Id': 'globex' }
+        });
+        assert.equal(remove.status, 403);
+
+        const unknown = await api.request('/api/v3/app/events?type=latest', { org: 'initech' });
+        assert.equal(unknown.status, 404);
+    });
+
+    test('the event stream only carries the organization\'s own changes', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`${api.url}/api/v3/app/events/stream`, {
+            headers: { 'X-Org-Id': 'globex' },
+            signal: controller.signal
+        });
+        assert.equal(response.status, 200);
+
+        const received = [];
+        const reading = (async () => {
+            for await (const chunk of response.body) {
+                received.push(Buffer.from(chunk).toString());
+            }
+        })().catch(() => {});
+
+        await createEvent(ACME, { name: 'Acme stream test' });
+        await createEvent(GLOBEX, { name: 'Globex stream test' });
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        controller.abort();
+        await reading;
+
+        const text = received.join('');
+        assert.match(text, /Globex stream test/);
+        assert.doesNotMatch(text, /Acme stream test/);
+    });
+
+    test('webhook subscriptions and their deliveries are per organization', async () => {
+        const subscribe = async (user) => {
+            const response = await api.request('/api/v3/app/webhooks', {
+                method: 'POST',
+                user,
+                body: { url: 'http://127.0.0.1:9/hook', events: ['event.created'] }
+            });
+            assert.equal(response.status, 201);
+            return response.body.data;
+        };
+        const acmeHook = await subscribe(ACME);
+        const globexHook = await subscribe(GLOBEX);
+
+        const listed = await api.request('/api/v3/app/webhooks', { user: GLOBEX });
+        assert.deepEqual(listed.body.data.map((hook) => hook._id), [String(globexHook.id)]);
+        assert.equal((await api.request(`/api/v3/app/webhooks/${acmeHook.id}`, { user: GLOBEX })).status, 404);
+
+        const event = await createEvent(ACME, { name: 'Acme webhook test' });
+        // Deliveries are queued after the response
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        const deliveries = memoryDb.collection('webhook_deliveries').documents
+            .filter((delivery) => String(delivery.event_id) === event._id);
+        assert.equal(deliveries.length, 1);
+        assert.equal(String(deliveries[0].subscription_id), String(acmeHook.id));
+        assert.equal(deliveries[0].org_id, 'acme');
+    });
+
+    test('the purge job records the revision in the event\'s organization', async () => {
+        const event = await createEvent(GLOBEX, { name: 'Purged' });
+        await runAsSystem(() => getCollection('events').updateOne(
+            { name: 'Purged' },
+            { $set: { deleted_at: new Date('2020-01-01T00:00:00Z') } }
+        ));
+
+        assert.ok(await runAsSystem(eventPurgeJob.runOnce) >= 1);
+
+        const revisions = memoryDb.collection('event_revisions').documents
+            .filter((revision) => String(revision.event_id) === event._id);
+        assert.deepEqual(revisions.map((revision) => [revision.action, revision.org_id]), [
+            ['create', 'globex'],
+            ['purge', 'globex']
+        ]);
+        assert.equal(memoryDb.collection('events').documents.some((doc) => String(doc._id) === event._id), false);
+    });
+});
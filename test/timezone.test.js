@@ -0,0 +1,40 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalDateTime, parseDateTime, toWallClock, fromWallClock } = require('../src/utils/timezone');
+
+describe('parseDateTime', () => {
+    test('parses instants and local date/times', () => {
+        assert.equal(parseDateTime('2024-03-15T10:00:00.5Z').toISOString(), '2024-03-15T10:00:00.500Z');
+        assert.equal(parseDateTime('2024-03-15T10:00+05:30').toISOString(), '2024-03-15T04:30:00.000Z');
+
+        const local = parseDateTime('2024-03-15 10:00');
+        assert.ok(local instanceof LocalDateTime);
+        assert.equal(local.toString(), '2024-03-15 10:00');
+    });
+
+    test('takes years before 100 literally', () => {
+        assert.equal(parseDateTime('0024-03-15T10:00:00Z').getUTCFullYear(), 24);
+        assert.equal(parseDateTime('0099-12-31T23:00:00-02:00').toISOString(), '0100-01-01T01:00:00.000Z');
+        assert.equal(parseDateTime('0000-02-29T00:00:00Z').getUTCFullYear(), 0);
+        assert.equal(new Date(parseDateTime('0050-06-01T12:00').wall).getUTCFullYear(), 50);
+    });
+
+    test('rejects dates that would roll over', () => {
+        assert.equal(parseDateTime('2024-02-30T10:00:00Z'), null);
+        assert.equal(parseDateTime('2023-02-29'), null);
+        assert.equal(parseDateTime('0001-02-29T00:00:00Z'), null);
+        assert.equal(parseDateTime('2024-03-15T24:00:00Z'), null);
+    });
+});
+
+describe('wall clock conversion', () => {
+    test('round-trips in a zone, also in the first century', () => {
+        for (const iso of ['2024-03-31T01:30:00.250Z', '0050-06-01T12:00:00.000Z']) {
+            const instant = new Date(iso);
+            const wall = toWallClock(instant, 'Europe/Berlin');
+
+            assert.equal(new Date(wall).getUTCFullYear(), instant.getUTCFullYear());
+            assert.equal(fromWallClock(wall, 'Europe/Berlin').toISOString(), iso);
+        }
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useMemoryDb } = require('./helpers/memoryDb');
+
+useMemoryDb();
+
+const { startApp, eventForm, UPLOAD_DIR } = require('./helpers/app');
+const { createOrganization } = require('../src/tenancy');
+const { errorHandler, APIError, ValidationError } = require('../src/middleware/errorHandler');
+
+const USER = { org: 'acme', uid: 1 };
+
+const uploadedFiles = () => fs.readdirSync(UPLOAD_DIR).sort();
+
+// Cleanup runs after the error response is sent
+const settle = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+const writeUpload = (name) => {
+    const filePath = path.join(UPLOAD_DIR, name);
+    fs.writeFileSync(filePath, 'image');
+    return filePath;
+};
+
+const fakeResponse = () => ({
+    set() { return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+});
+
+describe('uploads of failed requests', () => {
+    let api;
+
+    before(async () => {
+        await createOrganization({ id: 'acme', name: 'Acme' });
+        api = await startApp();
+    });
+
+    after(() => api.close());
+
+    test('a rejected create leaves no files behind', async () => {
+        const before = uploadedFiles();
+
+        const response = await api.request('/api/v3/app/events', {
+            method: 'POST',
+            user: USER,
+            body: await eventForm({ rigor_rank: 'high' })
+        });
+        assert.equal(response.status, 400);
+
+        await settle();
+        assert.deepEqual(uploadedFiles(), before);
+    });
+
+    test('an update of a missing event leaves no files behind', async () => {
+        const before = uploadedFiles();
+
+        const response = await api.request('/api/v3/app/events/0123456789abcdef01234567', {
+            method: 'PUT',
+            user: USER,
+            body: await eventForm()
+        });
+        assert.equal(response.status, 404);
+
+        await settle();
+        assert.deepEqual(uploadedFiles(), before);
+    });
+
+    test('files of a created event are kept', async () => {
+        const response = await api.request('/api/v3/app/events', { method: 'POST', user: USER, body: await eventForm() });
+        assert.equal(response.status, 201);
+
+        await settle();
+        assert.ok(fs.existsSync(response.body.data.image));
+    });
+
+    test('stored files are named by a random id, not the client\'s filename', async () => {
+        const form = await eventForm();
+        form.set('image', form.get('image'), '..%2F<script>evil name.png');
+
+        const response = await api.request('/api/v3/app/events', { method: 'POST', user: USER, body: form });
+        assert.equal(response.status, 201);
+
+        const { images } = response.body.data;
+        const stored = Object.values(images).flatMap(({ webp, jpeg }) => [webp, jpeg]);
+        assert.equal(stored.length, 6);
+        for (const storedPath of stored) {
+            assert.match(path.basename(storedPath), /^[0-9a-f-]{36}-(thumbnail|card|full)\.(webp|jpg)$/);
+        }
+    });
+
+    test('the error handler keeps files once the request committed them', async () => {
+        const committed = writeUpload('committed.jpg');
+        const orphan = writeUpload('orphan.jpg');
+
+        errorHandler(
+            new APIError('Webhook queue unavailable', 500),
+            { file: { path: committed, storedPaths: [committed] }, filesCommitted: true },
+            fakeResponse()
+        );
+        const res = fakeResponse();
+        errorHandler(new APIError('Event not found', 404), { file: { path: orphan, storedPaths: [orphan] } }, res);
+
+        await settle();
+        assert.equal(res.statusCode, 404);
+        assert.equal(fs.existsSync(committed), true);
+        assert.equal(fs.existsSync(orphan), false);
+    });
+});
+
+describe('error responses', () => {
+    test('list the invalid fields of validation errors only', () => {
+        const invalid = fakeResponse();
+        errorHandler(new ValidationError([{ field: 'name', message: 'name is required' }]), {}, invalid);
+        assert.equal(invalid.statusCode, 400);
+        assert.deepEqual(invalid.body.errors, [{ field: 'name', message: 'name is required' }]);
+
+        const internal = fakeResponse();
+        const error = new AggregateError([new Error('connect ECONNREFUSED 10.0.0.12:27017')], 'All hosts failed');
+        errorHandler(error, {}, internal);
+        assert.equal(internal.statusCode, 500);
+        assert.equal(internal.body.errors, undefined);
+    });
+});
@@ -0,0 +1,174 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const { useMemoryDb, ObjectId } = require('./helpers/memoryDb');
+const { startReceiver } = require('./helpers/receiver');
+
+const memoryDb = useMemoryDb();
+
+Object.assign(process.env, {
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error',
+    WEBHOOK_MAX_ATTEMPTS: '2',
+    WEBHOOK_RETRY_BASE_MS: '60000',
+    WEBHOOK_TIMEOUT_MS: '1000'
+});
+
+const { getCollection } = require('../src/config/database');
+const { runWithTenant, runAsSystem } = require('../src/tenancy');
+const { postJson } = require('../src/utils/http');
+const { signPayload, queueWebhookDeliveries } = require('../src/utils/webhooks');
+const webhookDeliveryWorker = require('../src/jobs/webhookDeliveryWorker');
+
+const SECRET = 'whsec_test';
+
+const asAcme = (fn) => runWithTenant({ id: 'acme' }, fn);
+const deliveries = () => memoryDb.collection('webhook_deliveries').documents;
+
+describe('webhook delivery worker', () => {
+    let receiver;
+    let status;
+
+    before(async () => {
+        receiver = await startReceiver((req, res) => {
+            res.statusCode = status;
+            res.end();
+        });
+    });
+
+    after(() => receiver.close());
+
+    beforeEach(async () => {
+        status = 200;
+        receiver.requests.length = 0;
+        memoryDb.reset();
+        await asAcme(() => getCollection('webhook_subscriptions').insertOne({
+            url: `${receiver.url}/hook`,
+            secret: SECRET,
+            events: ['event.created'],
+            active: true
+        }));
+    });
+
+    const queueCreated = (name) => asAcme(() => queueWebhookDeliveries('event.created', { _id: new ObjectId(), name }));
+
+    test('sends a signed, timestamped delivery', async () => {
+        await queueCreated('Signed');
+        const before = Math.floor(Date.now() / 1000);
+
+        assert.equal(await runAsSystem(webhookDeliveryWorker.runOnce), 1);
+
+        assert.equal(receiver.requests.length, 1);
+        const [{ headers, body }] = receiver.requests;
+        const timestamp = Number(headers['x-webhook-timestamp']);
+
+        assert.ok(timestamp >= before && timestamp <= Math.ceil(Date.now() / 1000));
+        assert.equal(headers['x-webhook-signature'], signPayload(SECRET, timestamp, body));
+        assert.equal(headers['x-webhook-event'], 'event.created');
+        assert.equal(JSON.parse(body).data.name, 'Signed');
+
+        const [delivery] = deliveries();
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.last_status_code, 200);
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.claim_token, undefined);
+    });
+
+    test('retries a failed delivery with backoff, then gives up after the last attempt', async () => {
+        status = 500;
+        await queueCreated('Failing');
+
+        const started = Date.now();
+        await runAsSystem(webhookDeliveryWorker.runOnce);
+
+        let [delivery] = deliveries();
+        assert.equal(delivery.status, 'pending');
+        assert.equal(delivery.attempts, 1);
+        assert.equal(delivery.last_status_code, 500);
+        assert.match(delivery.last_error, /status 500/);
+        // WEBHOOK_RETRY_BASE_MS for the first retry
+        assert.ok(delivery.next_attempt_at.getTime() >= started + 60000);
+        assert.ok(delivery.next_attempt_at.getTime() <= Date.now() + 60000);
+
+        // Not due yet
+        assert.equal(await runAsSystem(webhookDeliveryWorker.runOnce), 0);
+
+        await runAsSystem(() => getCollection('webhook_deliveries').updateOne(
+            { _id: delivery._id },
+            { $set: { next_attempt_at: new Date(Date.now() - 1000) } }
+        ));
+        assert.equal(await runAsSystem(webhookDeliveryWorker.runOnce), 1);
+
+        [delivery] = deliveries();
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts, 2);
+        assert.equal(receiver.requests.length, 2);
+    });
+
+    describe('a hostname resolved at send time', () => {
+        const useHost = (t, address) => {
+            t.mock.method(dns.promises, 'lookup', async () => [{ address, family: 4 }]);
+            return asAcme(() => getCollection('webhook_subscriptions').updateOne(
+                {},
+                { $set: { url: `${receiver.url.replace('127.0.0.1', 'hooks.example.com')}/hook` } }
+            ));
+        };
+
+        test('is connected to at the checked address', async (t) => {
+            await useHost(t, '127.0.0.1');
+            await queueCreated('Resolved');
+
+            assert.equal(await runAsSystem(webhookDeliveryWorker.runOnce), 1);
+
+            assert.equal(receiver.requests.length, 1);
+            assert.match(receiver.requests[0].headers.host, /^hooks\.example\.com:/);
+            assert.equal(deliveries()[0].status, 'delivered');
+        });
+
+        test('is refused when it now points at a private address', async (t) => {
+            process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+            t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS);
+            await useHost(t, '169.254.169.254');
+            await queueCreated('Rebound');
+
+            assert.equal(await runAsSystem(webhookDeliveryWorker.runOnce), 1);
+
+            assert.equal(receiver.requests.length, 0);
+            const [delivery] = deliveries();
+            assert.equal(delivery.status, 'pending');
+            assert.match(delivery.last_error, /resolves to a private or loopback address/);
+        });
+    });
+});
+
+describe('postJson', () => {
+    test('gives up at the deadline even while the receiver keeps sending', async () => {
+        let trickle;
+        const receiver = await startReceiver((req, res) => {
+            res.writeHead(200);
+            trickle = setInterval(() => res.write('.'), 20);
+        });
+
+        try {
+            const started = Date.now();
+            await assert.rejects(postJson(receiver.url, '{}', { timeoutMs: 200 }), /timed out after 200ms/);
+            assert.ok(Date.now() - started < 1000);
+        } finally {
+            clearInterval(trickle);
+            await receiver.close();
+        }
+    });
+
+    test('reads at most maxResponseBytes of the response', async () => {
+        const receiver = await startReceiver((req, res) => {
+            res.writeHead(200);
+            // Never ends the response
+            res.write(Buffer.alloc(2048));
+        });
+
+        try {
+            assert.deepEqual(await postJson(receiver.url, '{}', { timeoutMs: 5000, maxResponseBytes: 1024 }), { statusCode: 200 });
+        } finally {
+            await receiver.close();
+        }
+    });
+});